@@ -1,63 +1,111 @@
-var Ie={wsUrl:(()=>{let t=`${location.protocol==="https:"?"wss:":"ws:"}//${location.host}`,s=location.pathname.replace(/\/+$/,"");return s&&s!=="/"?`${t}${s}`:t})(),silenceMs:1500,maxFileSize:10485760};var Xe=new Set,Qs=50;function is(e){let t=(e||"").trim().slice(0,200),s=0;for(let n=0;n<t.length;n++)s=(s<<5)-s+t.charCodeAt(n),s=s&s;return s.toString(36)}function de(e){let t=is(e);if(Xe.add(t),Xe.size>Qs){let s=Xe.values();for(let n=0;n<10;n++)Xe.delete(s.next().value)}}function Ft(e){return Xe.has(is(e))}function ft(e){return String(e).replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;").replace(/"/g,"&quot;").replace(/'/g,"&#x27;")}function ue(e){return e.replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;").replace(/"/g,"&quot;").replace(/'/g,"&#x27;").replace(/\*\*(.*?)\*\*/g,"<strong>$1</strong>").replace(/`([^`]+)`/g,"<code>$1</code>").replace(/\n\n/g,"</p><p>").replace(/\n/g,"<br>").replace(/^(.*)$/,"<p>$1</p>").replace(/<p><\/p>/g,"")}function V(e){return e<1024?e+" B":e<1024*1024?(e/1024).toFixed(1)+" KB":(e/(1024*1024)).toFixed(1)+" MB"}function Rt(e){return e?.content?typeof e.content=="string"?e.content:Array.isArray(e.content)&&e.content.find(s=>s.type==="text")?.text||null:null}function as(){let t=`${location.protocol==="https:"?"wss:":"ws:"}//${location.host}`,s=location.pathname.replace(/\/+$/,"");return s&&s!=="/"?`${t}${s}/realtime`:`${t}/realtime`}function cs(e){let t=new Int16Array(e.length);for(let o=0;o<e.length;o++){let i=Math.max(-1,Math.min(1,e[o]));t[o]=i<0?i*32768:i*32767}let s=new Uint8Array(t.buffer),n="";for(let o=0;o<s.length;o++)n+=String.fromCharCode(s[o]);return btoa(n)}function rs(e){let t=atob(e),s=new Uint8Array(t.length);for(let i=0;i<t.length;i++)s[i]=t.charCodeAt(i);let n=new Int16Array(s.buffer),o=new Float32Array(n.length);for(let i=0;i<n.length;i++)o[i]=n[i]/(n[i]<0?32768:32767);return o}var S=null,k=null,Qe=null,me=null,Ze=[],ht=!1,et=()=>{},vt=()=>{},Zs=()=>{};function ds({onStatus:e,onMessage:t,onStop:s}){e&&(et=e),t&&(vt=t),s&&(Zs=s)}function en(){let t=`${location.protocol==="https:"?"wss:":"ws:"}//${location.host}`,s=location.pathname.replace(/\/+$/,"");return s&&s!=="/"?`${t}${s}/elevenlabs-realtime`:`${t}/elevenlabs-realtime`}async function us(){console.log("\u{1F399}\uFE0F Starting ElevenLabs voice mode");try{return await nn()?(tn(),!0):!1}catch(e){return console.error("Failed to start ElevenLabs voice:",e),!1}}function tn(){let e=en();console.log("\u{1F517} Connecting to ElevenLabs WebSocket:",e),S=new WebSocket(e),S.onopen=()=>{console.log("\u2705 ElevenLabs WebSocket connected"),et("Starting...")},S.onmessage=t=>{try{let s=JSON.parse(t.data);sn(s)}catch(s){console.error("Failed to parse ElevenLabs message:",s)}},S.onclose=t=>{console.log("\u{1F50C} ElevenLabs WebSocket closed:",t.code)},S.onerror=t=>{console.error("\u274C ElevenLabs WebSocket error:",t)}}function sn(e){switch(e.type){case"ready":et("Listening");break;case"transcript":e.text&&vt("user",e.text,e.final);break;case"text":case"agent_response":let t=e.content||e.text;t&&(vt("assistant",t,!0),et("Speaking..."));break;case"audio_delta":case"audio":let s=e.data||e.audio_base_64;s&&(Ze.push(s),an());break;case"interruption":console.log("\u26A1 User interruption detected"),ms();break;case"tool_call":et("Checking..."),vt("assistant","Checking...",!1);break;case"conversation_ended":case"session_ended":console.log("\u{1F3C1} ElevenLabs conversation ended");break;case"error":console.error("\u274C ElevenLabs error:",e.message);break}}async function nn(){try{Qe=await navigator.mediaDevices.getUserMedia({audio:{sampleRate:16e3,channelCount:1,echoCancellation:!0,noiseSuppression:!0}}),k=new(window.AudioContext||window.webkitAudioContext)({sampleRate:16e3});let e=k.createMediaStreamSource(Qe);try{await k.audioWorklet.addModule("/audio-processor.js"),me=new AudioWorkletNode(k,"audio-processor"),me.port.onmessage=t=>{let{audioData:s}=t.data;if(S&&S.readyState===WebSocket.OPEN){let n=ls(s);S.send(JSON.stringify({type:"audio",data:n}))}},e.connect(me),me.connect(k.destination)}catch{console.warn("AudioWorklet not available, falling back to ScriptProcessor");let s=k.createScriptProcessor(4096,1,1);s.onaudioprocess=n=>{let o=n.inputBuffer.getChannelData(0);if(S&&S.readyState===WebSocket.OPEN){let i=ls(o);S.send(JSON.stringify({type:"audio",data:i}))}},e.connect(s),s.connect(k.destination)}return!0}catch(e){return console.error("ElevenLabs audio capture error:",e),!1}}function ls(e){let t=new Int16Array(e.length);for(let o=0;o<e.length;o++){let i=Math.max(-1,Math.min(1,e[o]));t[o]=i<0?i*32768:i*32767}let s=new Uint8Array(t.buffer),n="";for(let o=0;o<s.length;o++)n+=String.fromCharCode(s[o]);return btoa(n)}function on(e){let t=atob(e),s=new Uint8Array(t.length);for(let i=0;i<t.length;i++)s[i]=t.charCodeAt(i);let n=new Int16Array(s.buffer),o=new Float32Array(n.length);for(let i=0;i<n.length;i++)o[i]=n[i]/(n[i]<0?32768:32767);return o}async function an(){if(!(ht||Ze.length===0)){for(ht=!0;Ze.length>0;){let e=Ze.shift();try{(!k||k.state==="closed")&&(k=new(window.AudioContext||window.webkitAudioContext)({sampleRate:16e3}));let t=on(e),s=k.createBuffer(1,t.length,16e3);s.getChannelData(0).set(t);let n=k.createBufferSource();n.buffer=s,n.connect(k.destination),await new Promise(o=>{n.onended=o,n.start()})}catch(t){console.error("ElevenLabs audio playback error:",t)}}ht=!1}}function ms(){Ze=[],ht=!1}function ps(){if(console.log("\u{1F50C} Stopping ElevenLabs voice mode"),Qe&&(Qe.getTracks().forEach(e=>e.stop()),Qe=null),me&&(me.disconnect(),me=null),k&&k.state!=="closed"&&(k.close().catch(()=>{}),k=null),ms(),S){try{S.send(JSON.stringify({type:"end"}))}catch{}S.close(),S=null}}var Es=localStorage.getItem("voiceMode")||"elevenlabs",r=document.getElementById("messages"),Tt=document.getElementById("welcome"),f=document.getElementById("text-input"),Ee=document.getElementById("send-btn"),Ue=document.getElementById("voice-btn"),cn=document.getElementById("notes-btn"),Ot=document.getElementById("status"),vo=document.getElementById("timer"),qt=document.getElementById("toast"),rn=document.getElementById("upload-btn"),kt=document.getElementById("file-input"),ie=document.getElementById("bottom"),pe=document.getElementById("spark-status"),ge=document.getElementById("session-status-indicator");function tt(e){pe&&(pe.classList.remove("connected","connecting"),e==="connected"?(pe.classList.add("connected"),pe.title="Clawdbot Gateway: Connected"):e==="connecting"?(pe.classList.add("connecting"),pe.title="Clawdbot Gateway: Connecting..."):pe.title="Clawdbot Gateway: Disconnected"),ge&&(ge.classList.remove("connected","connecting"),e==="connected"?(ge.classList.add("connected"),ge.title="Connected"):e==="connecting"?(ge.classList.add("connecting"),ge.title="Connecting..."):ge.title="Disconnected")}var Ss=document.getElementById("voice-bar"),ln=document.getElementById("close-voice-btn"),yo=document.getElementById("waveform"),I=document.getElementById("voice-content"),gs=document.getElementById("voice-status"),bo=document.getElementById("notes-content"),Mt=document.getElementById("notes-timer"),wo=document.getElementById("notes-bar"),dn=document.getElementById("close-notes-btn"),un=document.getElementById("delete-notes-btn"),ko=document.getElementById("notes-recording"),Lo=document.getElementById("notes-results"),Y=document.getElementById("notes-status"),Pe=document.getElementById("notes-transcription-msg"),He=document.getElementById("notes-transcription"),We=document.getElementById("notes-summary-msg"),Fe=document.getElementById("notes-summary"),mn=document.getElementById("notes-save-btn"),pn=document.getElementById("notes-delete-btn"),gn=document.getElementById("notes-back-btn"),j={transcription:"",summary:""},fn=document.getElementById("close-btn"),rt=document.getElementById("history-btn"),hn=document.getElementById("theme-btn");function vn(){let e=localStorage.getItem("theme");e&&document.documentElement.setAttribute("data-theme",e)}vn();hn?.addEventListener("click",()=>{let e=document.documentElement.getAttribute("data-theme"),t=window.matchMedia("(prefers-color-scheme: dark)").matches,s;e==="dark"?s="light":e==="light"?s="dark":s=t?"light":"dark",document.documentElement.setAttribute("data-theme",s),localStorage.setItem("theme",s)});var m=null,Se="chat",$="intro",xs=!1,xe=!1,Be=0,Ut=5,q=!1,st=null,Ae=null,N=null,Nt=[],Jt=null,Gt=null,It=null,Z=null,Cs={},Lt={},Ts={dev:{name:"Dev Mode",icon:"\u{1F468}\u200D\u{1F4BB}",notifyWhatsApp:!0},research:{name:"Research Mode",icon:"\u{1F52C}",notifyWhatsApp:!0},plan:{name:"Plan Mode",icon:"\u{1F4CB}",notifyWhatsApp:!0},articulate:{name:"Articulate Mode",icon:"\u270D\uFE0F",notifyWhatsApp:!1},dailyreports:{name:"Daily Reports",icon:"\u{1F4CA}",notifyWhatsApp:!0},videogen:{name:"Video Gen",icon:"\u{1F3AC}",notifyWhatsApp:!0}};async function yn(){try{Lt=(await(await fetch("/api/modes")).json()).modes||{},console.log("\u{1F4E6} Loaded mode configs:",Object.keys(Lt))}catch(e){console.error("Failed to load mode configs:",e),Lt=Ts}}function Ms(e){return Lt[e]||Ts[e]||{name:e,icon:"\u{1F4E6}"}}function bn(){let e=document.getElementById("mode-indicator");if(Z){let t=Ms(Z);e||(e=document.createElement("div"),e.id="mode-indicator",e.className="mode-indicator",document.querySelector(".top-bar")?.appendChild(e)),e.innerHTML=`
+var We={wsUrl:(()=>{let t=`${location.protocol==="https:"?"wss:":"ws:"}//${location.host}`,n=location.pathname.replace(/\/+$/,"");return n&&n!=="/"?`${t}${n}`:t})(),silenceMs:1500,maxFileSize:10485760};var dt=new Set,to=50;function Vn(e){let t=(e||"").trim().slice(0,200),n=0;for(let s=0;s<t.length;s++)n=(n<<5)-n+t.charCodeAt(s),n=n&n;return n.toString(36)}function U(e){let t=Vn(e);if(dt.add(t),dt.size>to){let n=dt.values();for(let s=0;s<10;s++)dt.delete(n.next().value)}}function Ft(e){return dt.has(Vn(e))}function Yn(){return crypto.randomUUID?crypto.randomUUID():`${Date.now().toString(36)}-${Math.random().toString(36).slice(2,12)}`}function w(e){return String(e).replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;").replace(/"/g,"&quot;").replace(/'/g,"&#x27;")}function I(e){return e.replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;").replace(/"/g,"&quot;").replace(/'/g,"&#x27;").replace(/\*\*(.*?)\*\*/g,"<strong>$1</strong>").replace(/`([^`]+)`/g,"<code>$1</code>").replace(/\n\n/g,"</p><p>").replace(/\n/g,"<br>").replace(/^(.*)$/,"<p>$1</p>").replace(/<p><\/p>/g,"")}function Q(e){return e<1024?e+" B":e<1024*1024?(e/1024).toFixed(1)+" KB":(e/(1024*1024)).toFixed(1)+" MB"}function zn(e){let t=Math.floor(e),n=Math.floor(t/3600),s=Math.floor(t%3600/60),o=String(t%60).padStart(2,"0");return n?`${n}:${String(s).padStart(2,"0")}:${o}`:`${s}:${o}`}function no(e){return e<1e3?`${e}ms`:`${(e/1e3).toFixed(1)}s`}function un(e,t=!1){if(!e?.length)return"";let n=e.filter(i=>i.error).length,s=e.map(i=>{let a=i.error?"error":i.endedAt!=null?"done":"running",c=[i.durationMs!=null?no(i.durationMs):a==="running"?"running\u2026":"",i.resultChars!=null?`${i.resultChars.toLocaleString()} chars`:""].filter(Boolean).join(" \xB7 ");return`<li class="tool-step ${a}">
+      <span class="tool-step-name">${w(i.tool)}</span>
+      ${i.args?`<code class="tool-step-args">${w(i.args)}</code>`:""}
+      ${c?`<span class="tool-step-meta">${c}</span>`:""}
+      ${i.error?`<div class="tool-step-error">${w(i.error)}</div>`:""}
+    </li>`}).join(""),o=`${e.length} step${e.length===1?"":"s"}${n?` \xB7 ${n} failed`:""}`;return`<details class="tool-timeline"${t?" open":""}><summary>\u{1F6E0} ${o}</summary><ol>${s}</ol></details>`}function mn(e){return e?.content?typeof e.content=="string"?e.content:Array.isArray(e.content)&&e.content.find(n=>n.type==="text")?.text||null:null}function Jn(){let t=`${location.protocol==="https:"?"wss:":"ws:"}//${location.host}`,n=location.pathname.replace(/\/+$/,"");return n&&n!=="/"?`${t}${n}/realtime`:`${t}/realtime`}function Gn(e){let t=new Int16Array(e.length);for(let o=0;o<e.length;o++){let i=Math.max(-1,Math.min(1,e[o]));t[o]=i<0?i*32768:i*32767}let n=new Uint8Array(t.buffer),s="";for(let o=0;o<n.length;o++)s+=String.fromCharCode(n[o]);return btoa(s)}function Kn(e){let t=atob(e),n=new Uint8Array(t.length);for(let i=0;i<t.length;i++)n[i]=t.charCodeAt(i);let s=new Int16Array(n.buffer),o=new Float32Array(s.length);for(let i=0;i<s.length;i++)o[i]=s[i]/(s[i]<0?32768:32767);return o}var $=null,C=null,ut=null,we=null,mt=[],Rt=!1,ft=()=>{},Wt=()=>{},so=()=>{};function Qn({onStatus:e,onMessage:t,onStop:n}){e&&(ft=e),t&&(Wt=t),n&&(so=n)}function oo(){let t=`${location.protocol==="https:"?"wss:":"ws:"}//${location.host}`,n=location.pathname.replace(/\/+$/,"");return n&&n!=="/"?`${t}${n}/elevenlabs-realtime`:`${t}/elevenlabs-realtime`}async function Zn(){console.log("\u{1F399}\uFE0F Starting ElevenLabs voice mode");try{return await ro()?(io(),!0):!1}catch(e){return console.error("Failed to start ElevenLabs voice:",e),!1}}function io(){let e=oo();console.log("\u{1F517} Connecting to ElevenLabs WebSocket:",e),$=new WebSocket(e),$.onopen=()=>{console.log("\u2705 ElevenLabs WebSocket connected"),ft("Starting...")},$.onmessage=t=>{try{let n=JSON.parse(t.data);ao(n)}catch(n){console.error("Failed to parse ElevenLabs message:",n)}},$.onclose=t=>{console.log("\u{1F50C} ElevenLabs WebSocket closed:",t.code)},$.onerror=t=>{console.error("\u274C ElevenLabs WebSocket error:",t)}}function ao(e){switch(e.type){case"ready":ft("Listening");break;case"transcript":e.text&&Wt("user",e.text,e.final);break;case"text":case"agent_response":let t=e.content||e.text;t&&(Wt("assistant",t,!0),ft("Speaking..."));break;case"audio_delta":case"audio":let n=e.data||e.audio_base_64;n&&(mt.push(n),lo());break;case"interruption":console.log("\u26A1 User interruption detected"),es();break;case"tool_call":ft("Checking..."),Wt("assistant","Checking...",!1);break;case"conversation_ended":case"session_ended":console.log("\u{1F3C1} ElevenLabs conversation ended");break;case"error":console.error("\u274C ElevenLabs error:",e.message);break}}async function ro(){try{ut=await navigator.mediaDevices.getUserMedia({audio:{sampleRate:16e3,channelCount:1,echoCancellation:!0,noiseSuppression:!0}}),C=new(window.AudioContext||window.webkitAudioContext)({sampleRate:16e3});let e=C.createMediaStreamSource(ut);try{await C.audioWorklet.addModule("/audio-processor.js"),we=new AudioWorkletNode(C,"audio-processor"),we.port.onmessage=t=>{let{audioData:n}=t.data;if($&&$.readyState===WebSocket.OPEN){let s=Xn(n);$.send(JSON.stringify({type:"audio",data:s}))}},e.connect(we),we.connect(C.destination)}catch{console.warn("AudioWorklet not available, falling back to ScriptProcessor");let n=C.createScriptProcessor(4096,1,1);n.onaudioprocess=s=>{let o=s.inputBuffer.getChannelData(0);if($&&$.readyState===WebSocket.OPEN){let i=Xn(o);$.send(JSON.stringify({type:"audio",data:i}))}},e.connect(n),n.connect(C.destination)}return!0}catch(e){return console.error("ElevenLabs audio capture error:",e),!1}}function Xn(e){let t=new Int16Array(e.length);for(let o=0;o<e.length;o++){let i=Math.max(-1,Math.min(1,e[o]));t[o]=i<0?i*32768:i*32767}let n=new Uint8Array(t.buffer),s="";for(let o=0;o<n.length;o++)s+=String.fromCharCode(n[o]);return btoa(s)}function co(e){let t=atob(e),n=new Uint8Array(t.length);for(let i=0;i<t.length;i++)n[i]=t.charCodeAt(i);let s=new Int16Array(n.buffer),o=new Float32Array(s.length);for(let i=0;i<s.length;i++)o[i]=s[i]/(s[i]<0?32768:32767);return o}async function lo(){if(!(Rt||mt.length===0)){for(Rt=!0;mt.length>0;){let e=mt.shift();try{(!C||C.state==="closed")&&(C=new(window.AudioContext||window.webkitAudioContext)({sampleRate:16e3}));let t=co(e),n=C.createBuffer(1,t.length,16e3);n.getChannelData(0).set(t);let s=C.createBufferSource();s.buffer=n,s.connect(C.destination),await new Promise(o=>{s.onended=o,s.start()})}catch(t){console.error("ElevenLabs audio playback error:",t)}}Rt=!1}}function es(){mt=[],Rt=!1}function ts(){if(console.log("\u{1F50C} Stopping ElevenLabs voice mode"),ut&&(ut.getTracks().forEach(e=>e.stop()),ut=null),we&&(we.disconnect(),we=null),C&&C.state!=="closed"&&(C.close().catch(()=>{}),C=null),es(),$){try{$.send(JSON.stringify({type:"end"}))}catch{}$.close(),$=null}}var pt="pushSubscriptionId",Ut=null;function ss(){return"serviceWorker"in navigator&&"PushManager"in window&&"Notification"in window}function fn(){return"serviceWorker"in navigator?(Ut||(Ut=navigator.serviceWorker.register("sw.js").catch(e=>(console.error("Service worker registration failed:",e),Ut=null,null))),Ut):Promise.resolve(null)}function os(e){navigator.serviceWorker?.addEventListener("message",t=>{t.data?.type==="open"&&t.data.url&&e(t.data.url)})}function uo(e){let t=e.replace(/-/g,"+").replace(/_/g,"/").padEnd(Math.ceil(e.length/4)*4,"=");return Uint8Array.from(atob(t),n=>n.charCodeAt(0))}async function pn(){let e=localStorage.getItem(pt);if(!e)return[];try{let t=await fetch(`/api/push/subscriptions/${encodeURIComponent(e)}`);return t.status===404?(localStorage.removeItem(pt),[]):(await t.json()).scopes||[]}catch(t){return console.error("Failed to load push scopes:",t),[]}}async function ns(e){if(await Notification.requestPermission()!=="granted")throw new Error("Notifications are blocked for this site");let n=await fn();if(!n)throw new Error("Service worker unavailable");await navigator.serviceWorker.ready;let s=await n.pushManager.getSubscription();if(!s){let{publicKey:a}=await(await fetch("/api/push/key")).json();s=await n.pushManager.subscribe({userVisibleOnly:!0,applicationServerKey:uo(a)})}let o=await fetch("/api/push/subscriptions",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({subscription:s.toJSON(),scopes:e})}),i=await o.json();if(!o.ok)throw new Error(i.error||"Subscription failed");return localStorage.setItem(pt,i.id),i.scopes}async function is(e,t){let n=await pn(),s=t?[...new Set([...n,e])]:n.filter(c=>c!==e),o=localStorage.getItem(pt);if(!o)return t?ns(s):[];let i=await fetch(`/api/push/subscriptions/${encodeURIComponent(o)}`,{method:"PATCH",headers:{"Content-Type":"application/json"},body:JSON.stringify({scopes:s})});if(i.status===404)return localStorage.removeItem(pt),t?ns(s):[];let a=await i.json();if(!i.ok)throw new Error(a.error||"Failed to update notifications");return a.scopes}var ks=localStorage.getItem("voiceMode")||"elevenlabs",d=document.getElementById("messages"),Zt=document.getElementById("welcome"),v=document.getElementById("text-input"),He=document.getElementById("send-btn"),tt=document.getElementById("voice-btn"),mo=document.getElementById("notes-btn"),hn=document.getElementById("status"),Vi=document.getElementById("timer"),ht=document.getElementById("toast"),fo=document.getElementById("upload-btn"),Yt=document.getElementById("file-input"),he=document.getElementById("bottom"),ke=document.getElementById("spark-status"),Ee=document.getElementById("session-status-indicator");function gt(e){ke&&(ke.classList.remove("connected","connecting"),e==="connected"?(ke.classList.add("connected"),ke.title="Clawdbot Gateway: Connected"):e==="connecting"?(ke.classList.add("connecting"),ke.title="Clawdbot Gateway: Connecting..."):ke.title="Clawdbot Gateway: Disconnected"),Ee&&(Ee.classList.remove("connected","connecting"),e==="connected"?(Ee.classList.add("connected"),Ee.title="Connected"):e==="connecting"?(Ee.classList.add("connecting"),Ee.title="Connecting..."):Ee.title="Disconnected")}var Es=document.getElementById("voice-bar"),po=document.getElementById("close-voice-btn"),Yi=document.getElementById("waveform"),D=document.getElementById("voice-content"),as=document.getElementById("voice-status"),zi=document.getElementById("notes-content"),en=document.getElementById("notes-timer"),Ji=document.getElementById("notes-bar"),ho=document.getElementById("close-notes-btn"),go=document.getElementById("delete-notes-btn"),Gi=document.getElementById("notes-recording"),Ki=document.getElementById("notes-results"),ee=document.getElementById("notes-status"),ze=document.getElementById("notes-transcription-msg"),Je=document.getElementById("notes-transcription"),Ge=document.getElementById("notes-summary-msg"),Ke=document.getElementById("notes-summary"),vo=document.getElementById("notes-save-btn"),yo=document.getElementById("notes-delete-btn"),bo=document.getElementById("notes-back-btn"),q={transcription:"",summary:"",segments:[]},wo=document.getElementById("close-btn"),Mt=document.getElementById("history-btn"),ko=document.getElementById("theme-btn");function Eo(){let e=localStorage.getItem("theme");e&&document.documentElement.setAttribute("data-theme",e)}Eo();ko?.addEventListener("click",()=>{let e=document.documentElement.getAttribute("data-theme"),t=window.matchMedia("(prefers-color-scheme: dark)").matches,n;e==="dark"?n="light":e==="light"?n="dark":n=t?"light":"dark",document.documentElement.setAttribute("data-theme",n),localStorage.setItem("theme",n)});var p=null,Ae="chat",B="intro",Ls=!1,Pe=!1,Ue=0,gn=5,me=!1,vt=null,qe=null,R=null,on=[],In=null,$n=null,tn=null,z=null,Ss={},J={};async function Lo(){try{J=(await(await fetch("/api/modes")).json()).modes||{},console.log("\u{1F4E6} Loaded mode configs:",Object.keys(J))}catch(e){console.error("Failed to load mode configs:",e),J={}}So(),Be()}function G(e){return J[e]||{name:e,icon:"\u{1F4E6}"}}function It(e){return`spark-${e}-mode`}function So(){let e=document.getElementById("shortcuts");if(!e)return;let t=new Map;for(let[n,s]of Object.entries(J)){let o=s.section||"Modes";t.has(o)||t.set(o,[]),t.get(o).push([n,s])}e.innerHTML="";for(let[n,s]of t){let o=document.createElement("div");o.className="shortcut-section",o.innerHTML=`
+      <div class="shortcut-section-header">${w(n)}</div>
+      <div class="shortcut-section-items"></div>
+    `;let i=o.querySelector(".shortcut-section-items");for(let[a,c]of s){let r=document.createElement("button");r.className="shortcut",r.dataset.mode=a,r.setAttribute("aria-label",`Open ${c.name}`);let l=c.svg?`<svg class="shortcut-icon" viewBox="0 0 24 24">${c.svg}</svg>`:`<span class="shortcut-icon shortcut-emoji">${w(c.icon||"\u{1F4E6}")}</span>`;r.innerHTML=`
+        ${l}
+        <div class="shortcut-content">
+          <span class="shortcut-title">${w(c.name)}</span>
+          <span class="shortcut-sub">${w(c.subtitle||"")}</span>
+        </div>
+      `,r.addEventListener("click",()=>ki(a)),i.appendChild(r)}e.appendChild(o)}js()}function xo(){let e=document.getElementById("mode-indicator");if(z){let t=G(z);e||(e=document.createElement("div"),e.id="mode-indicator",e.className="mode-indicator",document.querySelector(".top-bar")?.appendChild(e)),e.innerHTML=`
       <span class="mode-icon">${t.icon}</span>
       <span class="mode-name">${t.name}</span>
       <button class="mode-exit-btn" onclick="exitMode()">\u2715</button>
-    `,e.style.display="flex"}else e&&(e.style.display="none")}function wn(e){let t=Cs[e]||[];if(r.querySelectorAll(".msg, .mode-empty-state").forEach(s=>s.remove()),t.length===0){let s=Ms(e),n=document.createElement("div");n.className="mode-empty-state",n.innerHTML=`
-      <div class="mode-empty-icon">${s.icon}</div>
-      <div class="mode-empty-title">${s.name}</div>
+    `,e.style.display="flex"}else e&&(e.style.display="none")}function Co(e){let t=Ss[e]||[];if(d.querySelectorAll(".msg, .mode-empty-state").forEach(n=>n.remove()),t.length===0){let n=G(e),s=document.createElement("div");s.className="mode-empty-state",s.innerHTML=`
+      <div class="mode-empty-icon">${n.icon}</div>
+      <div class="mode-empty-title">${n.name}</div>
       <div class="mode-empty-desc">Start a conversation in this mode.</div>
-    `,r.appendChild(n)}else for(let s of t){let n=Rt(s);n&&addMessage(s.role==="assistant"?"bot":"user",n)}scrollToBottom()}yn();var v=null,W=null,Re=!1;function Kt(e=!1){return W&&!e||(W=fetch("/api/messages/all").then(t=>t.json()).then(t=>{if(v=t.messages||[],console.log(`\u{1F4DC} Pre-loaded ${v.length} messages`),v.length>0){let s=v[v.length-1];s.timestamp&&s.timestamp>z&&(z=s.timestamp,console.log(`\u{1F4DC} Set lastMessageTimestamp to ${z}`))}return v}).catch(t=>(console.error("Failed to preload history:",t),v=[],[]))),W}function fs(){W=null,Re=!1,Kt(!0)}function Xt(){Re||!v||v.length===0||(Re=!0,v.forEach(e=>{let t=document.createElement("div");if(t.className=`msg ${e.role==="user"?"user":"bot"}`,e.role==="user"?t.textContent=e.text:t.innerHTML=ue(e.text),e.timestamp){let s=document.createElement("span");s.className="msg-time",s.textContent=Dt(e.timestamp),t.appendChild(s)}r.appendChild(t)}),r.scrollTop=r.scrollHeight)}var De=!1;function Is(){if(De){console.log("showIntroPage blocked - transition in progress");return}De=!0,console.log("showIntroPage called"),requestAnimationFrame(()=>{$="intro",Z=null,bn(),xs=!1,f&&(f.placeholder="Talk to me"),document.body.classList.remove("chatfeed-mode"),Tt&&(Tt.style.display=""),r?.querySelectorAll(".msg").forEach(e=>e.remove()),ee(),Re=!1,rt&&rt.classList.remove("hidden"),r&&(r.scrollTop=0,r.style.overflow="hidden"),De=!1})}function _e(e={}){if(De){console.log("showChatFeedPage blocked - transition in progress");return}De=!0,console.log("showChatFeedPage called"),requestAnimationFrame(()=>{$="chatfeed",document.body.classList.add("chatfeed-mode"),Tt&&(Tt.style.display="none"),rt&&rt.classList.add("hidden"),r&&(r.style.overflow="auto"),!e.skipHistory&&v&&v.length>0&&Xt(),De=!1})}rt?.addEventListener("click",async()=>{if(v===null&&W&&await W,_e(),!v||v.length===0){let e=document.createElement("div");e.className="msg system",e.textContent="No chat history yet",r.appendChild(e)}});fn?.addEventListener("click",e=>{e.preventDefault(),e.stopPropagation(),console.log("Close button clicked"),Is()});var kn=document.getElementById("close-chat-btn");kn?.addEventListener("click",e=>{e.preventDefault(),e.stopPropagation(),document.body.classList.add("slide-out"),setTimeout(()=>{document.body.classList.remove("slide-out"),Is()},250)});var Bs=50,As=0,Vt=!1;r?.addEventListener("touchstart",e=>{$==="intro"&&(As=e.touches[0].clientY,Vt=!1)},{passive:!0});r?.addEventListener("touchmove",e=>{if($!=="intro"||Vt)return;e.touches[0].clientY-As>=Bs&&(Vt=!0,Ns())},{passive:!0});r?.addEventListener("wheel",e=>{$==="intro"&&e.deltaY<-Bs&&Ns()},{passive:!0});async function Ns(){U();try{v===null&&W?await Promise.race([W,new Promise((e,t)=>setTimeout(()=>t("timeout"),3e3))]):v===null&&await Promise.race([Kt(!0),new Promise((e,t)=>setTimeout(()=>t("timeout"),3e3))])}catch(e){console.log("History load timeout or error:",e)}if(ee(),document.body.classList.add("slide-in"),_e(),setTimeout(()=>document.body.classList.remove("slide-in"),400),!v||v.length===0){let e=document.createElement("div");e.className="msg system",e.textContent="No chat history yet",r.appendChild(e)}}function $s(e=100){if(!r)return!0;let{scrollTop:t,scrollHeight:s,clientHeight:n}=r;return s-t-n<e}function lt(){$s()&&(r.scrollTop=r.scrollHeight)}function Bt(e,t,s={}){if($==="intro")if(s.userInitiated)v&&v.length>0&&!Re&&Xt(),_e({skipHistory:!0});else return t==="bot"&&u("New message received"),null;de(e);let n=document.createElement("div");n.className=`msg ${t}`,t==="bot"?n.innerHTML=ue(e):n.textContent=e;let o=s.timestamp;if(o){let i=document.createElement("span");i.className="msg-time",i.textContent=Dt(o),n.appendChild(i)}return r.appendChild(n),t==="user"?r.scrollTop=r.scrollHeight:lt(),n}function U(){if($==="intro")return;ee();let e=document.createElement("div");e.className="msg bot thinking",e.id="thinking-indicator",e.innerHTML='<div class="thinking-dots"><span></span><span></span><span></span></div>',r.appendChild(e),lt()}function ee(){document.getElementById("thinking-indicator")?.remove()}function Ds(e){let t=document.getElementById("thinking-indicator");if(!t)return U(),Ds(e);t.innerHTML=`
+    `,d.appendChild(s)}else for(let n of t){let s=mn(n);s&&addMessage(n.role==="assistant"?"bot":"user",s)}scrollToBottom()}Lo().then(()=>xs(location.href));fn();os(xs);function xs(e){let t=new URL(e,location.href),n=t.searchParams.get("mode");t.search&&history.replaceState(null,"",location.pathname),n&&J[n]&&se(n,t.searchParams.get("session")||void 0)}fetch("/api/config").then(e=>e.json()).then(({userName:e})=>{let t=document.querySelector("#greeting h1");e&&t&&(t.innerHTML=`Hi, ${w(e)},<br>how can I help?`)}).catch(()=>{});var k=null,_=null,Xe=!1;function Bn(e=!1){return _&&!e||(_=fetch("/api/messages/all").then(t=>t.json()).then(t=>{if(k=t.messages||[],console.log(`\u{1F4DC} Pre-loaded ${k.length} messages`),k.length>0){let n=k[k.length-1];n.timestamp&&n.timestamp>te&&(te=n.timestamp,console.log(`\u{1F4DC} Set lastMessageTimestamp to ${te}`))}return k}).catch(t=>(console.error("Failed to preload history:",t),k=[],[]))),_}function vn(){_=null,Xe=!1,Bn(!0)}function Nn(){Xe||!k||k.length===0||(Xe=!0,k.forEach(e=>{let t=document.createElement("div");if(t.className=`msg ${e.role==="user"?"user":"bot"}`,e.role==="user"?t.textContent=e.text:t.innerHTML=I(e.text),e.timestamp){let n=document.createElement("span");n.className="msg-time",n.textContent=at(e.timestamp),t.appendChild(n)}d.appendChild(t)}),d.scrollTop=d.scrollHeight)}var _e=!1;function Cs(){if(_e){console.log("showIntroPage blocked - transition in progress");return}_e=!0,console.log("showIntroPage called"),requestAnimationFrame(()=>{B="intro",z=null,xo(),Ls=!1,v&&(v.placeholder="Talk to me"),document.body.classList.remove("chatfeed-mode"),Zt&&(Zt.style.display=""),d?.querySelectorAll(".msg").forEach(e=>e.remove()),O(),Xe=!1,Mt&&Mt.classList.remove("hidden"),d&&(d.scrollTop=0,d.style.overflow="hidden"),_e=!1})}function nt(e={}){if(_e){console.log("showChatFeedPage blocked - transition in progress");return}_e=!0,console.log("showChatFeedPage called"),requestAnimationFrame(()=>{B="chatfeed",document.body.classList.add("chatfeed-mode"),Zt&&(Zt.style.display="none"),Mt&&Mt.classList.add("hidden"),d&&(d.style.overflow="auto"),!e.skipHistory&&k&&k.length>0&&Nn(),_e=!1})}Mt?.addEventListener("click",async()=>{if(k===null&&_&&await _,nt(),!k||k.length===0){let e=document.createElement("div");e.className="msg system",e.textContent="No chat history yet",d.appendChild(e)}});wo?.addEventListener("click",e=>{e.preventDefault(),e.stopPropagation(),console.log("Close button clicked"),Cs()});var To=document.getElementById("close-chat-btn");To?.addEventListener("click",e=>{e.preventDefault(),e.stopPropagation(),document.body.classList.add("slide-out"),setTimeout(()=>{document.body.classList.remove("slide-out"),Cs()},250)});var Hn=document.getElementById("history-panel"),Mo=document.getElementById("history-back-btn"),Io=document.getElementById("search-chat-btn"),$t=document.getElementById("history-search-input"),K=document.getElementById("search-results"),rs=document.getElementById("history-channels"),$o={whatsapp:"WhatsApp",web:"Web",voice:"Voice",cron:"Cron",mode:"Mode"},cs=null,Te=0,An=[],ne=null;function Bo(){Hn?.classList.add("show"),setTimeout(()=>$t?.focus(),50),$t?.value.trim()||(ne?Ts(ne):K.innerHTML='<div class="search-empty">Search WhatsApp, web and mode conversations</div>')}function kn(){Hn?.classList.remove("show")}function No(e,t){let n=w(e),s=t.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(o=>o.length>1);for(let o of s){let i=new RegExp(`(${o.replace(/[.*+?^${}()|[\]\\]/g,"\\$&")})`,"gi");n=n.replace(i,"<mark>$1</mark>")}return n}async function Ho(e){let t=++Te;try{let n=ne?`&channel=${ne}`:"",o=await(await fetch(`/api/search?q=${encodeURIComponent(e)}&limit=30${n}`)).json();if(t!==Te)return;Pn(o.results||[],e)}catch(n){console.error("Search failed:",n),t===Te&&(K.innerHTML='<div class="search-empty">Search failed</div>')}}async function Ts(e){let t=++Te;try{let s=await(await fetch(`/api/messages/all?channel=${e}`)).json();if(t!==Te)return;let o=(s.messages||[]).reverse().map(i=>({...i,snippet:i.text.slice(0,200)}));Pn(o,"")}catch(n){console.error("Channel messages failed:",n),t===Te&&(K.innerHTML='<div class="search-empty">Could not load messages</div>')}}function Ms(){clearTimeout(cs);let e=$t.value.trim();e.length>=2?cs=setTimeout(()=>Ho(e),250):ne?Ts(ne):(Te++,K.innerHTML="")}function Pn(e,t){if(An=e,e.length===0){K.innerHTML='<div class="search-empty">No matches</div>';return}K.innerHTML="",e.forEach((n,s)=>{let o=n.mode?it(n.mode):null,i=o?`${o.icon} ${o.name}`:$o[n.channel]||n.channel,a=document.createElement("div");a.className="session-item",a.dataset.index=s,a.innerHTML=`
+      <div class="channel">${w(i)} \xB7 ${n.role==="user"?"You":"Spark"}</div>
+      <div class="preview">${No(n.snippet,t)}</div>
+      <div class="time">${n.timestamp?new Date(n.timestamp).toLocaleString():""}</div>
+    `,K.appendChild(a)})}function ls(e,t){let n=t.replace(/…/g,"").trim().slice(0,40);if(!e||!n)return!1;let o=[...e.querySelectorAll(".msg")].reverse().find(i=>i.textContent.replace(/\s+/g," ").includes(n));return o?(o.scrollIntoView({block:"center",behavior:"smooth"}),o.classList.add("search-hit"),setTimeout(()=>o.classList.remove("search-hit"),2e3),!0):!1}async function Ao(e){try{let t=await fetch(`/api/search/context?sessionId=${encodeURIComponent(e.sessionId)}&entryId=${encodeURIComponent(e.entryId)}`);if(!t.ok)throw new Error(`HTTP ${t.status}`);let n=await t.json();Hn?.classList.add("show"),K.innerHTML="";let s=document.createElement("div");s.className="search-context";let o=document.createElement("button");o.className="search-context-back",o.textContent="\u2190 Results",o.addEventListener("click",()=>Pn(An,$t.value.trim())),s.appendChild(o);let i=null;n.messages.forEach((a,c)=>{let r=document.createElement("div");if(r.className=`msg ${a.role==="user"?"user":"bot"}`,a.role==="user"?r.textContent=a.text:r.innerHTML=I(a.text),a.timestamp){let l=document.createElement("span");l.className="msg-time",l.textContent=at(a.timestamp),r.appendChild(l)}c===n.hitIndex&&(r.classList.add("search-hit"),i=r),s.appendChild(r)}),K.appendChild(s),i?.scrollIntoView({block:"center"})}catch(t){console.error("Failed to load search context:",t),u("Could not load message",!0)}}async function Po(e){if(e.mode&&it(e.mode)){if(kn(),await se(e.mode,e.sessionId),ls(f,e.snippet))return}else if(B==="chatfeed"&&ls(d,e.snippet)){kn();return}await Ao(e)}Io?.addEventListener("click",e=>{e.preventDefault(),e.stopPropagation(),Bo()});Mo?.addEventListener("click",kn);$t?.addEventListener("input",Ms);rs?.addEventListener("click",e=>{let t=e.target.closest(".channel-chip");t&&(ne=ne===t.dataset.channel?null:t.dataset.channel,rs.querySelectorAll(".channel-chip").forEach(n=>{n.setAttribute("aria-pressed",String(n.dataset.channel===ne))}),Ms())});K?.addEventListener("click",e=>{let t=e.target.closest(".session-item");if(!t)return;let n=An[Number(t.dataset.index)];n&&Po(n)});var Is=50,$s=0,En=!1;d?.addEventListener("touchstart",e=>{B==="intro"&&($s=e.touches[0].clientY,En=!1)},{passive:!0});d?.addEventListener("touchmove",e=>{if(B!=="intro"||En)return;e.touches[0].clientY-$s>=Is&&(En=!0,Bs())},{passive:!0});d?.addEventListener("wheel",e=>{B==="intro"&&e.deltaY<-Is&&Bs()},{passive:!0});async function Bs(){Bt();try{k===null&&_?await Promise.race([_,new Promise((e,t)=>setTimeout(()=>t("timeout"),3e3))]):k===null&&await Promise.race([Bn(!0),new Promise((e,t)=>setTimeout(()=>t("timeout"),3e3))])}catch(e){console.log("History load timeout or error:",e)}if(O(),document.body.classList.add("slide-in"),nt(),setTimeout(()=>document.body.classList.remove("slide-in"),400),!k||k.length===0){let e=document.createElement("div");e.className="msg system",e.textContent="No chat history yet",d.appendChild(e)}}function Ns(e=100){if(!d)return!0;let{scrollTop:t,scrollHeight:n,clientHeight:s}=d;return n-t-s<e}function fe(){Ns()&&(d.scrollTop=d.scrollHeight)}function St(e,t,n={}){if(B==="intro")if(n.userInitiated)k&&k.length>0&&!Xe&&Nn(),nt({skipHistory:!0});else return t==="bot"&&u("New message received"),null;U(e);let s=document.createElement("div");s.className=`msg ${t}`,t==="bot"?s.innerHTML=I(e):s.textContent=e;let o=n.timestamp;if(o){let i=document.createElement("span");i.className="msg-time",i.textContent=at(o),s.appendChild(i)}return d.appendChild(s),t==="user"?d.scrollTop=d.scrollHeight:fe(),s}var Qe='<button class="thinking-stop-btn" title="Stop" aria-label="Stop"><svg viewBox="0 0 24 24"><rect x="6" y="6" width="12" height="12" rx="2"/></svg></button>';function Hs(e,t){if(!p||p.readyState!==WebSocket.OPEN)return;let n={type:"cancel"};e&&(n.sparkMode=e),t&&(n.messageId=t),p.send(JSON.stringify(n)),console.log("\u{1F6D1} Cancel requested",e||"main",t||"")}function Bt(){if(B==="intro")return;O();let e=document.createElement("div");e.className="msg bot thinking",e.id="thinking-indicator",e.innerHTML='<div class="thinking-dots"><span></span><span></span><span></span></div>'+Qe,d.appendChild(e),fe()}function O(){document.getElementById("thinking-indicator")?.remove()}function As(e){let t=document.getElementById("thinking-indicator");if(!t)return Bt(),As(e);t.innerHTML=`
     <div class="thinking-content">
-      <span class="thinking-status">${ft(e)}</span>
+      <span class="thinking-status">${w(e)}</span>
       <div class="thinking-dots"><span></span><span></span><span></span></div>
     </div>
-  `,lt()}function we(e){Ot&&(Ot.textContent=e,Ot.classList.toggle("show",!!e))}function u(e,t=!1){qt.textContent=e,qt.className=t?"show error":"show",setTimeout(()=>qt.className="",3e3)}var A=null,C=null,at=null,he=null,K=null,te=[],se=!1;var ct=null;function Ln(){let e=new(window.AudioContext||window.webkitAudioContext),t=e.sampleRate,s=.3,n=s*t,o=e.createBuffer(1,n,t),i=o.getChannelData(0);for(let a=0;a<n;a++){let p=a/t,l=880,d=Math.exp(-8*p/s);i[a]=d*.2*Math.sin(2*Math.PI*l*p)}return{ctx:e,buffer:o}}function yt(){ct||(console.log("\u{1F50A} Thinking sound started"),hs(),ct=setInterval(hs,2e3))}function hs(){let e=null;try{let t=Ln();e=t.ctx;let s=t.buffer,n=e.createBufferSource(),o=e.createGain();n.buffer=s,o.gain.setValueAtTime(.2,e.currentTime),n.connect(o),o.connect(e.destination),n.start(),n.onended=()=>{n.disconnect(),o.disconnect(),e.close().catch(()=>{})}}catch(t){console.error("Thinking sound error:",t),e&&e.state!=="closed"&&e.close().catch(()=>{})}}function O(){ct&&(clearInterval(ct),ct=null,console.log("\u{1F507} Thinking sound stopped"))}var H=null,g=null;function $e(e,t){if(!I)return null;let s=document.createElement("div");return s.className=`voice-msg ${e}`,s.textContent=t,I.appendChild(s),I.scrollTop=I.scrollHeight,s}function M(e){gs&&(gs.textContent=e)}async function En(){if(!(se||te.length===0)){for(se=!0;te.length>0;){let e=te.shift();try{K||(K=new(window.AudioContext||window.webkitAudioContext)({sampleRate:24e3}));let t=rs(e),s=K.createBuffer(1,t.length,24e3);s.getChannelData(0).set(t);let n=K.createBufferSource();n.buffer=s,n.connect(K.destination),await new Promise(o=>{n.onended=o,n.start()})}catch(t){console.error("Audio playback error:",t)}}await new Promise(e=>setTimeout(e,100)),se=!1}}var bt=[];async function Sn(){if(!se){for(;te.length>0;)bt.push(te.shift());if(bt.length>0){se=!0;let e=null;try{let t=bt.join("");bt=[];let s=atob(t),n=new Uint8Array(s.length);for(let l=0;l<s.length;l++)n[l]=s.charCodeAt(l);let o=new Int16Array(n.buffer),i=new Float32Array(o.length);for(let l=0;l<o.length;l++)i[l]=o[l]/(o[l]<0?32768:32767);e=new(window.AudioContext||window.webkitAudioContext)({sampleRate:24e3});let a=e.createBuffer(1,i.length,24e3);a.getChannelData(0).set(i);let p=e.createBufferSource();p.buffer=a,p.connect(e.destination),await new Promise(l=>{p.onended=()=>{e.close().catch(()=>{}),l()},p.start()}),hybridWs&&hybridWs.readyState===WebSocket.OPEN&&(hybridWs.send(JSON.stringify({type:"audio_playback_ended"})),console.log("\u{1F50A} Notified server: playback ended"))}catch(t){console.error("TTS playback error:",t),e&&e.state!=="closed"&&e.close().catch(()=>{}),hybridWs&&hybridWs.readyState===WebSocket.OPEN&&hybridWs.send(JSON.stringify({type:"audio_playback_ended"}))}await new Promise(t=>setTimeout(t,100)),se=!1}}}function Ps(){te=[],se=!1,K&&(K.close().catch(()=>{}),K=null)}var Et=null,ke=null;function xn(){function e(){if(ke){let t=new Uint8Array(ke.frequencyBinCount);ke.getByteFrequencyData(t);let s=0;for(let a=0;a<t.length;a++)s+=t[a];let o=s/t.length/255>.05,i=document.getElementById("voice-bar");i&&i.classList.toggle("speaking",o)}Et=requestAnimationFrame(e)}e()}function Cn(){Et&&(cancelAnimationFrame(Et),Et=null);let e=document.getElementById("voice-bar");e&&e.classList.remove("speaking")}async function Tn(){try{if(!navigator.mediaDevices||!navigator.mediaDevices.getUserMedia)return u("Microphone not supported in this browser",!0),!1;C=new(window.AudioContext||window.webkitAudioContext)({sampleRate:24e3});try{at=await navigator.mediaDevices.getUserMedia({audio:{sampleRate:24e3,channelCount:1,echoCancellation:!0,noiseSuppression:!0}})}catch(t){return t.name==="NotAllowedError"?u("Microphone permission denied. Please allow access.",!0):t.name==="NotFoundError"?u("No microphone found",!0):u("Microphone error: "+t.message,!0),console.error("Microphone access error:",t),C&&(C.close().catch(()=>{}),C=null),!1}let e=C.createMediaStreamSource(at);return ke=C.createAnalyser(),ke.fftSize=256,e.connect(ke),xn(),he=C.createScriptProcessor(4096,1,1),he.onaudioprocess=t=>{if(A&&A.readyState===WebSocket.OPEN){let s=t.inputBuffer.getChannelData(0),n=0;for(let a=0;a<s.length;a++)n+=s[a]*s[a];let o=Math.sqrt(n/s.length);if(se&&o<.04)return;let i=cs(s);A.send(JSON.stringify({type:"audio",data:i}))}},e.connect(he),he.connect(C.destination),console.log("\u{1F3A4} Audio capture started"),!0}catch(e){return console.error("Audio capture error:",e),u("Audio initialization failed: "+e.message,!0),C&&(C.close().catch(()=>{}),C=null),!1}}function Mn(){Cn(),ke=null,he&&(he.disconnect(),he=null),at&&(at.getTracks().forEach(e=>e.stop()),at=null),C&&(C.close().catch(()=>{}),C=null),console.log("\u{1F3A4} Audio capture stopped")}function Hs(){let e=as();console.log("\u{1F517} Connecting to realtime:",e),A=new WebSocket(e),A.onopen=async()=>{Be=0,console.log("\u2705 Realtime connected"),we(""),await Tn()||Oe()},A.onmessage=t=>{try{let s=JSON.parse(t.data);In(s)}catch(s){console.error("Failed to parse realtime message:",s)}},A.onclose=()=>{if(console.log("\u{1F50C} Realtime disconnected"),xe&&Be<Ut){let t=Math.min(2e3*Math.pow(2,Be),3e4);Be++,we(`Reconnecting (${Be}/${Ut})...`),setTimeout(Hs,t)}else Be>=Ut&&(u("Voice connection failed. Please try again.",!0),Oe())},A.onerror=t=>{console.error("Realtime WebSocket error:",t)}}function In(e){switch(e.type){case"ready":let t=e.mode==="hybrid"?"Hybrid (Claude)":"Direct";console.log(`\u{1F399}\uFE0F Realtime session ready - Mode: ${t}`),M("Listening");break;case"user_speaking":vs(!0),M("Hearing you..."),Ps(),O(),H=null,g=null;break;case"user_stopped":vs(!1),M("Processing..."),yt();break;case"interim":case"transcript":if(O(),e.text&&I){if(H)H.textContent=e.text;else{let i=document.createElement("div");i.className="voice-msg user",i.textContent=e.text,g&&g.parentNode===I?I.insertBefore(i,g):I.appendChild(i),H=i}I.scrollTop=I.scrollHeight}yt();break;case"processing":let s=e.engine||"Claude Opus",n=e.message||`Checking with ${s}...`;console.log(`\u{1F9E0} ${n}`),M(n),yt(),g?(g.textContent=n,g.classList.add("thinking")):(g=$e("assistant",n),g.classList.add("thinking"));break;case"text_delta":O(),M("Speaking..."),e.delta&&(g?(g.textContent+=e.delta,g.classList.remove("thinking")):g=$e("assistant",e.delta),I&&(I.scrollTop=I.scrollHeight));break;case"text":O(),e.content&&(g?(g.textContent=e.content,g.classList.remove("thinking")):g=$e("assistant",e.content));break;case"tts_start":console.log("\u{1F50A} Generating speech..."),M("Speaking..."),O();break;case"audio_chunk":O(),M("Speaking..."),e.data&&(te.push(e.data),Sn());break;case"audio_delta":O(),M("Speaking..."),e.data&&(te.push(e.data),En());break;case"audio_done":console.log("\u{1F50A} Audio complete");break;case"tool_call":console.log("\u{1F527} Tool call:",e.name);let o=e.name?.replace("get_","").replace("ask_","").replace("_"," ")||"info";M(`Checking ${o}...`),g||(g=$e("assistant",`Checking ${o}...`),g.classList.add("thinking")),yt();break;case"done":O(),H=null,g=null,M("Listening");break;case"error":O(),console.error("Realtime error:",e.message),u(e.message||"Voice error",!0),M("Error");break;case"disconnected":O(),xe&&u("Disconnected",!0);break}}function Ws(){Se="voice",xe=!0,document.body.classList.add("voice-mode"),ie?.classList.add("voice-active"),H=null,g=null,M("Connecting..."),we("Connecting..."),Es==="elevenlabs"?(ds({onStatus:e=>{M(e),we(e)},onMessage:(e,t,s)=>{e==="user"?(H?H.textContent=t:H=$e("user",t),s&&(H=null)):(g?g.textContent=t:g=$e("assistant",t),s&&(g=null))},onStop:()=>Oe()}),us()):Hs()}function Oe(){xe=!1,document.body.classList.remove("voice-mode"),ie?.classList.remove("voice-active"),Ss?.classList.remove("speaking"),H=null,g=null,Es==="elevenlabs"?ps():(Mn(),Ps(),A&&(A.send(JSON.stringify({type:"stop"})),A.close(),A=null)),Se="chat"}function vs(e){Ss?.classList.toggle("speaking",e)}Ue?.addEventListener("click",Ws);ln?.addEventListener("click",Oe);f?.addEventListener("input",()=>{let e=f.value.trim().length>0||be;Ee?.classList.toggle("show",e),Ue?.classList.toggle("hidden",e),f&&(f.style.height="auto",f.style.height=Math.min(f.scrollHeight,120)+"px")});f?.addEventListener("keydown",e=>{e.key==="Enter"&&!e.shiftKey&&(e.preventDefault(),Qt())});f?.addEventListener("focus",()=>{xe&&Oe(),Se="chat",ie?.classList.add("focused")});f?.addEventListener("blur",()=>{setTimeout(()=>{document.activeElement!==f&&ie?.classList.remove("focused")},100)});Ee?.addEventListener("click",()=>Qt());async function Qt(){let e=f?.value.trim();!e||q||(f.value="",f.style.height="auto",Ee?.classList.remove("show"),Ue?.classList.remove("hidden"),await Ve(e,"chat"))}async function Bn(){try{return It=await navigator.mediaDevices.getUserMedia({audio:!0}),N=new MediaRecorder(It),N.ondataavailable=e=>{e.data.size>0&&Nt.push(e.data)},N.onstop=Pn,!0}catch{return u("Mic access denied",!0),!1}}function Fs(){It?.getTracks().forEach(e=>e.stop()),It=null,N=null}function Rs(){if(!N){Bn().then(e=>e&&Rs());return}Nt=[],N.start(),Jt=Date.now(),Se="notes",document.body.classList.add("notes-mode"),ie?.classList.add("notes-active"),Gt=setInterval(ys,1e3),ys()}function An(){N?.state==="recording"&&(N.stop(),clearInterval(Gt),ie?.classList.remove("notes-active"))}function Zt(){document.body.classList.remove("notes-mode"),document.body.classList.remove("notes-results"),ie?.classList.remove("notes-active"),Os(),Se="chat"}async function Nn(){if(!j.transcription&&!j.summary){u("No note to save",!0);return}try{let e=await fetch("/api/notes/save-file",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({transcription:j.transcription,summary:j.summary,timestamp:Date.now()})}),t=await e.json();e.ok?(u("Note saved \u2713"),Zt()):u("Failed to save",!0)}catch{u("Save failed",!0)}}function $n(){j={transcription:"",summary:""},He&&(He.textContent=""),Fe&&(Fe.textContent=""),u("Note deleted"),Zt()}function Dn(){N?.state==="recording"&&(N.onstop=()=>{u("Recording discarded"),Fs()},N.stop(),clearInterval(Gt),Nt=[],document.body.classList.remove("notes-mode"),ie?.classList.remove("notes-active"),Se="chat")}function ys(){let e=Math.floor((Date.now()-Jt)/1e3);Mt&&(Mt.textContent=`${Math.floor(e/60)}:${(e%60).toString().padStart(2,"0")}`)}async function Pn(){let e=new Blob(Nt,{type:"audio/webm"}),t=Math.floor((Date.now()-Jt)/1e3);Fs(),document.body.classList.add("notes-results"),Y&&(Y.textContent="Transcribing...",Y.style.display="block"),Pe&&(Pe.style.display="none"),We&&(We.style.display="none"),j={transcription:"",summary:""};let s=new FileReader;s.onload=()=>Hn(s.result.split(",")[1],t),s.readAsDataURL(e)}function Hn(e,t){if(!m||m.readyState!==WebSocket.OPEN){u("Not connected",!0);return}q=!0,m.send(JSON.stringify({type:"voice_note",audio:e,duration:t}))}function Os(){document.body.classList.remove("notes-results"),Mt&&(Mt.textContent="0:00"),Y&&(Y.style.display="block"),Pe&&(Pe.style.display="none"),We&&(We.style.display="none"),He&&(He.textContent=""),Fe&&(Fe.textContent=""),j={transcription:"",summary:""}}cn?.addEventListener("click",()=>{xe&&Oe(),Os(),Rs()});dn?.addEventListener("click",()=>{N?.state==="recording"&&An()});un?.addEventListener("click",Dn);mn?.addEventListener("click",Nn);pn?.addEventListener("click",$n);gn?.addEventListener("click",Zt);var Yt=localStorage.getItem("spark_session_id"),z=0,_t=!1;async function bs(){if($==="chatfeed")try{console.log("\u{1F504} Catching up on missed messages since:",z);let e=await fetch(`/api/messages/recent?since=${z}`);if(!e.ok)return;let s=(await e.json()).messages||[];if(s.length===0){console.log("\u{1F504} No missed messages");return}console.log(`\u{1F504} Found ${s.length} missed message(s)`);for(let n of s){if(Ft(n.text))continue;de(n.text);let o=document.createElement("div");o.className=`msg ${n.role==="user"?"user":"bot"}`,n.role==="user"?o.textContent=n.text:o.innerHTML=ue(n.text),r.appendChild(o),n.timestamp>z&&(z=n.timestamp)}lt()}catch(e){console.error("Catch-up failed:",e)}}function jt(){let e=Ie.wsUrl;Yt&&(e+=(e.includes("?")?"&":"?")+`session=${Yt}`),console.log("\u{1F50C} Connecting to:",e),tt("connecting");try{m=new WebSocket(e),m.onopen=()=>{console.log("\u2705 Chat WebSocket connected"),tt("connected"),_t&&bs(),_t=!1},m.onclose=t=>{console.log("\u{1F50C} Chat WebSocket closed:",t.code,t.reason),tt("disconnected"),_t=!0,setTimeout(jt,2e3)},m.onerror=t=>{console.error("\u274C Chat WebSocket error:",t),tt("disconnected")},document.addEventListener("visibilitychange",()=>{document.visibilityState==="visible"&&(console.log("\u{1F441}\uFE0F Page visible, checking WebSocket..."),!m||m.readyState!==WebSocket.OPEN?(console.log("\u{1F504} WebSocket stale, reconnecting..."),jt()):bs())}),m.onmessage=t=>{try{let s=JSON.parse(t.data);console.log("\u{1F4E8} WS received:",s.type,s.content?.slice?.(0,50)||""),Wn(s)}catch(s){console.error("\u274C WS message error:",s,t.data?.slice?.(0,100))}}}catch(t){console.error("\u274C Failed to create WebSocket:",t),tt("disconnected")}}async function Ve(e,t){if(!m||m.readyState!==WebSocket.OPEN){u("Not connected",!0);return}if($==="intro"){if(W)try{await W,console.log("\u{1F4DC} History ready, preloaded:",v?.length||0,"messages")}catch{console.log("History load failed, continuing anyway")}!Z&&v&&v.length>0&&!Re&&(console.log("\u{1F4DC} Rendering history before first message"),Xt()),_e({skipHistory:!0})}q=!0;let s=document.createElement("div");s.className="msg user",s.textContent=e,r.appendChild(s),r.scrollTop=r.scrollHeight,de(e),U(),Z?(console.log(`\u{1F4E6} Sending to ${Z} mode session`),m.send(JSON.stringify({type:"mode_message",sparkMode:Z,text:e}))):m.send(JSON.stringify({type:"transcript",text:e,mode:t}))}function Wn(e){switch(e.type){case"ready":e.sessionId&&(Yt=e.sessionId,localStorage.setItem("spark_session_id",e.sessionId),console.log("\u{1F4CB} Session:",e.sessionId)),e.pending&&(console.log("\u23F3 Pending request detected - showing loading"),U()),console.log("\u2705 Chat ready");break;case"sync":if(console.log("\u{1F4E1} Sync message:",e.message?.source,e.message?.text?.slice(0,50)),fs(),e.message&&e.message.text){if(e.message.timestamp&&e.message.timestamp>z&&(z=e.message.timestamp),Ft(e.message.text)){console.log("\u{1F4E1} Skipping duplicate sync message (hash match)");break}if($==="chatfeed"){de(e.message.text);let t=document.createElement("div");t.className=`msg ${e.message.role==="user"?"user":"bot"}`,e.message.role==="user"?t.textContent=e.message.text:t.innerHTML=ue(e.message.text),e.message.source==="whatsapp"&&(t.title="From WhatsApp"),r.appendChild(t),lt(),e.message.role==="bot"&&ee()}else $==="intro"&&e.message.role==="bot"&&u("New message received")}break;case"thinking":console.log("\u{1F914} Server thinking..."),L&&ve.classList.contains("show")?je():U();break;case"progress":console.log("\u{1F4CA} Progress:",e.status),L&&ve.classList.contains("show")?Ys(e.status):Ds(e.status);break;case"text":if(console.log("\u2705 Text message received:",e.content?.slice?.(0,100)),document.body.classList.contains("notes-mode")&&Fe)e.content&&(Y&&(Y.style.display="none"),Fe.innerHTML=ue(e.content),j.summary=e.content,We&&(We.style.display="block"));else if(L&&ve.classList.contains("show"))At(),e.content&&R("bot",e.content);else{ee(),we("");let t=r?.querySelector(".msg.system:last-child");t?.textContent==="Transcribing..."&&t.remove(),e.content?(Bt(e.content,"bot"),console.log("\u2705 Bot message added to DOM")):console.warn("\u26A0\uFE0F Empty text content received")}break;case"transcription":if(document.body.classList.contains("notes-mode")&&He)He.textContent=e.text,j.transcription=e.text,Pe&&(Pe.style.display="block"),Y&&(Y.textContent="Summarizing...");else{let t=r?.querySelector(".msg.system:last-child");t?.textContent==="Transcribing..."&&t.remove(),Bt("\u{1F4DD} "+e.text,"bot")}break;case"audio":Fn(e.data);break;case"done":q=!1,J=!1,we(""),qe(),Us(),fs(),Se==="voice"&&!xe&&Ws();break;case"error":L&&ve.classList.contains("show")?(At(),R("bot",`Error: ${e.message||"Something went wrong"}`),J=!1):ee(),u(e.message||"Error",!0),q=!1,we("");break;case"mode_history":console.log(`\u{1F4E6} Mode history received for ${e.mode}:`,e.messages?.length||0,"messages"),e.mode&&e.messages&&(Cs[e.mode]=e.messages,Z===e.mode&&wn(e.mode));break}}async function Fn(e){st||(st=new(window.AudioContext||window.webkitAudioContext));try{let t=Uint8Array.from(atob(e),n=>n.charCodeAt(0)),s=await st.decodeAudioData(t.buffer.slice(0));if(Ae)try{Ae.stop()}catch{}Ae=st.createBufferSource(),Ae.buffer=s,Ae.connect(st.destination),Ae.start(0)}catch(t){console.error("Audio error:",t)}}var St=document.getElementById("msg-menu"),Rn=document.getElementById("menu-copy"),On=document.getElementById("menu-edit"),qn=document.getElementById("menu-delete"),F=null,Ye=null;function qs(e,t,s){F=e,e.classList.add("selected");let n=148,o=60,i=Math.min(t,window.innerWidth-n-10),a=Math.max(s-o-10,10);St.style.left=i+"px",St.style.top=a+"px",St.classList.add("show")}function $t(){St?.classList.remove("show"),F?.classList.remove("selected"),F=null}r?.addEventListener("touchstart",e=>{let t=e.target.closest(".msg");if(!t||t.classList.contains("system")||t.classList.contains("thinking"))return;let s=e.touches[0];Ye=setTimeout(()=>{e.preventDefault(),qs(t,s.clientX,s.clientY)},500)},{passive:!1});r?.addEventListener("touchend",()=>{clearTimeout(Ye)});r?.addEventListener("touchmove",()=>{clearTimeout(Ye)});document.addEventListener("touchstart",e=>{!e.target.closest("#msg-menu")&&!e.target.closest(".msg")&&$t()});Rn?.addEventListener("click",()=>{if(!F)return;let e=F.textContent||F.innerText;navigator.clipboard.writeText(e).then(()=>{u("Copied!")}).catch(()=>{u("Failed to copy",!0)}),$t()});On?.addEventListener("click",()=>{if(!F)return;let e=F.textContent||F.innerText;L&&ve?.classList.contains("show")?b&&(b.value=e,b.style.height="auto",b.style.height=Math.min(b.scrollHeight,120)+"px",ne?.classList.add("active"),b.focus()):f&&(f.value=e,f.style.height="auto",f.style.height=Math.min(f.scrollHeight,120)+"px",Ee?.classList.add("show"),f.focus()),$t()});qn?.addEventListener("click",()=>{F&&(F.remove(),u("Deleted"),$t())});jt();Kt();var ws=0;document.addEventListener("touchend",e=>{let t=Date.now();t-ws<=300&&e.preventDefault(),ws=t},{passive:!1});var X=document.getElementById("pc-status");async function Le(){try{let t=await(await fetch("/api/nodes/status")).json();X&&(X.classList.toggle("connected",t.connected),X.title=t.connected?`${t.nodeName||"PC"} connected`:"PC disconnected")}catch(e){console.error("PC status check failed:",e),X&&X.classList.remove("connected")}}Le();var Q=setInterval(Le,3e4);document.addEventListener("visibilitychange",()=>{document.hidden?Q&&(clearInterval(Q),Q=null):Q||(Le(),Q=setInterval(Le,3e4))});var Ne=null;X?.addEventListener("click",async()=>{if(Ne&&(clearInterval(Ne),Ne=null),X.classList.contains("connected")){u("PC is already connected");return}u("Waking PC...");try{let t=await(await fetch("/api/nodes/wake",{method:"POST"})).json();if(t.success){u("Wake signal sent! Waiting for PC..."),clearInterval(Q);let s=0;Ne=setInterval(async()=>{s++,await Le(),X.classList.contains("connected")?(u("PC connected! \u2705"),clearInterval(Ne),Q=setInterval(Le,3e4)):s>=24&&(u("PC did not respond",!0),clearInterval(Ne),Q=setInterval(Le,3e4))},5e3)}else u("Wake failed: "+(t.error||"Unknown error"),!0)}catch(e){u("Wake request failed",!0),console.error("WoL error:",e)}});if(window.visualViewport){let e=window.visualViewport.height;window.visualViewport.addEventListener("resize",()=>{let t=e-window.visualViewport.height;document.body.classList.toggle("keyboard-open",t>150)})}document.querySelectorAll(".shortcut").forEach(e=>{e.addEventListener("click",()=>{let t=e.dataset.msg;t&&Ve(t,"chat")})});document.getElementById("articulations-btn")?.addEventListener("click",async()=>{oe("articulate")});var fe={"spark-dev-mode":null,"spark-research-mode":null,"spark-plan-mode":null,"spark-videogen-mode":null,"spark-articulate-mode":null,"spark-dailyreports-mode":null},Un={"devteam-btn":"spark-dev-mode","researcher-btn":"spark-research-mode","plan-btn":"spark-plan-mode","videogen-btn":"spark-videogen-mode","articulations-btn":"spark-articulate-mode","todays-reports-btn":"spark-dailyreports-mode"};async function qe(){try{let s=(await(await fetch("/api/mode-sessions")).json()).sessions||{};fe["spark-dev-mode"]=null,fe["spark-research-mode"]=null,fe["spark-plan-mode"]=null,fe["spark-videogen-mode"]=null;let n={dev:"spark-dev-mode",research:"spark-research-mode",plan:"spark-plan-mode",videogen:"spark-videogen-mode"};for(let[o,i]of Object.entries(s)){let a=n[o];a&&i.active&&(fe[a]={key:i.sessionId,label:i.label,active:i.active,exists:i.exists,lastUpdated:i.lastUpdated})}_n(),Us()}catch(e){console.error("Failed to check active sessions:",e)}}function _n(){for(let[e,t]of Object.entries(Un)){let s=document.getElementById(e);if(s){let n=fe[t]!==null;s.classList.toggle("session-active",n);let o=s.querySelector(".shortcut-sub");if(o)if(n){let i=o.dataset.originalText||o.textContent;o.dataset.originalText=i,o.textContent="\u25CF Session active"}else o.dataset.originalText&&(o.textContent=o.dataset.originalText)}}}var ve=document.getElementById("session-page"),y=document.getElementById("session-messages"),b=document.getElementById("session-input"),ne=document.getElementById("session-send-btn"),Vn=document.getElementById("session-back-btn"),L=null,T=null,J=!1,dt={dev:{name:"Dev Mode",icon:"\u{1F468}\u200D\u{1F4BB}",sessionKey:"spark-dev-mode",placeholder:"Describe what you want to build or fix...",emptyTitle:"Dev Mode",emptyDesc:"Start a coding session. Describe what you want to build or fix."},research:{name:"Research Mode",icon:"\u{1F52C}",sessionKey:"spark-research-mode",placeholder:"What would you like to research?",emptyTitle:"Research Mode",emptyDesc:"Start a deep research session. Ask about any topic."},plan:{name:"Plan Mode",icon:"\u{1F4CB}",sessionKey:"spark-plan-mode",placeholder:"What do you want to plan?",emptyTitle:"Plan Mode",emptyDesc:"Start planning. Describe your project or feature."},videogen:{name:"Video Gen",icon:"\u{1F3AC}",sessionKey:"spark-videogen-mode",placeholder:"Describe the video you want to create...",emptyTitle:"Video Gen",emptyDesc:"Generate AI videos. Describe what you want to create."},articulate:{name:"Articulate",icon:"\u{1F4AC}",sessionKey:"spark-articulate-mode",placeholder:"Type text to refine...",emptyTitle:"Articulate",emptyDesc:"Refine and improve your text. Paste content to polish."},dailyreports:{name:"Daily Reports",icon:"\u{1F4CA}",sessionKey:"spark-dailyreports-mode",placeholder:"Ask about your portfolio or generate a briefing...",emptyTitle:"Daily Reports",emptyDesc:"View portfolio updates and generate market briefings."}};function Us(){let e={};for(let[t,s]of Object.entries(dt)){let n=s.sessionKey;fe[n]&&(e[t]={label:n,lastActive:Date.now(),hasHistory:!0})}localStorage.setItem("clawchat-active-sessions",JSON.stringify(e))}function Yn(){try{let e=JSON.parse(localStorage.getItem("clawchat-active-sessions")||"{}"),t=Date.now()-1440*60*1e3;for(let[s,n]of Object.entries(e))n.lastActive<t&&delete e[s];return localStorage.setItem("clawchat-active-sessions",JSON.stringify(e)),e}catch{return{}}}var xt=null;function jn(){_s(),xt=setInterval(async()=>{L&&qe()},15e3)}function _s(){xt&&(clearInterval(xt),xt=null)}async function oe(e,t){let s=dt[e];if(!s){console.error("Unknown session mode:",e);return}if(L=e,b.placeholder=s.placeholder,y.innerHTML="",t)T=t;else try{let o=await(await fetch(`/api/modes/${e}/sessions`)).json();o.sessions&&o.sessions.length>0?T=o.sessions[0].id:T=(await(await fetch(`/api/modes/${e}/sessions`,{method:"POST",headers:{"Content-Type":"application/json"}})).json()).id}catch(n){console.error("Failed to resolve session ID:",n),T=null}zn(e),ve.classList.add("show"),await Vs(e,s),jn(),setTimeout(()=>b.focus(),100)}function zn(e){let t=document.getElementById("session-header-title");if(t){let s=dt[e];t.textContent=s?`${s.icon} ${s.name}`:e}}function Jn(){ve.classList.remove("show"),L=null,T=null,J=!1,_s(),document.getElementById("session-history-panel")?.classList.remove("show")}async function Vs(e,t){try{let s;T?s=`/api/modes/${e}/sessions/${T}/history?limit=50`:s=`/api/modes/${e}/history?limit=50`;let i=(await(await fetch(s)).json()).messages||[];if(i.length===0)y.innerHTML=`
+    ${Qe}
+  `,fe()}var ae=null,Ln="";function Do(e){B!=="intro"&&(O(),Ln+=e,(!ae||!ae.isConnected)&&(ae=document.createElement("div"),ae.className="msg bot streaming",d.appendChild(ae)),ae.innerHTML=I(Ln),fe())}function yn(e){let t=ae;return ae=null,Ln="",t?.isConnected?(t.classList.remove("streaming"),e&&(U(e),t.innerHTML=I(e),fe()),!0):!1}d?.addEventListener("click",e=>{if(!e.target.closest(".thinking-stop-btn"))return;e.stopPropagation();let t=e.target.closest(".thinking")?.dataset.messageId;Hs(Ze.get(t)?.sparkMode??z,t)});var Ze=new Map;function oe(e,t,n,s=null){let o=Yn(),i={container:n,last:t,thinkingEl:null,streamingEl:null,streamingText:"",sparkMode:s,modeSessionId:e.sessionId||null,steps:[]};return Ze.set(o,i),e.type==="mode_message"&&U(e.text),Sn(i,o),p.send(JSON.stringify({...e,messageId:o})),o}function Ps(e,t){let{scrollTop:n,scrollHeight:s,clientHeight:o}=e.container,i=s-n-o<100;e.last?.isConnected?e.last.after(t):e.container.appendChild(t),e.last=t,i&&(e.container.scrollTop=e.container.scrollHeight)}function qt(e,t){e.thinkingEl?.isConnected?(e.thinkingEl.replaceWith(t),e.last===e.thinkingEl&&(e.last=t)):Ps(e,t),e.thinkingEl=null}function Sn(e,t,n){e.thinkingEl||(e.thinkingEl=document.createElement("div"),e.thinkingEl.className="msg bot thinking",e.thinkingEl.dataset.messageId=t,Ps(e,e.thinkingEl));let s=!!e.thinkingEl.querySelector(".tool-timeline")?.open;e.thinkingEl.innerHTML=(n?`<div class="thinking-content">
+        <span class="thinking-status">${w(n)}</span>
+        <div class="thinking-dots"><span></span><span></span><span></span></div>
+      </div>${Qe}`:'<div class="thinking-dots"><span></span><span></span><span></span></div>'+Qe)+un(e.steps,s)}function Fo(e,t){let n=e.steps.findIndex(s=>s.id===t.id);n===-1?e.steps.push(t):e.steps[n]=t}function xt(e,t){return t?.length&&e.insertAdjacentHTML("beforeend",un(t)),e}function Ot(e,t){let n=document.createElement("div");return n.className=`msg ${e}`,e==="bot"?(n.innerHTML=I(t),n.dataset.text=t):n.textContent=t,n}function Ro(e){let{messageId:t}=e,n=Ze.get(t);if(!n)return!1;let s=n.sparkMode&&n.container===f&&!n.last?.isConnected;switch(e.type){case"thinking":case"progress":e.step&&Fo(n,e.step),s||Sn(n,t,e.status);break;case"queued":s||Sn(n,t,e.content);break;case"text_delta":if(s||!e.delta)break;n.streamingText+=e.delta,n.streamingEl||(n.streamingEl=Ot("bot",""),n.streamingEl.classList.add("streaming"),qt(n,n.streamingEl)),n.streamingEl.innerHTML=I(n.streamingText);break;case"text":if(!e.content)break;if(U(e.content),s){let o=G(n.sparkMode);u(`${o.icon} ${o.name} finished`)}else n.streamingEl?(n.streamingEl.classList.remove("streaming"),n.streamingEl.innerHTML=I(e.content),n.streamingEl.dataset.text=e.content,xt(n.streamingEl,n.steps)):qt(n,xt(Ot("bot",e.content),n.steps));break;case"error":!s&&n.container===f&&qt(n,xt(Ot("bot",`Error: ${e.message||"Something went wrong"}`),n.steps)),u(e.message||"Error",!0);break;case"cancelled":s||qt(n,Ot("system","Stopped"));break;case"done":n.thinkingEl?.remove(),n.streamingEl?.classList.remove("streaming"),Ze.delete(t),fi();break;default:return!1}return!0}function wt(e){return[...Ze.values()].some(t=>t.container===f===e)}function Me(e){hn&&(hn.textContent=e,hn.classList.toggle("show",!!e))}var ds=null,Ds=5e3;function u(e,t=!1,n=null){if(ht.textContent=e,n){let s=document.createElement("button");s.className="toast-action",s.textContent=n.label,s.addEventListener("click",()=>{ht.className="",n.onClick()},{once:!0}),ht.appendChild(s)}ht.className=t?"show error":"show",clearTimeout(ds),ds=setTimeout(()=>ht.className="",n?Ds:3e3)}var F=null,A=null,Ct=null,Se=null,re=null,de=[],ue=!1;var Tt=null;function Wo(){let e=new(window.AudioContext||window.webkitAudioContext),t=e.sampleRate,n=.3,s=n*t,o=e.createBuffer(1,s,t),i=o.getChannelData(0);for(let a=0;a<s;a++){let c=a/t,r=880,l=Math.exp(-8*c/n);i[a]=l*.2*Math.sin(2*Math.PI*r*c)}return{ctx:e,buffer:o}}function jt(){Tt||(console.log("\u{1F50A} Thinking sound started"),us(),Tt=setInterval(us,2e3))}function us(){let e=null;try{let t=Wo();e=t.ctx;let n=t.buffer,s=e.createBufferSource(),o=e.createGain();s.buffer=n,o.gain.setValueAtTime(.2,e.currentTime),s.connect(o),o.connect(e.destination),s.start(),s.onended=()=>{s.disconnect(),o.disconnect(),e.close().catch(()=>{})}}catch(t){console.error("Thinking sound error:",t),e&&e.state!=="closed"&&e.close().catch(()=>{})}}function Y(){Tt&&(clearInterval(Tt),Tt=null,console.log("\u{1F507} Thinking sound stopped"))}var j=null,g=null;function je(e,t){if(!D)return null;let n=document.createElement("div");return n.className=`voice-msg ${e}`,n.textContent=t,D.appendChild(n),D.scrollTop=D.scrollHeight,n}function P(e){as&&(as.textContent=e)}async function Uo(){if(!(ue||de.length===0)){for(ue=!0;de.length>0;){let e=de.shift();try{re||(re=new(window.AudioContext||window.webkitAudioContext)({sampleRate:24e3}));let t=Kn(e),n=re.createBuffer(1,t.length,24e3);n.getChannelData(0).set(t);let s=re.createBufferSource();s.buffer=n,s.connect(re.destination),await new Promise(o=>{s.onended=o,s.start()})}catch(t){console.error("Audio playback error:",t)}}await new Promise(e=>setTimeout(e,100)),ue=!1}}var _t=[];async function qo(){if(!ue){for(;de.length>0;)_t.push(de.shift());if(_t.length>0){ue=!0;let e=null;try{let t=_t.join("");_t=[];let n=atob(t),s=new Uint8Array(n.length);for(let r=0;r<n.length;r++)s[r]=n.charCodeAt(r);let o=new Int16Array(s.buffer),i=new Float32Array(o.length);for(let r=0;r<o.length;r++)i[r]=o[r]/(o[r]<0?32768:32767);e=new(window.AudioContext||window.webkitAudioContext)({sampleRate:24e3});let a=e.createBuffer(1,i.length,24e3);a.getChannelData(0).set(i);let c=e.createBufferSource();c.buffer=a,c.connect(e.destination),await new Promise(r=>{c.onended=()=>{e.close().catch(()=>{}),r()},c.start()}),hybridWs&&hybridWs.readyState===WebSocket.OPEN&&(hybridWs.send(JSON.stringify({type:"audio_playback_ended"})),console.log("\u{1F50A} Notified server: playback ended"))}catch(t){console.error("TTS playback error:",t),e&&e.state!=="closed"&&e.close().catch(()=>{}),hybridWs&&hybridWs.readyState===WebSocket.OPEN&&hybridWs.send(JSON.stringify({type:"audio_playback_ended"}))}await new Promise(t=>setTimeout(t,100)),ue=!1}}}function Fs(){de=[],ue=!1,re&&(re.close().catch(()=>{}),re=null)}var zt=null,Ie=null;function Oo(){function e(){if(Ie){let t=new Uint8Array(Ie.frequencyBinCount);Ie.getByteFrequencyData(t);let n=0;for(let a=0;a<t.length;a++)n+=t[a];let o=n/t.length/255>.05,i=document.getElementById("voice-bar");i&&i.classList.toggle("speaking",o)}zt=requestAnimationFrame(e)}e()}function jo(){zt&&(cancelAnimationFrame(zt),zt=null);let e=document.getElementById("voice-bar");e&&e.classList.remove("speaking")}async function _o(){try{if(!navigator.mediaDevices||!navigator.mediaDevices.getUserMedia)return u("Microphone not supported in this browser",!0),!1;A=new(window.AudioContext||window.webkitAudioContext)({sampleRate:24e3});try{Ct=await navigator.mediaDevices.getUserMedia({audio:{sampleRate:24e3,channelCount:1,echoCancellation:!0,noiseSuppression:!0}})}catch(t){return t.name==="NotAllowedError"?u("Microphone permission denied. Please allow access.",!0):t.name==="NotFoundError"?u("No microphone found",!0):u("Microphone error: "+t.message,!0),console.error("Microphone access error:",t),A&&(A.close().catch(()=>{}),A=null),!1}let e=A.createMediaStreamSource(Ct);return Ie=A.createAnalyser(),Ie.fftSize=256,e.connect(Ie),Oo(),Se=A.createScriptProcessor(4096,1,1),Se.onaudioprocess=t=>{if(F&&F.readyState===WebSocket.OPEN){let n=t.inputBuffer.getChannelData(0),s=0;for(let a=0;a<n.length;a++)s+=n[a]*n[a];let o=Math.sqrt(s/n.length);if(ue&&o<.04)return;let i=Gn(n);F.send(JSON.stringify({type:"audio",data:i}))}},e.connect(Se),Se.connect(A.destination),console.log("\u{1F3A4} Audio capture started"),!0}catch(e){return console.error("Audio capture error:",e),u("Audio initialization failed: "+e.message,!0),A&&(A.close().catch(()=>{}),A=null),!1}}function Vo(){jo(),Ie=null,Se&&(Se.disconnect(),Se=null),Ct&&(Ct.getTracks().forEach(e=>e.stop()),Ct=null),A&&(A.close().catch(()=>{}),A=null),console.log("\u{1F3A4} Audio capture stopped")}function Rs(){let e=Jn();console.log("\u{1F517} Connecting to realtime:",e),F=new WebSocket(e),F.onopen=async()=>{Ue=0,console.log("\u2705 Realtime connected"),Me(""),await _o()||et()},F.onmessage=t=>{try{let n=JSON.parse(t.data);Yo(n)}catch(n){console.error("Failed to parse realtime message:",n)}},F.onclose=()=>{if(console.log("\u{1F50C} Realtime disconnected"),Pe&&Ue<gn){let t=Math.min(2e3*Math.pow(2,Ue),3e4);Ue++,Me(`Reconnecting (${Ue}/${gn})...`),setTimeout(Rs,t)}else Ue>=gn&&(u("Voice connection failed. Please try again.",!0),et())},F.onerror=t=>{console.error("Realtime WebSocket error:",t)}}function Yo(e){switch(e.type){case"ready":let t=e.mode==="hybrid"?"Hybrid (Claude)":"Direct";console.log(`\u{1F399}\uFE0F Realtime session ready - Mode: ${t}`),P("Listening");break;case"user_speaking":ms(!0),P("Hearing you..."),Fs(),Y(),j=null,g=null;break;case"user_stopped":ms(!1),P("Processing..."),jt();break;case"interim":case"transcript":if(Y(),e.text&&D){if(j)j.textContent=e.text;else{let i=document.createElement("div");i.className="voice-msg user",i.textContent=e.text,g&&g.parentNode===D?D.insertBefore(i,g):D.appendChild(i),j=i}D.scrollTop=D.scrollHeight}jt();break;case"processing":let n=e.engine||"Claude Opus",s=e.message||`Checking with ${n}...`;console.log(`\u{1F9E0} ${s}`),P(s),jt(),g?(g.textContent=s,g.classList.add("thinking")):(g=je("assistant",s),g.classList.add("thinking"));break;case"text_delta":Y(),P("Speaking..."),e.delta&&(g?(g.textContent+=e.delta,g.classList.remove("thinking")):g=je("assistant",e.delta),D&&(D.scrollTop=D.scrollHeight));break;case"text":Y(),e.content&&(g?(g.textContent=e.content,g.classList.remove("thinking")):g=je("assistant",e.content));break;case"tts_start":console.log("\u{1F50A} Generating speech..."),P("Speaking..."),Y();break;case"audio_chunk":Y(),P("Speaking..."),e.data&&(de.push(e.data),qo());break;case"audio_delta":Y(),P("Speaking..."),e.data&&(de.push(e.data),Uo());break;case"audio_done":console.log("\u{1F50A} Audio complete");break;case"tool_call":console.log("\u{1F527} Tool call:",e.name);let o=e.name?.replace("get_","").replace("ask_","").replace("_"," ")||"info";P(`Checking ${o}...`),g||(g=je("assistant",`Checking ${o}...`),g.classList.add("thinking")),jt();break;case"done":Y(),j=null,g=null,P("Listening");break;case"error":Y(),console.error("Realtime error:",e.message),u(e.message||"Voice error",!0),P("Error");break;case"disconnected":Y(),Pe&&u("Disconnected",!0);break}}function Ws(){Ae="voice",Pe=!0,document.body.classList.add("voice-mode"),he?.classList.add("voice-active"),j=null,g=null,P("Connecting..."),Me("Connecting..."),ks==="elevenlabs"?(Qn({onStatus:e=>{P(e),Me(e)},onMessage:(e,t,n)=>{e==="user"?(j?j.textContent=t:j=je("user",t),n&&(j=null)):(g?g.textContent=t:g=je("assistant",t),n&&(g=null))},onStop:()=>et()}),Zn()):Rs()}function et(){Pe=!1,document.body.classList.remove("voice-mode"),he?.classList.remove("voice-active"),Es?.classList.remove("speaking"),j=null,g=null,ks==="elevenlabs"?ts():(Vo(),Fs(),F&&(F.send(JSON.stringify({type:"stop"})),F.close(),F=null)),Ae="chat"}function ms(e){Es?.classList.toggle("speaking",e)}tt?.addEventListener("click",Ws);po?.addEventListener("click",et);v?.addEventListener("input",()=>{let e=v.value.trim().length>0||Ce;He?.classList.toggle("show",e),tt?.classList.toggle("hidden",e),v&&(v.style.height="auto",v.style.height=Math.min(v.scrollHeight,120)+"px")});v?.addEventListener("keydown",e=>{e.key==="Enter"&&!e.shiftKey&&(e.preventDefault(),Dn())});v?.addEventListener("focus",()=>{Pe&&et(),Ae="chat",he?.classList.add("focused")});v?.addEventListener("blur",()=>{setTimeout(()=>{document.activeElement!==v&&he?.classList.remove("focused")},100)});He?.addEventListener("click",()=>Dn());async function Dn(){let e=v?.value.trim();e&&(v.value="",v.style.height="auto",He?.classList.remove("show"),tt?.classList.remove("hidden"),await Nt(e,"chat"))}async function zo(){try{return tn=await navigator.mediaDevices.getUserMedia({audio:!0}),R=new MediaRecorder(tn),R.ondataavailable=e=>{e.data.size>0&&on.push(e.data)},R.onstop=Qo,!0}catch{return u("Mic access denied",!0),!1}}function Us(){tn?.getTracks().forEach(e=>e.stop()),tn=null,R=null}function qs(){if(!R){zo().then(e=>e&&qs());return}on=[],R.start(),In=Date.now(),Ae="notes",document.body.classList.add("notes-mode"),he?.classList.add("notes-active"),$n=setInterval(fs,1e3),fs()}function Jo(){R?.state==="recording"&&(R.stop(),clearInterval($n),he?.classList.remove("notes-active"))}function Fn(){document.body.classList.remove("notes-mode"),document.body.classList.remove("notes-results"),he?.classList.remove("notes-active"),Os(),Ae="chat"}async function Go(){if(!q.transcription&&!q.summary){u("No note to save",!0);return}try{let e=await fetch("/api/notes/save-file",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({transcription:q.transcription,summary:q.summary,segments:q.segments,timestamp:Date.now()})}),t=await e.json();e.ok?(u("Note saved \u2713"),Fn()):u("Failed to save",!0)}catch{u("Save failed",!0)}}function Ko(){q={transcription:"",summary:"",segments:[]},Je&&(Je.textContent=""),Ke&&(Ke.textContent=""),u("Note deleted"),Fn()}function Xo(){R?.state==="recording"&&(R.onstop=()=>{u("Recording discarded"),Us()},R.stop(),clearInterval($n),on=[],document.body.classList.remove("notes-mode"),he?.classList.remove("notes-active"),Ae="chat")}function fs(){let e=Math.floor((Date.now()-In)/1e3);en&&(en.textContent=`${Math.floor(e/60)}:${(e%60).toString().padStart(2,"0")}`)}async function Qo(){let e=new Blob(on,{type:"audio/webm"}),t=Math.floor((Date.now()-In)/1e3);Us(),document.body.classList.add("notes-results"),ee&&(ee.textContent="Transcribing...",ee.style.display="block"),ze&&(ze.style.display="none"),Ge&&(Ge.style.display="none"),q={transcription:"",summary:"",segments:[]};let n=new FileReader;n.onload=()=>Zo(n.result.split(",")[1],t),n.readAsDataURL(e)}function Zo(e,t){if(!p||p.readyState!==WebSocket.OPEN){u("Not connected",!0);return}me=!0,p.send(JSON.stringify({type:"voice_note",audio:e,duration:t}))}function ei(e,{text:t,segments:n,audioUrl:s}){let o=(n||[]).filter(c=>typeof c.start=="number");if(!o.length||!s){e.textContent=t;return}e.innerHTML="";let i=document.createElement("audio");i.className="note-audio",i.controls=!0,i.preload="metadata",i.src=s,e.appendChild(i);let a=document.createElement("div");a.className="note-segments";for(let c of o){let r=document.createElement("button");r.type="button",r.className="note-segment",r.dataset.start=c.start,r.dataset.end=c.end??"",r.innerHTML=`<span class="note-segment-time">${zn(c.start)}</span>`+(c.speaker?`<span class="note-segment-speaker">${w(c.speaker)}</span>`:"")+`<span class="note-segment-text">${w(c.text)}</span>`,r.addEventListener("click",()=>{i.currentTime=c.start,i.play().catch(()=>{})}),a.appendChild(r)}e.appendChild(a),i.addEventListener("timeupdate",()=>{let c=i.currentTime;for(let r of a.children){let l=Number(r.dataset.start),y=r.dataset.end===""?1/0:Number(r.dataset.end);r.classList.toggle("active",c>=l&&c<y)}})}function Os(){document.body.classList.remove("notes-results"),en&&(en.textContent="0:00"),ee&&(ee.style.display="block"),ze&&(ze.style.display="none"),Ge&&(Ge.style.display="none"),Je&&(Je.textContent=""),Ke&&(Ke.textContent=""),q={transcription:"",summary:"",segments:[]}}mo?.addEventListener("click",()=>{Pe&&et(),Os(),qs()});ho?.addEventListener("click",()=>{R?.state==="recording"&&Jo()});go?.addEventListener("click",Xo);vo?.addEventListener("click",Go);yo?.addEventListener("click",Ko);bo?.addEventListener("click",Fn);var xn=localStorage.getItem("spark_session_id"),nn=null,Jt=0,te=0,bn=!1;async function ps(){if(B==="chatfeed")try{console.log("\u{1F504} Catching up on missed messages since:",te);let e=await fetch(`/api/messages/recent?since=${te}`);if(!e.ok)return;let n=(await e.json()).messages||[];if(n.length===0){console.log("\u{1F504} No missed messages");return}console.log(`\u{1F504} Found ${n.length} missed message(s)`);for(let s of n){if(Ft(s.text))continue;U(s.text);let o=document.createElement("div");o.className=`msg ${s.role==="user"?"user":"bot"}`,s.role==="user"?o.textContent=s.text:o.innerHTML=I(s.text),d.appendChild(o),s.timestamp>te&&(te=s.timestamp)}fe()}catch(e){console.error("Catch-up failed:",e)}}async function ti(){try{let t=await(await fetch("/api/auth/status")).json();t.enabled&&!t.authenticated&&(location.href="/login.html")}catch{}}function Cn(){let e=We.wsUrl;xn&&(e+=(e.includes("?")?"&":"?")+`session=${xn}`,nn&&(e+=`&outbox=${nn}&seq=${Jt}`)),console.log("\u{1F50C} Connecting to:",e),gt("connecting");try{p=new WebSocket(e);let t=!1;p.onopen=()=>{t=!0,console.log("\u2705 Chat WebSocket connected"),gt("connected"),bn&&ps(),bn=!1},p.onclose=n=>{console.log("\u{1F50C} Chat WebSocket closed:",n.code,n.reason),gt("disconnected"),bn=!0,t||ti(),setTimeout(Cn,2e3)},p.onerror=n=>{console.error("\u274C Chat WebSocket error:",n),gt("disconnected")},document.addEventListener("visibilitychange",()=>{document.visibilityState==="visible"&&(console.log("\u{1F441}\uFE0F Page visible, checking WebSocket..."),!p||p.readyState!==WebSocket.OPEN?(console.log("\u{1F504} WebSocket stale, reconnecting..."),Cn()):ps())}),p.onmessage=n=>{try{let s=JSON.parse(n.data);console.log("\u{1F4E8} WS received:",s.type,s.content?.slice?.(0,50)||""),ni(s)}catch(s){console.error("\u274C WS message error:",s,n.data?.slice?.(0,100))}}}catch(t){console.error("\u274C Failed to create WebSocket:",t),gt("disconnected")}}async function Nt(e,t){if(!p||p.readyState!==WebSocket.OPEN){u("Not connected",!0);return}if(B==="intro"){if(_)try{await _,console.log("\u{1F4DC} History ready, preloaded:",k?.length||0,"messages")}catch{console.log("History load failed, continuing anyway")}!z&&k&&k.length>0&&!Xe&&(console.log("\u{1F4DC} Rendering history before first message"),Nn()),nt({skipHistory:!0})}me=!0;let n=document.createElement("div");n.className="msg user",n.textContent=e,d.appendChild(n),d.scrollTop=d.scrollHeight,U(e),z?(console.log(`\u{1F4E6} Sending to ${z} mode session`),oe({type:"mode_message",sparkMode:z,text:e},n,d,z)):oe({type:"transcript",text:e,mode:t},n,d)}function ni(e){if(e.seq){if(e.seq<=Jt)return;Jt=e.seq}if(!(e.messageId&&Ro(e)&&e.type!=="done"))switch(e.type){case"ready":e.sessionId&&(xn=e.sessionId,localStorage.setItem("spark_session_id",e.sessionId),console.log("\u{1F4CB} Session:",e.sessionId)),e.outbox!==nn&&(nn=e.outbox||null,Jt=0),e.pending&&!wt(!1)&&(console.log("\u23F3 Pending request detected - showing loading"),Bt()),Et=null,an(),console.log("\u2705 Chat ready");break;case"sync":if(console.log("\u{1F4E1} Sync message:",e.message?.source,e.message?.text?.slice(0,50)),vn(),e.message&&e.message.text){if(e.message.timestamp&&e.message.timestamp>te&&(te=e.message.timestamp),Ft(e.message.text)){console.log("\u{1F4E1} Skipping duplicate sync message (hash match)");break}if(B==="chatfeed"){U(e.message.text);let t=document.createElement("div");t.className=`msg ${e.message.role==="user"?"user":"bot"}`,e.message.role==="user"?t.textContent=e.message.text:t.innerHTML=I(e.message.text),e.message.source==="whatsapp"&&(t.title="From WhatsApp"),d.appendChild(t),fe(),e.message.role==="bot"&&O()}else B==="intro"&&e.message.role==="bot"&&u("New message received")}break;case"session_rotated":if(console.log("\u{1F504} Main session rotated:",e.previousSessionId,"\u2192",e.sessionId),vn(),B==="chatfeed"){let t=document.createElement("div");t.className="msg system session-divider",t.textContent="New session",d.appendChild(t),fe()}break;case"thinking":console.log("\u{1F914} Server thinking..."),h&&Z.classList.contains("show")?Wn():Bt();break;case"progress":console.log("\u{1F4CA} Progress:",e.status),h&&Z.classList.contains("show")?Un(e.status):As(e.status);break;case"text_delta":if(!e.delta||document.body.classList.contains("notes-mode")||h&&Z.classList.contains("show"))break;Do(e.delta);break;case"text":if(console.log("\u2705 Text message received:",e.content?.slice?.(0,100)),document.body.classList.contains("notes-mode")&&Ke)e.content&&(ee&&(ee.style.display="none"),Ke.innerHTML=I(e.content),q.summary=e.content,Ge&&(Ge.style.display="block"));else if(h&&Z.classList.contains("show")&&(!e.sparkMode||e.sparkMode===h))Ve(),e.content&&V("bot",e.content);else if(e.sparkMode){O();let t=G(e.sparkMode);u(`${t.icon} ${t.name} finished`)}else{O(),Me("");let t=d?.querySelector(".msg.system:last-child");t?.textContent==="Transcribing..."&&t.remove(),yn(e.content)?console.log("\u2705 Streamed bot message finalized"):e.content?(St(e.content,"bot"),console.log("\u2705 Bot message added to DOM")):console.warn("\u26A0\uFE0F Empty text content received")}break;case"cancelled":h&&Z.classList.contains("show")?(Ve(),V("system","Stopped")):(O(),yn(),St("Stopped","system"));break;case"transcription":if(document.body.classList.contains("notes-mode")&&Je)ei(Je,e),q.transcription=e.text,q.segments=e.segments||[],ze&&(ze.style.display="block"),ee&&(ee.textContent="Summarizing...");else{let t=d?.querySelector(".msg.system:last-child");t?.textContent==="Transcribing..."&&t.remove(),St("\u{1F4DD} "+e.text,"bot")}break;case"audio":si(e.data);break;case"done":yn(),me=wt(!1),Ne=wt(!0),Me(""),Be(),_s(),vn(),Ae==="voice"&&!Pe&&Ws();break;case"error":h&&Z.classList.contains("show")?(Ve(),V("bot",`Error: ${e.message||"Something went wrong"}`),Ne=!1):O(),u(e.message||"Error",!0),me=wt(!1),Me("");break;case"mode_sync":mi(e);break;case"mode_history":console.log(`\u{1F4E6} Mode history received for ${e.mode}:`,e.messages?.length||0,"messages"),e.mode&&e.messages&&(Ss[e.mode]=e.messages,z===e.mode&&Co(e.mode));break}}async function si(e){vt||(vt=new(window.AudioContext||window.webkitAudioContext));try{let t=Uint8Array.from(atob(e),s=>s.charCodeAt(0)),n=await vt.decodeAudioData(t.buffer.slice(0));if(qe)try{qe.stop()}catch{}qe=vt.createBufferSource(),qe.buffer=n,qe.connect(vt.destination),qe.start(0)}catch(t){console.error("Audio error:",t)}}var Gt=document.getElementById("msg-menu"),oi=document.getElementById("menu-copy"),ii=document.getElementById("menu-edit"),ai=document.getElementById("menu-delete"),kt=document.getElementById("menu-handoff"),N=null,st=null;function Rn(e,t,n){N=e,e.classList.add("selected"),kt&&(kt.hidden=!(e.classList.contains("bot")&&e.closest("#session-messages")));let s=kt&&!kt.hidden?196:148,o=60,i=Math.min(t,window.innerWidth-s-10),a=Math.max(n-o-10,10);Gt.style.left=i+"px",Gt.style.top=a+"px",Gt.classList.add("show")}function ot(){Gt?.classList.remove("show"),N?.classList.remove("selected"),N=null}d?.addEventListener("touchstart",e=>{let t=e.target.closest(".msg");if(!t||t.classList.contains("system")||t.classList.contains("thinking"))return;let n=e.touches[0];st=setTimeout(()=>{e.preventDefault(),Rn(t,n.clientX,n.clientY)},500)},{passive:!1});d?.addEventListener("touchend",()=>{clearTimeout(st)});d?.addEventListener("touchmove",()=>{clearTimeout(st)});document.addEventListener("touchstart",e=>{!e.target.closest("#msg-menu")&&!e.target.closest(".msg")&&ot()});oi?.addEventListener("click",()=>{if(!N)return;let e=N.textContent||N.innerText;navigator.clipboard.writeText(e).then(()=>{u("Copied!")}).catch(()=>{u("Failed to copy",!0)}),ot()});ii?.addEventListener("click",()=>{if(!N)return;let e=N.textContent||N.innerText;h&&Z?.classList.contains("show")?L&&(L.value=e,L.style.height="auto",L.style.height=Math.min(L.scrollHeight,120)+"px",pe?.classList.add("active"),L.focus()):v&&(v.value=e,v.style.height="auto",v.style.height=Math.min(v.scrollHeight,120)+"px",He?.classList.add("show"),v.focus()),ot()});kt?.addEventListener("click",()=>{if(!N)return;let e=N.dataset.text||N.innerText;ot(),yi(e)});ai?.addEventListener("click",()=>{N&&(N.remove(),u("Deleted"),ot())});Cn();Bn();var hs=0;document.addEventListener("touchend",e=>{let t=Date.now();t-hs<=300&&e.preventDefault(),hs=t},{passive:!1});var ce=document.getElementById("pc-status");async function $e(){try{let t=await(await fetch("/api/nodes/status")).json();ce&&(ce.classList.toggle("connected",t.connected),ce.title=t.connected?`${t.nodeName||"PC"} connected`:"PC disconnected")}catch(e){console.error("PC status check failed:",e),ce&&ce.classList.remove("connected")}}$e();var le=setInterval($e,3e4);document.addEventListener("visibilitychange",()=>{document.hidden?le&&(clearInterval(le),le=null):le||($e(),le=setInterval($e,3e4))});var Oe=null;ce?.addEventListener("click",async()=>{if(Oe&&(clearInterval(Oe),Oe=null),ce.classList.contains("connected")){u("PC is already connected");return}u("Waking PC...");try{let t=await(await fetch("/api/nodes/wake",{method:"POST"})).json();if(t.success){u("Wake signal sent! Waiting for PC..."),clearInterval(le);let n=0;Oe=setInterval(async()=>{n++,await $e(),ce.classList.contains("connected")?(u("PC connected! \u2705"),clearInterval(Oe),le=setInterval($e,3e4)):n>=24&&(u("PC did not respond",!0),clearInterval(Oe),le=setInterval($e,3e4))},5e3)}else u("Wake failed: "+(t.error||"Unknown error"),!0)}catch(e){u("Wake request failed",!0),console.error("WoL error:",e)}});if(window.visualViewport){let e=window.visualViewport.height;window.visualViewport.addEventListener("resize",()=>{let t=e-window.visualViewport.height;document.body.classList.toggle("keyboard-open",t>150)})}var sn={};async function Be(){try{let n=(await(await fetch("/api/mode-sessions")).json()).sessions||{};for(let s of Object.keys(J))sn[It(s)]=null;for(let[s,o]of Object.entries(n)){let i=It(s);o.active&&(sn[i]={key:o.sessionId,label:o.label,active:o.active,exists:o.exists,lastUpdated:o.lastUpdated})}js(),_s()}catch(e){console.error("Failed to check active sessions:",e)}}function js(){for(let e of document.querySelectorAll(".shortcut[data-mode]")){let t=!!sn[It(e.dataset.mode)];e.classList.toggle("session-active",t);let n=e.querySelector(".shortcut-sub");if(n)if(t){let s=n.dataset.originalText||n.textContent;n.dataset.originalText=s,n.textContent="\u25CF Session active"}else n.dataset.originalText&&(n.textContent=n.dataset.originalText)}}var Z=document.getElementById("session-page"),f=document.getElementById("session-messages"),L=document.getElementById("session-input"),pe=document.getElementById("session-send-btn"),ri=document.getElementById("session-back-btn"),h=null,E=null,Ne=!1;function it(e){let t=J[e];return t?{name:t.name,icon:t.icon,sessionKey:It(e),placeholder:t.placeholder,emptyTitle:t.name,emptyDesc:t.emptyDesc}:null}function _s(){let e={};for(let t of Object.keys(J)){let n=It(t);sn[n]&&(e[t]={label:n,lastActive:Date.now(),hasHistory:!0})}localStorage.setItem("clawchat-active-sessions",JSON.stringify(e))}function ci(){try{let e=JSON.parse(localStorage.getItem("clawchat-active-sessions")||"{}"),t=Date.now()-1440*60*1e3;for(let[n,s]of Object.entries(e))s.lastActive<t&&delete e[n];return localStorage.setItem("clawchat-active-sessions",JSON.stringify(e)),e}catch{return{}}}var Kt=null;function li(){Vs(),Kt=setInterval(async()=>{h&&Be()},15e3)}function Vs(){Kt&&(clearInterval(Kt),Kt=null)}async function se(e,t){let n=it(e);if(!n){console.error("Unknown session mode:",e);return}if(h=e,L.placeholder=n.placeholder,f.innerHTML="",t)E=t;else try{let o=await(await fetch(`/api/modes/${e}/sessions`)).json();o.sessions&&o.sessions.length>0?E=o.sessions[0].id:E=(await(await fetch(`/api/modes/${e}/sessions`,{method:"POST",headers:{"Content-Type":"application/json"}})).json()).id}catch(s){console.error("Failed to resolve session ID:",s),E=null}di(e),Ys(e),Z.classList.add("show"),await zs(e,n),li(),setTimeout(()=>L.focus(),100)}function di(e){let t=document.getElementById("session-header-title");if(t){let n=it(e);t.textContent=n?`${n.icon} ${n.name}`:e}}async function Ys(e){let t=document.getElementById("session-notify-btn");if(!t||(t.hidden=!ss(),t.hidden))return;let n=await pn();e===h&&(t.classList.toggle("enabled",n.includes(e)),t.title=n.includes(e)?"Notifications on":"Notify me when done")}function ui(){Z.classList.remove("show"),h=null,E=null,Ne=!1,Vs(),an(),document.getElementById("session-history-panel")?.classList.remove("show")}async function zs(e,t){try{let n;E?n=`/api/modes/${e}/sessions/${E}/history?limit=50`:n=`/api/modes/${e}/history?limit=50`;let i=(await(await fetch(n)).json()).messages||[];if(i.length===0)f.innerHTML=`
         <div class="session-empty-state">
           <div class="session-empty-icon">${t.icon}</div>
           <div class="session-empty-title">${t.emptyTitle}</div>
           <div class="session-empty-desc">${t.emptyDesc}</div>
         </div>
-      `;else{for(let a of i){let p=Rt(a);p&&R(a.role==="assistant"?"bot":"user",p,a.timestamp)}y.scrollTop=y.scrollHeight}}catch(s){console.error("Failed to load session history:",s),y.innerHTML=`
+      `;else{for(let a of i){let c=mn(a);if(c){let r=V(a.role==="assistant"?"bot":"user",c,a.timestamp);xt(r,a.timeline)}}f.scrollTop=f.scrollHeight}bi(e,E),an()}catch(n){console.error("Failed to load session history:",n),f.innerHTML=`
       <div class="session-empty-state">
         <div class="session-empty-icon">${t.icon}</div>
         <div class="session-empty-title">${t.emptyTitle}</div>
         <div class="session-empty-desc">${t.emptyDesc}</div>
       </div>
-    `}}function R(e,t,s){let n=y.querySelector(".session-empty-state");n&&n.remove();let o=$s(y),i=document.createElement("div");if(i.className=`msg ${e}`,e==="bot"?i.innerHTML=ue(t):i.textContent=t,s){let a=document.createElement("span");a.className="msg-time",a.textContent=Dt(s),i.appendChild(a)}return y.appendChild(i),(e==="user"||o)&&(y.scrollTop=y.scrollHeight),i}function Dt(e){if(!e)return"";let t=Date.now(),s=typeof e=="number"?e:new Date(e).getTime();if(isNaN(s))return"";let n=Math.floor((t-s)/1e3);if(n<60)return"just now";let o=Math.floor(n/60);if(o<60)return`${o}m ago`;let i=Math.floor(o/60);if(i<24)return`${i}h ago`;let a=Math.floor(i/24);return a===1?"yesterday":a<7?`${a}d ago`:new Date(s).toLocaleDateString("en-US",{month:"short",day:"numeric"})}function je(){At();let e=document.createElement("div");e.className="msg bot thinking",e.id="session-thinking-indicator",e.innerHTML='<div class="thinking-dots"><span></span><span></span><span></span></div>',y.appendChild(e),y.scrollTop=y.scrollHeight}function At(){document.getElementById("session-thinking-indicator")?.remove()}function Ys(e){let t=document.getElementById("session-thinking-indicator");if(!t)return je(),Ys(e);t.innerHTML=`
+    `}}function V(e,t,n){let s=f.querySelector(".session-empty-state");s&&s.remove();let o=Ns(f),i=document.createElement("div");if(i.className=`msg ${e}`,e==="bot"?(i.innerHTML=I(t),i.dataset.text=t):i.textContent=t,n){let a=document.createElement("span");a.className="msg-time",a.textContent=at(n),i.appendChild(a)}return f.appendChild(i),(e==="user"||o)&&(f.scrollTop=f.scrollHeight),i}function at(e){if(!e)return"";let t=Date.now(),n=typeof e=="number"?e:new Date(e).getTime();if(isNaN(n))return"";let s=Math.floor((t-n)/1e3);if(s<60)return"just now";let o=Math.floor(s/60);if(o<60)return`${o}m ago`;let i=Math.floor(o/60);if(i<24)return`${i}h ago`;let a=Math.floor(i/24);return a===1?"yesterday":a<7?`${a}d ago`:new Date(n).toLocaleDateString("en-US",{month:"short",day:"numeric"})}function Wn(){Ve();let e=document.createElement("div");e.className="msg bot thinking",e.id="session-thinking-indicator",e.innerHTML='<div class="thinking-dots"><span></span><span></span><span></span></div>'+Qe,f.appendChild(e),f.scrollTop=f.scrollHeight}function Ve(){document.getElementById("session-thinking-indicator")?.remove()}function Un(e){let t=document.getElementById("session-thinking-indicator");if(!t)return Wn(),Un(e);t.innerHTML=`
     <div class="thinking-content">
-      <span class="thinking-status">${ft(e)}</span>
+      <span class="thinking-status">${w(e)}</span>
       <div class="thinking-dots"><span></span><span></span><span></span></div>
     </div>
-  `,y&&(y.scrollTop=y.scrollHeight)}async function js(){let e=b.value.trim();if(!e&&!ye||J)return;let t=e,s=null,n=null;if(ye){let i=ye;try{if(i.type.startsWith("image/"))s=await new Promise((a,p)=>{let l=new FileReader;l.onload=()=>a(l.result),l.onerror=p,l.readAsDataURL(i)}),t=e||"What is this image?";else{let a=await new Promise((p,l)=>{let d=new FileReader;d.onload=()=>p(d.result),d.onerror=l,d.readAsDataURL(i)});n={filename:i.name,dataUrl:a},t=e||`Parse this file: ${i.name}`}}catch{u("Failed to read file",!0);return}ye=null,es?.classList.remove("show")}if(!t)return;b.value="",b.style.height="auto",ne.classList.remove("active"),ne.classList.remove("show"),J=!0;let o=n?t+` \u{1F4C4} ${n.filename}`:s?t+" \u{1F4F7}":t;if(R("user",o),je(),m&&m.readyState===WebSocket.OPEN){let i={type:"mode_message",sparkMode:L,sessionId:T,text:t};s&&(i.image=s),n&&(i.file=n),m.send(JSON.stringify(i))}else At(),R("bot","Not connected. Please try again."),J=!1}b?.addEventListener("input",()=>{let e=b.value.trim().length>0||ye;ne?.classList.toggle("show",e),ne?.classList.toggle("active",e),b.style.height="auto",b.style.height=Math.min(b.scrollHeight,120)+"px"});b?.addEventListener("keydown",e=>{e.key==="Enter"&&!e.shiftKey&&(e.preventDefault(),js())});ne?.addEventListener("click",js);Vn?.addEventListener("click",Jn);document.getElementById("session-new-btn")?.addEventListener("click",async()=>{if(!L||y.querySelectorAll(".msg").length>0&&!confirm("Start a new session? Current session will be saved."))return;try{let n=await(await fetch(`/api/modes/${L}/sessions`,{method:"POST",headers:{"Content-Type":"application/json"}})).json();T=n.id,console.log("Created new session:",n.id)}catch(s){console.error("Failed to create new session:",s)}y.innerHTML="";let t=dt[L];t&&(y.innerHTML=`
+    ${Qe}
+  `,f&&(f.scrollTop=f.scrollHeight)}f?.addEventListener("click",e=>{e.target.closest(".thinking-stop-btn")&&(e.stopPropagation(),Hs(h,e.target.closest(".thinking")?.dataset.messageId))});async function Js(){let e=L.value.trim();if(!e&&!xe)return;let t=e,n=null,s=null;if(xe){let a=xe;try{if(a.type.startsWith("image/"))n=await new Promise((c,r)=>{let l=new FileReader;l.onload=()=>c(l.result),l.onerror=r,l.readAsDataURL(a)}),t=e||"What is this image?";else{let c=await new Promise((r,l)=>{let y=new FileReader;y.onload=()=>r(y.result),y.onerror=l,y.readAsDataURL(a)});s={filename:a.name,dataUrl:c},t=e||`Parse this file: ${a.name}`}}catch{u("Failed to read file",!0);return}xe=null,qn?.classList.remove("show")}if(!t)return;L.value="",L.style.height="auto",pe.classList.remove("active"),pe.classList.remove("show"),Ne=!0;let o=s?t+` \u{1F4C4} ${s.filename}`:n?t+" \u{1F4F7}":t,i=V("user",o);if(p&&p.readyState===WebSocket.OPEN){let a={type:"mode_message",sparkMode:h,sessionId:E,text:t};n&&(a.image=n),s&&(a.file=s),oe(a,i,f,h)}else V("bot","Not connected. Please try again."),Ne=wt(!0)}L?.addEventListener("input",()=>{let e=L.value.trim().length>0||xe;pe?.classList.toggle("show",e),pe?.classList.toggle("active",e),L.style.height="auto",L.style.height=Math.min(L.scrollHeight,120)+"px"});L?.addEventListener("keydown",e=>{e.key==="Enter"&&!e.shiftKey&&(e.preventDefault(),Js())});pe?.addEventListener("click",Js);ri?.addEventListener("click",ui);document.getElementById("session-notify-btn")?.addEventListener("click",async()=>{if(!h)return;let e=h,t=document.getElementById("session-notify-btn");try{await is(e,!t.classList.contains("enabled"))}catch(n){console.error("Failed to update notifications:",n),alert(n.message)}Ys(e)});document.getElementById("session-new-btn")?.addEventListener("click",async()=>{if(!h||f.querySelectorAll(".msg").length>0&&!confirm("Start a new session? Current session will be saved."))return;try{let s=await(await fetch(`/api/modes/${h}/sessions`,{method:"POST",headers:{"Content-Type":"application/json"}})).json();E=s.id,console.log("Created new session:",s.id),an()}catch(n){console.error("Failed to create new session:",n)}f.innerHTML="";let t=it(h);t&&(f.innerHTML=`
       <div class="session-empty-state">
         <div class="session-empty-icon">${t.icon}</div>
         <div class="session-empty-title">${t.emptyTitle}</div>
         <div class="session-empty-desc">${t.emptyDesc}</div>
       </div>
-    `),b?.focus()});var Gn=document.getElementById("session-upload-btn"),Ct=document.getElementById("session-file-input"),es=document.getElementById("session-attachment-preview"),nt=document.getElementById("session-attachment-icon"),ks=document.getElementById("session-attachment-name"),Ls=document.getElementById("session-attachment-size"),Kn=document.getElementById("session-remove-attachment-btn"),ye=null;Gn?.addEventListener("click",()=>Ct?.click());Ct?.addEventListener("change",e=>{let t=e.target.files?.[0];if(t){if(t.size>Ie.maxFileSize){u(`File too large (${V(t.size)}). Maximum size is ${V(Ie.maxFileSize)}.`,!0),Ct.value="";return}ye=t,ks&&(ks.textContent=t.name),Ls&&(Ls.textContent=V(t.size)),nt&&(t.type.startsWith("image/")?(nt.classList.add("image"),nt.innerHTML='<svg viewBox="0 0 24 24"><rect x="3" y="3" width="18" height="18" rx="2"/><circle cx="8.5" cy="8.5" r="1.5"/><path d="M21 15l-5-5L5 21"/></svg>'):(nt.classList.remove("image"),nt.innerHTML='<svg viewBox="0 0 24 24"><path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/><path d="M14 2v6h6"/></svg>')),es?.classList.add("show"),ne?.classList.add("show"),b?.focus(),Ct.value=""}});Kn?.addEventListener("click",()=>{ye=null,es?.classList.remove("show"),b?.value.trim()||ne?.classList.remove("show")});var zt=document.getElementById("session-history-panel"),ot=document.getElementById("session-history-list");document.getElementById("session-history-btn")?.addEventListener("click",async()=>{if(L){zt?.classList.add("show"),ot.innerHTML='<div class="session-history-empty">Loading...</div>';try{let s=(await(await fetch(`/api/modes/${L}/sessions`)).json()).sessions||[];if(s.length===0){ot.innerHTML='<div class="session-history-empty">No sessions yet</div>';return}ot.innerHTML="";for(let n of s){let o=document.createElement("div");o.className="session-history-entry",n.id===T&&o.classList.add("active");let i=n.title||"Untitled",a=Dt(n.createdAt),p=n.messageCount?`${n.messageCount} msgs`:"";o.innerHTML=`
-        <div class="session-history-entry-title">${ft(i)}</div>
-        <div class="session-history-entry-meta">
-          <span>${a}</span>
-          ${p?`<span>\xB7 ${p}</span>`:""}
-        </div>
-      `,o.addEventListener("click",()=>{zt?.classList.remove("show"),T=n.id,y.innerHTML="";let l=dt[L];l&&Vs(L,l)}),ot.appendChild(o)}}catch(e){console.error("Failed to load sessions:",e),ot.innerHTML='<div class="session-history-empty">Failed to load sessions</div>'}}});document.getElementById("session-history-close")?.addEventListener("click",()=>{zt?.classList.remove("show")});y?.addEventListener("touchstart",e=>{let t=e.target.closest(".msg");if(!t||t.classList.contains("system")||t.classList.contains("thinking"))return;let s=e.touches[0];Ye=setTimeout(()=>{e.preventDefault(),qs(t,s.clientX,s.clientY)},500)},{passive:!1});y?.addEventListener("touchend",()=>{clearTimeout(Ye)});y?.addEventListener("touchmove",()=>{clearTimeout(Ye)});Yn();qe();var it=setInterval(qe,1e4);document.addEventListener("visibilitychange",()=>{document.hidden?it&&(clearInterval(it),it=null):it||(qe(),it=setInterval(qe,1e4))});function ts({icon:e,title:t,subtitle:s,placeholder:n,submitText:o,onSubmit:i,activeSession:a,onViewSession:p}){let l=document.createElement("div");l.className="bottom-sheet-overlay";let d=document.createElement("div");d.className="bottom-sheet";let ze=a?`
+    `),L?.focus()});var Et=null,Tn=[];function an(){let e=h&&E?{mode:h,sessionId:E}:null;e?.sessionId!==Et?.sessionId&&(!p||p.readyState!==WebSocket.OPEN||(Et&&p.send(JSON.stringify({type:"mode_unsubscribe",sessionId:Et.sessionId})),e&&p.send(JSON.stringify({type:"mode_subscribe",sparkMode:e.mode,sessionId:e.sessionId})),Et=e))}function Xt(){return[...Ze.values()].some(e=>e.sparkMode===h&&e.modeSessionId===E)}function mi(e){if(!(e.sparkMode!==h||e.sessionId!==E)){if(e.progress){Xt()||Un(e.progress.status);return}if(e.done){if(Xt())return;Ve(),e.error?V("bot",`Error: ${e.error}`):e.cancelled&&V("system","Stopped");return}if(e.message?.content){if(e.message.role==="assistant"&&Xt()){Tn.push(e);return}Gs(e.message)}}}function Gs(e){if(Ft(e.content))return;U(e.content),Ve();let t=e.role==="user";xt(V(t?"user":"bot",e.content,e.timestamp),e.timeline),t&&Wn()}function fi(){if(Xt())return;let e=Tn.filter(t=>t.sparkMode===h&&t.sessionId===E);Tn=[];for(let t of e)Gs(t.message)}var pi=document.getElementById("session-upload-btn"),Qt=document.getElementById("session-file-input"),qn=document.getElementById("session-attachment-preview"),yt=document.getElementById("session-attachment-icon"),gs=document.getElementById("session-attachment-name"),vs=document.getElementById("session-attachment-size"),hi=document.getElementById("session-remove-attachment-btn"),xe=null;pi?.addEventListener("click",()=>Qt?.click());Qt?.addEventListener("change",e=>{let t=e.target.files?.[0];if(t){if(t.size>We.maxFileSize){u(`File too large (${Q(t.size)}). Maximum size is ${Q(We.maxFileSize)}.`,!0),Qt.value="";return}xe=t,gs&&(gs.textContent=t.name),vs&&(vs.textContent=Q(t.size)),yt&&(t.type.startsWith("image/")?(yt.classList.add("image"),yt.innerHTML='<svg viewBox="0 0 24 24"><rect x="3" y="3" width="18" height="18" rx="2"/><circle cx="8.5" cy="8.5" r="1.5"/><path d="M21 15l-5-5L5 21"/></svg>'):(yt.classList.remove("image"),yt.innerHTML='<svg viewBox="0 0 24 24"><path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/><path d="M14 2v6h6"/></svg>')),qn?.classList.add("show"),pe?.classList.add("show"),L?.focus(),Qt.value=""}});hi?.addEventListener("click",()=>{xe=null,qn?.classList.remove("show"),L?.value.trim()||pe?.classList.remove("show")});var rn=document.getElementById("session-history-panel"),Le=document.getElementById("session-history-list"),Lt=new Map;async function ys(e,t,n){let s=await fetch(`/api/modes/${encodeURIComponent(e)}/sessions/${encodeURIComponent(t)}`,{method:"PATCH",headers:{"Content-Type":"application/json"},body:JSON.stringify(n)}),o=await s.json();if(!s.ok)throw new Error(o.error||"Failed to update session");return o.session}async function wn(e,t,n,s){let o=Object.fromEntries(Object.keys(n).map(i=>[i,t[i]??(i==="title"?null:!1)]));try{await ys(e,t.id,n),Ye(),u(s,!1,{label:"Undo",onClick:async()=>{await ys(e,t.id,o).catch(i=>u(i.message,!0)),Ye()}})}catch(i){u(i.message,!0)}}function gi(e,t){let n=setTimeout(async()=>{Lt.delete(t.id);try{let s=await fetch(`/api/modes/${encodeURIComponent(e)}/sessions/${encodeURIComponent(t.id)}`,{method:"DELETE"});if(!s.ok)throw new Error((await s.json()).error||"Failed to delete session");t.id===E&&h===e&&(rn?.classList.remove("show"),se(e))}catch(s){u(s.message,!0),Ye()}},Ds);Lt.set(t.id,n),Ye(),u("Session deleted",!1,{label:"Undo",onClick:()=>{clearTimeout(Lt.get(t.id)),Lt.delete(t.id),Ye()}})}function bs(e,t){let n=document.createElement("div");n.className="session-history-entry",t.id===E&&n.classList.add("active"),t.archived&&n.classList.add("archived");let s=t.title||"Untitled",o=at(t.createdAt),i=t.messageCount?`${t.messageCount} msgs`:"",a=`/api/modes/${encodeURIComponent(e)}/sessions/${encodeURIComponent(t.id)}/export`;return n.innerHTML=`
+    <div class="session-history-entry-row">
+      <div class="session-history-entry-title">${t.pinned?"\u{1F4CC} ":""}${w(s)}</div>
+      <button class="session-history-more" title="Session actions" aria-label="Session actions">\u22EF</button>
+    </div>
+    ${t.summary?`<div class="session-history-entry-summary">${w(t.summary)}</div>`:""}
+    <div class="session-history-entry-meta">
+      <span>${o}</span>
+      ${i?`<span>\xB7 ${i}</span>`:""}
+      ${t.handoffFrom?`<span title="Handed off from ${w(G(t.handoffFrom.mode).name)}">\xB7 \u21AA ${G(t.handoffFrom.mode).icon}</span>`:""}
+      ${t.handoffsTo?.length?`<span title="Handed off to another mode">\xB7 \u2192 ${[...new Set(t.handoffsTo.map(c=>G(c.mode).icon))].join("")}</span>`:""}
+      <span class="session-history-export" title="Export conversation">
+        ${["md","html","json"].map(c=>`<a href="${a}?format=${c}" download>${c.toUpperCase()}</a>`).join("")}
+      </span>
+    </div>
+    <div class="session-history-actions">
+      <button data-action="rename">Rename</button>
+      <button data-action="pin">${t.pinned?"Unpin":"Pin"}</button>
+      <button data-action="archive">${t.archived?"Unarchive":"Archive"}</button>
+      <button data-action="delete" class="danger">Delete</button>
+    </div>
+  `,n.querySelector(".session-history-export").addEventListener("click",c=>c.stopPropagation()),n.querySelector(".session-history-more").addEventListener("click",c=>{c.stopPropagation(),n.classList.toggle("show-actions")}),n.querySelector(".session-history-actions").addEventListener("click",c=>{c.stopPropagation();let r=c.target.closest("button")?.dataset.action;if(r==="rename"){let l=prompt("Rename session",t.title||"")?.trim();l&&l!==t.title&&wn(e,t,{title:l},"Session renamed")}else r==="pin"?wn(e,t,{pinned:!t.pinned},t.pinned?"Session unpinned":"Session pinned"):r==="archive"?wn(e,t,{archived:!t.archived},t.archived?"Session restored":"Session archived"):r==="delete"&&gi(e,t)}),n.addEventListener("click",()=>{rn?.classList.remove("show"),E=t.id,f.innerHTML="";let c=it(e);c&&zs(e,c)}),n}async function Ye(){let e=h;if(e)try{let s=((await(await fetch(`/api/modes/${encodeURIComponent(e)}/sessions?archived=true`)).json()).sessions||[]).filter(a=>!Lt.has(a.id));if(e!==h)return;if(s.length===0){Le.innerHTML='<div class="session-history-empty">No sessions yet</div>';return}let o=s.filter(a=>!a.archived).sort((a,c)=>!!c.pinned-!!a.pinned),i=s.filter(a=>a.archived);Le.innerHTML="";for(let a of o)Le.appendChild(bs(e,a));if(i.length>0){let a=document.createElement("div");a.className="session-history-group",a.textContent="Archived",Le.appendChild(a);for(let c of i)Le.appendChild(bs(e,c))}}catch(t){console.error("Failed to load sessions:",t),Le.innerHTML='<div class="session-history-empty">Failed to load sessions</div>'}}document.getElementById("session-history-btn")?.addEventListener("click",()=>{h&&(rn?.classList.add("show"),Le.innerHTML='<div class="session-history-empty">Loading...</div>',Ye())});document.getElementById("session-history-close")?.addEventListener("click",()=>{rn?.classList.remove("show")});f?.addEventListener("touchstart",e=>{let t=e.target.closest(".msg");if(!t||t.classList.contains("system")||t.classList.contains("thinking"))return;let n=e.touches[0];st=setTimeout(()=>{e.preventDefault(),Rn(t,n.clientX,n.clientY)},500)},{passive:!1});f?.addEventListener("touchend",()=>{clearTimeout(st)});f?.addEventListener("touchmove",()=>{clearTimeout(st)});f?.addEventListener("contextmenu",e=>{let t=e.target.closest(".msg");!t||!t.classList.contains("bot")||t.classList.contains("thinking")||(e.preventDefault(),Rn(t,e.clientX,e.clientY))});document.addEventListener("click",e=>{N&&!e.target.closest("#msg-menu")&&!e.target.closest(".msg")&&ot()});function vi(){return Object.entries(J).filter(([e,t])=>e!==h&&!["videogen","reports"].includes(t.launcher))}function yi(e){if(!h||!E)return;let t=document.createElement("div");t.className="bottom-sheet-overlay";let n=document.createElement("div");n.className="bottom-sheet handoff-sheet",n.innerHTML=`
+    <div class="bottom-sheet-handle"></div>
+    <div class="bottom-sheet-header">
+      <span class="bottom-sheet-icon">\u21AA</span>
+      <div class="bottom-sheet-titles">
+        <h2 class="bottom-sheet-title">Hand off</h2>
+        <p class="bottom-sheet-subtitle">Continue with this reply in another mode</p>
+      </div>
+    </div>
+    <div class="handoff-options"></div>
+  `,document.body.appendChild(t),document.body.appendChild(n);let s=n.querySelector(".handoff-options");function o(){n.classList.add("closing"),n.classList.remove("visible"),t.classList.remove("visible"),document.removeEventListener("keydown",i),setTimeout(()=>{t.remove(),n.remove()},200)}function i(r){r.key==="Escape"&&o()}document.addEventListener("keydown",i),t.addEventListener("click",o);function a(r,l){let y=document.createElement("button");y.className="handoff-option",y.innerHTML=r,y.addEventListener("click",l),s.appendChild(y)}async function c(r){let l=G(r);s.innerHTML="",n.querySelector(".bottom-sheet-subtitle").textContent=`${l.icon} ${l.name}`,a("\uFF0B New session",()=>{o(),ws(e,r,null)});try{let x=await(await fetch(`/api/modes/${encodeURIComponent(r)}/sessions`)).json();for(let T of(x.sessions||[]).slice(0,5))a(`${w(T.title||"Untitled")} <small>${at(T.createdAt)}</small>`,()=>{o(),ws(e,r,T.id)})}catch(y){console.error("Failed to load sessions:",y)}}for(let[r,l]of vi())a(`${l.icon} ${w(l.name)}`,()=>c(r));requestAnimationFrame(()=>{requestAnimationFrame(()=>{t.classList.add("visible"),n.classList.add("visible")})})}async function ws(e,t,n){if(!p||p.readyState!==WebSocket.OPEN){u("Not connected. Please try again.",!0);return}let s=`/api/modes/${encodeURIComponent(h)}/sessions/${encodeURIComponent(E)}`;try{let o=await fetch(`${s}/handoff`,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({toMode:t,toSessionId:n,content:e})}),i=await o.json();if(!o.ok)throw new Error(i.error||"Handoff failed");await se(t,i.session.id);let a=V("user",i.message);Ne=!0,oe({type:"mode_message",sparkMode:t,sessionId:i.session.id,text:i.message},a,f,t)}catch(o){console.error("Handoff failed:",o),u(o.message,!0)}}async function bi(e,t){try{let o=((await(await fetch(`/api/modes/${encodeURIComponent(e)}/sessions?archived=true`)).json()).sessions||[]).find(c=>c.id===t)?.handoffFrom;if(!o||t!==E)return;let i=G(o.mode),a=document.createElement("button");a.className="msg system session-handoff-origin",a.textContent=`\u21AA Handed off from ${i.icon} ${i.name}`,a.addEventListener("click",()=>se(o.mode,o.sessionId)),f.querySelector(".session-handoff-origin")?.remove(),f.prepend(a)}catch(n){console.error("Failed to load handoff origin:",n)}}ci();Be();var bt=setInterval(Be,1e4);document.addEventListener("visibilitychange",()=>{document.hidden?bt&&(clearInterval(bt),bt=null):bt||(Be(),bt=setInterval(Be,1e4))});function wi({icon:e,title:t,subtitle:n,placeholder:s,submitText:o,onSubmit:i,activeSession:a,onViewSession:c}){let r=document.createElement("div");r.className="bottom-sheet-overlay";let l=document.createElement("div");l.className="bottom-sheet";let y=a?`
     <button class="bottom-sheet-active-session">
       <span class="active-dot">\u25CF</span>
       View Active Session
     </button>
-  `:"";d.innerHTML=`
+  `:"";l.innerHTML=`
     <div class="bottom-sheet-handle"></div>
     <div class="bottom-sheet-header">
       <span class="bottom-sheet-icon">${e}</span>
       <div class="bottom-sheet-titles">
         <h2 class="bottom-sheet-title">${t}</h2>
-        <p class="bottom-sheet-subtitle">${s}</p>
+        <p class="bottom-sheet-subtitle">${n}</p>
       </div>
     </div>
-    ${ze}
-    <textarea class="bottom-sheet-input" placeholder="${n}" rows="1"></textarea>
+    ${y}
+    <textarea class="bottom-sheet-input" placeholder="${s}" rows="1"></textarea>
     <button class="bottom-sheet-submit">${o}</button>
-  `,document.body.appendChild(l),document.body.appendChild(d);let B=d.querySelector(".bottom-sheet-input"),D=d.querySelector(".bottom-sheet-submit"),Je=d.querySelector(".bottom-sheet-handle"),ae=d.querySelector(".bottom-sheet-active-session");function _(){d.classList.add("closing"),d.classList.remove("visible"),l.classList.remove("visible"),setTimeout(()=>{l.remove(),d.remove()},200)}requestAnimationFrame(()=>{requestAnimationFrame(()=>{l.classList.add("visible"),d.classList.add("visible"),B.focus()})}),l.addEventListener("click",_);let ce=0,re=0,le=!1;function Ce(w){let E=w.target;(E===Je||E===d&&d.scrollTop===0)&&(ce=w.touches[0].clientY,re=ce,le=!0,d.style.transition="none")}function Pt(w){if(!le)return;re=w.touches[0].clientY;let E=re-ce;E>0&&(window.innerWidth>=520?d.style.transform=`translateX(-50%) translateY(${E}px)`:d.style.transform=`translateY(${E}px)`)}function P(){if(!le)return;le=!1,d.style.transition="",re-ce>100?_():window.innerWidth>=520?d.style.transform="translateX(-50%) translateY(0)":d.style.transform="translateY(0)"}d.addEventListener("touchstart",Ce,{passive:!0}),d.addEventListener("touchmove",Pt,{passive:!0}),d.addEventListener("touchend",P);function Te(w){w.key==="Escape"&&(_(),document.removeEventListener("keydown",Te))}document.addEventListener("keydown",Te);function Me(){let w=B.value.trim();if(!w){B.classList.add("error"),setTimeout(()=>B.classList.remove("error"),300);return}_(),i(w)}return D.addEventListener("click",Me),ae&&p&&ae.addEventListener("click",()=>{_(),p(a)}),B.addEventListener("keydown",w=>{w.key==="Enter"&&(w.metaKey||w.ctrlKey)&&(w.preventDefault(),Me())}),B.addEventListener("input",()=>{B.style.height="auto",B.style.height=Math.min(B.scrollHeight,120)+"px"}),{close:_}}document.getElementById("devteam-btn")?.addEventListener("click",async()=>{let e=!1;try{let s=await(await fetch("/api/modes/dev/sessions")).json();e=s.sessions&&s.sessions.length>0}catch{}e?oe("dev"):ts({icon:"\u{1F468}\u200D\u{1F4BB}",title:"Dev Mode",subtitle:"Senior engineer \u2014 reads code, writes tests, commits",placeholder:"Describe the task or issue to fix...",submitText:"Start Dev Session",onSubmit:async t=>{await oe("dev"),m&&m.readyState===WebSocket.OPEN&&(R("user",t),je(),J=!0,m.send(JSON.stringify({type:"mode_message",sparkMode:"dev",sessionId:T,text:t})))}})});document.getElementById("researcher-btn")?.addEventListener("click",async()=>{let e=!1;try{let s=await(await fetch("/api/modes/research/sessions")).json();e=s.sessions&&s.sessions.length>0}catch{}e?oe("research"):ts({icon:"\u{1F52C}",title:"Research Mode",subtitle:"Deep research with sources and analysis",placeholder:"What topic do you want to research?",submitText:"Start Research",onSubmit:async t=>{await oe("research"),m&&m.readyState===WebSocket.OPEN&&(R("user",t),je(),J=!0,m.send(JSON.stringify({type:"mode_message",sparkMode:"research",sessionId:T,text:t})))}})});document.getElementById("plan-btn")?.addEventListener("click",async()=>{let e=!1;try{let s=await(await fetch("/api/modes/plan/sessions")).json();e=s.sessions&&s.sessions.length>0}catch{}e?oe("plan"):ts({icon:"\u{1F4CB}",title:"Plan Mode",subtitle:"Technical specs with phases and risks",placeholder:"What do you want to plan?",submitText:"Start Planning",onSubmit:async t=>{await oe("plan"),m&&m.readyState===WebSocket.OPEN&&(R("user",t),je(),J=!0,m.send(JSON.stringify({type:"mode_message",sparkMode:"plan",sessionId:T,text:t})))}})});document.getElementById("videogen-btn")?.addEventListener("click",()=>{Xn()});function Xn(){let e=document.createElement("div");e.className="bottom-sheet-overlay";let t=document.createElement("div");t.className="bottom-sheet",t.innerHTML=`
+  `,document.body.appendChild(r),document.body.appendChild(l);let x=l.querySelector(".bottom-sheet-input"),T=l.querySelector(".bottom-sheet-submit"),rt=l.querySelector(".bottom-sheet-handle"),ge=l.querySelector(".bottom-sheet-active-session");function X(){l.classList.add("closing"),l.classList.remove("visible"),r.classList.remove("visible"),setTimeout(()=>{r.remove(),l.remove()},200)}requestAnimationFrame(()=>{requestAnimationFrame(()=>{r.classList.add("visible"),l.classList.add("visible"),x.focus()})}),r.addEventListener("click",X);let ve=0,ye=0,be=!1;function De(S){let M=S.target;(M===rt||M===l&&l.scrollTop===0)&&(ve=S.touches[0].clientY,ye=ve,be=!0,l.style.transition="none")}function cn(S){if(!be)return;ye=S.touches[0].clientY;let M=ye-ve;M>0&&(window.innerWidth>=520?l.style.transform=`translateX(-50%) translateY(${M}px)`:l.style.transform=`translateY(${M}px)`)}function W(){if(!be)return;be=!1,l.style.transition="",ye-ve>100?X():window.innerWidth>=520?l.style.transform="translateX(-50%) translateY(0)":l.style.transform="translateY(0)"}l.addEventListener("touchstart",De,{passive:!0}),l.addEventListener("touchmove",cn,{passive:!0}),l.addEventListener("touchend",W);function Fe(S){S.key==="Escape"&&(X(),document.removeEventListener("keydown",Fe))}document.addEventListener("keydown",Fe);function Re(){let S=x.value.trim();if(!S){x.classList.add("error"),setTimeout(()=>x.classList.remove("error"),300);return}X(),i(S)}return T.addEventListener("click",Re),ge&&c&&ge.addEventListener("click",()=>{X(),c(a)}),x.addEventListener("keydown",S=>{S.key==="Enter"&&(S.metaKey||S.ctrlKey)&&(S.preventDefault(),Re())}),x.addEventListener("input",()=>{x.style.height="auto",x.style.height=Math.min(x.scrollHeight,120)+"px"}),{close:X}}async function ki(e){let t=G(e);if(t.launcher==="videogen"){Ei();return}if(t.launcher==="reports"){Ti(e);return}if(t.launcher==="page"){se(e);return}let n=!1;try{let o=await(await fetch(`/api/modes/${e}/sessions`)).json();n=o.sessions&&o.sessions.length>0}catch{}n?se(e):wi({icon:t.icon,title:t.name,subtitle:t.description,placeholder:t.placeholder,submitText:t.submitText,onSubmit:async s=>{if(await se(e),p&&p.readyState===WebSocket.OPEN){let o=V("user",s);Ne=!0,oe({type:"mode_message",sparkMode:e,sessionId:E,text:s},o,f,e)}}})}function Ei(){let e=document.createElement("div");e.className="bottom-sheet-overlay";let t=document.createElement("div");t.className="bottom-sheet",t.innerHTML=`
     <div class="bottom-sheet-handle"></div>
     <div class="bottom-sheet-header">
       <span class="bottom-sheet-icon">\u{1F3AC}</span>
@@ -124,53 +172,62 @@ var Ie={wsUrl:(()=>{let t=`${location.protocol==="https:"?"wss:":"ws:"}//${locat
     </div>
     
     <button class="bottom-sheet-submit" id="videogen-submit">Generate Video</button>
-  `,document.body.appendChild(e),document.body.appendChild(t);let s=t.querySelector("#videogen-subtitle"),n=t.querySelector("#videogen-workflow"),o=t.querySelector("#videogen-prompt-row"),i=t.querySelector("#videogen-prompt"),a=t.querySelector("#videogen-image-row"),p=t.querySelector("#videogen-image-label"),l=t.querySelector("#videogen-image-hint"),d=t.querySelector("#videogen-upload-area"),ze=t.querySelector("#videogen-file-input"),B=t.querySelector("#videogen-video-row"),D=t.querySelector("#videogen-video-upload-area"),Je=t.querySelector("#videogen-video-file-input"),ae=t.querySelector("#videogen-video-url"),_=t.querySelector("#videogen-aspect-row"),ce=t.querySelector("#videogen-aspect"),re=t.querySelector("#videogen-duration-row"),le=t.querySelector("#videogen-duration"),Ce=t.querySelector("#videogen-submit"),Pt=t.querySelector(".bottom-sheet-handle"),P="text2video",Te="16:9",Me="5",w=null,E=null,Ge=null,Ke=null,G=null;function ut(){t.classList.add("closing"),t.classList.remove("visible"),e.classList.remove("visible"),setTimeout(()=>{e.remove(),t.remove()},200)}requestAnimationFrame(()=>{requestAnimationFrame(()=>{e.classList.add("visible"),t.classList.add("visible"),i.focus()})}),e.addEventListener("click",ut);let mt=0,pt=0,gt=!1;function zs(h){let c=h.target;(c===Pt||c===t&&t.scrollTop===0)&&(mt=h.touches[0].clientY,pt=mt,gt=!0,t.style.transition="none")}function Js(h){if(!gt)return;pt=h.touches[0].clientY;let c=pt-mt;c>0&&(window.innerWidth>=520?t.style.transform=`translateX(-50%) translateY(${c}px)`:t.style.transform=`translateY(${c}px)`)}function Gs(){if(!gt)return;gt=!1,t.style.transition="",pt-mt>100?ut():window.innerWidth>=520?t.style.transform="translateX(-50%) translateY(0)":t.style.transform="translateY(0)"}t.addEventListener("touchstart",zs,{passive:!0}),t.addEventListener("touchmove",Js,{passive:!0}),t.addEventListener("touchend",Gs);function ns(h){h.key==="Escape"&&(ut(),document.removeEventListener("keydown",ns))}document.addEventListener("keydown",ns);function Ks(){switch(o.style.display="block",a.style.display="none",B.style.display="none",_.style.display="block",re.style.display="block",ae.style.display="none",P){case"text2video":s.textContent="Generate video from text prompt",i.placeholder="Describe the video you want to create...",Ce.textContent="Generate Video";break;case"image2video":s.textContent="Animate an image into video",i.placeholder="Describe the motion/action (optional)...",a.style.display="block",p.textContent="Source Image",l.textContent="Image to animate",Ce.textContent="Generate Video";break;case"faceswap":s.textContent="Swap face in a video",o.style.display="none",a.style.display="block",B.style.display="block",_.style.display="none",re.style.display="none",p.textContent="Face Image",l.textContent="Photo with the face to use",ae.style.display="block",Ce.textContent="Swap Face";break}}n.addEventListener("click",h=>{let c=h.target.closest(".option-pill");c&&(n.querySelectorAll(".option-pill").forEach(x=>x.classList.remove("selected")),c.classList.add("selected"),P=c.dataset.value,Ks())}),ce.addEventListener("click",h=>{let c=h.target.closest(".option-pill");c&&(ce.querySelectorAll(".option-pill").forEach(x=>x.classList.remove("selected")),c.classList.add("selected"),Te=c.dataset.value)}),le.addEventListener("click",h=>{let c=h.target.closest(".option-pill");c&&(le.querySelectorAll(".option-pill").forEach(x=>x.classList.remove("selected")),c.classList.add("selected"),Me=c.dataset.value)});function Xs(){w=null,E=null,d.classList.remove("has-image"),d.innerHTML=`
+  `,document.body.appendChild(e),document.body.appendChild(t);let n=t.querySelector("#videogen-subtitle"),s=t.querySelector("#videogen-workflow"),o=t.querySelector("#videogen-prompt-row"),i=t.querySelector("#videogen-prompt"),a=t.querySelector("#videogen-image-row"),c=t.querySelector("#videogen-image-label"),r=t.querySelector("#videogen-image-hint"),l=t.querySelector("#videogen-upload-area"),y=t.querySelector("#videogen-file-input"),x=t.querySelector("#videogen-video-row"),T=t.querySelector("#videogen-video-upload-area"),rt=t.querySelector("#videogen-video-file-input"),ge=t.querySelector("#videogen-video-url"),X=t.querySelector("#videogen-aspect-row"),ve=t.querySelector("#videogen-aspect"),ye=t.querySelector("#videogen-duration-row"),be=t.querySelector("#videogen-duration"),De=t.querySelector("#videogen-submit"),cn=t.querySelector(".bottom-sheet-handle"),W="text2video",Fe="16:9",Re="5",S=null,M=null,ct=null,lt=null,ie=null;function Ht(){t.classList.add("closing"),t.classList.remove("visible"),e.classList.remove("visible"),setTimeout(()=>{e.remove(),t.remove()},200)}requestAnimationFrame(()=>{requestAnimationFrame(()=>{e.classList.add("visible"),t.classList.add("visible"),i.focus()})}),e.addEventListener("click",Ht);let At=0,Pt=0,Dt=!1;function Ks(b){let m=b.target;(m===cn||m===t&&t.scrollTop===0)&&(At=b.touches[0].clientY,Pt=At,Dt=!0,t.style.transition="none")}function Xs(b){if(!Dt)return;Pt=b.touches[0].clientY;let m=Pt-At;m>0&&(window.innerWidth>=520?t.style.transform=`translateX(-50%) translateY(${m}px)`:t.style.transform=`translateY(${m}px)`)}function Qs(){if(!Dt)return;Dt=!1,t.style.transition="",Pt-At>100?Ht():window.innerWidth>=520?t.style.transform="translateX(-50%) translateY(0)":t.style.transform="translateY(0)"}t.addEventListener("touchstart",Ks,{passive:!0}),t.addEventListener("touchmove",Xs,{passive:!0}),t.addEventListener("touchend",Qs);function jn(b){b.key==="Escape"&&(Ht(),document.removeEventListener("keydown",jn))}document.addEventListener("keydown",jn);function Zs(){switch(o.style.display="block",a.style.display="none",x.style.display="none",X.style.display="block",ye.style.display="block",ge.style.display="none",W){case"text2video":n.textContent="Generate video from text prompt",i.placeholder="Describe the video you want to create...",De.textContent="Generate Video";break;case"image2video":n.textContent="Animate an image into video",i.placeholder="Describe the motion/action (optional)...",a.style.display="block",c.textContent="Source Image",r.textContent="Image to animate",De.textContent="Generate Video";break;case"faceswap":n.textContent="Swap face in a video",o.style.display="none",a.style.display="block",x.style.display="block",X.style.display="none",ye.style.display="none",c.textContent="Face Image",r.textContent="Photo with the face to use",ge.style.display="block",De.textContent="Swap Face";break}}s.addEventListener("click",b=>{let m=b.target.closest(".option-pill");m&&(s.querySelectorAll(".option-pill").forEach(H=>H.classList.remove("selected")),m.classList.add("selected"),W=m.dataset.value,Zs())}),ve.addEventListener("click",b=>{let m=b.target.closest(".option-pill");m&&(ve.querySelectorAll(".option-pill").forEach(H=>H.classList.remove("selected")),m.classList.add("selected"),Fe=m.dataset.value)}),be.addEventListener("click",b=>{let m=b.target.closest(".option-pill");m&&(be.querySelectorAll(".option-pill").forEach(H=>H.classList.remove("selected")),m.classList.add("selected"),Re=m.dataset.value)});function eo(){S=null,M=null,l.classList.remove("has-image"),l.innerHTML=`
       <div class="upload-icon">
         <svg viewBox="0 0 24 24"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="17 8 12 3 7 8"/><line x1="12" y1="3" x2="12" y2="15"/></svg>
       </div>
       <div class="upload-text">Tap to upload image</div>
-      <div class="upload-hint" id="videogen-image-hint">${P==="faceswap"?"Photo with the face to use":"Image to animate"}</div>
-    `,ze.value=""}function os(){Ge=null,Ke=null,G=null,D.classList.remove("has-image"),D.innerHTML=`
+      <div class="upload-hint" id="videogen-image-hint">${W==="faceswap"?"Photo with the face to use":"Image to animate"}</div>
+    `,y.value=""}function _n(){ct=null,lt=null,ie=null,T.classList.remove("has-image"),T.innerHTML=`
       <div class="upload-icon">
         <svg viewBox="0 0 24 24"><polygon points="23 7 16 12 23 17 23 7"/><rect x="1" y="5" width="15" height="14" rx="2" ry="2"/></svg>
       </div>
       <div class="upload-text">Tap to upload video or paste URL</div>
       <div class="upload-hint">YouTube/video URL or upload file</div>
-    `,Je.value="",ae.value=""}d.addEventListener("click",()=>{w||ze.click()}),ze.addEventListener("change",async h=>{let c=h.target.files?.[0];if(!c)return;w=c;let x=new FileReader;x.onload=Ht=>{E=Ht.target.result,d.classList.add("has-image"),d.innerHTML=`
+    `,rt.value="",ge.value=""}l.addEventListener("click",()=>{S||y.click()}),y.addEventListener("change",async b=>{let m=b.target.files?.[0];if(!m)return;S=m;let H=new FileReader;H.onload=ln=>{M=ln.target.result,l.classList.add("has-image"),l.innerHTML=`
         <div class="image-preview-container">
-          <img class="image-preview-thumb" src="${E}" alt="Preview">
+          <img class="image-preview-thumb" src="${M}" alt="Preview">
           <div class="image-preview-info">
-            <div class="image-preview-name">${c.name}</div>
-            <div class="image-preview-size">${V(c.size)}</div>
+            <div class="image-preview-name">${m.name}</div>
+            <div class="image-preview-size">${Q(m.size)}</div>
           </div>
           <button class="image-remove-btn" id="videogen-remove-image">
             <svg viewBox="0 0 24 24"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>
           </button>
         </div>
-      `,t.querySelector("#videogen-remove-image")?.addEventListener("click",Wt=>{Wt.stopPropagation(),Xs()})},x.readAsDataURL(c)}),D.addEventListener("click",()=>{!Ge&&!G&&Je.click()}),Je.addEventListener("change",async h=>{let c=h.target.files?.[0];if(!c)return;Ge=c,G=null;let x=new FileReader;x.onload=Ht=>{Ke=Ht.target.result,D.classList.add("has-image"),D.innerHTML=`
+      `,t.querySelector("#videogen-remove-image")?.addEventListener("click",dn=>{dn.stopPropagation(),eo()})},H.readAsDataURL(m)}),T.addEventListener("click",()=>{!ct&&!ie&&rt.click()}),rt.addEventListener("change",async b=>{let m=b.target.files?.[0];if(!m)return;ct=m,ie=null;let H=new FileReader;H.onload=ln=>{lt=ln.target.result,T.classList.add("has-image"),T.innerHTML=`
         <div class="image-preview-container">
           <div class="upload-icon" style="width:60px;height:60px;display:flex;align-items:center;justify-content:center;background:var(--msg-bot);border-radius:8px;">
             <svg viewBox="0 0 24 24" style="width:30px;height:30px;stroke:var(--text-secondary);fill:none;"><polygon points="23 7 16 12 23 17 23 7"/><rect x="1" y="5" width="15" height="14" rx="2" ry="2"/></svg>
           </div>
           <div class="image-preview-info">
-            <div class="image-preview-name">${c.name}</div>
-            <div class="image-preview-size">${V(c.size)}</div>
+            <div class="image-preview-name">${m.name}</div>
+            <div class="image-preview-size">${Q(m.size)}</div>
           </div>
           <button class="image-remove-btn" id="videogen-remove-video">
             <svg viewBox="0 0 24 24"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>
           </button>
         </div>
-      `,t.querySelector("#videogen-remove-video")?.addEventListener("click",Wt=>{Wt.stopPropagation(),os()})},x.readAsDataURL(c)}),ae.addEventListener("input",h=>{let c=h.target.value.trim();c&&(c.includes("youtube.com")||c.includes("youtu.be")||c.includes("http"))&&(G=c,Ge=null,Ke=null,D.classList.add("has-image"),D.innerHTML=`
+      `,t.querySelector("#videogen-remove-video")?.addEventListener("click",dn=>{dn.stopPropagation(),_n()})},H.readAsDataURL(m)}),ge.addEventListener("input",b=>{let m=b.target.value.trim();m&&(m.includes("youtube.com")||m.includes("youtu.be")||m.includes("http"))&&(ie=m,ct=null,lt=null,T.classList.add("has-image"),T.innerHTML=`
         <div class="image-preview-container">
           <div class="upload-icon" style="width:60px;height:60px;display:flex;align-items:center;justify-content:center;background:var(--msg-bot);border-radius:8px;">
             <svg viewBox="0 0 24 24" style="width:30px;height:30px;stroke:var(--text-secondary);fill:none;"><polygon points="23 7 16 12 23 17 23 7"/><rect x="1" y="5" width="15" height="14" rx="2" ry="2"/></svg>
           </div>
           <div class="image-preview-info">
-            <div class="image-preview-name" style="word-break:break-all;">${c.length>40?c.substring(0,40)+"...":c}</div>
+            <div class="image-preview-name" style="word-break:break-all;">${m.length>40?m.substring(0,40)+"...":m}</div>
             <div class="image-preview-size">Video URL</div>
           </div>
           <button class="image-remove-btn" id="videogen-remove-video">
             <svg viewBox="0 0 24 24"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>
           </button>
         </div>
-      `,t.querySelector("#videogen-remove-video")?.addEventListener("click",x=>{x.stopPropagation(),os()}))}),Ce.addEventListener("click",()=>{let h=i.value.trim();if(P==="text2video"){if(!h){i.classList.add("error"),setTimeout(()=>i.classList.remove("error"),300);return}}else if(P==="image2video"){if(!E){d.style.borderColor="var(--red)",setTimeout(()=>d.style.borderColor="",300);return}}else if(P==="faceswap"){if(!E){d.style.borderColor="var(--red)",setTimeout(()=>d.style.borderColor="",300);return}if(!Ke&&!G){D.style.borderColor="var(--red)",setTimeout(()=>D.style.borderColor="",300);return}}if(ut(),_e(),P==="text2video"){let c=`/video --ratio ${Te} --duration ${Me}s ${h}`;Ve(c,"chat")}else if(P==="image2video"){let c=`/video --ratio ${Te} --duration ${Me}s`;h&&(c+=` ${h}`),Qn(c,E)}else if(P==="faceswap"){let c="/faceswap";G&&(c+=` --video-url ${G}`),Zn(c,E,Ke,G)}}),i.addEventListener("input",()=>{i.style.height="auto",i.style.height=Math.min(i.scrollHeight,120)+"px"})}function Qn(e,t){if(!m||m.readyState!==WebSocket.OPEN){u("Not connected",!0);return}q=!0;let s=document.createElement("div");s.className="msg user",s.textContent=e+" \u{1F4F7}",r.appendChild(s),r.scrollTop=r.scrollHeight,de(e),U(),m.send(JSON.stringify({type:"transcript",text:e,image:t,mode:"chat"}))}function Zn(e,t,s,n){if(!m||m.readyState!==WebSocket.OPEN){u("Not connected",!0);return}q=!0;let o=document.createElement("div");o.className="msg user",o.textContent=e+" \u{1F3AD}\u{1F4F7}\u{1F3AC}",r.appendChild(o),r.scrollTop=r.scrollHeight,de(e),U(),m.send(JSON.stringify({type:"transcript",text:e,image:t,video:s,videoUrl:n,mode:"chat"}))}var eo=Ve;Ve=async function(e,t){xs?await to(e):await eo(e,t)};async function to(e){if(!e.trim())return;$==="intro"&&_e({skipHistory:!0});let t=document.createElement("div");t.className="msg user",t.textContent=e,r.appendChild(t),r.scrollTop=r.scrollHeight,U();try{let n=await(await fetch("/api/articulate",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({text:e})})).json();if(ee(),n.result){let o=document.createElement("div");o.className="msg bot",o.textContent=n.result,r.appendChild(o),r.scrollTop=r.scrollHeight}}catch{ee(),u("Failed to refine text",!0)}}document.getElementById("todays-reports-btn")?.addEventListener("click",async()=>{oe("dailyreports");let e=document.createElement("div");e.className="msg system",e.textContent="Loading today's reports...",y.appendChild(e);try{let s=await(await fetch("/api/reports/today")).json();if(e.remove(),!s.reports?.length){R("bot","No reports found for today. Ask me to generate a market briefing!");return}R("system",`\u{1F4CA} Today's Reports (${s.reports.length})`),s.reports.forEach(n=>{R("bot",n.summary)})}catch(t){e.textContent="Failed to load reports",console.error("Failed to load reports:",t)}});var ss=document.getElementById("attachment-preview"),wt=document.getElementById("attachment-icon"),so=document.getElementById("attachment-name"),no=document.getElementById("attachment-size"),oo=document.getElementById("remove-attachment-btn"),be=null;rn?.addEventListener("click",()=>kt?.click());kt?.addEventListener("change",e=>{let t=e.target.files?.[0];if(t){if(t.size>Ie.maxFileSize){u(`File too large (${V(t.size)}). Maximum size is ${V(Ie.maxFileSize)}.`,!0),kt.value="";return}be=t,so.textContent=t.name,no.textContent=V(t.size),t.type.startsWith("image/")?(wt.classList.add("image"),wt.innerHTML='<svg viewBox="0 0 24 24"><rect x="3" y="3" width="18" height="18" rx="2"/><circle cx="8.5" cy="8.5" r="1.5"/><path d="M21 15l-5-5L5 21"/></svg>'):(wt.classList.remove("image"),wt.innerHTML='<svg viewBox="0 0 24 24"><path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/><path d="M14 2v6h6"/></svg>'),ss?.classList.add("show"),Ee?.classList.add("show"),Ue?.classList.add("hidden"),f?.focus(),kt.value=""}});oo?.addEventListener("click",()=>{be=null,ss?.classList.remove("show"),f?.value.trim()||(Ee?.classList.remove("show"),Ue?.classList.remove("hidden"))});Qt=async function(){let e=f?.value.trim()||"";if(!e&&!be||q)return;let t=e,s=null,n=null;if(be){let o=be;try{if(o.type.startsWith("image/"))s=await new Promise((i,a)=>{let p=new FileReader;p.onload=()=>i(p.result),p.onerror=a,p.readAsDataURL(o)}),t=e||"What is this image?";else{let i=await new Promise((a,p)=>{let l=new FileReader;l.onload=()=>a(l.result),l.onerror=p,l.readAsDataURL(o)});n={filename:o.name,dataUrl:i},t=e||`Parse this file: ${o.name}`}}catch{u("Failed to read file",!0);return}be=null,ss?.classList.remove("show")}t&&(f.value="",f.style.height="auto",Ee?.classList.remove("show"),Ue?.classList.remove("hidden"),s?io(t,s):n?ao(t,n):Ve(t,"chat"))};function io(e,t){if(!m||m.readyState!==WebSocket.OPEN){u("Not connected",!0);return}q=!0;let s=Bt(e+" \u{1F4F7}","user",{userInitiated:!0});U(),m.send(JSON.stringify({type:"transcript",text:e,image:t,mode:"chat"}))}function ao(e,t){if(!m||m.readyState!==WebSocket.OPEN){u("Not connected",!0);return}q=!0;let s=Bt(e+` \u{1F4C4} ${t.filename}`,"user",{userInitiated:!0});U(),m.send(JSON.stringify({type:"transcript",text:e,file:t,mode:"chat"}))}
+      `,t.querySelector("#videogen-remove-video")?.addEventListener("click",H=>{H.stopPropagation(),_n()}))}),De.addEventListener("click",()=>{let b=i.value.trim();if(W==="text2video"){if(!b){i.classList.add("error"),setTimeout(()=>i.classList.remove("error"),300);return}}else if(W==="image2video"){if(!M){l.style.borderColor="var(--red)",setTimeout(()=>l.style.borderColor="",300);return}}else if(W==="faceswap"){if(!M){l.style.borderColor="var(--red)",setTimeout(()=>l.style.borderColor="",300);return}if(!lt&&!ie){T.style.borderColor="var(--red)",setTimeout(()=>T.style.borderColor="",300);return}}if(Ht(),nt(),W==="text2video"){let m=`/video --ratio ${Fe} --duration ${Re}s ${b}`;Nt(m,"chat")}else if(W==="image2video"){let m=`/video --ratio ${Fe} --duration ${Re}s`;b&&(m+=` ${b}`),Li(m,M)}else if(W==="faceswap"){let m="/faceswap";ie&&(m+=` --video-url ${ie}`),Si(m,M,lt,ie)}}),i.addEventListener("input",()=>{i.style.height="auto",i.style.height=Math.min(i.scrollHeight,120)+"px"})}function Li(e,t){if(!p||p.readyState!==WebSocket.OPEN){u("Not connected",!0);return}me=!0;let n=document.createElement("div");n.className="msg user",n.textContent=e+" \u{1F4F7}",d.appendChild(n),d.scrollTop=d.scrollHeight,U(e),oe({type:"transcript",text:e,image:t,mode:"chat"},n,d)}function Si(e,t,n,s){if(!p||p.readyState!==WebSocket.OPEN){u("Not connected",!0);return}me=!0;let o=document.createElement("div");o.className="msg user",o.textContent=e+" \u{1F3AD}\u{1F4F7}\u{1F3AC}",d.appendChild(o),d.scrollTop=d.scrollHeight,U(e),oe({type:"transcript",text:e,image:t,video:n,videoUrl:s,mode:"chat"},o,d)}var xi=Nt;Nt=async function(e,t){Ls?await Ci(e):await xi(e,t)};async function Ci(e){if(!e.trim())return;B==="intro"&&nt({skipHistory:!0});let t=document.createElement("div");t.className="msg user",t.textContent=e,d.appendChild(t),d.scrollTop=d.scrollHeight,Bt();try{let s=await(await fetch("/api/articulate",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({text:e})})).json();if(O(),s.result){let o=document.createElement("div");o.className="msg bot",o.textContent=s.result,d.appendChild(o),d.scrollTop=d.scrollHeight}}catch{O(),u("Failed to refine text",!0)}}async function Ti(e){await se(e);let t=document.createElement("div");t.className="reports-panel",f.appendChild(t),await Mn(t)}function Mi(e,t){let n=new Date(`${e}T00:00:00Z`);return n.setUTCDate(n.getUTCDate()+t),n.toISOString().slice(0,10)}async function Mn(e,t=null,n=null){e.innerHTML='<div class="msg system">Loading reports...</div>';let s;try{let r=await fetch(`/api/reports${t?`?date=${t}`:""}`);if(s=await r.json(),!r.ok)throw new Error(s.error)}catch(r){e.innerHTML='<div class="msg system">Failed to load reports</div>',console.error("Failed to load reports:",r);return}t||(e.dataset.today=s.date),t=s.date;let o=t>=e.dataset.today,i=[...new Set(s.reports.map(r=>r.type))],a=n?s.reports.filter(r=>r.type===n):s.reports,c=new Date(`${t}T12:00:00Z`).toLocaleDateString(void 0,{weekday:"short",day:"numeric",month:"short",timeZone:"UTC"});if(e.innerHTML=`
+    <div class="reports-nav">
+      <button class="reports-nav-btn" data-step="-1" aria-label="Previous day">\u2039</button>
+      <span class="reports-date">\u{1F4CA} ${o?"Today":w(c)}</span>
+      <button class="reports-nav-btn" data-step="1" aria-label="Next day" ${o?"disabled":""}>\u203A</button>
+    </div>
+    ${i.length>1?`<div class="reports-types">
+      ${["",...i].map(r=>`<button class="option-pill${(r||null)===n?" selected":""}" data-type="${w(r)}">${w(r||"All")}</button>`).join("")}
+    </div>`:""}
+  `,e.querySelectorAll(".reports-nav-btn").forEach(r=>{r.addEventListener("click",()=>Mn(e,Mi(t,Number(r.dataset.step))))}),e.querySelectorAll(".reports-types .option-pill").forEach(r=>{r.addEventListener("click",()=>Mn(e,t,r.dataset.type||null))}),a.length===0){let r=document.createElement("div");r.className="msg bot",r.innerHTML=I(o?"No reports yet today. Ask me to generate a market briefing!":"No reports for this day."),e.appendChild(r);return}for(let r of a){let l=new Date(r.timestamp).toLocaleTimeString([],{hour:"2-digit",minute:"2-digit"}),y=document.createElement("div");y.className="msg system",y.textContent=`${r.title} \xB7 ${l}`;let x=document.createElement("div");x.className="msg bot",x.innerHTML=I(r.status==="error"?`\u26A0\uFE0F Failed: ${r.error}`:r.content),e.append(y,x)}}var On=document.getElementById("attachment-preview"),Vt=document.getElementById("attachment-icon"),Ii=document.getElementById("attachment-name"),$i=document.getElementById("attachment-size"),Bi=document.getElementById("remove-attachment-btn"),Ce=null;fo?.addEventListener("click",()=>Yt?.click());Yt?.addEventListener("change",e=>{let t=e.target.files?.[0];if(t){if(t.size>We.maxFileSize){u(`File too large (${Q(t.size)}). Maximum size is ${Q(We.maxFileSize)}.`,!0),Yt.value="";return}Ce=t,Ii.textContent=t.name,$i.textContent=Q(t.size),t.type.startsWith("image/")?(Vt.classList.add("image"),Vt.innerHTML='<svg viewBox="0 0 24 24"><rect x="3" y="3" width="18" height="18" rx="2"/><circle cx="8.5" cy="8.5" r="1.5"/><path d="M21 15l-5-5L5 21"/></svg>'):(Vt.classList.remove("image"),Vt.innerHTML='<svg viewBox="0 0 24 24"><path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/><path d="M14 2v6h6"/></svg>'),On?.classList.add("show"),He?.classList.add("show"),tt?.classList.add("hidden"),v?.focus(),Yt.value=""}});Bi?.addEventListener("click",()=>{Ce=null,On?.classList.remove("show"),v?.value.trim()||(He?.classList.remove("show"),tt?.classList.remove("hidden"))});Dn=async function(){let e=v?.value.trim()||"";if(!e&&!Ce)return;let t=e,n=null,s=null;if(Ce){let o=Ce;try{if(o.type.startsWith("image/"))n=await new Promise((i,a)=>{let c=new FileReader;c.onload=()=>i(c.result),c.onerror=a,c.readAsDataURL(o)}),t=e||"What is this image?";else{let i=await new Promise((a,c)=>{let r=new FileReader;r.onload=()=>a(r.result),r.onerror=c,r.readAsDataURL(o)});s={filename:o.name,dataUrl:i},t=e||`Parse this file: ${o.name}`}}catch{u("Failed to read file",!0);return}Ce=null,On?.classList.remove("show")}t&&(v.value="",v.style.height="auto",He?.classList.remove("show"),tt?.classList.remove("hidden"),n?Ni(t,n):s?Hi(t,s):Nt(t,"chat"))};function Ni(e,t){if(!p||p.readyState!==WebSocket.OPEN){u("Not connected",!0);return}me=!0;let n=St(e+" \u{1F4F7}","user",{userInitiated:!0});oe({type:"transcript",text:e,image:t,mode:"chat"},n,d)}function Hi(e,t){if(!p||p.readyState!==WebSocket.OPEN){u("Not connected",!0);return}me=!0;let n=St(e+` \u{1F4C4} ${t.filename}`,"user",{userInitiated:!0});oe({type:"transcript",text:e,file:t,mode:"chat"},n,d)}
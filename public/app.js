@@ -11,7 +11,10 @@ import {
   formatMessage,
   formatFileSize,
   extractMessageText,
-  escapeHtml
+  escapeHtml,
+  formatClock,
+  createMessageId,
+  renderToolTimeline
 } from './modules/ui.js';
 import {
   getRealtimeWsUrl,
@@ -24,6 +27,13 @@ import {
   setCallbacks as setElevenLabsCallbacks,
   isConnected as isElevenLabsConnected
 } from './modules/elevenlabs.js';
+import {
+  isPushSupported,
+  registerServiceWorker,
+  onNotificationOpen,
+  getPushScopes,
+  setPushScope
+} from './modules/push.js';
 
 // Voice mode: 'elevenlabs' or 'openai'
 let voiceMode = localStorage.getItem('voiceMode') || 'elevenlabs';
@@ -97,7 +107,7 @@ const notesDeleteBtn = document.getElementById('notes-delete-btn');
 const notesBackBtn = document.getElementById('notes-back-btn');
 
 // Current note data for saving
-let currentNoteData = { transcription: '', summary: '' };
+let currentNoteData = { transcription: '', summary: '', segments: [] };
 const closeBtn = document.getElementById('close-btn');
 const historyBtn = document.getElementById('history-btn');
 const themeBtn = document.getElementById('theme-btn');
@@ -150,21 +160,11 @@ let mediaStream = null;
 // ============================================================================
 // MODE SESSION STATE - Separate sessions for each mode
 // ============================================================================
-let currentSparkMode = null; // null = main session, or 'dev', 'research', 'plan', 'articulate', 'dailyreports', 'videogen'
+let currentSparkMode = null; // null = main session, or a mode id from /api/modes ('dev', 'research', ...)
 let modeHistory = {}; // Cache history per mode
-let modeConfigs = {}; // Loaded from server
-
-// Mode configuration (will be loaded from server, fallback here)
-const MODE_DEFAULTS = {
-  dev: { name: 'Dev Mode', icon: '👨‍💻', notifyWhatsApp: true },
-  research: { name: 'Research Mode', icon: '🔬', notifyWhatsApp: true },
-  plan: { name: 'Plan Mode', icon: '📋', notifyWhatsApp: true },
-  articulate: { name: 'Articulate Mode', icon: '✍️', notifyWhatsApp: false },
-  dailyreports: { name: 'Daily Reports', icon: '📊', notifyWhatsApp: true },
-  videogen: { name: 'Video Gen', icon: '🎬', notifyWhatsApp: true }
-};
+let modeConfigs = {}; // Loaded from server (modes/*.json), keyed by mode id
 
-// Load mode configs from server
+// Load mode configs from server and render the home screen mode buttons
 async function loadModeConfigs() {
   try {
     const res = await fetch('/api/modes');
@@ -173,13 +173,66 @@ async function loadModeConfigs() {
     console.log('📦 Loaded mode configs:', Object.keys(modeConfigs));
   } catch (e) {
     console.error('Failed to load mode configs:', e);
-    modeConfigs = MODE_DEFAULTS;
+    modeConfigs = {};
   }
+  renderModeButtons();
+  checkActiveSubagentSessions();
 }
 
 // Get config for a mode
 function getModeConfig(mode) {
-  return modeConfigs[mode] || MODE_DEFAULTS[mode] || { name: mode, icon: '📦' };
+  return modeConfigs[mode] || { name: mode, icon: '📦' };
+}
+
+// Session label used for a mode's active-session tracking (matches the server's spark-<mode>-mode)
+function modeSessionLabel(mode) {
+  return `spark-${mode}-mode`;
+}
+
+// Render the shortcut buttons, grouped by each mode's section in the order the server lists them
+function renderModeButtons() {
+  const container = document.getElementById('shortcuts');
+  if (!container) return;
+
+  const sections = new Map();
+  for (const [mode, config] of Object.entries(modeConfigs)) {
+    const section = config.section || 'Modes';
+    if (!sections.has(section)) sections.set(section, []);
+    sections.get(section).push([mode, config]);
+  }
+
+  container.innerHTML = '';
+  for (const [section, modes] of sections) {
+    const sectionEl = document.createElement('div');
+    sectionEl.className = 'shortcut-section';
+    sectionEl.innerHTML = `
+      <div class="shortcut-section-header">${escapeHtml(section)}</div>
+      <div class="shortcut-section-items"></div>
+    `;
+    const items = sectionEl.querySelector('.shortcut-section-items');
+
+    for (const [mode, config] of modes) {
+      const btn = document.createElement('button');
+      btn.className = 'shortcut';
+      btn.dataset.mode = mode;
+      btn.setAttribute('aria-label', `Open ${config.name}`);
+      const icon = config.svg
+        ? `<svg class="shortcut-icon" viewBox="0 0 24 24">${config.svg}</svg>`
+        : `<span class="shortcut-icon shortcut-emoji">${escapeHtml(config.icon || '📦')}</span>`;
+      btn.innerHTML = `
+        ${icon}
+        <div class="shortcut-content">
+          <span class="shortcut-title">${escapeHtml(config.name)}</span>
+          <span class="shortcut-sub">${escapeHtml(config.subtitle || '')}</span>
+        </div>
+      `;
+      btn.addEventListener('click', () => openMode(mode));
+      items.appendChild(btn);
+    }
+    container.appendChild(sectionEl);
+  }
+
+  updateSubagentButtonStates();
 }
 
 // Enter a mode (show mode-specific chat view)
@@ -294,8 +347,32 @@ function renderModeHistory(modeName) {
 
 // extractMessageText imported from modules/ui.js
 
-// Initialize mode system
-loadModeConfigs();
+// Initialize mode system, then open the session a notification deep-linked to
+loadModeConfigs().then(() => openDeepLink(location.href));
+
+// Service worker (push notifications); taps on a notification while the app
+// is open arrive here instead of opening a new window
+registerServiceWorker();
+onNotificationOpen(openDeepLink);
+
+// Open ?mode=<id>&session=<id> links (from push notifications)
+function openDeepLink(href) {
+  const url = new URL(href, location.href);
+  const mode = url.searchParams.get('mode');
+  if (url.search) history.replaceState(null, '', location.pathname);
+  if (mode && modeConfigs[mode]) {
+    showSessionPage(mode, url.searchParams.get('session') || undefined);
+  }
+}
+
+// Personalize the welcome greeting with the configured user name
+fetch('/api/config')
+  .then(res => res.json())
+  .then(({ userName }) => {
+    const heading = document.querySelector('#greeting h1');
+    if (userName && heading) heading.innerHTML = `Hi, ${escapeHtml(userName)},<br>how can I help?`;
+  })
+  .catch(() => {});
 
 // Pre-loaded chat history (loaded in background on page init)
 let preloadedHistory = null;
@@ -502,6 +579,221 @@ closeChatBtn?.addEventListener('click', (e) => {
   }, 250);
 });
 
+// ============================================================================
+// HISTORY SEARCH (full-text search across all transcripts)
+// ============================================================================
+const historyPanel = document.getElementById('history-panel');
+const historyBackBtn = document.getElementById('history-back-btn');
+const searchChatBtn = document.getElementById('search-chat-btn');
+const historySearchInput = document.getElementById('history-search-input');
+const searchResultsEl = document.getElementById('search-results');
+
+const historyChannelsEl = document.getElementById('history-channels');
+
+const SEARCH_CHANNEL_LABELS = { whatsapp: 'WhatsApp', web: 'Web', voice: 'Voice', cron: 'Cron', mode: 'Mode' };
+let searchDebounceTimer = null;
+let searchRequestSeq = 0; // Ignore out-of-order responses
+let lastSearchResults = [];
+let searchChannel = null; // Channel chip filter (null = all channels)
+
+function openSearch() {
+  historyPanel?.classList.add('show');
+  setTimeout(() => historySearchInput?.focus(), 50);
+  if (!historySearchInput?.value.trim()) {
+    if (searchChannel) {
+      showChannelMessages(searchChannel);
+    } else {
+      searchResultsEl.innerHTML = '<div class="search-empty">Search WhatsApp, web and mode conversations</div>';
+    }
+  }
+}
+
+function closeSearch() {
+  historyPanel?.classList.remove('show');
+}
+
+// Wrap query terms in <mark> (text is escaped first)
+function highlightSearchTerms(text, query) {
+  let html = escapeHtml(text);
+  const terms = query.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(t => t.length > 1);
+  for (const term of terms) {
+    const pattern = new RegExp(`(${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi');
+    html = html.replace(pattern, '<mark>$1</mark>');
+  }
+  return html;
+}
+
+async function runSearch(query) {
+  const seq = ++searchRequestSeq;
+  try {
+    const channel = searchChannel ? `&channel=${searchChannel}` : '';
+    const res = await fetch(`/api/search?q=${encodeURIComponent(query)}&limit=30${channel}`);
+    const data = await res.json();
+    if (seq !== searchRequestSeq) return;
+    renderSearchResults(data.results || [], query);
+  } catch (e) {
+    console.error('Search failed:', e);
+    if (seq === searchRequestSeq) {
+      searchResultsEl.innerHTML = '<div class="search-empty">Search failed</div>';
+    }
+  }
+}
+
+// Latest messages of the chosen channel, newest first (chip selected, no search terms)
+async function showChannelMessages(channel) {
+  const seq = ++searchRequestSeq;
+  try {
+    const res = await fetch(`/api/messages/all?channel=${channel}`);
+    const data = await res.json();
+    if (seq !== searchRequestSeq) return;
+    const hits = (data.messages || []).reverse().map(m => ({ ...m, snippet: m.text.slice(0, 200) }));
+    renderSearchResults(hits, '');
+  } catch (e) {
+    console.error('Channel messages failed:', e);
+    if (seq === searchRequestSeq) {
+      searchResultsEl.innerHTML = '<div class="search-empty">Could not load messages</div>';
+    }
+  }
+}
+
+// Search again (or list the channel's messages) after the query or chip changed
+function refreshSearch() {
+  clearTimeout(searchDebounceTimer);
+  const query = historySearchInput.value.trim();
+  if (query.length >= 2) {
+    searchDebounceTimer = setTimeout(() => runSearch(query), 250);
+  } else if (searchChannel) {
+    showChannelMessages(searchChannel);
+  } else {
+    searchRequestSeq++;
+    searchResultsEl.innerHTML = '';
+  }
+}
+
+function renderSearchResults(results, query) {
+  lastSearchResults = results;
+  if (results.length === 0) {
+    searchResultsEl.innerHTML = '<div class="search-empty">No matches</div>';
+    return;
+  }
+
+  searchResultsEl.innerHTML = '';
+  results.forEach((hit, i) => {
+    const modeConfig = hit.mode ? getSessionModeConfig(hit.mode) : null;
+    const channelLabel = modeConfig ? `${modeConfig.icon} ${modeConfig.name}` : (SEARCH_CHANNEL_LABELS[hit.channel] || hit.channel);
+    const item = document.createElement('div');
+    item.className = 'session-item';
+    item.dataset.index = i;
+    item.innerHTML = `
+      <div class="channel">${escapeHtml(channelLabel)} · ${hit.role === 'user' ? 'You' : 'Spark'}</div>
+      <div class="preview">${highlightSearchTerms(hit.snippet, query)}</div>
+      <div class="time">${hit.timestamp ? new Date(hit.timestamp).toLocaleString() : ''}</div>
+    `;
+    searchResultsEl.appendChild(item);
+  });
+}
+
+// Scroll to and flash the message containing the hit; false if not rendered
+function jumpToMessage(container, snippet) {
+  const probe = snippet.replace(/…/g, '').trim().slice(0, 40);
+  if (!container || !probe) return false;
+  const candidates = [...container.querySelectorAll('.msg')].reverse();
+  const el = candidates.find(m => m.textContent.replace(/\s+/g, ' ').includes(probe));
+  if (!el) return false;
+  el.scrollIntoView({ block: 'center', behavior: 'smooth' });
+  el.classList.add('search-hit');
+  setTimeout(() => el.classList.remove('search-hit'), 2000);
+  return true;
+}
+
+// Show the messages around a hit inside the search panel
+async function showSearchContext(hit) {
+  try {
+    const res = await fetch(`/api/search/context?sessionId=${encodeURIComponent(hit.sessionId)}&entryId=${encodeURIComponent(hit.entryId)}`);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const data = await res.json();
+
+    historyPanel?.classList.add('show');
+    searchResultsEl.innerHTML = '';
+    const wrap = document.createElement('div');
+    wrap.className = 'search-context';
+    const back = document.createElement('button');
+    back.className = 'search-context-back';
+    back.textContent = '← Results';
+    back.addEventListener('click', () => renderSearchResults(lastSearchResults, historySearchInput.value.trim()));
+    wrap.appendChild(back);
+
+    let hitEl = null;
+    data.messages.forEach((m, i) => {
+      const el = document.createElement('div');
+      el.className = `msg ${m.role === 'user' ? 'user' : 'bot'}`;
+      if (m.role === 'user') {
+        el.textContent = m.text;
+      } else {
+        el.innerHTML = formatMessage(m.text);
+      }
+      if (m.timestamp) {
+        const timeEl = document.createElement('span');
+        timeEl.className = 'msg-time';
+        timeEl.textContent = formatRelativeTime(m.timestamp);
+        el.appendChild(timeEl);
+      }
+      if (i === data.hitIndex) {
+        el.classList.add('search-hit');
+        hitEl = el;
+      }
+      wrap.appendChild(el);
+    });
+    searchResultsEl.appendChild(wrap);
+    hitEl?.scrollIntoView({ block: 'center' });
+  } catch (e) {
+    console.error('Failed to load search context:', e);
+    toast('Could not load message', true);
+  }
+}
+
+// Jump to a hit: mode sessions open the session page, main feed hits scroll the chat feed.
+// Falls back to a context view when the message isn't in the loaded history.
+async function openSearchHit(hit) {
+  if (hit.mode && getSessionModeConfig(hit.mode)) {
+    closeSearch();
+    await showSessionPage(hit.mode, hit.sessionId);
+    if (jumpToMessage(sessionMessagesEl, hit.snippet)) return;
+  } else if (pageState === 'chatfeed' && jumpToMessage(messagesEl, hit.snippet)) {
+    closeSearch();
+    return;
+  }
+  await showSearchContext(hit);
+}
+
+searchChatBtn?.addEventListener('click', (e) => {
+  e.preventDefault();
+  e.stopPropagation();
+  openSearch();
+});
+
+historyBackBtn?.addEventListener('click', closeSearch);
+
+historySearchInput?.addEventListener('input', refreshSearch);
+
+// Channel chips: one at a time, tap the selected one again for all channels
+historyChannelsEl?.addEventListener('click', (e) => {
+  const chip = e.target.closest('.channel-chip');
+  if (!chip) return;
+  searchChannel = searchChannel === chip.dataset.channel ? null : chip.dataset.channel;
+  historyChannelsEl.querySelectorAll('.channel-chip').forEach(c => {
+    c.setAttribute('aria-pressed', String(c.dataset.channel === searchChannel));
+  });
+  refreshSearch();
+});
+
+searchResultsEl?.addEventListener('click', (e) => {
+  const item = e.target.closest('.session-item');
+  if (!item) return;
+  const hit = lastSearchResults[Number(item.dataset.index)];
+  if (hit) openSearchHit(hit);
+});
+
 // ============================================================================
 // PULL DOWN TO OPEN CHAT (on intro page)
 // ============================================================================
@@ -654,6 +946,20 @@ function addMsg(text, type, options = {}) {
 
 // formatMessage is imported from modules/ui.js
 
+// Stop button shown inside thinking indicators (sends a 'cancel' WS message)
+const THINKING_STOP_BTN = '<button class="thinking-stop-btn" title="Stop" aria-label="Stop"><svg viewBox="0 0 24 24"><rect x="6" y="6" width="12" height="12" rx="2"/></svg></button>';
+
+// Cancel in-flight requests; sparkMode targets a mode session, omitted = main session;
+// messageId stops just the request answering that message
+function cancelRequest(sparkMode, messageId) {
+  if (!ws || ws.readyState !== WebSocket.OPEN) return;
+  const payload = { type: 'cancel' };
+  if (sparkMode) payload.sparkMode = sparkMode;
+  if (messageId) payload.messageId = messageId;
+  ws.send(JSON.stringify(payload));
+  console.log('🛑 Cancel requested', sparkMode || 'main', messageId || '');
+}
+
 function showThinking() {
   // Don't show thinking indicator on intro page
   if (pageState === 'intro') return;
@@ -662,7 +968,7 @@ function showThinking() {
   const el = document.createElement('div');
   el.className = 'msg bot thinking';
   el.id = 'thinking-indicator';
-  el.innerHTML = '<div class="thinking-dots"><span></span><span></span><span></span></div>';
+  el.innerHTML = '<div class="thinking-dots"><span></span><span></span><span></span></div>' + THINKING_STOP_BTN;
   messagesEl.appendChild(el);
   scrollToBottomIfNeeded();
 }
@@ -682,10 +988,207 @@ function updateThinking(statusText) {
       <span class="thinking-status">${escapeHtml(statusText)}</span>
       <div class="thinking-dots"><span></span><span></span><span></span></div>
     </div>
+    ${THINKING_STOP_BTN}
   `;
   scrollToBottomIfNeeded();
 }
 
+// Live bot bubble for streamed replies (text_delta frames).
+// The final 'text' frame replaces its content with the complete reply.
+let streamingMsgEl = null;
+let streamingText = '';
+
+function appendStreamingDelta(delta) {
+  if (pageState === 'intro') return;
+  removeThinking();
+  streamingText += delta;
+  if (!streamingMsgEl || !streamingMsgEl.isConnected) {
+    streamingMsgEl = document.createElement('div');
+    streamingMsgEl.className = 'msg bot streaming';
+    messagesEl.appendChild(streamingMsgEl);
+  }
+  streamingMsgEl.innerHTML = formatMessage(streamingText);
+  scrollToBottomIfNeeded();
+}
+
+// Finalize the live bubble; returns false if there was nothing streaming
+function finishStreamingMsg(finalText) {
+  const el = streamingMsgEl;
+  streamingMsgEl = null;
+  streamingText = '';
+  if (!el?.isConnected) return false;
+  el.classList.remove('streaming');
+  if (finalText) {
+    trackDisplayedMessage(finalText);
+    el.innerHTML = formatMessage(finalText);
+    scrollToBottomIfNeeded();
+  }
+  return true;
+}
+
+// Stop button in the main feed thinking indicator
+messagesEl?.addEventListener('click', (e) => {
+  if (!e.target.closest('.thinking-stop-btn')) return;
+  e.stopPropagation();
+  const messageId = e.target.closest('.thinking')?.dataset.messageId;
+  cancelRequest(inFlightMessages.get(messageId)?.sparkMode ?? currentSparkMode, messageId);
+});
+
+// ============================================================================
+// IN-FLIGHT MESSAGES - several requests at once, each reply under its prompt
+// ============================================================================
+// transcript / mode_message carry a client-generated messageId; the server echoes
+// it on thinking, progress, queued, text_delta, text, error, cancelled and done.
+// Frames for ids this page doesn't know (sent before a reload) take the untagged path.
+// Map<messageId, {container, last, thinkingEl, streamingEl, streamingText, sparkMode, modeSessionId, steps}>
+const inFlightMessages = new Map();
+
+// Send a tagged message; userEl is the prompt bubble its replies go under
+function sendTagged(payload, userEl, container, sparkMode = null) {
+  const messageId = createMessageId();
+  const entry = { container, last: userEl, thinkingEl: null, streamingEl: null, streamingText: '', sparkMode, modeSessionId: payload.sessionId || null, steps: [] };
+  inFlightMessages.set(messageId, entry);
+  // Its echo from the mode session's live sync is already on the page
+  if (payload.type === 'mode_message') trackDisplayedMessage(payload.text);
+  showMessageThinking(entry, messageId);
+  ws.send(JSON.stringify({ ...payload, messageId }));
+  return messageId;
+}
+
+// Insert after everything already shown for this message (or at the end if its prompt is gone)
+function placeForMessage(entry, el) {
+  const { scrollTop, scrollHeight, clientHeight } = entry.container;
+  const wasNearBottom = scrollHeight - scrollTop - clientHeight < 100;
+  if (entry.last?.isConnected) entry.last.after(el);
+  else entry.container.appendChild(el);
+  entry.last = el;
+  if (wasNearBottom) entry.container.scrollTop = entry.container.scrollHeight;
+}
+
+// Swap the message's thinking indicator for its reply bubble
+function replaceMessageThinking(entry, el) {
+  if (entry.thinkingEl?.isConnected) {
+    entry.thinkingEl.replaceWith(el);
+    if (entry.last === entry.thinkingEl) entry.last = el;
+  } else {
+    placeForMessage(entry, el);
+  }
+  entry.thinkingEl = null;
+}
+
+function showMessageThinking(entry, messageId, statusText) {
+  if (!entry.thinkingEl) {
+    entry.thinkingEl = document.createElement('div');
+    entry.thinkingEl.className = 'msg bot thinking';
+    entry.thinkingEl.dataset.messageId = messageId;
+    placeForMessage(entry, entry.thinkingEl);
+  }
+  // Keep the timeline expanded across updates if the user opened it
+  const timelineOpen = !!entry.thinkingEl.querySelector('.tool-timeline')?.open;
+  entry.thinkingEl.innerHTML = (statusText
+    ? `<div class="thinking-content">
+        <span class="thinking-status">${escapeHtml(statusText)}</span>
+        <div class="thinking-dots"><span></span><span></span><span></span></div>
+      </div>${THINKING_STOP_BTN}`
+    : '<div class="thinking-dots"><span></span><span></span><span></span></div>' + THINKING_STOP_BTN)
+    + renderToolTimeline(entry.steps, timelineOpen);
+}
+
+// Record a progress frame's step (a start, or the end of one already shown)
+function updateMessageSteps(entry, step) {
+  const index = entry.steps.findIndex(s => s.id === step.id);
+  if (index === -1) entry.steps.push(step);
+  else entry.steps[index] = step;
+}
+
+// The tool steps behind a reply go at the bottom of its bubble
+function appendToolTimeline(el, steps) {
+  if (steps?.length) el.insertAdjacentHTML('beforeend', renderToolTimeline(steps));
+  return el;
+}
+
+function messageBubble(type, text) {
+  const el = document.createElement('div');
+  el.className = `msg ${type}`;
+  if (type === 'bot') {
+    el.innerHTML = formatMessage(text);
+    el.dataset.text = text;
+  } else {
+    el.textContent = text;
+  }
+  return el;
+}
+
+// Handle a frame answering a tagged message; false if the id isn't ours (e.g. after a reload)
+function handleMessageFrame(data) {
+  const { messageId } = data;
+  const entry = inFlightMessages.get(messageId);
+  if (!entry) return false;
+
+  // A mode page the user has since left: the reply lands in that mode's history
+  const gone = entry.sparkMode && entry.container === sessionMessagesEl && !entry.last?.isConnected;
+
+  switch (data.type) {
+    case 'thinking':
+    case 'progress':
+      if (data.step) updateMessageSteps(entry, data.step);
+      if (!gone) showMessageThinking(entry, messageId, data.status);
+      break;
+    case 'queued':
+      // Held until the gateway reconnects; the retry's frames carry this id
+      if (!gone) showMessageThinking(entry, messageId, data.content);
+      break;
+    case 'text_delta':
+      if (gone || !data.delta) break;
+      entry.streamingText += data.delta;
+      if (!entry.streamingEl) {
+        entry.streamingEl = messageBubble('bot', '');
+        entry.streamingEl.classList.add('streaming');
+        replaceMessageThinking(entry, entry.streamingEl);
+      }
+      entry.streamingEl.innerHTML = formatMessage(entry.streamingText);
+      break;
+    case 'text':
+      if (!data.content) break;
+      trackDisplayedMessage(data.content);
+      if (gone) {
+        const modeConfig = getModeConfig(entry.sparkMode);
+        toast(`${modeConfig.icon} ${modeConfig.name} finished`);
+      } else if (entry.streamingEl) {
+        entry.streamingEl.classList.remove('streaming');
+        entry.streamingEl.innerHTML = formatMessage(data.content);
+        entry.streamingEl.dataset.text = data.content;
+        appendToolTimeline(entry.streamingEl, entry.steps);
+      } else {
+        replaceMessageThinking(entry, appendToolTimeline(messageBubble('bot', data.content), entry.steps));
+      }
+      break;
+    case 'error':
+      if (!gone && entry.container === sessionMessagesEl) {
+        replaceMessageThinking(entry, appendToolTimeline(messageBubble('bot', `Error: ${data.message || 'Something went wrong'}`), entry.steps));
+      }
+      toast(data.message || 'Error', true);
+      break;
+    case 'cancelled':
+      if (!gone) replaceMessageThinking(entry, messageBubble('system', 'Stopped'));
+      break;
+    case 'done':
+      entry.thinkingEl?.remove();
+      entry.streamingEl?.classList.remove('streaming');
+      inFlightMessages.delete(messageId);
+      flushDeferredModeSync();
+      break;
+    default:
+      return false;
+  }
+  return true;
+}
+
+// Whether any tagged request is still running (main feed, or mode session pages)
+function hasInFlightMessages(sessionPageOnly) {
+  return [...inFlightMessages.values()].some(e => (e.container === sessionMessagesEl) === sessionPageOnly);
+}
+
 function setStatus(text) {
   if (statusEl) {
     statusEl.textContent = text;
@@ -693,10 +1196,25 @@ function setStatus(text) {
   }
 }
 
-function toast(msg, isError = false) {
+let toastTimer = null;
+const UNDO_TOAST_MS = 5000;
+
+// action: optional { label, onClick } button (e.g. Undo); keeps the toast up longer
+function toast(msg, isError = false, action = null) {
   toastEl.textContent = msg;
+  if (action) {
+    const btn = document.createElement('button');
+    btn.className = 'toast-action';
+    btn.textContent = action.label;
+    btn.addEventListener('click', () => {
+      toastEl.className = '';
+      action.onClick();
+    }, { once: true });
+    toastEl.appendChild(btn);
+  }
   toastEl.className = isError ? 'show error' : 'show';
-  setTimeout(() => toastEl.className = '', 3000);
+  clearTimeout(toastTimer);
+  toastTimer = setTimeout(() => toastEl.className = '', action ? UNDO_TOAST_MS : 3000);
 }
 
 // ============================================================================
@@ -1430,7 +1948,7 @@ sendBtn?.addEventListener('click', () => submitText());
 
 async function submitText() {
   const text = textInput?.value.trim();
-  if (!text || isProcessing) return;
+  if (!text) return;
   textInput.value = '';
   textInput.style.height = 'auto'; // Reset height
   sendBtn?.classList.remove('show');
@@ -1508,6 +2026,7 @@ async function saveNote() {
       body: JSON.stringify({
         transcription: currentNoteData.transcription,
         summary: currentNoteData.summary,
+        segments: currentNoteData.segments,
         timestamp: Date.now()
       })
     });
@@ -1526,7 +2045,7 @@ async function saveNote() {
 
 // Delete current note
 function deleteCurrentNote() {
-  currentNoteData = { transcription: '', summary: '' };
+  currentNoteData = { transcription: '', summary: '', segments: [] };
   if (notesTranscription) notesTranscription.textContent = '';
   if (notesSummary) notesSummary.textContent = '';
   toast('Note deleted');
@@ -1562,7 +2081,7 @@ async function finishRecording() {
   }
   if (notesTranscriptionMsg) notesTranscriptionMsg.style.display = 'none';
   if (notesSummaryMsg) notesSummaryMsg.style.display = 'none';
-  currentNoteData = { transcription: '', summary: '' };
+  currentNoteData = { transcription: '', summary: '', segments: [] };
   
   const reader = new FileReader();
   reader.onload = () => sendNote(reader.result.split(',')[1], duration);
@@ -1579,6 +2098,52 @@ function sendNote(audio, duration) {
   ws.send(JSON.stringify({ type: 'voice_note', audio, duration }));
 }
 
+// Render a timestamped transcript; clicking a segment seeks the saved recording
+function renderNoteTranscript(container, { text, segments, audioUrl }) {
+  const timed = (segments || []).filter(s => typeof s.start === 'number');
+  if (!timed.length || !audioUrl) {
+    container.textContent = text;
+    return;
+  }
+
+  container.innerHTML = '';
+  const audio = document.createElement('audio');
+  audio.className = 'note-audio';
+  audio.controls = true;
+  audio.preload = 'metadata';
+  audio.src = audioUrl;
+  container.appendChild(audio);
+
+  const list = document.createElement('div');
+  list.className = 'note-segments';
+  for (const seg of timed) {
+    const row = document.createElement('button');
+    row.type = 'button';
+    row.className = 'note-segment';
+    row.dataset.start = seg.start;
+    row.dataset.end = seg.end ?? '';
+    row.innerHTML = `<span class="note-segment-time">${formatClock(seg.start)}</span>`
+      + (seg.speaker ? `<span class="note-segment-speaker">${escapeHtml(seg.speaker)}</span>` : '')
+      + `<span class="note-segment-text">${escapeHtml(seg.text)}</span>`;
+    row.addEventListener('click', () => {
+      audio.currentTime = seg.start;
+      audio.play().catch(() => {});
+    });
+    list.appendChild(row);
+  }
+  container.appendChild(list);
+
+  // Highlight the segment being played
+  audio.addEventListener('timeupdate', () => {
+    const t = audio.currentTime;
+    for (const row of list.children) {
+      const start = Number(row.dataset.start);
+      const end = row.dataset.end === '' ? Infinity : Number(row.dataset.end);
+      row.classList.toggle('active', t >= start && t < end);
+    }
+  });
+}
+
 // Reset notes view to recording state
 function resetNotesView() {
   document.body.classList.remove('notes-results');
@@ -1588,7 +2153,7 @@ function resetNotesView() {
   if (notesSummaryMsg) notesSummaryMsg.style.display = 'none';
   if (notesTranscription) notesTranscription.textContent = '';
   if (notesSummary) notesSummary.textContent = '';
-  currentNoteData = { transcription: '', summary: '' };
+  currentNoteData = { transcription: '', summary: '', segments: [] };
 }
 
 notesBtn?.addEventListener('click', () => { 
@@ -1615,6 +2180,9 @@ notesBackBtn?.addEventListener('click', exitNotesMode);
 
 // Session persistence
 let chatSessionId = localStorage.getItem('spark_session_id');
+// Server outbox position: frames after lastSeq are replayed on reconnect (this page load only)
+let outboxId = null;
+let lastSeq = 0;
 let lastMessageTimestamp = 0; // Track last received message time for catch-up
 let isReconnecting = false;
 
@@ -1664,18 +2232,33 @@ async function catchUpMissedMessages() {
   }
 }
 
+// If the device session expired or was revoked, the server rejects the socket
+// upgrade (401) - check auth status and send the user to the login page
+async function redirectIfLoggedOut() {
+  try {
+    const res = await fetch('/api/auth/status');
+    const status = await res.json();
+    if (status.enabled && !status.authenticated) {
+      location.href = '/login.html';
+    }
+  } catch {}
+}
+
 function connect() {
   // Build URL with session ID for reconnection
   let wsUrl = CONFIG.wsUrl;
   if (chatSessionId) {
     wsUrl += (wsUrl.includes('?') ? '&' : '?') + `session=${chatSessionId}`;
+    if (outboxId) wsUrl += `&outbox=${outboxId}&seq=${lastSeq}`;
   }
   
   console.log('🔌 Connecting to:', wsUrl);
   updateSparkStatus('connecting');
   try {
     ws = new WebSocket(wsUrl);
+    let opened = false;
     ws.onopen = () => {
+      opened = true;
       console.log('✅ Chat WebSocket connected');
       updateSparkStatus('connected');
       
@@ -1689,6 +2272,7 @@ function connect() {
       console.log('🔌 Chat WebSocket closed:', e.code, e.reason);
       updateSparkStatus('disconnected');
       isReconnecting = true; // Mark that next connect is a reconnection
+      if (!opened) redirectIfLoggedOut();
       setTimeout(connect, 2000);
     };
     ws.onerror = (e) => {
@@ -1766,20 +2350,27 @@ async function send(text, sendMode) {
   // Track message to prevent duplicate from sync
   trackDisplayedMessage(text);
   
-  showThinking();
-  
-  // Route to mode session or main session
+  // Route to mode session or main session (the reply goes under this message)
   if (currentSparkMode) {
     // Send to mode-specific session
     console.log(`📦 Sending to ${currentSparkMode} mode session`);
-    ws.send(JSON.stringify({ type: 'mode_message', sparkMode: currentSparkMode, text }));
+    sendTagged({ type: 'mode_message', sparkMode: currentSparkMode, text }, el, messagesEl, currentSparkMode);
   } else {
     // Send to main session
-    ws.send(JSON.stringify({ type: 'transcript', text, mode: sendMode }));
+    sendTagged({ type: 'transcript', text, mode: sendMode }, el, messagesEl);
   }
 }
 
 function handle(data) {
+  // Outbox frames are numbered; skip any already handled (replays overlap on flaky links)
+  if (data.seq) {
+    if (data.seq <= lastSeq) return;
+    lastSeq = data.seq;
+  }
+
+  // Frames answering a tagged message go under that message ('done' also runs below)
+  if (data.messageId && handleMessageFrame(data) && data.type !== 'done') return;
+
   switch (data.type) {
     case 'ready': 
       // Store session ID for reconnection (local only, unified session handled server-side)
@@ -1788,11 +2379,19 @@ function handle(data) {
         localStorage.setItem('spark_session_id', data.sessionId);
         console.log('📋 Session:', data.sessionId);
       }
-      // Check if there's a pending request
-      if (data.pending) {
+      // A new outbox (new session or server restart) numbers from 1 again
+      if (data.outbox !== outboxId) {
+        outboxId = data.outbox || null;
+        lastSeq = 0;
+      }
+      // Check if there's a pending request (tagged ones show under their own message)
+      if (data.pending && !hasInFlightMessages(false)) {
         console.log('⏳ Pending request detected - showing loading');
         showThinking();
       }
+      // Subscriptions end with the old socket
+      followedModeSession = null;
+      followModeSession();
       console.log('✅ Chat ready');
       break;
     
@@ -1844,6 +2443,18 @@ function handle(data) {
         }
       }
       break;
+    case 'session_rotated':
+      // OpenClaw started a new main session - sync now follows its transcript
+      console.log('🔄 Main session rotated:', data.previousSessionId, '→', data.sessionId);
+      refreshHistoryCache();
+      if (pageState === 'chatfeed') {
+        const divider = document.createElement('div');
+        divider.className = 'msg system session-divider';
+        divider.textContent = 'New session';
+        messagesEl.appendChild(divider);
+        scrollToBottomIfNeeded();
+      }
+      break;
     case 'thinking':
       // Server acknowledged request and is processing
       console.log('🤔 Server thinking...');
@@ -1863,6 +2474,12 @@ function handle(data) {
         updateThinking(data.status);
       }
       break;
+    case 'text_delta':
+      // Token-by-token streaming of a main chat reply
+      if (!data.delta || document.body.classList.contains('notes-mode')) break;
+      if (currentSessionMode && sessionPage.classList.contains('show')) break;
+      appendStreamingDelta(data.delta);
+      break;
     case 'text':
       console.log('✅ Text message received:', data.content?.slice?.(0, 100));
       // Route to notes view if in notes mode
@@ -1876,17 +2493,25 @@ function handle(data) {
         }
       }
       // Route to session page if active
-      else if (currentSessionMode && sessionPage.classList.contains('show')) {
+      else if (currentSessionMode && sessionPage.classList.contains('show') && (!data.sparkMode || data.sparkMode === currentSessionMode)) {
         removeSessionThinking();
         if (data.content) {
           addSessionMessage('bot', data.content);
         }
+      }
+      // Replayed mode reply (finished while away) - it's in that mode's history
+      else if (data.sparkMode) {
+        removeThinking();
+        const modeConfig = getModeConfig(data.sparkMode);
+        toast(`${modeConfig.icon} ${modeConfig.name} finished`);
       } else {
         removeThinking();
         setStatus('');
         const lastSys = messagesEl?.querySelector('.msg.system:last-child');
         if (lastSys?.textContent === 'Transcribing...') lastSys.remove();
-        if (data.content) {
+        if (finishStreamingMsg(data.content)) {
+          console.log('✅ Streamed bot message finalized');
+        } else if (data.content) {
           addMsg(data.content, 'bot');
           console.log('✅ Bot message added to DOM');
         } else {
@@ -1894,12 +2519,24 @@ function handle(data) {
         }
       }
       break;
+    case 'cancelled':
+      // Server stopped the in-flight request (user pressed stop)
+      if (currentSessionMode && sessionPage.classList.contains('show')) {
+        removeSessionThinking();
+        addSessionMessage('system', 'Stopped');
+      } else {
+        removeThinking();
+        finishStreamingMsg();
+        addMsg('Stopped', 'system');
+      }
+      break;
     case 'transcription':
       // Check if we're in notes mode - show in notes view
       if (document.body.classList.contains('notes-mode') && notesTranscription) {
         // Show transcription message, update status to "Summarizing..."
-        notesTranscription.textContent = data.text;
+        renderNoteTranscript(notesTranscription, data);
         currentNoteData.transcription = data.text;
+        currentNoteData.segments = data.segments || [];
         if (notesTranscriptionMsg) notesTranscriptionMsg.style.display = 'block';
         if (notesStatus) notesStatus.textContent = 'Summarizing...';
       } else {
@@ -1910,8 +2547,9 @@ function handle(data) {
       break;
     case 'audio': playAudio(data.data); break;
     case 'done':
-      isProcessing = false;
-      sessionPageProcessing = false;
+      finishStreamingMsg();
+      isProcessing = hasInFlightMessages(false);
+      sessionPageProcessing = hasInFlightMessages(true);
       setStatus('');
       checkActiveSubagentSessions(); // Refresh mode button states (also saves session state + updates bar)
       saveSessionState(); // Persist session state (sessions may have completed)
@@ -1928,10 +2566,14 @@ function handle(data) {
         removeThinking();
       }
       toast(data.message || 'Error', true);
-      isProcessing = false;
+      isProcessing = hasInFlightMessages(false);
       setStatus('');
       break;
     
+    case 'mode_sync':
+      handleModeSync(data);
+      break;
+    
     case 'mode_history':
       // Received history from a mode session
       console.log(`📦 Mode history received for ${data.mode}:`, data.messages?.length || 0, 'messages');
@@ -1971,6 +2613,7 @@ const msgMenu = document.getElementById('msg-menu');
 const menuCopy = document.getElementById('menu-copy');
 const menuEdit = document.getElementById('menu-edit');
 const menuDelete = document.getElementById('menu-delete');
+const menuHandoff = document.getElementById('menu-handoff');
 
 let selectedMsg = null;
 let longPressTimer = null;
@@ -1979,8 +2622,11 @@ function showMsgMenu(msgEl, x, y) {
   selectedMsg = msgEl;
   msgEl.classList.add('selected');
   
+  // Handoff is for assistant replies in a mode session
+  if (menuHandoff) menuHandoff.hidden = !(msgEl.classList.contains('bot') && msgEl.closest('#session-messages'));
+  
   // Position menu near the touch point
-  const menuWidth = 148; // 3 buttons * ~44px + padding
+  const menuWidth = menuHandoff && !menuHandoff.hidden ? 196 : 148; // 3-4 buttons * ~44px + padding
   const menuHeight = 60;
   
   // Keep menu on screen
@@ -2063,6 +2709,14 @@ menuEdit?.addEventListener('click', () => {
   hideMsgMenu();
 });
 
+// Handoff action (sends the reply to another mode's session)
+menuHandoff?.addEventListener('click', () => {
+  if (!selectedMsg) return;
+  const text = selectedMsg.dataset.text || selectedMsg.innerText;
+  hideMsgMenu();
+  showHandoffSheet(text);
+});
+
 // Delete action
 menuDelete?.addEventListener('click', () => {
   if (!selectedMsg) return;
@@ -2199,52 +2853,12 @@ if (window.visualViewport) {
   });
 }
 
-// Shortcut buttons
-document.querySelectorAll('.shortcut').forEach(btn => {
-  btn.addEventListener('click', () => {
-    const msg = btn.dataset.msg;
-    if (msg) send(msg, 'chat');
-  });
-});
-
-// Articulations mode button handler - opens articulate session page
-document.getElementById('articulations-btn')?.addEventListener('click', async () => {
-  showSessionPage('articulate');
-});
-
 // ============================================================================
 // ACTIVE SUBAGENT SESSION TRACKING
 // ============================================================================
 
-// Track active subagent sessions by mode
-const activeSubagentSessions = {
-  'spark-dev-mode': null,
-  'spark-research-mode': null,
-  'spark-plan-mode': null,
-  'spark-videogen-mode': null,
-  'spark-articulate-mode': null,
-  'spark-dailyreports-mode': null
-};
-
-// Map button IDs to session labels
-const buttonToSessionLabel = {
-  'devteam-btn': 'spark-dev-mode',
-  'researcher-btn': 'spark-research-mode',
-  'plan-btn': 'spark-plan-mode',
-  'videogen-btn': 'spark-videogen-mode',
-  'articulations-btn': 'spark-articulate-mode',
-  'todays-reports-btn': 'spark-dailyreports-mode'
-};
-
-// Map mode names to session labels
-const modeToSessionLabel = {
-  'dev': 'spark-dev-mode',
-  'research': 'spark-research-mode',
-  'plan': 'spark-plan-mode',
-  'videogen': 'spark-videogen-mode',
-  'articulate': 'spark-articulate-mode',
-  'dailyreports': 'spark-dailyreports-mode'
-};
+// Track active subagent sessions by session label (see modeSessionLabel)
+const activeSubagentSessions = {};
 
 // Check for active subagent sessions (uses mode-sessions JSONL files, not OpenClaw sessions)
 async function checkActiveSubagentSessions() {
@@ -2255,22 +2869,14 @@ async function checkActiveSubagentSessions() {
     const modeSessions = modeData.sessions || {};
     
     // Reset all
-    activeSubagentSessions['spark-dev-mode'] = null;
-    activeSubagentSessions['spark-research-mode'] = null;
-    activeSubagentSessions['spark-plan-mode'] = null;
-    activeSubagentSessions['spark-videogen-mode'] = null;
+    for (const mode of Object.keys(modeConfigs)) {
+      activeSubagentSessions[modeSessionLabel(mode)] = null;
+    }
     
     // Map mode-sessions response to activeSubagentSessions
-    const modeMap = {
-      'dev': 'spark-dev-mode',
-      'research': 'spark-research-mode',
-      'plan': 'spark-plan-mode',
-      'videogen': 'spark-videogen-mode'
-    };
-    
     for (const [mode, sessionData] of Object.entries(modeSessions)) {
-      const label = modeMap[mode];
-      if (label && sessionData.active) {
+      const label = modeSessionLabel(mode);
+      if (sessionData.active) {
         // Session is actively being used (updated in last 5 min) — mark as active
         activeSubagentSessions[label] = {
           key: sessionData.sessionId,
@@ -2291,22 +2897,19 @@ async function checkActiveSubagentSessions() {
 
 // Update button visual states based on active sessions
 function updateSubagentButtonStates() {
-  for (const [btnId, label] of Object.entries(buttonToSessionLabel)) {
-    const btn = document.getElementById(btnId);
-    if (btn) {
-      const isActive = activeSubagentSessions[label] !== null;
-      btn.classList.toggle('session-active', isActive);
-      
-      // Update subtitle to show status
-      const subEl = btn.querySelector('.shortcut-sub');
-      if (subEl) {
-        if (isActive) {
-          const originalText = subEl.dataset.originalText || subEl.textContent;
-          subEl.dataset.originalText = originalText;
-          subEl.textContent = '● Session active';
-        } else if (subEl.dataset.originalText) {
-          subEl.textContent = subEl.dataset.originalText;
-        }
+  for (const btn of document.querySelectorAll('.shortcut[data-mode]')) {
+    const isActive = !!activeSubagentSessions[modeSessionLabel(btn.dataset.mode)];
+    btn.classList.toggle('session-active', isActive);
+    
+    // Update subtitle to show status
+    const subEl = btn.querySelector('.shortcut-sub');
+    if (subEl) {
+      if (isActive) {
+        const originalText = subEl.dataset.originalText || subEl.textContent;
+        subEl.dataset.originalText = originalText;
+        subEl.textContent = '● Session active';
+      } else if (subEl.dataset.originalText) {
+        subEl.textContent = subEl.dataset.originalText;
       }
     }
   }
@@ -2314,8 +2917,7 @@ function updateSubagentButtonStates() {
 
 // Get active session for a mode
 function getActiveSession(mode) {
-  const label = modeToSessionLabel[mode] || mode;
-  return activeSubagentSessions[label];
+  return activeSubagentSessions[modeSessionLabel(mode)];
 }
 
 // ============================================================================
@@ -2332,57 +2934,19 @@ let currentSessionMode = null; // 'dev', 'research', 'plan', 'video'
 let currentSessionId = null;   // The specific session ID from the index
 let sessionPageProcessing = false;
 
-// Mode configurations for session page
-const SESSION_MODE_CONFIG = {
-  dev: {
-    name: 'Dev Mode',
-    icon: '👨‍💻',
-    sessionKey: 'spark-dev-mode',
-    placeholder: 'Describe what you want to build or fix...',
-    emptyTitle: 'Dev Mode',
-    emptyDesc: 'Start a coding session. Describe what you want to build or fix.'
-  },
-  research: {
-    name: 'Research Mode',
-    icon: '🔬',
-    sessionKey: 'spark-research-mode',
-    placeholder: 'What would you like to research?',
-    emptyTitle: 'Research Mode',
-    emptyDesc: 'Start a deep research session. Ask about any topic.'
-  },
-  plan: {
-    name: 'Plan Mode',
-    icon: '📋',
-    sessionKey: 'spark-plan-mode',
-    placeholder: 'What do you want to plan?',
-    emptyTitle: 'Plan Mode',
-    emptyDesc: 'Start planning. Describe your project or feature.'
-  },
-  videogen: {
-    name: 'Video Gen',
-    icon: '🎬',
-    sessionKey: 'spark-videogen-mode',
-    placeholder: 'Describe the video you want to create...',
-    emptyTitle: 'Video Gen',
-    emptyDesc: 'Generate AI videos. Describe what you want to create.'
-  },
-  articulate: {
-    name: 'Articulate',
-    icon: '💬',
-    sessionKey: 'spark-articulate-mode',
-    placeholder: 'Type text to refine...',
-    emptyTitle: 'Articulate',
-    emptyDesc: 'Refine and improve your text. Paste content to polish.'
-  },
-  dailyreports: {
-    name: 'Daily Reports',
-    icon: '📊',
-    sessionKey: 'spark-dailyreports-mode',
-    placeholder: 'Ask about your portfolio or generate a briefing...',
-    emptyTitle: 'Daily Reports',
-    emptyDesc: 'View portfolio updates and generate market briefings.'
-  }
-};
+// Session page config for a mode, derived from its definition (null for unknown modes)
+function getSessionModeConfig(mode) {
+  const config = modeConfigs[mode];
+  if (!config) return null;
+  return {
+    name: config.name,
+    icon: config.icon,
+    sessionKey: modeSessionLabel(mode),
+    placeholder: config.placeholder,
+    emptyTitle: config.name,
+    emptyDesc: config.emptyDesc
+  };
+}
 
 // ============================================================================
 // SESSION PERSISTENCE via localStorage
@@ -2391,8 +2955,8 @@ const SESSION_MODE_CONFIG = {
 // Save session state when it changes
 function saveSessionState() {
   const state = {};
-  for (const [mode, config] of Object.entries(SESSION_MODE_CONFIG)) {
-    const label = config.sessionKey;
+  for (const mode of Object.keys(modeConfigs)) {
+    const label = modeSessionLabel(mode);
     if (activeSubagentSessions[label]) {
       state[mode] = {
         label,
@@ -2450,7 +3014,7 @@ function stopSessionStatusPolling() {
 
 // Show session page for a specific mode
 async function showSessionPage(mode, specificSessionId) {
-  const config = SESSION_MODE_CONFIG[mode];
+  const config = getSessionModeConfig(mode);
   if (!config) {
     console.error('Unknown session mode:', mode);
     return;
@@ -2487,6 +3051,7 @@ async function showSessionPage(mode, specificSessionId) {
   
   // Update header title
   updateSessionHeaderTitle(mode);
+  updateSessionNotifyButton(mode);
   
   // Show session page
   sessionPage.classList.add('show');
@@ -2505,11 +3070,23 @@ async function showSessionPage(mode, specificSessionId) {
 function updateSessionHeaderTitle(mode) {
   const headerTitle = document.getElementById('session-header-title');
   if (headerTitle) {
-    const config = SESSION_MODE_CONFIG[mode];
+    const config = getSessionModeConfig(mode);
     headerTitle.textContent = config ? `${config.icon} ${config.name}` : mode;
   }
 }
 
+// Reflect whether this device gets push notifications for the mode
+async function updateSessionNotifyButton(mode) {
+  const btn = document.getElementById('session-notify-btn');
+  if (!btn) return;
+  btn.hidden = !isPushSupported();
+  if (btn.hidden) return;
+  const scopes = await getPushScopes();
+  if (mode !== currentSessionMode) return;
+  btn.classList.toggle('enabled', scopes.includes(mode));
+  btn.title = scopes.includes(mode) ? 'Notifications on' : 'Notify me when done';
+}
+
 // Hide session page
 function hideSessionPage() {
   sessionPage.classList.remove('show');
@@ -2517,6 +3094,7 @@ function hideSessionPage() {
   currentSessionId = null;
   sessionPageProcessing = false;
   stopSessionStatusPolling();
+  followModeSession();
   // Also close history panel if open
   document.getElementById('session-history-panel')?.classList.remove('show');
 }
@@ -2549,12 +3127,15 @@ async function loadSessionHistory(mode, config) {
       for (const msg of messages) {
         const text = extractMessageText(msg);
         if (text) {
-          addSessionMessage(msg.role === 'assistant' ? 'bot' : 'user', text, msg.timestamp);
+          const el = addSessionMessage(msg.role === 'assistant' ? 'bot' : 'user', text, msg.timestamp);
+          appendToolTimeline(el, msg.timeline);
         }
       }
       // Scroll to bottom
       sessionMessagesEl.scrollTop = sessionMessagesEl.scrollHeight;
     }
+    renderHandoffOrigin(mode, currentSessionId);
+    followModeSession();
   } catch (e) {
     console.error('Failed to load session history:', e);
     sessionMessagesEl.innerHTML = `
@@ -2583,6 +3164,7 @@ function addSessionMessage(type, text, timestamp) {
 
   if (type === 'bot') {
     el.innerHTML = formatMessage(text);
+    el.dataset.text = text;
   } else {
     el.textContent = text;
   }
@@ -2634,7 +3216,7 @@ function showSessionThinking() {
   const el = document.createElement('div');
   el.className = 'msg bot thinking';
   el.id = 'session-thinking-indicator';
-  el.innerHTML = '<div class="thinking-dots"><span></span><span></span><span></span></div>';
+  el.innerHTML = '<div class="thinking-dots"><span></span><span></span><span></span></div>' + THINKING_STOP_BTN;
   sessionMessagesEl.appendChild(el);
   sessionMessagesEl.scrollTop = sessionMessagesEl.scrollHeight;
 }
@@ -2656,15 +3238,22 @@ function updateSessionThinking(statusText) {
       <span class="thinking-status">${escapeHtml(statusText)}</span>
       <div class="thinking-dots"><span></span><span></span><span></span></div>
     </div>
+    ${THINKING_STOP_BTN}
   `;
   if (sessionMessagesEl) sessionMessagesEl.scrollTop = sessionMessagesEl.scrollHeight;
 }
 
+// Stop button in the session page thinking indicator
+sessionMessagesEl?.addEventListener('click', (e) => {
+  if (!e.target.closest('.thinking-stop-btn')) return;
+  e.stopPropagation();
+  cancelRequest(currentSessionMode, e.target.closest('.thinking')?.dataset.messageId);
+});
+
 // Send message in session page
 async function sendSessionMessage() {
   const text = sessionInput.value.trim();
   if (!text && !sessionPendingAttachment) return;
-  if (sessionPageProcessing) return;
 
   let messageText = text;
   let imageData = null;
@@ -2715,12 +3304,9 @@ async function sendSessionMessage() {
 
   // Add user message (with file/image indicator if applicable)
   const displayText = fileAttachment ? messageText + ` 📄 ${fileAttachment.filename}` : (imageData ? messageText + ' 📷' : messageText);
-  addSessionMessage('user', displayText);
+  const userEl = addSessionMessage('user', displayText);
 
-  // Show thinking
-  showSessionThinking();
-
-  // Send via WebSocket
+  // Send via WebSocket (thinking shows under this message)
   if (ws && ws.readyState === WebSocket.OPEN) {
     const payload = {
       type: 'mode_message',
@@ -2730,11 +3316,10 @@ async function sendSessionMessage() {
     };
     if (imageData) payload.image = imageData;
     if (fileAttachment) payload.file = fileAttachment;
-    ws.send(JSON.stringify(payload));
+    sendTagged(payload, userEl, sessionMessagesEl, currentSessionMode);
   } else {
-    removeSessionThinking();
     addSessionMessage('bot', 'Not connected. Please try again.');
-    sessionPageProcessing = false;
+    sessionPageProcessing = hasInFlightMessages(true);
   }
 }
 
@@ -2760,6 +3345,20 @@ sessionSendBtn?.addEventListener('click', sendSessionMessage);
 
 sessionBackBtn?.addEventListener('click', hideSessionPage);
 
+// Notify button — toggles push notifications for the current mode on this device
+document.getElementById('session-notify-btn')?.addEventListener('click', async () => {
+  if (!currentSessionMode) return;
+  const mode = currentSessionMode;
+  const btn = document.getElementById('session-notify-btn');
+  try {
+    await setPushScope(mode, !btn.classList.contains('enabled'));
+  } catch (e) {
+    console.error('Failed to update notifications:', e);
+    alert(e.message);
+  }
+  updateSessionNotifyButton(mode);
+});
+
 // New Session button — creates a new session via API
 document.getElementById('session-new-btn')?.addEventListener('click', async () => {
   if (!currentSessionMode) return;
@@ -2776,6 +3375,7 @@ document.getElementById('session-new-btn')?.addEventListener('click', async () =
     const newSession = await res.json();
     currentSessionId = newSession.id;
     console.log('Created new session:', newSession.id);
+    followModeSession();
   } catch (e) {
     console.error('Failed to create new session:', e);
   }
@@ -2784,7 +3384,7 @@ document.getElementById('session-new-btn')?.addEventListener('click', async () =
   sessionMessagesEl.innerHTML = '';
   
   // Show empty state for the current mode
-  const config = SESSION_MODE_CONFIG[currentSessionMode];
+  const config = getSessionModeConfig(currentSessionMode);
   if (config) {
     sessionMessagesEl.innerHTML = `
       <div class="session-empty-state">
@@ -2799,6 +3399,72 @@ document.getElementById('session-new-btn')?.addEventListener('click', async () =
   sessionInput?.focus();
 });
 
+// ============================================================================
+// LIVE MODE SESSION SYNC - the open session follows requests from other tabs/devices
+// ============================================================================
+// The page subscribes to the session it shows (mode_subscribe) and gets mode_sync
+// frames: each new user/assistant message in its transcript, and tool progress.
+// What this page sent itself is skipped: its prompts by hash, its replies and
+// progress by arriving tagged (sync replies are held until those are done).
+let followedModeSession = null; // { mode, sessionId } the server is sending mode_sync for
+let deferredModeSync = [];
+
+// Subscribe to the open session (and drop the previous one)
+function followModeSession() {
+  const next = currentSessionMode && currentSessionId ? { mode: currentSessionMode, sessionId: currentSessionId } : null;
+  if (next?.sessionId === followedModeSession?.sessionId) return;
+  if (!ws || ws.readyState !== WebSocket.OPEN) return; // 'ready' subscribes
+  if (followedModeSession) ws.send(JSON.stringify({ type: 'mode_unsubscribe', sessionId: followedModeSession.sessionId }));
+  if (next) ws.send(JSON.stringify({ type: 'mode_subscribe', sparkMode: next.mode, sessionId: next.sessionId }));
+  followedModeSession = next;
+}
+
+// Whether this page has its own request running in the open session
+function hasOwnModeRequest() {
+  return [...inFlightMessages.values()].some(e => e.sparkMode === currentSessionMode && e.modeSessionId === currentSessionId);
+}
+
+function handleModeSync(data) {
+  if (data.sparkMode !== currentSessionMode || data.sessionId !== currentSessionId) return;
+
+  if (data.progress) {
+    if (!hasOwnModeRequest()) updateSessionThinking(data.progress.status);
+    return;
+  }
+  // Another device's request ended; a reply still comes as a message
+  if (data.done) {
+    if (hasOwnModeRequest()) return;
+    removeSessionThinking();
+    if (data.error) addSessionMessage('bot', `Error: ${data.error}`);
+    else if (data.cancelled) addSessionMessage('system', 'Stopped');
+    return;
+  }
+  if (!data.message?.content) return;
+  if (data.message.role === 'assistant' && hasOwnModeRequest()) {
+    deferredModeSync.push(data);
+    return;
+  }
+  showModeSyncMessage(data.message);
+}
+
+function showModeSyncMessage(message) {
+  if (isMessageDisplayed(message.content)) return;
+  trackDisplayedMessage(message.content);
+  removeSessionThinking();
+  const isUser = message.role === 'user';
+  appendToolTimeline(addSessionMessage(isUser ? 'user' : 'bot', message.content, message.timestamp), message.timeline);
+  // Another device asked - show that an answer is on its way
+  if (isUser) showSessionThinking();
+}
+
+// Sync replies held back while this page's own request ran
+function flushDeferredModeSync() {
+  if (hasOwnModeRequest()) return;
+  const held = deferredModeSync.filter(d => d.sparkMode === currentSessionMode && d.sessionId === currentSessionId);
+  deferredModeSync = [];
+  for (const data of held) showModeSyncMessage(data.message);
+}
+
 // ============================================================================
 // SESSION FILE UPLOAD
 // ============================================================================
@@ -2871,56 +3537,183 @@ sessionRemoveAttachmentBtn?.addEventListener('click', () => {
 const sessionHistoryPanel = document.getElementById('session-history-panel');
 const sessionHistoryList = document.getElementById('session-history-list');
 
-// Open history panel
-document.getElementById('session-history-btn')?.addEventListener('click', async () => {
-  if (!currentSessionMode) return;
+// Sessions deleted in the panel but still undoable: id → timer that sends the DELETE
+const pendingSessionDeletes = new Map();
+
+async function patchModeSession(mode, sessionId, changes) {
+  const res = await fetch(`/api/modes/${encodeURIComponent(mode)}/sessions/${encodeURIComponent(sessionId)}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(changes)
+  });
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || 'Failed to update session');
+  return data.session;
+}
+
+// Apply a change, then offer to put the previous values back
+async function changeModeSession(mode, session, changes, message) {
+  const previous = Object.fromEntries(Object.keys(changes).map(key => [key, session[key] ?? (key === 'title' ? null : false)]));
+  try {
+    await patchModeSession(mode, session.id, changes);
+    renderSessionHistory();
+    toast(message, false, {
+      label: 'Undo',
+      onClick: async () => {
+        await patchModeSession(mode, session.id, previous).catch(e => toast(e.message, true));
+        renderSessionHistory();
+      }
+    });
+  } catch (e) {
+    toast(e.message, true);
+  }
+}
+
+// Hide the session now, delete it once the undo window has passed
+function deleteModeSessionWithUndo(mode, session) {
+  const timer = setTimeout(async () => {
+    pendingSessionDeletes.delete(session.id);
+    try {
+      const res = await fetch(`/api/modes/${encodeURIComponent(mode)}/sessions/${encodeURIComponent(session.id)}`, { method: 'DELETE' });
+      if (!res.ok) throw new Error((await res.json()).error || 'Failed to delete session');
+      // The open session is gone - continue in the latest one
+      if (session.id === currentSessionId && currentSessionMode === mode) {
+        sessionHistoryPanel?.classList.remove('show');
+        showSessionPage(mode);
+      }
+    } catch (e) {
+      toast(e.message, true);
+      renderSessionHistory();
+    }
+  }, UNDO_TOAST_MS);
+  pendingSessionDeletes.set(session.id, timer);
+  renderSessionHistory();
+
+  toast('Session deleted', false, {
+    label: 'Undo',
+    onClick: () => {
+      clearTimeout(pendingSessionDeletes.get(session.id));
+      pendingSessionDeletes.delete(session.id);
+      renderSessionHistory();
+    }
+  });
+}
+
+function createSessionHistoryEntry(mode, s) {
+  const entry = document.createElement('div');
+  entry.className = 'session-history-entry';
+  if (s.id === currentSessionId) entry.classList.add('active');
+  if (s.archived) entry.classList.add('archived');
+  
+  const title = s.title || 'Untitled';
+  const timeStr = formatRelativeTime(s.createdAt);
+  const countStr = s.messageCount ? `${s.messageCount} msgs` : '';
+  const exportUrl = `/api/modes/${encodeURIComponent(mode)}/sessions/${encodeURIComponent(s.id)}/export`;
+  
+  entry.innerHTML = `
+    <div class="session-history-entry-row">
+      <div class="session-history-entry-title">${s.pinned ? '📌 ' : ''}${escapeHtml(title)}</div>
+      <button class="session-history-more" title="Session actions" aria-label="Session actions">⋯</button>
+    </div>
+    ${s.summary ? `<div class="session-history-entry-summary">${escapeHtml(s.summary)}</div>` : ''}
+    <div class="session-history-entry-meta">
+      <span>${timeStr}</span>
+      ${countStr ? `<span>· ${countStr}</span>` : ''}
+      ${s.handoffFrom ? `<span title="Handed off from ${escapeHtml(getModeConfig(s.handoffFrom.mode).name)}">· ↪ ${getModeConfig(s.handoffFrom.mode).icon}</span>` : ''}
+      ${s.handoffsTo?.length ? `<span title="Handed off to another mode">· → ${[...new Set(s.handoffsTo.map(h => getModeConfig(h.mode).icon))].join('')}</span>` : ''}
+      <span class="session-history-export" title="Export conversation">
+        ${['md', 'html', 'json'].map(format => `<a href="${exportUrl}?format=${format}" download>${format.toUpperCase()}</a>`).join('')}
+      </span>
+    </div>
+    <div class="session-history-actions">
+      <button data-action="rename">Rename</button>
+      <button data-action="pin">${s.pinned ? 'Unpin' : 'Pin'}</button>
+      <button data-action="archive">${s.archived ? 'Unarchive' : 'Archive'}</button>
+      <button data-action="delete" class="danger">Delete</button>
+    </div>
+  `;
   
-  sessionHistoryPanel?.classList.add('show');
-  sessionHistoryList.innerHTML = '<div class="session-history-empty">Loading...</div>';
+  // Export links download; don't switch sessions
+  entry.querySelector('.session-history-export').addEventListener('click', (e) => e.stopPropagation());
+  
+  entry.querySelector('.session-history-more').addEventListener('click', (e) => {
+    e.stopPropagation();
+    entry.classList.toggle('show-actions');
+  });
+  
+  entry.querySelector('.session-history-actions').addEventListener('click', (e) => {
+    e.stopPropagation();
+    const action = e.target.closest('button')?.dataset.action;
+    if (action === 'rename') {
+      const newTitle = prompt('Rename session', s.title || '')?.trim();
+      if (newTitle && newTitle !== s.title) changeModeSession(mode, s, { title: newTitle }, 'Session renamed');
+    } else if (action === 'pin') {
+      changeModeSession(mode, s, { pinned: !s.pinned }, s.pinned ? 'Session unpinned' : 'Session pinned');
+    } else if (action === 'archive') {
+      changeModeSession(mode, s, { archived: !s.archived }, s.archived ? 'Session restored' : 'Session archived');
+    } else if (action === 'delete') {
+      deleteModeSessionWithUndo(mode, s);
+    }
+  });
+  
+  entry.addEventListener('click', () => {
+    sessionHistoryPanel?.classList.remove('show');
+    // Reload with this session
+    currentSessionId = s.id;
+    sessionMessagesEl.innerHTML = '';
+    const config = getSessionModeConfig(mode);
+    if (config) loadSessionHistory(mode, config);
+  });
+  
+  return entry;
+}
+
+// (Re)load the session list: pinned first, archived sessions in their own group
+async function renderSessionHistory() {
+  const mode = currentSessionMode;
+  if (!mode) return;
   
   try {
-    const res = await fetch(`/api/modes/${currentSessionMode}/sessions`);
+    const res = await fetch(`/api/modes/${encodeURIComponent(mode)}/sessions?archived=true`);
     const data = await res.json();
-    const sessions = data.sessions || [];
+    const sessions = (data.sessions || []).filter(s => !pendingSessionDeletes.has(s.id));
+    if (mode !== currentSessionMode) return;
     
     if (sessions.length === 0) {
       sessionHistoryList.innerHTML = '<div class="session-history-empty">No sessions yet</div>';
       return;
     }
     
+    // Server order is newest first; stable sort keeps it within pinned/unpinned
+    const open = sessions.filter(s => !s.archived).sort((a, b) => !!b.pinned - !!a.pinned);
+    const archived = sessions.filter(s => s.archived);
+    
     sessionHistoryList.innerHTML = '';
-    for (const s of sessions) {
-      const entry = document.createElement('div');
-      entry.className = 'session-history-entry';
-      if (s.id === currentSessionId) entry.classList.add('active');
-      
-      const title = s.title || 'Untitled';
-      const timeStr = formatRelativeTime(s.createdAt);
-      const countStr = s.messageCount ? `${s.messageCount} msgs` : '';
-      
-      entry.innerHTML = `
-        <div class="session-history-entry-title">${escapeHtml(title)}</div>
-        <div class="session-history-entry-meta">
-          <span>${timeStr}</span>
-          ${countStr ? `<span>· ${countStr}</span>` : ''}
-        </div>
-      `;
-      
-      entry.addEventListener('click', () => {
-        sessionHistoryPanel?.classList.remove('show');
-        // Reload with this session
-        currentSessionId = s.id;
-        sessionMessagesEl.innerHTML = '';
-        const config = SESSION_MODE_CONFIG[currentSessionMode];
-        if (config) loadSessionHistory(currentSessionMode, config);
-      });
-      
-      sessionHistoryList.appendChild(entry);
+    for (const s of open) {
+      sessionHistoryList.appendChild(createSessionHistoryEntry(mode, s));
+    }
+    if (archived.length > 0) {
+      const label = document.createElement('div');
+      label.className = 'session-history-group';
+      label.textContent = 'Archived';
+      sessionHistoryList.appendChild(label);
+      for (const s of archived) {
+        sessionHistoryList.appendChild(createSessionHistoryEntry(mode, s));
+      }
     }
   } catch (e) {
     console.error('Failed to load sessions:', e);
     sessionHistoryList.innerHTML = '<div class="session-history-empty">Failed to load sessions</div>';
   }
+}
+
+// Open history panel
+document.getElementById('session-history-btn')?.addEventListener('click', () => {
+  if (!currentSessionMode) return;
+  
+  sessionHistoryPanel?.classList.add('show');
+  sessionHistoryList.innerHTML = '<div class="session-history-empty">Loading...</div>';
+  renderSessionHistory();
 });
 
 // Close history panel
@@ -2951,6 +3744,154 @@ sessionMessagesEl?.addEventListener('touchmove', () => {
   clearTimeout(longPressTimer);
 });
 
+// Right-click opens the same menu on desktop
+sessionMessagesEl?.addEventListener('contextmenu', (e) => {
+  const msgEl = e.target.closest('.msg');
+  if (!msgEl || !msgEl.classList.contains('bot') || msgEl.classList.contains('thinking')) return;
+  e.preventDefault();
+  showMsgMenu(msgEl, e.clientX, e.clientY);
+});
+
+document.addEventListener('click', (e) => {
+  if (selectedMsg && !e.target.closest('#msg-menu') && !e.target.closest('.msg')) hideMsgMenu();
+});
+
+// ============================================================================
+// CROSS-MODE HANDOFF - send a reply into another mode's session
+// ============================================================================
+
+// Modes with a session page (not videogen / reports launchers)
+function handoffTargetModes() {
+  return Object.entries(modeConfigs)
+    .filter(([mode, config]) => mode !== currentSessionMode && !['videogen', 'reports'].includes(config.launcher));
+}
+
+// Bottom sheet: pick a mode, then a new or existing session in it
+function showHandoffSheet(text) {
+  if (!currentSessionMode || !currentSessionId) return;
+  const overlay = document.createElement('div');
+  overlay.className = 'bottom-sheet-overlay';
+  const sheet = document.createElement('div');
+  sheet.className = 'bottom-sheet handoff-sheet';
+  sheet.innerHTML = `
+    <div class="bottom-sheet-handle"></div>
+    <div class="bottom-sheet-header">
+      <span class="bottom-sheet-icon">↪</span>
+      <div class="bottom-sheet-titles">
+        <h2 class="bottom-sheet-title">Hand off</h2>
+        <p class="bottom-sheet-subtitle">Continue with this reply in another mode</p>
+      </div>
+    </div>
+    <div class="handoff-options"></div>
+  `;
+  document.body.appendChild(overlay);
+  document.body.appendChild(sheet);
+  const options = sheet.querySelector('.handoff-options');
+
+  function close() {
+    sheet.classList.add('closing');
+    sheet.classList.remove('visible');
+    overlay.classList.remove('visible');
+    document.removeEventListener('keydown', handleKeydown);
+    setTimeout(() => {
+      overlay.remove();
+      sheet.remove();
+    }, 200);
+  }
+  function handleKeydown(e) {
+    if (e.key === 'Escape') close();
+  }
+  document.addEventListener('keydown', handleKeydown);
+  overlay.addEventListener('click', close);
+
+  function addOption(label, onClick) {
+    const btn = document.createElement('button');
+    btn.className = 'handoff-option';
+    btn.innerHTML = label;
+    btn.addEventListener('click', onClick);
+    options.appendChild(btn);
+  }
+
+  async function showSessions(mode) {
+    const config = getModeConfig(mode);
+    options.innerHTML = '';
+    sheet.querySelector('.bottom-sheet-subtitle').textContent = `${config.icon} ${config.name}`;
+    addOption('＋ New session', () => {
+      close();
+      handOffMessage(text, mode, null);
+    });
+    try {
+      const res = await fetch(`/api/modes/${encodeURIComponent(mode)}/sessions`);
+      const data = await res.json();
+      for (const s of (data.sessions || []).slice(0, 5)) {
+        addOption(`${escapeHtml(s.title || 'Untitled')} <small>${formatRelativeTime(s.createdAt)}</small>`, () => {
+          close();
+          handOffMessage(text, mode, s.id);
+        });
+      }
+    } catch (e) {
+      console.error('Failed to load sessions:', e);
+    }
+  }
+
+  for (const [mode, config] of handoffTargetModes()) {
+    addOption(`${config.icon} ${escapeHtml(config.name)}`, () => showSessions(mode));
+  }
+
+  requestAnimationFrame(() => {
+    requestAnimationFrame(() => {
+      overlay.classList.add('visible');
+      sheet.classList.add('visible');
+    });
+  });
+}
+
+// Link the sessions on the server, open the target and send it the seed message
+async function handOffMessage(text, toMode, toSessionId) {
+  if (!ws || ws.readyState !== WebSocket.OPEN) {
+    toast('Not connected. Please try again.', true);
+    return;
+  }
+  const fromPath = `/api/modes/${encodeURIComponent(currentSessionMode)}/sessions/${encodeURIComponent(currentSessionId)}`;
+  try {
+    const res = await fetch(`${fromPath}/handoff`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ toMode, toSessionId, content: text })
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Handoff failed');
+
+    await showSessionPage(toMode, data.session.id);
+    const userEl = addSessionMessage('user', data.message);
+    sessionPageProcessing = true;
+    sendTagged({ type: 'mode_message', sparkMode: toMode, sessionId: data.session.id, text: data.message }, userEl, sessionMessagesEl, toMode);
+  } catch (e) {
+    console.error('Handoff failed:', e);
+    toast(e.message, true);
+  }
+}
+
+// "Handed off from" link at the top of a session that started as a handoff
+async function renderHandoffOrigin(mode, sessionId) {
+  try {
+    const res = await fetch(`/api/modes/${encodeURIComponent(mode)}/sessions?archived=true`);
+    const data = await res.json();
+    const from = (data.sessions || []).find(s => s.id === sessionId)?.handoffFrom;
+    if (!from || sessionId !== currentSessionId) return;
+
+    const config = getModeConfig(from.mode);
+    const link = document.createElement('button');
+    link.className = 'msg system session-handoff-origin';
+    link.textContent = `↪ Handed off from ${config.icon} ${config.name}`;
+    link.addEventListener('click', () => showSessionPage(from.mode, from.sessionId));
+    sessionMessagesEl.querySelector('.session-handoff-origin')?.remove();
+    sessionMessagesEl.prepend(link);
+  } catch (e) {
+    console.error('Failed to load handoff origin:', e);
+  }
+}
+
 // Restore session state from localStorage on load
 restoreSessionState();
 
@@ -3179,106 +4120,53 @@ function viewActiveSession(session) {
   send(`Show me the recent activity from the ${session.label || 'subagent'} session (key: ${session.key})`, 'chat');
 }
 
-// Dev Mode button - session-aware: go to session if exists, else open bottom sheet
-document.getElementById('devteam-btn')?.addEventListener('click', async () => {
-  // Check if there are any existing sessions for this mode
-  let hasSessions = false;
-  try {
-    const res = await fetch('/api/modes/dev/sessions');
-    const data = await res.json();
-    hasSessions = data.sessions && data.sessions.length > 0;
-  } catch { /* ignore */ }
-  
-  if (hasSessions) {
-    showSessionPage('dev');
-  } else {
-    createBottomSheet({
-      icon: '👨‍💻',
-      title: 'Dev Mode',
-      subtitle: 'Senior engineer — reads code, writes tests, commits',
-      placeholder: 'Describe the task or issue to fix...',
-      submitText: 'Start Dev Session',
-      onSubmit: async (text) => {
-        await showSessionPage('dev');
-        if (ws && ws.readyState === WebSocket.OPEN) {
-          addSessionMessage('user', text);
-          showSessionThinking();
-          sessionPageProcessing = true;
-          ws.send(JSON.stringify({ type: 'mode_message', sparkMode: 'dev', sessionId: currentSessionId, text }));
-        }
-      }
-    });
-  }
-});
+// Open a mode from its home screen button, according to its launcher:
+// sheet - session page if the mode has sessions, else a bottom sheet to start one
+// page - straight to the session page; videogen / reports - dedicated flows
+async function openMode(mode) {
+  const config = getModeConfig(mode);
 
-// Research Mode button - session-aware: go to session if exists, else open bottom sheet
-document.getElementById('researcher-btn')?.addEventListener('click', async () => {
-  // Check if there are any existing sessions for this mode
-  let hasSessions = false;
-  try {
-    const res = await fetch('/api/modes/research/sessions');
-    const data = await res.json();
-    hasSessions = data.sessions && data.sessions.length > 0;
-  } catch { /* ignore */ }
-  
-  if (hasSessions) {
-    showSessionPage('research');
-  } else {
-    createBottomSheet({
-      icon: '🔬',
-      title: 'Research Mode',
-      subtitle: 'Deep research with sources and analysis',
-      placeholder: 'What topic do you want to research?',
-      submitText: 'Start Research',
-      onSubmit: async (text) => {
-        await showSessionPage('research');
-        if (ws && ws.readyState === WebSocket.OPEN) {
-          addSessionMessage('user', text);
-          showSessionThinking();
-          sessionPageProcessing = true;
-          ws.send(JSON.stringify({ type: 'mode_message', sparkMode: 'research', sessionId: currentSessionId, text }));
-        }
-      }
-    });
+  if (config.launcher === 'videogen') {
+    showVideoGenModal();
+    return;
+  }
+  if (config.launcher === 'reports') {
+    showReportsPage(mode);
+    return;
+  }
+  if (config.launcher === 'page') {
+    showSessionPage(mode);
+    return;
   }
-});
 
-// Plan Mode button - session-aware: go to session if exists, else open bottom sheet
-document.getElementById('plan-btn')?.addEventListener('click', async () => {
   // Check if there are any existing sessions for this mode
   let hasSessions = false;
   try {
-    const res = await fetch('/api/modes/plan/sessions');
+    const res = await fetch(`/api/modes/${mode}/sessions`);
     const data = await res.json();
     hasSessions = data.sessions && data.sessions.length > 0;
   } catch { /* ignore */ }
   
   if (hasSessions) {
-    showSessionPage('plan');
+    showSessionPage(mode);
   } else {
     createBottomSheet({
-      icon: '📋',
-      title: 'Plan Mode',
-      subtitle: 'Technical specs with phases and risks',
-      placeholder: 'What do you want to plan?',
-      submitText: 'Start Planning',
+      icon: config.icon,
+      title: config.name,
+      subtitle: config.description,
+      placeholder: config.placeholder,
+      submitText: config.submitText,
       onSubmit: async (text) => {
-        await showSessionPage('plan');
+        await showSessionPage(mode);
         if (ws && ws.readyState === WebSocket.OPEN) {
-          addSessionMessage('user', text);
-          showSessionThinking();
+          const userEl = addSessionMessage('user', text);
           sessionPageProcessing = true;
-          ws.send(JSON.stringify({ type: 'mode_message', sparkMode: 'plan', sessionId: currentSessionId, text }));
+          sendTagged({ type: 'mode_message', sparkMode: mode, sessionId: currentSessionId, text }, userEl, sessionMessagesEl, mode);
         }
       }
     });
   }
-});
-
-// Video Gen button - show modal with 3 variants
-document.getElementById('videogen-btn')?.addEventListener('click', () => {
-  showVideoGenModal();
-});
+}
 
 /**
  * Video Gen modal - custom bottom sheet with workflow selection
@@ -3779,9 +4667,8 @@ function sendVideoGenWithImage(command, imageData) {
   messagesEl.scrollTop = messagesEl.scrollHeight;
   
   trackDisplayedMessage(command);
-  showThinking();
   
-  ws.send(JSON.stringify({ type: 'transcript', text: command, image: imageData, mode: 'chat' }));
+  sendTagged({ type: 'transcript', text: command, image: imageData, mode: 'chat' }, el, messagesEl);
 }
 
 // Send face swap request with image and video
@@ -3800,17 +4687,16 @@ function sendFaceSwapRequest(command, imageData, videoData, videoUrl) {
   messagesEl.scrollTop = messagesEl.scrollHeight;
   
   trackDisplayedMessage(command);
-  showThinking();
   
   // Send with both image and video data/url
-  ws.send(JSON.stringify({ 
+  sendTagged({ 
     type: 'transcript', 
     text: command, 
     image: imageData, 
     video: videoData,
     videoUrl: videoUrl,
     mode: 'chat' 
-  }));
+  }, el, messagesEl);
 }
 
 // Override send for articulations mode
@@ -3867,41 +4753,85 @@ async function sendArticulation(text) {
 // NOTE: Articulations mode reset is now handled directly in showIntroPage()
 // (removed monkey-patch pattern for cleaner code and to prevent state issues)
 
-// Today's Reports button - opens daily reports session page and loads today's reports
-document.getElementById('todays-reports-btn')?.addEventListener('click', async () => {
-  showSessionPage('dailyreports');
+// Reports launcher - opens the mode's session page with a browsable day of job reports
+async function showReportsPage(mode) {
+  await showSessionPage(mode);
 
-  // After showing session page, load today's reports as initial content
-  const loadingEl = document.createElement('div');
-  loadingEl.className = 'msg system';
-  loadingEl.textContent = 'Loading today\'s reports...';
-  sessionMessagesEl.appendChild(loadingEl);
+  const panel = document.createElement('div');
+  panel.className = 'reports-panel';
+  sessionMessagesEl.appendChild(panel);
+  await renderReportsDay(panel);
+}
 
-  try {
-    const response = await fetch('/api/reports/today');
-    const data = await response.json();
+// Shift a YYYY-MM-DD date by whole days
+function shiftDate(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
 
-    loadingEl.remove();
+// Render one day of reports into the panel: day navigation, type chips, then the reports
+// (date defaults to the server's today; type filters client-side so every chip stays visible)
+async function renderReportsDay(panel, date = null, type = null) {
+  panel.innerHTML = '<div class="msg system">Loading reports...</div>';
 
-    if (!data.reports?.length) {
-      // If no reports, show empty state message
-      addSessionMessage('bot', 'No reports found for today. Ask me to generate a market briefing!');
-      return;
-    }
+  let data;
+  try {
+    const res = await fetch(`/api/reports${date ? `?date=${date}` : ''}`);
+    data = await res.json();
+    if (!res.ok) throw new Error(data.error);
+  } catch (e) {
+    panel.innerHTML = '<div class="msg system">Failed to load reports</div>';
+    console.error('Failed to load reports:', e);
+    return;
+  }
 
-    // Show header
-    addSessionMessage('system', `📊 Today's Reports (${data.reports.length})`);
+  if (!date) panel.dataset.today = data.date;
+  date = data.date;
+  const isToday = date >= panel.dataset.today;
+  const types = [...new Set(data.reports.map(r => r.type))];
+  const reports = type ? data.reports.filter(r => r.type === type) : data.reports;
+  const dayLabel = new Date(`${date}T12:00:00Z`).toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC' });
+
+  panel.innerHTML = `
+    <div class="reports-nav">
+      <button class="reports-nav-btn" data-step="-1" aria-label="Previous day">‹</button>
+      <span class="reports-date">📊 ${isToday ? 'Today' : escapeHtml(dayLabel)}</span>
+      <button class="reports-nav-btn" data-step="1" aria-label="Next day" ${isToday ? 'disabled' : ''}>›</button>
+    </div>
+    ${types.length > 1 ? `<div class="reports-types">
+      ${['', ...types].map(t => `<button class="option-pill${(t || null) === type ? ' selected' : ''}" data-type="${escapeHtml(t)}">${escapeHtml(t || 'All')}</button>`).join('')}
+    </div>` : ''}
+  `;
 
-    // Display each report as a bot message
-    data.reports.forEach(r => {
-      addSessionMessage('bot', r.summary);
-    });
+  panel.querySelectorAll('.reports-nav-btn').forEach(btn => {
+    btn.addEventListener('click', () => renderReportsDay(panel, shiftDate(date, Number(btn.dataset.step))));
+  });
+  panel.querySelectorAll('.reports-types .option-pill').forEach(btn => {
+    btn.addEventListener('click', () => renderReportsDay(panel, date, btn.dataset.type || null));
+  });
 
-  } catch (e) {
-    loadingEl.textContent = 'Failed to load reports';
-    console.error('Failed to load reports:', e);
+  if (reports.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'msg bot';
+    empty.innerHTML = formatMessage(isToday
+      ? 'No reports yet today. Ask me to generate a market briefing!'
+      : 'No reports for this day.');
+    panel.appendChild(empty);
+    return;
   }
-});
+
+  for (const report of reports) {
+    const time = new Date(report.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    const header = document.createElement('div');
+    header.className = 'msg system';
+    header.textContent = `${report.title} · ${time}`;
+    const body = document.createElement('div');
+    body.className = 'msg bot';
+    body.innerHTML = formatMessage(report.status === 'error' ? `⚠️ Failed: ${report.error}` : report.content);
+    panel.append(header, body);
+  }
+}
 
 // File upload with preview
 const attachmentPreview = document.getElementById('attachment-preview');
@@ -3971,7 +4901,6 @@ submitText = async function() {
   const text = textInput?.value.trim() || '';
   
   if (!text && !pendingAttachment) return;
-  if (isProcessing) return;
   
   let messageText = text;
   let imageData = null;
@@ -4038,9 +4967,8 @@ function sendWithImage(text, imageData) {
   
   // Show user message with image indicator
   const userMsg = addMsg(text + ' 📷', 'user', { userInitiated: true });
-  showThinking();
   
-  ws.send(JSON.stringify({ type: 'transcript', text, image: imageData, mode: 'chat' }));
+  sendTagged({ type: 'transcript', text, image: imageData, mode: 'chat' }, userMsg, messagesEl);
 }
 
 // Send message with file attachment (PDF, DOCX, etc.)
@@ -4053,7 +4981,6 @@ function sendWithFile(text, fileAttachment) {
   
   // Show user message with file indicator
   const userMsg = addMsg(text + ` 📄 ${fileAttachment.filename}`, 'user', { userInitiated: true });
-  showThinking();
   
-  ws.send(JSON.stringify({ type: 'transcript', text, file: fileAttachment, mode: 'chat' }));
+  sendTagged({ type: 'transcript', text, file: fileAttachment, mode: 'chat' }, userMsg, messagesEl);
 }
@@ -0,0 +1,135 @@
+/**
+ * ClawChat - Push Notifications
+ *
+ * Service worker registration and per-mode Web Push opt-in. The server keeps
+ * one subscription per device with a list of scopes (mode ids, plus 'main');
+ * its id is remembered in localStorage so scopes can be changed later.
+ */
+
+const SUBSCRIPTION_KEY = 'pushSubscriptionId';
+
+let registrationPromise = null;
+
+/**
+ * Whether this browser can receive Web Push
+ * @returns {boolean}
+ */
+export function isPushSupported() {
+  return 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+}
+
+/**
+ * Register sw.js (once)
+ * @returns {Promise<ServiceWorkerRegistration|null>}
+ */
+export function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return Promise.resolve(null);
+  if (!registrationPromise) {
+    registrationPromise = navigator.serviceWorker.register('sw.js').catch(e => {
+      console.error('Service worker registration failed:', e);
+      registrationPromise = null;
+      return null;
+    });
+  }
+  return registrationPromise;
+}
+
+/**
+ * Listen for 'open' requests from the service worker (notification taps)
+ * @param {Function} callback - Called with the URL to open
+ */
+export function onNotificationOpen(callback) {
+  navigator.serviceWorker?.addEventListener('message', (event) => {
+    if (event.data?.type === 'open' && event.data.url) callback(event.data.url);
+  });
+}
+
+function base64UrlToBytes(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(value.length / 4) * 4, '=');
+  return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+}
+
+/**
+ * Scopes this device is subscribed to ([] if not subscribed)
+ * @returns {Promise<string[]>}
+ */
+export async function getPushScopes() {
+  const id = localStorage.getItem(SUBSCRIPTION_KEY);
+  if (!id) return [];
+  try {
+    const res = await fetch(`/api/push/subscriptions/${encodeURIComponent(id)}`);
+    if (res.status === 404) {
+      localStorage.removeItem(SUBSCRIPTION_KEY);
+      return [];
+    }
+    const data = await res.json();
+    return data.scopes || [];
+  } catch (e) {
+    console.error('Failed to load push scopes:', e);
+    return [];
+  }
+}
+
+/**
+ * Get (or create) this device's PushSubscription and register it with the server
+ * @param {string[]} scopes - Scopes to register with
+ * @returns {Promise<string[]>} - Scopes the server stored
+ */
+async function subscribe(scopes) {
+  const permission = await Notification.requestPermission();
+  if (permission !== 'granted') throw new Error('Notifications are blocked for this site');
+
+  const registration = await registerServiceWorker();
+  if (!registration) throw new Error('Service worker unavailable');
+  await navigator.serviceWorker.ready;
+
+  let subscription = await registration.pushManager.getSubscription();
+  if (!subscription) {
+    const { publicKey } = await (await fetch('/api/push/key')).json();
+    subscription = await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: base64UrlToBytes(publicKey)
+    });
+  }
+
+  const res = await fetch('/api/push/subscriptions', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ subscription: subscription.toJSON(), scopes })
+  });
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || 'Subscription failed');
+  localStorage.setItem(SUBSCRIPTION_KEY, data.id);
+  return data.scopes;
+}
+
+/**
+ * Turn notifications for one scope (mode id or 'main') on or off for this device
+ * @param {string} scope
+ * @param {boolean} enabled
+ * @returns {Promise<string[]>} - The device's scopes afterwards
+ */
+export async function setPushScope(scope, enabled) {
+  const current = await getPushScopes();
+  const scopes = enabled
+    ? [...new Set([...current, scope])]
+    : current.filter(s => s !== scope);
+
+  const id = localStorage.getItem(SUBSCRIPTION_KEY);
+  if (!id) {
+    return enabled ? subscribe(scopes) : [];
+  }
+
+  const res = await fetch(`/api/push/subscriptions/${encodeURIComponent(id)}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ scopes })
+  });
+  if (res.status === 404) {
+    localStorage.removeItem(SUBSCRIPTION_KEY);
+    return enabled ? subscribe(scopes) : [];
+  }
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || 'Failed to update notifications');
+  return data.scopes;
+}
@@ -33,6 +33,16 @@ export function isMessageDisplayed(text) {
   return displayedMessageHashes.has(hashMessageContent(text));
 }
 
+/**
+ * New client message id (sent as messageId, echoed on the server's reply frames)
+ * @returns {string}
+ */
+export function createMessageId() {
+  if (crypto.randomUUID) return crypto.randomUUID();
+  // randomUUID needs a secure context; plain-HTTP LAN access falls back here
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
 /**
  * Escape a string for safe insertion into HTML
  * @param {string} str - Raw string
@@ -162,6 +172,49 @@ export function formatFileSize(bytes) {
   return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
 }
 
+/**
+ * Format seconds as a clock position
+ * @param {number} seconds
+ * @returns {string} m:ss, or h:mm:ss past an hour
+ */
+export function formatClock(seconds) {
+  const total = Math.floor(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+function formatDuration(ms) {
+  return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+}
+
+/**
+ * Collapsible list of the tool steps behind a mode reply (progress frame / history `timeline` steps)
+ * @param {Array<Object>} steps - { tool, args, endedAt?, durationMs?, resultChars?, error? }
+ * @param {boolean} [open=false] - Render expanded
+ * @returns {string} HTML, empty without steps
+ */
+export function renderToolTimeline(steps, open = false) {
+  if (!steps?.length) return '';
+  const failed = steps.filter(s => s.error).length;
+  const items = steps.map(step => {
+    const state = step.error ? 'error' : (step.endedAt != null ? 'done' : 'running');
+    const meta = [
+      step.durationMs != null ? formatDuration(step.durationMs) : (state === 'running' ? 'running…' : ''),
+      step.resultChars != null ? `${step.resultChars.toLocaleString()} chars` : ''
+    ].filter(Boolean).join(' · ');
+    return `<li class="tool-step ${state}">
+      <span class="tool-step-name">${escapeHtml(step.tool)}</span>
+      ${step.args ? `<code class="tool-step-args">${escapeHtml(step.args)}</code>` : ''}
+      ${meta ? `<span class="tool-step-meta">${meta}</span>` : ''}
+      ${step.error ? `<div class="tool-step-error">${escapeHtml(step.error)}</div>` : ''}
+    </li>`;
+  }).join('');
+  const summary = `${steps.length} step${steps.length === 1 ? '' : 's'}${failed ? ` · ${failed} failed` : ''}`;
+  return `<details class="tool-timeline"${open ? ' open' : ''}><summary>🛠 ${summary}</summary><ol>${items}</ol></details>`;
+}
+
 /**
  * Extract text from message content (handles various formats)
  * @param {Object} msg - Message object with content field
@@ -0,0 +1,53 @@
+/**
+ * ClawChat - Service Worker
+ *
+ * Shows Web Push notifications (see src/services/push.js) and opens the
+ * mode session they point at when tapped. Payload: { title, body, url, tag }.
+ */
+
+// Resolve a server path ('/?mode=dev&session=...') against the app's scope,
+// so deep links keep working when ClawChat is served from a subpath
+function appUrl(path) {
+  return new URL((path || '/').replace(/^\/+/, ''), self.registration.scope).href;
+}
+
+self.addEventListener('install', () => self.skipWaiting());
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+
+self.addEventListener('push', (event) => {
+  let data = {};
+  try {
+    data = event.data ? event.data.json() : {};
+  } catch {
+    data = { body: event.data?.text() };
+  }
+
+  event.waitUntil((async () => {
+    // The app is open and in front - it already shows the reply
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    if (windows.some(client => client.focused && client.visibilityState === 'visible')) return;
+
+    await self.registration.showNotification(data.title || 'ClawChat', {
+      body: data.body || '',
+      tag: data.tag,
+      renotify: !!data.tag,
+      data: { url: appUrl(data.url) }
+    });
+  })());
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = event.notification.data?.url || appUrl('/');
+
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const client = windows.find(c => c.url.startsWith(self.registration.scope));
+    if (client) {
+      // Let the running app navigate in place (keeps its WebSocket)
+      client.postMessage({ type: 'open', url });
+      return client.focus();
+    }
+    return self.clients.openWindow(url);
+  })());
+});
@@ -1,17 +1,33 @@
 /**
  * Configuration loader
- * Loads from environment, .env file, and clawdbot auth stores
+ * Loads from environment, .env file, clawchat.config.json and clawdbot auth stores
+ *
+ * Every setting is declared once in CONFIG_SCHEMA with its env variable,
+ * type and default. Precedence: environment > config file > default.
+ * Invalid values fall back to the default; problems are collected into a
+ * report that the server prints at startup (getConfigReport).
+ *
+ * The config file (CLAWCHAT_CONFIG, default ./clawchat.config.json) mirrors
+ * the nested shape of the config object, e.g. { "identity": { "timezone": "Europe/Berlin" } }.
  */
 
-import { readFileSync, existsSync } from 'fs';
+import { readFileSync, existsSync, statSync, accessSync, constants as fsConstants } from 'fs';
+import { homedir } from 'os';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
 import { config as dotenvConfig } from 'dotenv';
 
 // Load .env if present
 dotenvConfig();
 
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const HOME = homedir();
+
+// Timezone and locale of the host, used until the instance's own are configured
+const HOST_FORMAT = Intl.DateTimeFormat().resolvedOptions();
+
 // Load gateway token from clawdbot config
-function loadGatewayToken() {
-  const configPath = '/home/heisenberg/.clawdbot/clawdbot.json';
+function loadGatewayToken(configPath) {
   if (existsSync(configPath)) {
     try {
       const config = JSON.parse(readFileSync(configPath, 'utf8'));
@@ -21,10 +37,21 @@ function loadGatewayToken() {
   return null;
 }
 
+// Load the OpenAI (Whisper) key from the clawdbot skills config
+function loadWhisperKey(configPath) {
+  if (existsSync(configPath)) {
+    try {
+      const config = JSON.parse(readFileSync(configPath, 'utf8'));
+      return config.skills?.entries?.['openai-whisper-api']?.apiKey;
+    } catch {}
+  }
+  return null;
+}
+
 // Helper to load key from clawdbot auth
-function loadAuthKey(provider) {
+function loadAuthKey(paths, provider) {
   // Try auth-profiles.json first (clawdbot standard)
-  const profilesPath = '/home/heisenberg/.clawdbot/agents/main/agent/auth-profiles.json';
+  const profilesPath = join(paths.clawdbotDir, 'agents', 'main', 'agent', 'auth-profiles.json');
   if (existsSync(profilesPath)) {
     try {
       const data = JSON.parse(readFileSync(profilesPath, 'utf8'));
@@ -36,53 +63,307 @@ function loadAuthKey(provider) {
       }
     } catch {}
   }
-  
+
   // Fallback to simple key file
-  const keyPath = `/home/heisenberg/.clawdbot/auth/${provider}.key`;
+  const keyPath = join(paths.clawdbotDir, 'auth', `${provider}.key`);
   if (existsSync(keyPath)) {
     return readFileSync(keyPath, 'utf8').trim();
   }
-  
+
   return null;
 }
 
+// ============================================================================
+// Schema
+// ============================================================================
+
+/**
+ * Value types: parse(raw) returns the typed value or throws with a reason
+ */
+const TYPES = {
+  string: (v) => String(v),
+  int: (v) => {
+    const n = Number(v);
+    if (!Number.isInteger(n)) throw new Error('expected an integer');
+    return n;
+  },
+  port: (v) => {
+    const n = Number(v);
+    if (!Number.isInteger(n) || n < 0 || n > 65535) throw new Error('expected a port number (0-65535)');
+    return n;
+  },
+  bool: (v) => {
+    if (typeof v === 'boolean') return v;
+    if (['true', '1', 'yes'].includes(String(v).toLowerCase())) return true;
+    if (['false', '0', 'no'].includes(String(v).toLowerCase())) return false;
+    throw new Error('expected true or false');
+  },
+  path: (v) => String(v).replace(/^~(?=$|\/)/, HOME),
+  url: (v) => {
+    const url = new URL(String(v));
+    if (!['http:', 'https:'].includes(url.protocol)) throw new Error('expected an http(s) URL');
+    return String(v).replace(/\/+$/, '');
+  },
+  timezone: (v) => {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: String(v) });
+    } catch {
+      throw new Error('unknown IANA timezone');
+    }
+    return String(v);
+  },
+  locale: (v) => {
+    if (Intl.DateTimeFormat.supportedLocalesOf([String(v)]).length === 0) throw new Error('unsupported locale');
+    return String(v);
+  },
+  phone: (v) => {
+    if (!/^\+\d{6,15}$/.test(String(v))) throw new Error('expected an E.164 number like +6512345678');
+    return String(v);
+  },
+  mac: (v) => {
+    if (!/^([0-9a-f]{2}[:-]){5}[0-9a-f]{2}$/i.test(String(v))) throw new Error('expected a MAC address like AA:BB:CC:DD:EE:FF');
+    return String(v).toUpperCase();
+  },
+  list: (v) => (Array.isArray(v) ? v : String(v).split(',')).map(s => String(s).trim()).filter(Boolean),
+  sessionId: (v) => {
+    if (!/^[\w-]+$/.test(String(v))) throw new Error('expected a session id');
+    return String(v);
+  },
+};
+
+/**
+ * Setting declarations, resolved in order (defaults may depend on earlier settings).
+ * - env: environment variable name
+ * - type: key of TYPES
+ * - default: value or (config) => value
+ * - check: for paths, 'file' | 'dir' | 'exec' - reported if missing
+ * - secret: never printed in the report
+ * - values: allowed values (for lists: allowed items)
+ * - required: per-instance setting; reported if neither env nor the config file sets it
+ */
+const CONFIG_SCHEMA = [
+  { key: 'port', env: 'PORT', type: 'port', default: 3456 },
+
+  // Filesystem
+  { key: 'paths.clawdbotDir', env: 'CLAWDBOT_DIR', type: 'path', default: join(HOME, '.clawdbot'), check: 'dir' },
+  { key: 'paths.clawdbotConfig', env: 'CLAWDBOT_CONFIG', type: 'path', default: (c) => join(c.paths.clawdbotDir, 'clawdbot.json'), check: 'file' },
+  { key: 'paths.sessionsDir', env: 'SESSIONS_DIR', type: 'path', default: (c) => join(c.paths.clawdbotDir, 'agents', 'main', 'sessions'), check: 'dir' },
+  { key: 'paths.openclawPath', env: 'OPENCLAW_PATH', type: 'path', default: join(HOME, '.npm-global', 'bin', 'openclaw'), check: 'exec' },
+  { key: 'paths.openclawConfig', env: 'OPENCLAW_CONFIG', type: 'path', default: join(HOME, '.openclaw', 'openclaw.json') },
+  { key: 'paths.workspaceDir', env: 'WORKSPACE_DIR', type: 'path', default: join(HOME, 'clawd'), check: 'dir' },
+  { key: 'paths.googleCredentials', env: 'GOOGLE_CREDENTIALS', type: 'path', default: (c) => join(c.paths.clawdbotDir, 'google', 'credentials.json'), check: 'file' },
+  { key: 'paths.modeSessionsDir', env: 'MODE_SESSIONS_DIR', type: 'path', default: join(ROOT, 'mode-sessions') },
+  { key: 'paths.searchIndexDir', env: 'SEARCH_INDEX_DIR', type: 'path', default: join(ROOT, 'search-index') },
+  { key: 'paths.voiceNotesDir', env: 'VOICE_NOTES_DIR', type: 'path', default: join(ROOT, 'notes') }, // Recorded voice note audio
+  { key: 'paths.modesDir', env: 'MODES_DIR', type: 'path', default: join(ROOT, 'modes'), check: 'dir' }, // Mode definitions (<id>.json)
+  { key: 'paths.jobsFile', env: 'JOBS_FILE', type: 'path', default: join(ROOT, 'jobs.json') }, // Scheduled jobs (see jobs.example.json)
+  { key: 'paths.reportsDir', env: 'REPORTS_DIR', type: 'path', default: join(ROOT, 'reports') }, // Job results, one file per day
+  { key: 'paths.pendingRequestsFile', env: 'PENDING_REQUESTS_FILE', type: 'path', default: join(ROOT, 'pending-requests.json') }, // In-flight and unread replies (survives restarts)
+  { key: 'paths.pushDir', env: 'PUSH_DIR', type: 'path', default: join(ROOT, 'push') }, // Push subscriptions and generated VAPID keys
+  { key: 'paths.authDir', env: 'AUTH_DIR', type: 'path', default: join(ROOT, 'auth') }, // Device sessions and generated signing secret
+
+  // Who this instance belongs to - no owner defaults, each instance sets its own
+  { key: 'identity.userName', env: 'USER_NAME', type: 'string', default: 'User', required: true },
+  { key: 'identity.mainTarget', env: 'MAIN_TARGET', type: 'phone', default: null, required: true }, // `openclaw agent --to` - routes to the main session
+  { key: 'identity.mainSessionId', env: 'MAIN_SESSION_ID', type: 'sessionId', default: null, required: true }, // Fallback when sessions.json has no usable entry
+  { key: 'identity.timezone', env: 'TIMEZONE', type: 'timezone', default: HOST_FORMAT.timeZone || 'UTC', required: true },
+  { key: 'identity.locale', env: 'LOCALE', type: 'locale', default: HOST_FORMAT.locale || 'en-US' },
+
+  { key: 'wol.pcMacAddress', env: 'PC_MAC_ADDRESS', type: 'mac', default: null, required: true },
+
+  { key: 'llm.provider', type: 'string', default: 'clawdbot' }, // Route through Clawdbot gateway
+  { key: 'llm.gatewayUrl', env: 'GATEWAY_URL', type: 'url', default: 'http://localhost:18789' },
+  { key: 'llm.gatewayToken', env: 'GATEWAY_TOKEN', type: 'string', default: (c) => loadGatewayToken(c.paths.clawdbotConfig), secret: true },
+  { key: 'gateway.hookToken', env: 'GATEWAY_HOOK_TOKEN', type: 'string', default: null, secret: true }, // Gateway webhooks (/hooks/agent, /api/status, /api/agents/chat)
+
+  { key: 'tts.provider', env: 'TTS_PROVIDER', type: 'string', default: 'elevenlabs' },
+  { key: 'tts.apiKey', env: 'ELEVENLABS_API_KEY', type: 'string', default: (c) => loadAuthKey(c.paths, 'elevenlabs'), secret: true },
+  { key: 'tts.voiceId', env: 'TTS_VOICE_ID', type: 'string', default: 'pNInz6obpgDQGcFmaJgB' }, // Adam
+  { key: 'tts.model', env: 'TTS_MODEL', type: 'string', default: 'eleven_turbo_v2_5' },
+
+  // Speech-to-text for voice notes (src/providers/stt.js); tried in order provider, then fallback
+  { key: 'stt.provider', env: 'STT_PROVIDER', type: 'string', default: 'openai', values: ['openai', 'deepgram', 'local'] },
+  { key: 'stt.fallback', env: 'STT_FALLBACK', type: 'list', default: ['openai', 'deepgram', 'local'], values: ['openai', 'deepgram', 'local'] },
+  { key: 'stt.apiKey', env: 'DEEPGRAM_API_KEY', type: 'string', default: (c) => loadAuthKey(c.paths, 'deepgram'), secret: true },
+  { key: 'stt.deepgramModel', env: 'DEEPGRAM_MODEL', type: 'string', default: 'nova-2' },
+  { key: 'stt.openaiApiKey', env: 'OPENAI_API_KEY', type: 'string', default: (c) => loadWhisperKey(c.paths.clawdbotConfig), secret: true },
+  { key: 'stt.openaiModel', env: 'OPENAI_STT_MODEL', type: 'string', default: 'whisper-1' },
+  { key: 'stt.localCommand', env: 'STT_LOCAL_COMMAND', type: 'string', default: null }, // Shell command; {input} = audio file, transcript on stdout
+  { key: 'stt.ffmpegPath', env: 'FFMPEG_PATH', type: 'path', default: 'ffmpeg' }, // Converts audio to 16 kHz WAV for the local backend
+
+  { key: 'avatar.type', env: 'AVATAR_TYPE', type: 'string', default: 'robot', values: ['robot', 'talkinghead', 'custom'] },
+  { key: 'avatar.model', env: 'AVATAR_MODEL', type: 'string', default: null },
+
+  { key: 'auth.password', env: 'PORTAL_PASSWORD', type: 'string', default: null, secret: true },
+  { key: 'auth.passwordHash', env: 'PORTAL_PASSWORD_HASH', type: 'string', default: null, secret: true }, // scrypt:<salt>:<hash>
+  { key: 'auth.secret', env: 'AUTH_SECRET', type: 'string', default: null, secret: true }, // Token signing key; generated in authDir if unset
+
+  // Web Push (src/services/push.js); keys are generated in pushDir if unset
+  { key: 'push.vapidPublicKey', env: 'VAPID_PUBLIC_KEY', type: 'string', default: null },
+  { key: 'push.vapidPrivateKey', env: 'VAPID_PRIVATE_KEY', type: 'string', default: null, secret: true },
+  { key: 'push.subject', env: 'VAPID_SUBJECT', type: 'string', default: 'mailto:clawchat@localhost' }, // Contact for push services (mailto: or https:)
+
+  { key: 'elevenlabs.agentId', env: 'ELEVENLABS_AGENT_ID', type: 'string', default: null },
+
+  { key: 'features.interruptible', type: 'bool', default: true },
+  { key: 'features.streamAudio', type: 'bool', default: true },
+  { key: 'features.saveHistory', type: 'bool', default: false },
+  { key: 'features.streamReplies', env: 'STREAM_REPLIES', type: 'bool', default: true }, // text_delta frames via gateway /v1/chat/completions
+  { key: 'features.sessionSummaries', env: 'SESSION_SUMMARIES', type: 'bool', default: true }, // LLM titles + rolling summaries for mode sessions
+];
+
+// ============================================================================
+// Resolution
+// ============================================================================
+
+function getPath(obj, key) {
+  return key.split('.').reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+
+function setPath(obj, key, value) {
+  const parts = key.split('.');
+  let o = obj;
+  for (const part of parts.slice(0, -1)) {
+    o[part] ??= {};
+    o = o[part];
+  }
+  o[parts.at(-1)] = value;
+}
+
+/**
+ * Report a configured path that doesn't exist (or isn't executable)
+ */
+function checkPath(path, check) {
+  try {
+    if (check === 'dir') {
+      if (!statSync(path).isDirectory()) return 'not a directory';
+    } else if (check === 'file') {
+      if (!statSync(path).isFile()) return 'not a file';
+    } else if (check === 'exec') {
+      accessSync(path, fsConstants.X_OK);
+    }
+    return null;
+  } catch (e) {
+    return e.code === 'EACCES' ? 'not executable' : 'not found';
+  }
+}
+
+/**
+ * Collect leaf keys of the config file that aren't in the schema
+ */
+function unknownFileKeys(obj, prefix = '') {
+  const known = new Set(CONFIG_SCHEMA.map(s => s.key));
+  const unknown = [];
+  for (const [k, v] of Object.entries(obj || {})) {
+    const key = prefix ? `${prefix}.${k}` : k;
+    if (known.has(key)) continue;
+    if (v && typeof v === 'object' && !Array.isArray(v)) unknown.push(...unknownFileKeys(v, key));
+    else unknown.push(key);
+  }
+  return unknown;
+}
+
+let resolved = null;
+
+/**
+ * Resolve all settings from env, the config file and defaults
+ * @returns {{config: object, report: object}}
+ */
+function resolveConfig() {
+  const file = process.env.CLAWCHAT_CONFIG || join(ROOT, 'clawchat.config.json');
+  const issues = [];
+  const sources = { env: 0, file: 0 };
+
+  let fileValues = {};
+  let fileLoaded = false;
+  if (existsSync(file)) {
+    try {
+      fileValues = JSON.parse(readFileSync(file, 'utf8'));
+      fileLoaded = true;
+    } catch (e) {
+      issues.push({ level: 'error', key: file, message: `invalid JSON, ignoring file (${e.message})` });
+    }
+  } else if (process.env.CLAWCHAT_CONFIG) {
+    issues.push({ level: 'error', key: 'CLAWCHAT_CONFIG', message: `config file not found: ${file}` });
+  }
+  for (const key of unknownFileKeys(fileValues)) {
+    issues.push({ level: 'warn', key, message: 'unknown setting in config file' });
+  }
+
+  const config = {};
+  for (const setting of CONFIG_SCHEMA) {
+    const label = setting.env ? `${setting.key} (${setting.env})` : setting.key;
+    const fallback = typeof setting.default === 'function' ? setting.default(config) : setting.default;
+
+    let raw;
+    let source = null;
+    if (setting.env && process.env[setting.env] !== undefined && process.env[setting.env] !== '') {
+      raw = process.env[setting.env];
+      source = 'env';
+    } else if (getPath(fileValues, setting.key) != null) {
+      raw = getPath(fileValues, setting.key);
+      source = 'file';
+    }
+
+    let value = fallback ?? null;
+    if (source) {
+      try {
+        value = TYPES[setting.type](raw);
+        const items = Array.isArray(value) ? value : [value];
+        if (setting.values && !items.every(item => setting.values.includes(item))) {
+          throw new Error(`expected ${Array.isArray(value) ? 'items from' : 'one of'} ${setting.values.join(', ')}`);
+        }
+        sources[source]++;
+      } catch (e) {
+        const shown = setting.secret ? '(hidden)' : JSON.stringify(raw);
+        issues.push({ level: 'error', key: label, message: `invalid value ${shown}: ${e.message} - using default` });
+      }
+    }
+
+    if (setting.required && !source) {
+      issues.push({ level: 'warn', key: label, message: value == null ? 'not set' : `not set - using ${value}` });
+    }
+
+    if (setting.check && value) {
+      const problem = checkPath(value, setting.check);
+      if (problem) issues.push({ level: 'warn', key: label, message: `${problem}: ${value}` });
+    }
+
+    setPath(config, setting.key, value);
+  }
+
+  if (!config.llm.gatewayToken) {
+    issues.push({ level: 'warn', key: 'llm.gatewayToken (GATEWAY_TOKEN)', message: `not set and not found in ${config.paths.clawdbotConfig}` });
+  }
+  if (!config.gateway.hookToken) {
+    issues.push({ level: 'warn', key: 'gateway.hookToken (GATEWAY_HOOK_TOKEN)', message: 'not set - gateway status checks and webhooks will be refused' });
+  }
+
+  return { config, report: { file, fileLoaded, sources, issues } };
+}
+
+/**
+ * Load configuration (cached after the first call)
+ */
 export function loadConfig() {
-  return {
-    port: parseInt(process.env.PORT || '3456'),
-    
-    llm: {
-      provider: 'clawdbot',  // Route through Clawdbot gateway
-      gatewayUrl: process.env.GATEWAY_URL || 'http://localhost:18789',
-      gatewayToken: process.env.GATEWAY_TOKEN || loadGatewayToken(),
-    },
-    
-    tts: {
-      provider: process.env.TTS_PROVIDER || 'elevenlabs',
-      apiKey: process.env.ELEVENLABS_API_KEY || loadAuthKey('elevenlabs'),
-      voiceId: process.env.TTS_VOICE_ID || 'pNInz6obpgDQGcFmaJgB', // Adam
-      model: process.env.TTS_MODEL || 'eleven_turbo_v2_5',
-    },
-    
-    stt: {
-      provider: process.env.STT_PROVIDER || 'browser', // browser | deepgram | whisper
-      apiKey: process.env.DEEPGRAM_API_KEY || loadAuthKey('deepgram'),
-    },
-    
-    avatar: {
-      type: process.env.AVATAR_TYPE || 'robot', // robot | talkinghead | custom
-      model: process.env.AVATAR_MODEL || null,
-    },
-    
-    elevenlabs: {
-      agentId: process.env.ELEVENLABS_AGENT_ID || null,
-    },
-
-    features: {
-      interruptible: true,
-      streamAudio: true,
-      saveHistory: false,
-    },
-  };
+  if (!resolved) resolved = resolveConfig();
+  return resolved.config;
+}
+
+/**
+ * Shared config for modules that read settings at import time
+ */
+export function getConfig() {
+  return loadConfig();
+}
+
+/**
+ * Startup report: where settings came from and any missing/invalid values
+ * @returns {{file: string, fileLoaded: boolean, sources: {env: number, file: number}, issues: Array<{level, key, message}>}}
+ */
+export function getConfigReport() {
+  loadConfig();
+  return resolved.report;
 }
 
 // Default system prompt removed - voice/chat prompts are defined inline in server.js and realtime handlers
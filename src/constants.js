@@ -18,6 +18,27 @@ export const CHAT_TIMEOUT_MS = 5 * 60 * 1000;
 /** Speaking timeout - max time to suppress mic input during TTS playback */
 export const SPEAKING_TIMEOUT_MS = 30000;
 
+/** Default voice tool timeout when a tool module doesn't set timeoutMs (15s) */
+export const TOOL_TIMEOUT_MS = 15000;
+
+/** How long a calendar change preview stays confirmable by voice (2 minutes) */
+export const CALENDAR_CONFIRM_TTL_MS = 2 * 60 * 1000;
+
+/** Hosted speech-to-text request timeout (OpenAI, Deepgram) */
+export const STT_REQUEST_TIMEOUT_MS = 60000;
+
+/** Local speech-to-text subprocess timeout (whisper.cpp / faster-whisper, 5 minutes) */
+export const STT_LOCAL_TIMEOUT_MS = 5 * 60 * 1000;
+
+/** Gateway request timeout for mode session titles and summaries */
+export const SESSION_SUMMARY_TIMEOUT_MS = 30000;
+
+/** Web Push delivery request timeout */
+export const PUSH_REQUEST_TIMEOUT_MS = 10000;
+
+/** How long a push service keeps an undelivered notification (1 day) */
+export const PUSH_TTL_SECONDS = 24 * 60 * 60;
+
 // ============================================================================
 // WebSocket
 // ============================================================================
@@ -31,6 +52,9 @@ export const WS_HEARTBEAT_INTERVAL_MS = 15000;
 /** WebSocket heartbeat pong timeout */
 export const WS_HEARTBEAT_TIMEOUT_MS = 10000;
 
+/** Frames kept per session outbox for replay on reconnect (oldest dropped first) */
+export const OUTBOX_MAX_FRAMES = 500;
+
 // ============================================================================
 // Session & Sync
 // ============================================================================
@@ -47,9 +71,68 @@ export const SYNC_POLL_INTERVAL_MS = 1000;
 /** Sync debounce time for file watcher events */
 export const SYNC_DEBOUNCE_MS = 100;
 
+/** Messages the first sync poll after a main-session rotation looks back */
+export const SYNC_ROTATION_BACKFILL_MESSAGES = 200;
+
+/** Transcript bytes kept parsed in memory, by file size (least recently read dropped first) */
+export const TRANSCRIPT_CACHE_MAX_BYTES = 64 * 1024 * 1024;
+
+/** Newest messages per channel a transcript summary keeps (the unified feed shows 100) */
+export const TRANSCRIPT_SUMMARY_MESSAGES = 100;
+
+/** Newest report-like replies a transcript summary keeps (for /api/reports/today) */
+export const TRANSCRIPT_SUMMARY_REPORTS = 20;
+
+/** Headings of the briefings an external cron posts into sessions (/api/reports/today) */
+export const REPORT_TEXT_PATTERNS = [
+  '☀️ MORNING',
+  '📊 MARKET RECAP',
+  '🔬 SCIENCE UPDATE',
+  '🌍 GEOPOLITICS',
+  '📈 PRE-MARKET',
+  '🤖 AI/TECH',
+  'MORNING BRIEFING',
+  'MARKET RECAP',
+  'SCIENCE UPDATE',
+  'GEOPOLITICS UPDATE',
+  'PRE-MARKET BRIEFING',
+  'AI/TECH EVENING'
+];
+
+/** Bytes read per step when a transcript is first parsed */
+export const TRANSCRIPT_READ_CHUNK_BYTES = 8 * 1024 * 1024;
+
+/** Mode sessions one client can follow live at once (WS mode_subscribe) */
+export const MODE_SYNC_MAX_SUBSCRIPTIONS = 10;
+
 /** Max cached message hashes for dedup */
 export const MAX_HASH_CACHE = 100;
 
+/** How long finished requests stay fetchable via /api/requests/:id (24 hours) */
+export const PENDING_REQUEST_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+/** Transcript poll interval while waiting on a request interrupted by a restart */
+export const PENDING_REATTACH_POLL_MS = 2000;
+
+/** Delay before pending-request changes are written, so a burst of them is one write */
+export const PENDING_REQUEST_SAVE_DELAY_MS = 200;
+
+/** Characters of a prompt kept once its request has finished (and used to find its turn) */
+export const PENDING_PROMPT_PREVIEW_CHARS = 200;
+
+// ============================================================================
+// Auth
+// ============================================================================
+
+/** Device session lifetime (90 days) - cookie Max-Age and token expiry */
+export const AUTH_SESSION_MAX_AGE_MS = 90 * 24 * 60 * 60 * 1000;
+
+/** Failed logins per IP before lockout */
+export const AUTH_MAX_LOGIN_FAILURES = 5;
+
+/** Login lockout window (15 minutes) */
+export const AUTH_LOCKOUT_MS = 15 * 60 * 1000;
+
 // ============================================================================
 // Content Limits
 // ============================================================================
@@ -60,5 +143,44 @@ export const MAX_FILE_TEXT_CLI = 30000;
 /** Max extracted text length for direct API */
 export const MAX_FILE_TEXT_API = 50000;
 
+/** Max text stored per message in the search index */
+export const SEARCH_MAX_TEXT = 8000;
+
+/** Search result snippet length */
+export const SEARCH_SNIPPET_LENGTH = 160;
+
+/** Delay before search index changes are written, so a run of searches is one write */
+export const SEARCH_INDEX_SAVE_DELAY_MS = 5000;
+
 /** TTS audio chunk size (~0.5 seconds of PCM16 audio) */
 export const AUDIO_CHUNK_SIZE = 24000;
+
+/** Largest recording sent to the OpenAI transcription API in one request (25 MB API limit) */
+export const STT_OPENAI_MAX_BYTES = 25 * 1024 * 1024;
+
+/** Chunk length when a recording exceeds a provider's upload limit (10 min of 16 kHz WAV is ~19 MB) */
+export const STT_CHUNK_SECONDS = 600;
+
+/** Notification body length for Web Push (reply preview) */
+export const PUSH_BODY_MAX_CHARS = 140;
+
+/** Max length of a mode session title set by rename */
+export const SESSION_TITLE_MAX_CHARS = 100;
+
+/** Max length of a mode session's rolling summary */
+export const SESSION_SUMMARY_MAX_CHARS = 600;
+
+/** Most recent messages sent to the model when (re)summarizing a session */
+export const SESSION_SUMMARY_HISTORY = 20;
+
+/** Messages sent in a mode session between summary refreshes */
+export const SESSION_SUMMARY_INTERVAL = 5;
+
+/** Max length of a message handed off to another mode (history skips messages over 10000 chars) */
+export const HANDOFF_CONTENT_MAX_CHARS = 8000;
+
+/** Tool call arguments summary length in the progress timeline */
+export const TOOL_ARGS_SUMMARY_MAX_CHARS = 120;
+
+/** Error text kept per failed tool step in the progress timeline */
+export const TOOL_ERROR_MAX_CHARS = 300;
@@ -7,19 +7,20 @@
 
 import WebSocket from 'ws';
 import { readFileSync, existsSync, appendFileSync } from 'fs';
-import { join } from 'path';
+import { hasTool, executeTool } from './tools.js';
+import { getMainSessionPath, getMainSessionId } from './services/session.js';
+import { normalizeTranscript } from './services/messages.js';
+import { readTranscript } from './services/transcripts.js';
+import { getConfig } from './config.js';
+
+const { llm, paths, gateway } = getConfig();
 
 // ElevenLabs Conversational AI WebSocket endpoint
 const ELEVENLABS_WS_URL = 'wss://api.elevenlabs.io/v1/convai/conversation';
 
-// Session config for OpenClaw sync
-const SESSIONS_DIR = '/home/heisenberg/.clawdbot/agents/main/sessions';
-const MAIN_SESSION_ID = 'd0bddcfd-ba66-479f-8f30-5cc187be5e61';
-const MAIN_SESSION_PATH = join(SESSIONS_DIR, `${MAIN_SESSION_ID}.jsonl`);
-
 // OpenClaw API endpoint for tool calls
-const OPENCLAW_API_URL = 'http://localhost:18789';
-const OPENCLAW_HOOK_TOKEN = 'spark-portal-hook-token-2026';
+const OPENCLAW_API_URL = llm.gatewayUrl;
+const OPENCLAW_HOOK_TOKEN = gateway.hookToken;
 
 /**
  * Get ElevenLabs API key from OpenClaw config or environment
@@ -31,7 +32,7 @@ function getElevenLabsApiKey() {
   }
   
   // Try OpenClaw config
-  const configPath = '/home/heisenberg/.openclaw/openclaw.json';
+  const configPath = paths.openclawConfig;
   if (existsSync(configPath)) {
     try {
       const config = JSON.parse(readFileSync(configPath, 'utf8'));
@@ -49,44 +50,17 @@ function getElevenLabsApiKey() {
  */
 function loadConversationContext(limit = 5) {
   try {
-    if (!existsSync(MAIN_SESSION_PATH)) return '';
-    
-    const content = readFileSync(MAIN_SESSION_PATH, 'utf8');
-    const lines = content.trim().split('\n').filter(l => l);
+    const transcript = readTranscript(getMainSessionId());
+    if (!transcript) return '';
     
     const messages = [];
-    for (const line of lines.slice(-limit * 3)) {
-      try {
-        const entry = JSON.parse(line);
-        if (entry.type === 'message' && entry.message) {
-          const msg = entry.message;
-          if (msg.role === 'user' || msg.role === 'assistant') {
-            let text = '';
-            if (typeof msg.content === 'string') {
-              text = msg.content;
-            } else if (Array.isArray(msg.content)) {
-              const textPart = msg.content.find(c => c.type === 'text');
-              text = textPart?.text || '';
-            }
-            
-            // Skip system messages and heartbeats
-            if (text.includes('HEARTBEAT') || text.includes('Read HEARTBEAT.md')) continue;
-            if (text.includes('[Cron') || text.includes('systemEvent')) continue;
-            if (text.includes('[Spark Voice]')) continue; // Skip previous voice messages
-            
-            // Clean markers
-            text = text
-              .replace(/^\[WhatsApp[^\]]*\]\s*/g, '')
-              .replace(/^\[Spark[^\]]*\]\s*/g, '')
-              .replace(/\n?\[message_id:[^\]]+\]/g, '')
-              .trim();
-            
-            if (text && text.length < 300) {
-              messages.push(`${msg.role === 'user' ? 'User' : 'You'}: ${text}`);
-            }
-          }
-        }
-      } catch {}
+    for (const message of normalizeTranscript(transcript.entries.slice(-limit * 3))) {
+      // Skip cron jobs, system events and previous voice messages
+      if (message.channel === 'cron' || message.sender === 'Spark Voice') continue;
+      
+      if (message.text && message.text.length < 300) {
+        messages.push(`${message.role === 'user' ? 'User' : 'You'}: ${message.text}`);
+      }
     }
     
     return messages.slice(-limit).join('\n');
@@ -111,17 +85,36 @@ function appendToSession(role, content) {
         timestamp: Date.now()
       }
     };
-    appendFileSync(MAIN_SESSION_PATH, JSON.stringify(entry) + '\n');
+    const sessionPath = getMainSessionPath();
+    if (sessionPath) appendFileSync(sessionPath, JSON.stringify(entry) + '\n');
   } catch (e) {
     console.error('Failed to append to session:', e.message);
   }
 }
 
 /**
- * Execute tool call via OpenClaw API
+ * Execute tool call - registry tools (tools/) run locally,
+ * anything else is passed through to OpenClaw
  */
 async function executeToolCall(toolName, args) {
-  console.log(`🔧 Executing tool: ${toolName}(${JSON.stringify(args)})`);
+  if (typeof args === 'string') {
+    try {
+      args = JSON.parse(args || '{}');
+    } catch {
+      args = {};
+    }
+  }
+
+  if (hasTool(toolName)) {
+    try {
+      return await executeTool(toolName, args, { session: 'elevenlabs' });
+    } catch (error) {
+      console.error('Tool execution error:', error.message);
+      return `Error executing ${toolName}: ${error.message}`;
+    }
+  }
+
+  console.log(`🔧 Executing tool via OpenClaw: ${toolName}(${JSON.stringify(args)})`);
   
   try {
     // Create the ask_spark request for OpenClaw
@@ -165,7 +158,7 @@ export function handleElevenLabsSession(clientWs, config = {}) {
   if (!apiKey) {
     clientWs.send(JSON.stringify({ 
       type: 'error', 
-      message: 'ElevenLabs API key not configured. Check ~/.openclaw/openclaw.json or ELEVENLABS_API_KEY env var' 
+      message: 'ElevenLabs API key not configured. Check OPENCLAW_CONFIG or ELEVENLABS_API_KEY env var' 
     }));
     return;
   }
@@ -314,6 +307,28 @@ export function handleElevenLabsSession(clientWs, config = {}) {
           }));
           break;
 
+        // Client tools (configured on the agent with names matching tools/)
+        case 'client_tool_call': {
+          const { tool_name: clientToolName, tool_call_id: clientCallId, parameters } = event.client_tool_call || {};
+          if (!clientToolName) break;
+          console.log(`🔧 Client tool call: ${clientToolName}(${JSON.stringify(parameters || {})})`);
+
+          clientWs.send(JSON.stringify({
+            type: 'tool_call',
+            name: clientToolName,
+            args: parameters || {}
+          }));
+
+          const clientResult = await executeToolCall(clientToolName, parameters || {});
+          elevenLabsWs.send(JSON.stringify({
+            type: 'client_tool_result',
+            tool_call_id: clientCallId,
+            result: clientResult,
+            is_error: clientResult.startsWith(`Error executing ${clientToolName}`)
+          }));
+          break;
+        }
+
         // Tool calling - ElevenLabs uses function calling format similar to OpenAI
         case 'tool_call':
         case 'function_call':
@@ -332,7 +347,7 @@ export function handleElevenLabsSession(clientWs, config = {}) {
             }));
 
             try {
-              // Execute tool via OpenClaw
+              // Execute tool (registry or OpenClaw)
               const toolResult = await executeToolCall(toolName, toolArgs);
               
               // Send result back to ElevenLabs
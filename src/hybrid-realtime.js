@@ -9,18 +9,25 @@
  * - More reliable responses (uses main Claude session)
  * - Correct timezone and context
  * - Consistent personality with text chat
- * - Better tool calling via Clawdbot
+ * - Better tool calling via Clawdbot, plus the shared tools/ registry
  */
 
 import WebSocket from 'ws';
-import { getOpenAIKey, getGatewayToken, loadConversationContext, appendToSession } from './services/shared.js';
+import { getOpenAIKey, getGatewayToken, loadConversationContext, appendToSession, formatLocalTime, getTimezoneLabel } from './services/shared.js';
 import { SPEAKING_TIMEOUT_MS, AUDIO_CHUNK_SIZE } from './constants.js';
+import { getChatToolDefinitions, describeTools, executeTool } from './tools.js';
+import { getConfig } from './config.js';
+
+const { llm, identity } = getConfig();
 
 // OpenAI Realtime API endpoint
 const REALTIME_URL = 'wss://api.openai.com/v1/realtime?model=gpt-4o-realtime-preview-2024-12-17';
 
 // Gateway for Claude processing
-const GATEWAY_URL = 'http://localhost:18789';
+const GATEWAY_URL = llm.gatewayUrl;
+
+// Max tool-call round trips per voice turn before forcing a spoken answer
+const MAX_TOOL_ROUNDS = 3;
 
 // Send to Claude via Gateway for processing
 async function processWithClaude(userMessage) {
@@ -29,46 +36,74 @@ async function processWithClaude(userMessage) {
   
   const history = loadConversationContext({ limit: 10 });
   
-  const systemPrompt = `You are Spark, a voice assistant for Parth.
+  const systemPrompt = `You are Spark, a voice assistant for ${identity.userName}.
 
-Current timezone: Asia/Singapore (SGT, UTC+8)
-Current time: ${new Date().toLocaleString('en-SG', { timeZone: 'Asia/Singapore' })}
+Current timezone: ${identity.timezone}
+Current time: ${formatLocalTime()}
 
 Voice response guidelines:
 - Be concise (under 100 words typically)
 - No markdown formatting - speak naturally
 - No bullet points or numbered lists
 - Be conversational and helpful
-- If asked about time/schedule, use Singapore timezone
+- If asked about time/schedule, use ${getTimezoneLabel()} time
+- Before moving or deleting a calendar event, read the confirmation back and wait for a clear yes
 
-You have full access to Parth's context, calendar, emails, and tools through the main Clawdbot system.`;
+You have full access to ${identity.userName}'s context, calendar, emails, and tools through the main Clawdbot system.
+
+Voice tools you can call directly:
+${describeTools()}`;
 
   const messages = [
     { role: 'system', content: systemPrompt },
     ...history.slice(-8),
     { role: 'user', content: userMessage }
   ];
+  const tools = getChatToolDefinitions();
+
+  for (let round = 0; round <= MAX_TOOL_ROUNDS; round++) {
+    const response = await fetch(`${GATEWAY_URL}/v1/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${gatewayToken}`,
+      },
+      body: JSON.stringify({
+        model: 'claude-sonnet-4-20250514', // Fast and good for voice
+        messages,
+        max_tokens: 500,
+        // Last round: no tools, so the model has to answer
+        ...(tools.length > 0 && round < MAX_TOOL_ROUNDS ? { tools, tool_choice: 'auto' } : {}),
+      }),
+    });
+
+    if (!response.ok) {
+      const err = await response.text();
+      throw new Error(`Gateway error: ${response.status} - ${err}`);
+    }
 
-  const response = await fetch(`${GATEWAY_URL}/v1/chat/completions`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${gatewayToken}`,
-    },
-    body: JSON.stringify({
-      model: 'claude-sonnet-4-20250514', // Fast and good for voice
-      messages,
-      max_tokens: 500,
-    }),
-  });
+    const data = await response.json();
+    const message = data.choices?.[0]?.message;
+    if (!message?.tool_calls?.length) {
+      return message?.content || 'Sorry, I couldn\'t process that.';
+    }
 
-  if (!response.ok) {
-    const err = await response.text();
-    throw new Error(`Gateway error: ${response.status} - ${err}`);
+    // Run requested tools and feed results back
+    messages.push(message);
+    for (const call of message.tool_calls) {
+      let output;
+      try {
+        const args = JSON.parse(call.function.arguments || '{}');
+        output = await executeTool(call.function.name, args, { session: 'hybrid' });
+      } catch (e) {
+        console.error('Tool error:', e.message);
+        output = `Error: ${e.message}`;
+      }
+      messages.push({ role: 'tool', tool_call_id: call.id, content: output });
+    }
   }
 
-  const data = await response.json();
-  return data.choices?.[0]?.message?.content || 'Sorry, I couldn\'t process that.';
+  return 'Sorry, I couldn\'t process that.';
 }
 
 // Generate TTS via OpenAI TTS API
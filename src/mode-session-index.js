@@ -4,25 +4,37 @@
  * Manages multiple sessions per mode with a JSON index file.
  * Each mode gets its own index at mode-sessions/<mode>.json
  * Sessions reference JSONL transcript files in the OpenClaw sessions directory.
+ *
+ * Session entry: { id, createdAt, title, titledBy?, messageCount, legacy?, pinned?,
+ * archived?, summary?, summaryMessageCount?, handoffFrom?, handoffsTo? }. titledBy
+ * is 'user' once renamed, so generated titles (session-summary.js) no longer
+ * replace it. handoffFrom / handoffsTo ({ mode, sessionId, at }) link sessions
+ * that a message was handed off between (services/handoff.js).
+ * Archived sessions stay in the index but are hidden from listings and never
+ * picked as the latest session. Deleting removes the entry and moves the
+ * transcript to mode-sessions/archive/<mode>/.
  */
 
-import { readFileSync, writeFileSync, existsSync, mkdirSync, statSync, renameSync } from 'fs';
-import { join, dirname } from 'path';
+import { readFileSync, writeFileSync, existsSync, mkdirSync, statSync, renameSync, copyFileSync, unlinkSync } from 'fs';
+import { join } from 'path';
 import { randomUUID } from 'crypto';
-import { fileURLToPath } from 'url';
 import { log, debug, error as logError } from './logger.js';
 import { SESSIONS_DIR } from './services/session.js';
+import { getConfig } from './config.js';
+import { getMode, listModes } from './modes.js';
+import { SESSION_TITLE_MAX_CHARS } from './constants.js';
 
-const __dirname = dirname(fileURLToPath(import.meta.url));
-const MODE_SESSIONS_DIR = join(__dirname, '..', 'mode-sessions');
+const MODE_SESSIONS_DIR = getConfig().paths.modeSessionsDir;
+const ARCHIVE_DIR = join(MODE_SESSIONS_DIR, 'archive');
 
-// Old deterministic session IDs for migration
-const LEGACY_SESSION_IDS = {
-  dev:       'spark-dev-00000-0000-0000-000000000001',
-  research:  'spark-res-00000-0000-0000-000000000002',
-  plan:      'spark-pln-00000-0000-0000-000000000003',
-  videogen:  'spark-vid-00000-0000-0000-000000000004',
-};
+/**
+ * Old deterministic session IDs for migration, from each mode's legacySessionId
+ */
+function legacySessionIds() {
+  return Object.fromEntries(
+    listModes().filter(m => m.legacySessionId).map(m => [m.id, m.legacySessionId])
+  );
+}
 
 /**
  * Ensure the mode-sessions directory exists
@@ -80,7 +92,7 @@ export function getSessionIndex(mode) {
   }
   
   // Check for legacy session file and migrate
-  const legacyId = LEGACY_SESSION_IDS[mode];
+  const legacyId = getMode(mode)?.legacySessionId;
   if (legacyId) {
     const legacyPath = join(SESSIONS_DIR, `${legacyId}.jsonl`);
     if (existsSync(legacyPath)) {
@@ -128,6 +140,26 @@ export function getSessionIndex(mode) {
   return { sessions: [] };
 }
 
+/**
+ * Find which mode a transcript session belongs to (null for main/WhatsApp sessions)
+ */
+export function findSessionMode(sessionId) {
+  for (const [mode, legacyId] of Object.entries(legacySessionIds())) {
+    if (legacyId === sessionId) return mode;
+  }
+  // New sessions are created as spark-<mode>-<uuid>
+  const match = /^spark-([a-z][a-z0-9]*)-[0-9a-f]{8}-/.exec(sessionId);
+  if (match && existsSync(indexPath(match[1]))) return match[1];
+  return null;
+}
+
+/**
+ * Check whether a session is a migrated legacy session (mixed with main session messages)
+ */
+export function isLegacySession(sessionId) {
+  return Object.values(legacySessionIds()).includes(sessionId);
+}
+
 /**
  * Create a new session for a mode
  */
@@ -152,24 +184,98 @@ export function createSession(mode, title) {
  * Get the latest (most recent) session for a mode, or null if none
  */
 export function getLatestSession(mode) {
+  return listSessions(mode)[0] || null;
+}
+
+/**
+ * List sessions for a mode, sorted by createdAt descending
+ * @param {string} mode
+ * @param {object} [options]
+ * @param {boolean} [options.includeArchived=false] - Also list archived sessions
+ */
+export function listSessions(mode, { includeArchived = false } = {}) {
   const index = getSessionIndex(mode);
-  if (index.sessions.length === 0) return null;
-  
-  // Sort by createdAt descending and return first
-  const sorted = [...index.sessions].sort((a, b) => 
-    new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime()
-  );
-  return sorted[0];
+  return index.sessions
+    .filter(s => includeArchived || !s.archived)
+    .sort((a, b) => new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime());
+}
+
+/**
+ * A session of a mode by id (archived included), or null
+ */
+export function getSession(mode, sessionId) {
+  return getSessionIndex(mode).sessions.find(s => s.id === sessionId) || null;
 }
 
 /**
- * List all sessions for a mode, sorted by createdAt descending
+ * Validate session changes for updateSession: { title?, pinned?, archived? }
+ * (title null clears it, so the next message auto-titles the session again)
+ * @returns {string|null} - Problem description, or null if valid
  */
-export function listSessions(mode) {
+export function validateSessionChanges(changes) {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) return 'changes must be an object';
+  const unknown = Object.keys(changes).filter(key => !['title', 'pinned', 'archived'].includes(key));
+  if (unknown.length) return `unknown field: ${unknown[0]}`;
+  if (Object.keys(changes).length === 0) return 'nothing to change';
+  if ('title' in changes && changes.title !== null) {
+    if (typeof changes.title !== 'string' || !changes.title.trim()) return 'title must be a non-empty string';
+    if (changes.title.trim().length > SESSION_TITLE_MAX_CHARS) return `title must be at most ${SESSION_TITLE_MAX_CHARS} characters`;
+  }
+  if ('pinned' in changes && typeof changes.pinned !== 'boolean') return 'pinned must be a boolean';
+  if ('archived' in changes && typeof changes.archived !== 'boolean') return 'archived must be a boolean';
+  return null;
+}
+
+/**
+ * Rename, pin/unpin or archive/unarchive a session (changes validated by validateSessionChanges)
+ * @returns {object|null} - The updated session, or null if it doesn't exist
+ */
+export function updateSession(mode, sessionId, changes) {
   const index = getSessionIndex(mode);
-  return [...index.sessions].sort((a, b) => 
-    new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime()
-  );
+  const session = index.sessions.find(s => s.id === sessionId);
+  if (!session) return null;
+
+  if ('title' in changes) {
+    session.title = changes.title?.trim() || null;
+    if (session.title) session.titledBy = 'user';
+    else delete session.titledBy;
+  }
+  if ('pinned' in changes) session.pinned = changes.pinned;
+  if ('archived' in changes) session.archived = changes.archived;
+  saveSessionIndex(mode, index);
+
+  log(`📝 Updated ${mode} session ${sessionId}: ${Object.keys(changes).join(', ')}`);
+  return session;
+}
+
+/**
+ * Remove a session from its mode's index and move its transcript to the archive folder
+ * @returns {boolean} - false if the session doesn't exist
+ */
+export function deleteSession(mode, sessionId) {
+  const index = getSessionIndex(mode);
+  const position = index.sessions.findIndex(s => s.id === sessionId);
+  if (position === -1) return false;
+
+  const transcriptPath = join(SESSIONS_DIR, `${sessionId}.jsonl`);
+  if (existsSync(transcriptPath)) {
+    const archiveDir = join(ARCHIVE_DIR, mode);
+    if (!existsSync(archiveDir)) mkdirSync(archiveDir, { recursive: true });
+    const archivedPath = join(archiveDir, `${sessionId}.jsonl`);
+    try {
+      renameSync(transcriptPath, archivedPath);
+    } catch (e) {
+      // The OpenClaw sessions dir may be on another filesystem
+      if (e.code !== 'EXDEV') throw e;
+      copyFileSync(transcriptPath, archivedPath);
+      unlinkSync(transcriptPath);
+    }
+  }
+
+  index.sessions.splice(position, 1);
+  saveSessionIndex(mode, index);
+  log(`🗑️ Deleted ${mode} session ${sessionId} (transcript archived)`);
+  return true;
 }
 
 /**
@@ -185,6 +291,53 @@ export function updateSessionTitle(mode, sessionId, title) {
   }
 }
 
+/**
+ * Store a generated title and rolling summary (the title only if the user hasn't set one)
+ * @param {string} mode
+ * @param {string} sessionId
+ * @param {object} generated
+ * @param {string} [generated.title]
+ * @param {string} generated.summary
+ * @param {number} generated.messageCount - Session messageCount the summary covers
+ * @returns {object|null} - The updated session, or null if it doesn't exist
+ */
+export function setSessionSummary(mode, sessionId, { title, summary, messageCount }) {
+  const index = getSessionIndex(mode);
+  const session = index.sessions.find(s => s.id === sessionId);
+  if (!session) return null;
+
+  if (title && session.titledBy !== 'user') session.title = title;
+  session.summary = summary;
+  session.summaryMessageCount = messageCount;
+  saveSessionIndex(mode, index);
+  debug(`📝 Summarized ${mode} session ${sessionId}: ${session.title}`);
+  return session;
+}
+
+/**
+ * Link two sessions after a handoff: the target records where it came from
+ * (handoffFrom, the latest one), the source every session it was handed off to
+ * @param {{mode: string, sessionId: string}} from
+ * @param {{mode: string, sessionId: string}} to
+ * @returns {boolean} - false if either session doesn't exist
+ */
+export function recordHandoff(from, to) {
+  const fromIndex = getSessionIndex(from.mode);
+  const toIndex = from.mode === to.mode ? fromIndex : getSessionIndex(to.mode);
+  const source = fromIndex.sessions.find(s => s.id === from.sessionId);
+  const target = toIndex.sessions.find(s => s.id === to.sessionId);
+  if (!source || !target) return false;
+
+  const at = new Date().toISOString();
+  target.handoffFrom = { mode: from.mode, sessionId: from.sessionId, at };
+  source.handoffsTo = [...(source.handoffsTo || []), { mode: to.mode, sessionId: to.sessionId, at }];
+  saveSessionIndex(from.mode, fromIndex);
+  if (toIndex !== fromIndex) saveSessionIndex(to.mode, toIndex);
+
+  log(`↪️ Handed off ${from.mode} session ${from.sessionId} to ${to.mode} session ${to.sessionId}`);
+  return true;
+}
+
 /**
  * Increment message count for a session
  */
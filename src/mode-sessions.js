@@ -1,83 +1,75 @@
 /**
  * ClawChat - Mode Session Router
  * 
- * Manages isolated OpenClaw sessions for each ClawChat mode (Dev, Research, Plan).
- * Each mode gets its own session with a deterministic ID, preventing mode tasks
- * from polluting the main WhatsApp conversation.
+ * Manages isolated OpenClaw sessions for each ClawChat mode (see modes.js).
+ * Each mode gets its own sessions, preventing mode tasks from polluting the
+ * main WhatsApp conversation.
  */
 
 import { spawn } from 'child_process';
-import { readFileSync, existsSync, statSync, watch, openSync, readSync, closeSync } from 'fs';
+import { existsSync, statSync, watch, openSync, readSync, closeSync } from 'fs';
 import { join } from 'path';
 import { log, debug, error as logError } from './logger.js';
-import { CLI_TIMEOUT_MS } from './constants.js';
+import { CLI_TIMEOUT_MS, PUSH_BODY_MAX_CHARS } from './constants.js';
 import { SESSIONS_DIR, extractTextFromContent } from './services/session.js';
-import { getSessionIndex, getLatestSession, createSession, updateSessionTitle, incrementMessageCount } from './mode-session-index.js';
-
-const OPENCLAW_PATH = '/home/heisenberg/.npm-global/bin/openclaw';
-
-// Mode-specific system prompts — injected into each mode session's messages
-const MODE_SYSTEM_PROMPTS = {
-  dev: `You are Spark in Dev Mode — a senior full-stack engineer. Your workspace is /home/heisenberg/clawd.
-
-Guidelines:
-- Read the relevant codebase before making changes
-- Write clean, tested code with proper error handling
-- Run syntax checks (node --check) and build steps before committing
-- Commit each logical change separately with descriptive messages
-- If tests exist, run them. If they don't, consider adding them.
-- Restart services after backend changes (sudo systemctl restart <service>)
-- Report what you did concisely: files changed, what was fixed/added, test results`,
-
-  research: `You are Spark in Research Mode — a thorough researcher and analyst.
-
-Guidelines:
-- Search broadly across multiple sources (web, Twitter, Reddit, academic papers)
-- Synthesize findings into a clear, well-structured report
-- Include sources and citations
-- Distinguish facts from speculation/opinion
-- If deploying an HTML report, use the Netlify site: spark-researchbot.netlify.app (ID: b420af70-fa1d-43d3-ac35-405437ba2539)
-- Deploy command: cd /home/heisenberg/clawd/research-reports && NETLIFY_AUTH_TOKEN=$(cat ~/.config/clawdbot/secrets/netlify-token) netlify deploy --prod --site b420af70-fa1d-43d3-ac35-405437ba2539 --dir .
-- Present findings clearly with key takeaways upfront`,
-
-  plan: `You are Spark in Plan Mode — a technical architect and strategic planner.
-
-Guidelines:
-- Break down complex tasks into clear phases with dependencies
-- Identify risks and mitigation strategies for each phase
-- Estimate effort/complexity for each phase
-- Define success criteria and deliverables
-- Consider edge cases and failure modes
-- Output structured plans with: Overview, Phases, Dependencies, Risks, Timeline
-- Be opinionated — recommend the best approach, don't just list options`,
-
-  videogen: `You are Spark in Video Generation Mode.
-
-Guidelines:
-- Use the Replicate API for video generation (token at ~/.config/clawdbot/secrets/replicate-token)
-- Support text-to-video, image-to-video, and face swap workflows
-- Confirm inputs with the user before running expensive API calls
-- Send results via WhatsApp when complete`
-};
-
-// Deterministic session IDs for each mode (fixed so the same mode always routes to the same session)
-const MODE_SESSION_MAP = {
-  dev:       { label: 'spark-dev-mode',       sessionId: 'spark-dev-00000-0000-0000-000000000001' },
-  research:  { label: 'spark-research-mode',   sessionId: 'spark-res-00000-0000-0000-000000000002' },
-  plan:      { label: 'spark-plan-mode',        sessionId: 'spark-pln-00000-0000-0000-000000000003' },
-  videogen:  { label: 'spark-videogen-mode',    sessionId: 'spark-vid-00000-0000-0000-000000000004' },
-};
+import { getSessionIndex, getSession, getLatestSession, createSession, updateSessionTitle, incrementMessageCount } from './mode-session-index.js';
+import { trackActiveRequest } from './services/active-requests.js';
+import { getConfig } from './config.js';
+import { getMode, listModes, renderSystemPrompt } from './modes.js';
+import { notify } from './services/push.js';
+import { addPendingRequest, updatePendingRequest } from './services/pending-requests.js';
+import { maybeSummarizeModeSession } from './services/session-summary.js';
+import { createToolTimeline } from './services/tool-timeline.js';
+import { readTranscript } from './services/transcripts.js';
+import { normalizeEntry, isDisplayable, extractUserTextFromSystemContext } from './services/messages.js';
+import { broadcastRequestEnd } from './services/mode-sync.js';
+
+const { paths } = getConfig();
+const OPENCLAW_PATH = paths.openclawPath;
 
 /**
  * Get session config for a mode
+ * Label and legacy session ID derive from the mode definition in modes/.
  */
 export function getModeSessionConfig(mode) {
-  return MODE_SESSION_MAP[mode] || null;
+  const definition = getMode(mode);
+  if (!definition) return null;
+  return {
+    label: `spark-${mode}-mode`,
+    sessionId: definition.legacySessionId,
+    definition
+  };
 }
 
 /**
- * Watch a session's JSONL transcript file for new tool call entries
- * and send progress updates via the provided callback.
+ * Build the [System Context: ...] preamble for a mode message
+ */
+function buildSystemContext(definition) {
+  let context = renderSystemPrompt(definition);
+  if (Array.isArray(definition.tools)) {
+    const allowed = definition.tools.length ? definition.tools.join(', ') : 'none';
+    context += `${context ? '\n\n' : ''}Allowed tools: ${allowed}. Do not use any other tools in this mode.`;
+  }
+  return context;
+}
+
+/**
+ * Push-notify devices opted into a mode that one of its requests finished
+ */
+function notifyModeDone(mode, modeSessionId, { reply, error }) {
+  const { icon = '✨', name = mode } = getMode(mode) || {};
+  const text = error || reply || '';
+  notify(mode, {
+    title: `${icon} ${name} ${error ? 'failed' : 'finished'}`,
+    body: text.length > PUSH_BODY_MAX_CHARS ? `${text.slice(0, PUSH_BODY_MAX_CHARS - 1)}…` : text,
+    url: `/?mode=${encodeURIComponent(mode)}&session=${encodeURIComponent(modeSessionId)}`,
+    tag: `mode-${modeSessionId}`
+  });
+}
+
+/**
+ * Watch a session's JSONL transcript file for new tool call and tool result
+ * entries and send progress updates (timeline steps) via the provided callback.
  * 
  * @param {string} sessionId - The OpenClaw session ID
  * @param {Function} sendProgress - Callback to send progress updates
@@ -86,6 +78,7 @@ export function getModeSessionConfig(mode) {
  */
 function watchSessionProgress(sessionId, sendProgress, abortSignal) {
   const transcriptPath = join(SESSIONS_DIR, `${sessionId}.jsonl`);
+  const timeline = createToolTimeline();
   let lastSize = 0;
   let watcher = null;
   let checkInterval = null;
@@ -114,9 +107,9 @@ function watchSessionProgress(sessionId, sendProgress, abortSignal) {
 
         for (const line of lines) {
           try {
-            const entry = JSON.parse(line);
-            const progress = extractProgress(entry);
-            if (progress) sendProgress(progress);
+            for (const step of timeline.add(JSON.parse(line))) {
+              sendProgress(progressFrame(step));
+            }
           } catch {
             // Skip malformed lines
           }
@@ -172,46 +165,11 @@ function watchSessionProgress(sessionId, sendProgress, abortSignal) {
 }
 
 /**
- * Extract a human-readable progress message from a JSONL transcript entry.
- * Only returns progress for tool call entries.
+ * Progress frame for a timeline step that started or ended: status is the
+ * human-readable line for the thinking bubble, step the structured record
  */
-function extractProgress(entry) {
-  if (entry.type !== 'message' || !entry.message) return null;
-  const msg = entry.message;
-
-  // Only care about assistant messages with tool calls
-  if (msg.role === 'assistant' && Array.isArray(msg.content)) {
-    for (const part of msg.content) {
-      if (part.type === 'toolCall' || part.type === 'tool_use') {
-        const name = part.name || part.function?.name || 'working';
-        const args = part.arguments || part.input || {};
-
-        const progressMap = {
-          'exec':        'Running command...',
-          'read':        `Reading ${args.path || args.file_path || 'file'}...`,
-          'Read':        `Reading ${args.path || args.file_path || 'file'}...`,
-          'Edit':        `Editing ${args.path || args.file_path || 'file'}...`,
-          'edit':        `Editing ${args.path || args.file_path || 'file'}...`,
-          'Write':       `Writing ${args.path || args.file_path || 'file'}...`,
-          'write':       `Writing ${args.path || args.file_path || 'file'}...`,
-          'web_search':  `Searching: ${args.query || ''}...`,
-          'web_fetch':   `Fetching ${args.url || 'page'}...`,
-          'browser':     'Using browser...',
-          'image':       'Analyzing image...',
-          'sessions_spawn': 'Spawning sub-agent...',
-        };
-
-        return {
-          type: 'progress',
-          status: progressMap[name] || `${name}...`,
-          tool: name,
-          detail: typeof args === 'object' ? JSON.stringify(args).slice(0, 100) : ''
-        };
-      }
-    }
-  }
-
-  return null;
+function progressFrame(step) {
+  return { type: 'progress', status: step.status, tool: step.tool, detail: step.args, step: { ...step } };
 }
 
 /**
@@ -223,9 +181,14 @@ function extractProgress(entry) {
  * @param {string} text - User's message text
  * @param {Function} sendToClient - Function to send data back to the client
  * @param {string} [modeSessionId] - Optional specific mode session ID from the index
+ * @param {object} [options]
+ * @param {string} [options.requestId] - Pending request to re-drive (after a restart)
+ * @param {boolean} [options.track=true] - Record the request in the pending store
+ *   (false for callers that keep the result themselves, like scheduled jobs)
+ * @param {string} [options.messageId] - Client message id (sendToClient tags the frames)
  * @returns {Promise<boolean>} - Whether the message was successfully routed
  */
-export function routeModeMessage(ws, sessionId, mode, text, sendToClient, modeSessionId) {
+export function routeModeMessage(ws, sessionId, mode, text, sendToClient, modeSessionId, { requestId, track = true, messageId = null } = {}) {
   const modeConfig = getModeSessionConfig(mode);
   if (!modeConfig) {
     log(`❌ [${sessionId}] Unknown mode: ${mode}`);
@@ -234,6 +197,14 @@ export function routeModeMessage(ws, sessionId, mode, text, sendToClient, modeSe
     return Promise.resolve(false);
   }
 
+  // A session deleted meanwhile (e.g. from another device) - don't write a stray transcript
+  if (modeSessionId && !getSession(mode, modeSessionId)) {
+    log(`❌ [${sessionId}] Unknown ${mode} session: ${modeSessionId}`);
+    sendToClient(sessionId, { type: 'error', message: 'Session not found' });
+    sendToClient(sessionId, { type: 'done' });
+    return Promise.resolve(false);
+  }
+
   // Resolve the target session ID from the multi-session index
   let targetSessionId = modeSessionId;
   if (!targetSessionId) {
@@ -245,23 +216,37 @@ export function routeModeMessage(ws, sessionId, mode, text, sendToClient, modeSe
     targetSessionId = latestSession.id;
   }
 
-  log(`🔀 [${sessionId}] Routing to ${modeConfig.label} (session: ${targetSessionId}): ${text.slice(0, 80)}...`);
-  sendToClient(sessionId, { type: 'thinking' });
+  log(`🔀 [${sessionId}] Routing to ${modeConfig.label} (session: ${targetSessionId}): ${text.slice(0, 80)}...${requestId ? ' (re-driven)' : ''}`);
 
-  // Auto-set session title from first message if not set
-  const latestSession = getLatestSession(mode);
-  if (latestSession && latestSession.id === targetSessionId && !latestSession.title) {
-    const autoTitle = text.slice(0, 50).replace(/\n/g, ' ').trim();
-    if (autoTitle) {
-      updateSessionTitle(mode, targetSessionId, autoTitle);
+  // Re-driven requests were already counted before the restart
+  if (!requestId) {
+    // Auto-set session title from first message if not set
+    const latestSession = getLatestSession(mode);
+    if (latestSession && latestSession.id === targetSessionId && !latestSession.title) {
+      const autoTitle = text.slice(0, 50).replace(/\n/g, ' ').trim();
+      if (autoTitle) {
+        updateSessionTitle(mode, targetSessionId, autoTitle);
+      }
     }
+
+    // Increment message count
+    incrementMessageCount(mode, targetSessionId);
+
+    // Track in the pending store so the reply survives a dropped socket or a restart
+    if (track) requestId = addPendingRequest(sessionId, text, { mode, modeSessionId: targetSessionId, messageId });
   }
+  sendToClient(sessionId, { type: 'thinking', requestId });
 
-  // Increment message count
-  incrementMessageCount(mode, targetSessionId);
+  // Deliver the final frames; the store keeps the outcome for replay if the client missed it
+  const settle = (frame, updates) => {
+    const delivered = sendToClient(sessionId, frame);
+    sendToClient(sessionId, { type: 'done' });
+    if (requestId) updatePendingRequest(requestId, { ...updates, delivered: !!delivered });
+    broadcastRequestEnd(targetSessionId, sessionId, frame.type === 'error' ? { error: frame.message } : {});
+  };
 
   // Prepend mode-specific system prompt as context
-  const systemPrompt = MODE_SYSTEM_PROMPTS[mode];
+  const systemPrompt = buildSystemContext(modeConfig.definition);
   const fullMessage = systemPrompt
     ? `[System Context: ${systemPrompt}]\n\n${text}`
     : text;
@@ -285,12 +270,15 @@ export function routeModeMessage(ws, sessionId, mode, text, sendToClient, modeSe
     );
 
     // Use openclaw agent CLI with --session-id to target the mode session
-    const proc = spawn(OPENCLAW_PATH, [
+    const args = [
       'agent',
       '--session-id', targetSessionId,
       '--message', fullMessage,
       '--json'
-    ], {
+    ];
+    if (modeConfig.definition.model) args.push('--model', modeConfig.definition.model);
+
+    const proc = spawn(OPENCLAW_PATH, args, {
       timeout,
       env: { ...process.env }
     });
@@ -303,14 +291,30 @@ export function routeModeMessage(ws, sessionId, mode, text, sendToClient, modeSe
       stderr += data.toString();
     });
 
+    // Client-initiated cancel (WS 'cancel' message with sparkMode)
+    const untrack = trackActiveRequest(sessionId, `mode:${mode}`, () => {
+      if (completed) return;
+      completed = true;
+      clearTimeout(timeoutId);
+      abortController.abort();
+      proc.kill('SIGTERM');
+      if (requestId) updatePendingRequest(requestId, { status: 'cancelled', delivered: true });
+      sendToClient(sessionId, { type: 'cancelled' });
+      sendToClient(sessionId, { type: 'done' });
+      broadcastRequestEnd(targetSessionId, sessionId, { cancelled: true });
+      resolve(false);
+    }, messageId);
+
     const timeoutId = setTimeout(() => {
       if (!completed) {
         completed = true;
+        untrack();
         abortController.abort();
         proc.kill('SIGTERM');
         logError(`[${sessionId}] Mode ${mode} timeout after ${timeout / 1000}s`);
-        sendToClient(sessionId, { type: 'error', message: `${mode} mode request timed out` });
-        sendToClient(sessionId, { type: 'done' });
+        const errorMsg = `${mode} mode request timed out`;
+        settle({ type: 'error', message: errorMsg }, { status: 'error', error: errorMsg });
+        notifyModeDone(mode, targetSessionId, { error: 'Request timed out' });
         resolve(false);
       }
     }, timeout);
@@ -320,6 +324,7 @@ export function routeModeMessage(ws, sessionId, mode, text, sendToClient, modeSe
       abortController.abort();
       if (completed) return;
       completed = true;
+      untrack();
 
       try {
         if (code !== 0) {
@@ -334,16 +339,17 @@ export function routeModeMessage(ws, sessionId, mode, text, sendToClient, modeSe
           `${mode} mode request processed.`;
 
         log(`✅ [${sessionId}] ${modeConfig.label} response: ${reply.slice(0, 100)}...`);
-        sendToClient(sessionId, { type: 'text', content: reply });
-        sendToClient(sessionId, { type: 'done' });
+        settle({ type: 'text', content: reply }, { status: 'complete', response: reply });
+        notifyModeDone(mode, targetSessionId, { reply });
+        maybeSummarizeModeSession(mode, targetSessionId);
         resolve(true);
       } catch (e) {
         logError(`[${sessionId}] Mode ${mode} error:`, e.message);
         const errorMsg = e.message.includes('JSON')
           ? (stderr || stdout || 'Unknown error from mode session').slice(0, 500)
           : e.message;
-        sendToClient(sessionId, { type: 'error', message: errorMsg });
-        sendToClient(sessionId, { type: 'done' });
+        settle({ type: 'error', message: errorMsg }, { status: 'error', error: errorMsg });
+        notifyModeDone(mode, targetSessionId, { error: errorMsg });
         resolve(false);
       }
     });
@@ -353,10 +359,11 @@ export function routeModeMessage(ws, sessionId, mode, text, sendToClient, modeSe
       abortController.abort();
       if (completed) return;
       completed = true;
+      untrack();
 
       logError(`[${sessionId}] Mode ${mode} spawn error:`, e.message);
-      sendToClient(sessionId, { type: 'error', message: `Failed to run mode session: ${e.message}` });
-      sendToClient(sessionId, { type: 'done' });
+      const errorMsg = `Failed to run mode session: ${e.message}`;
+      settle({ type: 'error', message: errorMsg }, { status: 'error', error: errorMsg });
       resolve(false);
     });
   });
@@ -369,7 +376,7 @@ export function routeModeMessage(ws, sessionId, mode, text, sendToClient, modeSe
  * @param {string} mode - Mode name (dev, research, plan)
  * @param {number} limit - Max messages to return
  * @param {string} [modeSessionId] - Optional specific session ID; defaults to latest
- * @returns {Array} - Array of {role, content} message objects
+ * @returns {Array} - {role, content, timestamp, attachments?, timeline?} messages
  */
 export function getModeHistory(mode, limit = 50, modeSessionId) {
   const modeConfig = getModeSessionConfig(mode);
@@ -383,10 +390,12 @@ export function getModeHistory(mode, limit = 50, modeSessionId) {
     if (latest) {
       targetSessionId = latest.id;
       isLegacySession = !!latest.legacy;
-    } else {
+    } else if (modeConfig.sessionId) {
       // Fall back to legacy deterministic ID
       targetSessionId = modeConfig.sessionId;
       isLegacySession = true;
+    } else {
+      return [];
     }
   } else {
     // Check if specified session is legacy
@@ -396,24 +405,21 @@ export function getModeHistory(mode, limit = 50, modeSessionId) {
   }
 
   try {
-    const sessionPath = join(SESSIONS_DIR, `${targetSessionId}.jsonl`);
-    if (!existsSync(sessionPath)) {
+    const transcript = readTranscript(targetSessionId);
+    if (!transcript) {
       debug(`📦 No history file for ${modeConfig.label} (session: ${targetSessionId})`);
       return [];
     }
 
-    const content = readFileSync(sessionPath, 'utf8');
-    const lines = content.trim().split('\n').filter(l => l);
-
     // For legacy sessions, we use a two-pass approach:
     // Pass 1: identify user messages that were sent via mode_message (they contain [System Context:])
     // Pass 2: pair those user messages with the assistant responses that follow them
     if (isLegacySession) {
-      return parseLegacyModeHistory(lines, mode, limit);
+      return parseLegacyModeHistory(transcript.entries, mode, limit);
     }
 
     // For new (clean) sessions, use simple filtering
-    return parseCleanModeHistory(lines, limit);
+    return parseCleanModeHistory(transcript.entries, limit);
   } catch (e) {
     logError(`Failed to read mode history for ${mode}:`, e.message);
     return [];
@@ -425,37 +431,28 @@ export function getModeHistory(mode, limit = 50, modeSessionId) {
  * Legacy sessions contain ALL main session messages mixed in.
  * Only extract messages that were sent via mode_message (identified by [System Context:] wrapper).
  */
-function parseLegacyModeHistory(lines, mode, limit) {
-  const modePromptPrefix = MODE_SYSTEM_PROMPTS[mode]?.substring(0, 30) || 'You are Spark in';
-
+function parseLegacyModeHistory(entries, mode, limit) {
   // First, extract all message entries in order
   const allEntries = [];
-  for (const line of lines) {
-    try {
-      const entry = JSON.parse(line);
-      if (entry.type !== 'message' || !entry.message) continue;
-      const msg = entry.message;
-      if (msg.role !== 'user' && msg.role !== 'assistant') continue;
-
-      // For assistant messages, skip tool calls and thinking-only turns
-      if (msg.role === 'assistant' && Array.isArray(msg.content)) {
-        const hasToolCall = msg.content.some(c => c.type === 'toolCall' || c.type === 'tool_use');
-        const hasThinking = msg.content.some(c => c.type === 'thinking');
-        if (hasToolCall) continue;
-        if (hasThinking && !msg.content.some(c => c.type === 'text')) continue;
-      }
+  for (const entry of entries) {
+    const msg = entry.message;
+
+    // For assistant messages, skip tool calls and thinking-only turns
+    if (msg.role === 'assistant' && Array.isArray(msg.content)) {
+      const hasToolCall = msg.content.some(c => c.type === 'toolCall' || c.type === 'tool_use');
+      const hasThinking = msg.content.some(c => c.type === 'thinking');
+      if (hasToolCall) continue;
+      if (hasThinking && !msg.content.some(c => c.type === 'text')) continue;
+    }
 
-      const text = extractTextFromContent(msg.content);
-      if (!text) continue;
+    const text = extractTextFromContent(msg.content);
+    if (!text) continue;
 
-      allEntries.push({
-        role: msg.role,
-        text,
-        timestamp: msg.timestamp || Date.parse(entry.timestamp) || 0
-      });
-    } catch {
-      // Skip malformed lines
-    }
+    allEntries.push({
+      role: msg.role,
+      text,
+      timestamp: msg.timestamp || Date.parse(entry.timestamp) || 0
+    });
   }
 
   // Now walk through: only keep user messages that have [System Context:] (mode messages)
@@ -510,91 +507,40 @@ function parseLegacyModeHistory(lines, mode, limit) {
 }
 
 /**
- * Extract the actual user text from a [System Context: ...]\n\nUser message format
+ * Parse clean (non-legacy) session transcript entries — simple filtering only.
+ * Assistant replies get the tool steps that led to them as `timeline`.
  */
-function extractUserTextFromSystemContext(text) {
-  const contextStart = text.indexOf('[System Context:');
-  if (contextStart === -1) return text;
-
-  // Find the closing ']' followed by '\n\n'
-  const contextEnd = text.indexOf(']\n\n', contextStart);
-  if (contextEnd !== -1) {
-    const afterContext = text.slice(contextEnd + 3).trim();
-    return afterContext || null;
-  }
-
-  // Try just ']' at end of line
-  const bracketEnd = text.indexOf(']\n', contextStart);
-  if (bracketEnd !== -1) {
-    const afterBracket = text.slice(bracketEnd + 2).trim();
-    return afterBracket || null;
+function parseCleanModeHistory(entries, limit) {
+  const messages = [];
+  for (const entry of entries) {
+    const { role, content, timestamp, attachments } = cleanHistoryEntry(entry) || {};
+    if (!content) continue;
+    const message = attachments.length ? { role, content, timestamp, attachments } : { role, content, timestamp };
+    if (role === 'assistant' && entry.timeline) message.timeline = entry.timeline;
+    messages.push(message);
   }
 
-  return null; // System context only, no actual message
+  return messages.slice(-limit);
 }
 
 /**
- * Parse clean (non-legacy) session JSONL — simple filtering only.
+ * Clean one transcript entry the way mode history shows it (normalizeEntry):
+ * no tool calls or thinking-only turns, heartbeats, gateway status or huge
+ * messages, and no WhatsApp messages (main-session leakage); attachment
+ * markers are pulled out into `attachments`.
+ * @param {object} entry - Parsed JSONL line
+ * @returns {{role, content, timestamp, attachments}|null}
  */
-function parseCleanModeHistory(lines, limit) {
-  const messages = [];
-  for (const line of lines) {
-    try {
-      const entry = JSON.parse(line);
-      if (entry.type !== 'message' || !entry.message) continue;
-
-      const msg = entry.message;
-      if (msg.role !== 'user' && msg.role !== 'assistant') continue;
-
-      // For assistant messages, skip tool calls and thinking-only turns
-      if (msg.role === 'assistant' && Array.isArray(msg.content)) {
-        const hasToolCall = msg.content.some(c => c.type === 'toolCall' || c.type === 'tool_use');
-        const hasThinking = msg.content.some(c => c.type === 'thinking');
-        if (hasToolCall) continue;
-        if (hasThinking && !msg.content.some(c => c.type === 'text')) continue;
-      }
-
-      let text = extractTextFromContent(msg.content);
-      if (!text) continue;
-
-      // Skip heartbeat messages
-      if (text.includes('HEARTBEAT') || text.includes('Read HEARTBEAT.md')) continue;
-
-      // Skip WhatsApp metadata leakage
-      if (text.includes('[WhatsApp ') || text.includes('[message_id:') || text.includes('[media attached:')) continue;
-
-      // Skip gateway status messages
-      if (text.includes('WhatsApp gateway disconnected') || text.includes('WhatsApp gateway connected')) continue;
-
-      // Skip messages with huge content
-      if (text.length > 10000) continue;
-
-      // Strip [System Context: ...] wrapper from user messages
-      if (text.includes('[System Context:')) {
-        const extracted = extractUserTextFromSystemContext(text);
-        if (extracted) {
-          text = extracted;
-        } else {
-          continue;
-        }
-      }
-
-      // Strip timestamp prefix if present: [Sat 2026-02-07 07:43 UTC] ...
-      text = text.replace(/^\[\w{3}\s+\d{4}-\d{2}-\d{2}\s+\d{2}:\d{2}\s+\w+\]\s*/, '').trim();
-
-      if (!text) continue;
-
-      messages.push({
-        role: msg.role,
-        content: text,
-        timestamp: msg.timestamp || Date.parse(entry.timestamp) || 0
-      });
-    } catch {
-      // Skip malformed lines
-    }
-  }
-
-  return messages.slice(-limit);
+export function cleanHistoryEntry(entry) {
+  const message = normalizeEntry(entry);
+  if (!message || !isDisplayable(message) || message.channel === 'whatsapp') return null;
+
+  return {
+    role: message.role,
+    content: message.text,
+    timestamp: message.timestamp,
+    attachments: message.attachments
+  };
 }
 
 /**
@@ -606,7 +552,8 @@ function parseCleanModeHistory(lines, limit) {
 export function getActiveModeSessions() {
   const result = {};
 
-  for (const [mode, config] of Object.entries(MODE_SESSION_MAP)) {
+  for (const { id: mode } of listModes()) {
+    const label = `spark-${mode}-mode`;
     // Use the session index to determine the latest session for this mode
     const latest = getLatestSession(mode);
     
@@ -633,7 +580,7 @@ export function getActiveModeSessions() {
       }
       
       result[mode] = {
-        label: config.label,
+        label,
         sessionId: latest.id,
         exists: true,
         active: isRecent,
@@ -641,8 +588,8 @@ export function getActiveModeSessions() {
       };
     } else {
       result[mode] = {
-        label: config.label,
-        sessionId: config.sessionId,
+        label,
+        sessionId: getMode(mode).legacySessionId,
         exists: false,
         active: false,
         lastUpdated: 0
@@ -0,0 +1,236 @@
+/**
+ * ClawChat - Mode Registry
+ *
+ * Spark modes (Dev, Research, Plan, ...) are data, not code: one JSON file per
+ * mode in the modes/ directory (paths.modesDir), named <id>.json:
+ *
+ *   {
+ *     name: 'Dev Mode',               // required
+ *     icon: '👨‍💻',                     // emoji for headers and sheets
+ *     svg: '<path d="..."/>',         // optional inner markup of the 24x24 button icon
+ *     section: 'Modes',               // home screen group the button goes in
+ *     subtitle, description,          // button subtitle / sheet subtitle
+ *     placeholder, submitText, emptyDesc,
+ *     systemPrompt: '...',            // {workspaceDir} and {userName} are filled in
+ *     notifyWhatsApp: true,           // forward completions to WhatsApp
+ *     model: null,                    // `openclaw agent --model` override
+ *     tools: null,                    // allowed tool names; null = no restriction
+ *     launcher: 'sheet',              // sheet | page | videogen | reports
+ *     legacySessionId: '...',         // pre-index deterministic session, for migration
+ *     order: 10                       // position on the home screen
+ *   }
+ *
+ * Definitions are read once and cached; create/update/delete write through
+ * to disk so edits made from the UI survive restarts.
+ */
+
+import { readdirSync, readFileSync, writeFileSync, renameSync, unlinkSync, existsSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { log, warn, error as logError } from './logger.js';
+import { getConfig } from './config.js';
+
+const config = getConfig();
+const MODES_DIR = config.paths.modesDir;
+
+const MODE_ID_PATTERN = /^[a-z][a-z0-9]{0,31}$/;
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_.:-]{1,64}$/;
+
+/** How the home screen button opens a mode */
+export const LAUNCHERS = ['sheet', 'page', 'videogen', 'reports'];
+
+// Field → [type, default]. Anything not listed here is rejected.
+const FIELDS = {
+  name:            ['string', undefined],
+  icon:            ['string', '✨'],
+  svg:             ['string', null],
+  section:         ['string', 'Modes'],
+  subtitle:        ['string', ''],
+  description:     ['string', ''],
+  placeholder:     ['string', 'Type a message...'],
+  submitText:      ['string', 'Start'],
+  emptyDesc:       ['string', ''],
+  systemPrompt:    ['string', ''],
+  notifyWhatsApp:  ['boolean', true],
+  model:           ['string', null],
+  tools:           ['tools', null],
+  launcher:        ['launcher', 'sheet'],
+  legacySessionId: ['string', null],
+  order:           ['number', 100]
+};
+
+// Map<id, definition>, null until first load
+let modes = null;
+
+/**
+ * Check one field value against its declared type
+ * @returns {string|null} - Problem description, or null if valid
+ */
+function checkField(key, value) {
+  const [type] = FIELDS[key];
+  if (value === null && FIELDS[key][1] === null) return null;
+  switch (type) {
+    case 'string':
+      return typeof value === 'string' ? null : 'must be a string';
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'must be true or false';
+    case 'number':
+      return Number.isFinite(value) ? null : 'must be a number';
+    case 'launcher':
+      return LAUNCHERS.includes(value) ? null : `must be one of: ${LAUNCHERS.join(', ')}`;
+    case 'tools':
+      return Array.isArray(value) && value.every(t => typeof t === 'string' && TOOL_NAME_PATTERN.test(t))
+        ? null
+        : 'must be an array of tool names or null';
+  }
+  return null;
+}
+
+/**
+ * Validate a mode id and definition
+ * @returns {string|null} - Problem description, or null if valid
+ */
+export function validateMode(id, input) {
+  if (typeof id !== 'string' || !MODE_ID_PATTERN.test(id)) {
+    return 'id must be lowercase letters and digits, starting with a letter (max 32)';
+  }
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return 'definition must be an object';
+  for (const [key, value] of Object.entries(input)) {
+    if (key === 'id') continue;
+    if (!(key in FIELDS)) return `unknown field "${key}"`;
+    const problem = checkField(key, value);
+    if (problem) return `${key} ${problem}`;
+  }
+  if (typeof input.name !== 'string' || !input.name.trim()) return 'name is required';
+  return null;
+}
+
+/**
+ * Fill in defaults for a validated definition
+ */
+function normalizeMode(input) {
+  const mode = {};
+  for (const [key, [, fallback]] of Object.entries(FIELDS)) {
+    mode[key] = input[key] !== undefined ? input[key] : fallback;
+  }
+  mode.name = mode.name.trim();
+  return mode;
+}
+
+/**
+ * Write a definition to modes/<id>.json (atomic write via rename)
+ */
+function saveMode(id, mode) {
+  if (!existsSync(MODES_DIR)) mkdirSync(MODES_DIR, { recursive: true });
+  const path = join(MODES_DIR, `${id}.json`);
+  const tmpPath = path + '.tmp';
+  writeFileSync(tmpPath, JSON.stringify(mode, null, 2) + '\n', 'utf8');
+  renameSync(tmpPath, path);
+}
+
+/**
+ * Read every definition from the modes directory
+ * Invalid files are skipped with a warning so one bad mode can't break the rest.
+ * @returns {string[]} - Ids of loaded modes
+ */
+export function loadModes() {
+  modes = new Map();
+  if (!existsSync(MODES_DIR)) {
+    warn(`⚠️  Modes directory not found: ${MODES_DIR}`);
+    return [];
+  }
+
+  const files = readdirSync(MODES_DIR).filter(f => f.endsWith('.json')).sort();
+  for (const file of files) {
+    const id = file.slice(0, -'.json'.length);
+    try {
+      const raw = JSON.parse(readFileSync(join(MODES_DIR, file), 'utf8'));
+      const problem = validateMode(id, raw);
+      if (problem) {
+        warn(`⚠️  Skipping mode ${file}: ${problem}`);
+        continue;
+      }
+      modes.set(id, normalizeMode(raw));
+    } catch (e) {
+      logError(`Failed to load mode ${file}:`, e.message);
+    }
+  }
+
+  log(`🧩 Loaded ${modes.size} mode(s): ${[...modes.keys()].join(', ') || 'none'}`);
+  return [...modes.keys()];
+}
+
+function registry() {
+  if (!modes) loadModes();
+  return modes;
+}
+
+/**
+ * Get a mode definition by id, or null
+ */
+export function getMode(id) {
+  const mode = registry().get(id);
+  return mode ? { id, ...mode } : null;
+}
+
+/**
+ * All modes, in home screen order (then by name)
+ */
+export function listModes() {
+  return [...registry().entries()]
+    .map(([id, mode]) => ({ id, ...mode }))
+    .sort((a, b) => a.order - b.order || a.name.localeCompare(b.name));
+}
+
+/**
+ * The mode's system prompt with {workspaceDir} and {userName} filled in
+ */
+export function renderSystemPrompt(mode) {
+  const values = {
+    workspaceDir: config.paths.workspaceDir,
+    userName: config.identity.userName
+  };
+  return (mode.systemPrompt || '').replace(/\{(workspaceDir|userName)\}/g, (_, key) => values[key]);
+}
+
+/**
+ * Create a new mode (caller checks validateMode and that the id is free)
+ */
+export function createMode(id, input) {
+  const mode = normalizeMode(input);
+  saveMode(id, mode);
+  registry().set(id, mode);
+  log(`🧩 Created mode: ${id}`);
+  return { id, ...mode };
+}
+
+/**
+ * Merge changes into an existing mode (omitted fields are kept)
+ * @returns {object} - The merged definition, to pass through validateMode before saving
+ */
+export function mergeMode(id, changes) {
+  const { id: _, ...current } = getMode(id) || {};
+  return { ...current, ...changes };
+}
+
+/**
+ * Replace a mode's definition (caller checks validateMode first)
+ */
+export function updateMode(id, input) {
+  const mode = normalizeMode(input);
+  saveMode(id, mode);
+  registry().set(id, mode);
+  log(`🧩 Updated mode: ${id}`);
+  return { id, ...mode };
+}
+
+/**
+ * Delete a mode definition (its session index and transcripts are kept)
+ * @returns {boolean} - false if the mode doesn't exist
+ */
+export function deleteMode(id) {
+  if (!registry().has(id)) return false;
+  unlinkSync(join(MODES_DIR, `${id}.json`));
+  modes.delete(id);
+  log(`🗑️ Deleted mode: ${id}`);
+  return true;
+}
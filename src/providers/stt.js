@@ -0,0 +1,338 @@
+/**
+ * STT Provider Abstraction
+ *
+ * Supported providers:
+ * - openai: Whisper API, paid (speaker labels with a *-diarize model)
+ * - deepgram: Fast, paid, speaker labels
+ * - local: whisper.cpp / faster-whisper subprocess, free, needs setup
+ *
+ * transcribe() tries config.provider first, then each provider in
+ * config.fallback, skipping any that aren't configured (no key / command).
+ * Results carry timestamped segments: { start, end, speaker, text } with
+ * times in seconds (null when the backend doesn't report them).
+ *
+ * Recordings over a provider's upload limit are split with ffmpeg into
+ * STT_CHUNK_SECONDS WAV chunks, transcribed one by one and stitched back
+ * together with shifted timestamps. Speaker labels restart per chunk.
+ *
+ * The local backend runs config.localCommand through the shell with {input}
+ * replaced by the audio file (converted to 16 kHz mono WAV when ffmpeg is
+ * available) and reads the transcript from stdout, one segment per line,
+ * optionally prefixed with "[start --> end]" (whisper.cpp's default output), e.g.
+ *   whisper-cli -m ~/models/ggml-base.en.bin -np -f {input}
+ *
+ * Adding a new provider:
+ * 1. Add method: async myProviderTranscribe(audio, mimeType) { ... } returning { text, segments }
+ * 2. Add cases in isConfigured() and transcribeWith()
+ * 3. Add to PROVIDERS export (and the stt.* config values)
+ */
+
+import { execFile } from 'child_process';
+import { mkdtemp, writeFile, readFile, readdir, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { STT_REQUEST_TIMEOUT_MS, STT_LOCAL_TIMEOUT_MS, STT_OPENAI_MAX_BYTES, STT_CHUNK_SECONDS } from '../constants.js';
+import { log, debug, warn } from '../logger.js';
+
+export const PROVIDERS = ['openai', 'deepgram', 'local'];
+
+// Max bytes per request; larger recordings are chunked
+const UPLOAD_LIMITS = {
+  openai: STT_OPENAI_MAX_BYTES,
+};
+
+const EXTENSIONS = {
+  'audio/webm': 'webm',
+  'audio/ogg': 'ogg',
+  'audio/mp4': 'm4a',
+  'audio/mpeg': 'mp3',
+  'audio/wav': 'wav',
+};
+
+/**
+ * Run a command, resolving with stdout
+ */
+function run(file, args, timeout) {
+  return new Promise((resolve, reject) => {
+    execFile(file, args, { timeout, maxBuffer: 10 * 1024 * 1024 }, (err, stdout, stderr) => {
+      if (err) {
+        const reason = err.killed ? `timed out after ${timeout / 1000}s` : (stderr.trim().split('\n').pop() || err.message);
+        reject(new Error(reason));
+        return;
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+const shellQuote = (value) => `'${value.replace(/'/g, `'\\''`)}'`;
+
+/**
+ * Parse "HH:MM:SS.mmm", "MM:SS.mmm" or plain seconds
+ */
+function parseTimestamp(value) {
+  return value.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+}
+
+const roundTime = (t) => (typeof t === 'number' && isFinite(t) ? Math.round(t * 100) / 100 : null);
+
+function segment(start, end, speaker, text) {
+  return { start: roundTime(start), end: roundTime(end), speaker: speaker ?? null, text: text.trim() };
+}
+
+const joinSegments = (segments) => segments.map(s => s.text).filter(Boolean).join(' ');
+
+/**
+ * Parse local backend stdout into segments
+ * Lines may be prefixed with "[start --> end]"; [SPEAKER_TURN] markers (whisper.cpp -tdrz) are dropped.
+ */
+export function parseLocalOutput(stdout) {
+  const segments = [];
+  for (const line of stdout.split('\n')) {
+    const match = line.match(/^\s*\[([\d:.]+)\s*-->\s*([\d:.]+)\]\s*(.*)$/);
+    const text = (match ? match[3] : line).replace(/\s*\[SPEAKER_TURN\]/g, '').trim();
+    if (!text) continue;
+    segments.push(match
+      ? segment(parseTimestamp(match[1]), parseTimestamp(match[2]), null, text)
+      : segment(null, null, null, text));
+  }
+  return segments;
+}
+
+/**
+ * Render segments as "[m:ss] Speaker: text" lines (plain text when there are no timestamps)
+ * @param {Array<{start, end, speaker, text}>} segments
+ */
+export function formatTranscript(segments) {
+  if (!segments?.some(s => s.start !== null || s.speaker)) return joinSegments(segments || []);
+  return segments.map(s => {
+    const time = s.start === null ? '' : `[${formatClock(s.start)}] `;
+    return `${time}${s.speaker ? `${s.speaker}: ` : ''}${s.text}`;
+  }).join('\n');
+}
+
+/**
+ * Seconds to m:ss (h:mm:ss past an hour)
+ */
+export function formatClock(seconds) {
+  const total = Math.floor(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+export class STTProvider {
+  constructor(config) {
+    this.provider = config.provider || 'openai';
+    this.fallback = config.fallback || [];
+    this.config = config;
+
+    if (this.chain().length === 0) {
+      warn('⚠️  No speech-to-text backend configured - voice notes will fail (set OPENAI_API_KEY, DEEPGRAM_API_KEY or STT_LOCAL_COMMAND)');
+    }
+  }
+
+  /**
+   * Providers transcribe() will try, in order
+   * @returns {string[]}
+   */
+  chain() {
+    return [...new Set([this.provider, ...this.fallback])].filter(name => this.isConfigured(name));
+  }
+
+  isConfigured(name) {
+    switch (name) {
+      case 'openai': return !!this.config.openaiApiKey;
+      case 'deepgram': return !!this.config.apiKey;
+      case 'local': return !!this.config.localCommand;
+      default: return false;
+    }
+  }
+
+  /**
+   * Transcribe audio, falling back through the provider chain
+   * @param {Buffer} audio - Recorded audio
+   * @param {object} [options]
+   * @param {string} [options.mimeType='audio/webm']
+   * @returns {Promise<{text: string, segments: Array<{start, end, speaker, text}>, provider: string}>}
+   */
+  async transcribe(audio, { mimeType = 'audio/webm' } = {}) {
+    const chain = this.chain();
+    if (chain.length === 0) {
+      throw new Error('No speech-to-text provider configured');
+    }
+
+    const failures = [];
+    for (const name of chain) {
+      const startTime = Date.now();
+      try {
+        const limit = UPLOAD_LIMITS[name];
+        const { segments } = limit && audio.length > limit
+          ? await this.transcribeChunked(name, audio, mimeType)
+          : await this.transcribeWith(name, audio, mimeType);
+        log(`🎤 STT (${name}): ${Date.now() - startTime}ms, ${segments.length} segment(s)`);
+        return { text: joinSegments(segments), segments, provider: name };
+      } catch (e) {
+        warn(`⚠️  STT (${name}) failed: ${e.message}`);
+        failures.push(`${name}: ${e.message}`);
+      }
+    }
+    throw new Error(`All STT providers failed - ${failures.join('; ')}`);
+  }
+
+  transcribeWith(name, audio, mimeType) {
+    switch (name) {
+      case 'openai':
+        return this.openAITranscribe(audio, mimeType);
+      case 'deepgram':
+        return this.deepgramTranscribe(audio, mimeType);
+      case 'local':
+        return this.localTranscribe(audio, mimeType);
+      default:
+        throw new Error(`Unknown STT provider: ${name}`);
+    }
+  }
+
+  /**
+   * Split into STT_CHUNK_SECONDS WAV chunks and transcribe them in order
+   */
+  async transcribeChunked(name, audio, mimeType) {
+    const dir = await mkdtemp(join(tmpdir(), 'clawchat-stt-'));
+    try {
+      const source = join(dir, `audio.${EXTENSIONS[mimeType] || 'webm'}`);
+      await writeFile(source, audio);
+      try {
+        await run(this.config.ffmpegPath || 'ffmpeg', [
+          '-nostdin', '-loglevel', 'error', '-y',
+          '-i', source,
+          '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le',
+          '-f', 'segment', '-segment_time', String(STT_CHUNK_SECONDS), '-reset_timestamps', '1',
+          join(dir, 'chunk%03d.wav')
+        ], STT_LOCAL_TIMEOUT_MS);
+      } catch (e) {
+        throw new Error(`recording is over the ${Math.round(UPLOAD_LIMITS[name] / 1024 / 1024)} MB upload limit and couldn't be split (${e.message})`);
+      }
+
+      const chunks = (await readdir(dir)).filter(f => f.startsWith('chunk')).sort();
+      debug(`🎤 STT (${name}): ${chunks.length} chunk(s) of ${STT_CHUNK_SECONDS}s`);
+
+      const segments = [];
+      for (const [i, chunk] of chunks.entries()) {
+        const offset = i * STT_CHUNK_SECONDS;
+        const result = await this.transcribeWith(name, await readFile(join(dir, chunk)), 'audio/wav');
+        for (const s of result.segments) {
+          segments.push(segment(
+            s.start === null ? null : s.start + offset,
+            s.end === null ? null : s.end + offset,
+            s.speaker,
+            s.text
+          ));
+        }
+      }
+      return { text: joinSegments(segments), segments };
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  }
+
+  async openAITranscribe(audio, mimeType) {
+    const model = this.config.openaiModel || 'whisper-1';
+    const diarize = model.includes('diarize');
+
+    const form = new FormData();
+    form.append('file', new Blob([audio], { type: mimeType }), `audio.${EXTENSIONS[mimeType] || 'webm'}`);
+    form.append('model', model);
+    if (diarize) {
+      form.append('response_format', 'diarized_json');
+      form.append('chunking_strategy', 'auto');
+    } else if (model === 'whisper-1') {
+      form.append('response_format', 'verbose_json');
+      form.append('timestamp_granularities[]', 'segment');
+    }
+
+    const response = await fetch('https://api.openai.com/v1/audio/transcriptions', {
+      method: 'POST',
+      headers: { 'Authorization': `Bearer ${this.config.openaiApiKey}` },
+      body: form,
+      signal: AbortSignal.timeout(STT_REQUEST_TIMEOUT_MS),
+    });
+
+    if (!response.ok) {
+      const error = await response.text();
+      throw new Error(`Whisper error ${response.status}: ${error.slice(0, 200)}`);
+    }
+
+    const data = await response.json();
+    const segments = data.segments?.length
+      ? data.segments.map(s => segment(s.start, s.end, s.speaker ? `Speaker ${s.speaker}` : null, s.text || ''))
+      : [segment(null, null, null, data.text || '')];
+    return { text: data.text || joinSegments(segments), segments: segments.filter(s => s.text) };
+  }
+
+  async deepgramTranscribe(audio, mimeType) {
+    const model = this.config.deepgramModel || 'nova-2';
+
+    const response = await fetch(
+      `https://api.deepgram.com/v1/listen?model=${encodeURIComponent(model)}&smart_format=true&diarize=true&utterances=true`,
+      {
+        method: 'POST',
+        headers: {
+          'Authorization': `Token ${this.config.apiKey}`,
+          'Content-Type': mimeType,
+        },
+        body: audio,
+        signal: AbortSignal.timeout(STT_REQUEST_TIMEOUT_MS),
+      }
+    );
+
+    if (!response.ok) {
+      const error = await response.text();
+      throw new Error(`Deepgram STT error ${response.status}: ${error.slice(0, 200)}`);
+    }
+
+    const data = await response.json();
+    const utterances = data.results?.utterances || [];
+    const segments = utterances.length
+      ? utterances.map(u => segment(u.start, u.end, typeof u.speaker === 'number' ? `Speaker ${u.speaker + 1}` : null, u.transcript || ''))
+      : [segment(null, null, null, data.results?.channels?.[0]?.alternatives?.[0]?.transcript || '')];
+    return { text: joinSegments(segments), segments: segments.filter(s => s.text) };
+  }
+
+  async localTranscribe(audio, mimeType) {
+    const dir = await mkdtemp(join(tmpdir(), 'clawchat-stt-'));
+    try {
+      const source = join(dir, `audio.${EXTENSIONS[mimeType] || 'webm'}`);
+      await writeFile(source, audio);
+      const input = await this.toWav(source, join(dir, 'audio.wav'));
+
+      const command = this.config.localCommand.replaceAll('{input}', shellQuote(input));
+      const stdout = await run('/bin/sh', ['-c', command], STT_LOCAL_TIMEOUT_MS);
+
+      const segments = parseLocalOutput(stdout);
+      return { text: joinSegments(segments), segments };
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Convert to 16 kHz mono WAV (what whisper.cpp expects)
+   * Falls back to the original file if ffmpeg is missing or can't decode it.
+   */
+  async toWav(source, target) {
+    if (source.endsWith('.wav')) return source;
+    try {
+      await run(this.config.ffmpegPath || 'ffmpeg', [
+        '-nostdin', '-loglevel', 'error', '-y',
+        '-i', source,
+        '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le',
+        target
+      ], STT_LOCAL_TIMEOUT_MS);
+      return target;
+    } catch (e) {
+      debug(`🎤 ffmpeg conversion skipped (${e.message}) - passing original audio`);
+      return source;
+    }
+  }
+}
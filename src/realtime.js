@@ -3,12 +3,15 @@
  * 
  * End-to-end voice conversation using GPT-4o Realtime API.
  * Fast, natural, ~200-500ms latency for conversation.
- * Tools for calendar, time, and Clawdbot queries.
+ * Tools come from the shared tools/ registry (calendar, time, Clawdbot, ...).
  */
 
 import WebSocket from 'ws';
-import { TOOL_DEFINITIONS, executeTool } from './tools.js';
-import { getOpenAIKey, loadConversationContext, appendToSession } from './services/shared.js';
+import { getToolDefinitions, describeTools, executeTool } from './tools.js';
+import { getOpenAIKey, loadConversationContext, appendToSession, formatLocalTime, getTimezoneLabel } from './services/shared.js';
+import { getConfig } from './config.js';
+
+const { identity } = getConfig();
 
 // OpenAI Realtime API endpoint
 const REALTIME_URL = 'wss://api.openai.com/v1/realtime?model=gpt-4o-realtime-preview-2024-12-17';
@@ -47,9 +50,8 @@ export function handleRealtimeSession(clientWs) {
     // Load recent context
     const context = loadConversationContext({ limit: 5, format: 'text', maxLength: 300 });
     
-    // Get current time in Singapore
-    const sgTime = new Date().toLocaleString('en-SG', { 
-      timeZone: 'Asia/Singapore',
+    // Get current local time (configured timezone)
+    const localTime = formatLocalTime(new Date(), {
       weekday: 'long',
       year: 'numeric',
       month: 'long',
@@ -59,14 +61,12 @@ export function handleRealtimeSession(clientWs) {
     });
 
     // Build instructions
-    let instructions = `You are Spark, a friendly voice assistant for Parth.
+    let instructions = `You are Spark, a friendly voice assistant for ${identity.userName}.
 
-Current time: ${sgTime} (Singapore)
+Current time: ${localTime} (${getTimezoneLabel()})
 
 You have access to tools:
-- get_calendar: Check Parth's calendar (today, tomorrow, or this week)
-- get_time: Get exact current time
-- ask_clawdbot: For complex questions needing deep analysis
+${describeTools()}
 
 Personality:
 - Warm, natural, conversational
@@ -79,6 +79,7 @@ Guidelines:
 - No markdown, bullet points, or formatting
 - Speak naturally like a friend
 - USE TOOLS when asked about calendar, schedule, meetings, or time
+- Calendar changes: resolve "3pm Thursday" style times yourself, and before moving or deleting an event read the confirmation back and wait for a clear yes
 - For complex questions you can't answer, use ask_clawdbot`;
 
     if (context) {
@@ -103,7 +104,7 @@ Guidelines:
           prefix_padding_ms: 200,
           silence_duration_ms: 400
         },
-        tools: TOOL_DEFINITIONS,
+        tools: getToolDefinitions(),
         tool_choice: 'auto'
       }
     };
@@ -176,7 +177,7 @@ Guidelines:
             
             try {
               const args = JSON.parse(funcArgs);
-              const result = await executeTool(funcName, args);
+              const result = await executeTool(funcName, args, { session: 'realtime' });
               
               console.log(`📤 Tool result: ${result.slice(0, 100)}...`);
               
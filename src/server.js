@@ -22,7 +22,9 @@ import { execSync, spawn } from 'child_process';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { TTSProvider } from './providers/tts.js';
-import { loadConfig } from './config.js';
+import { STTProvider, formatTranscript } from './providers/stt.js';
+import { loadConfig, getConfigReport } from './config.js';
+import { formatLocalTime, getGatewayToken } from './services/shared.js';
 import { handleRealtimeSession } from './realtime.js';
 import { handleHybridRealtimeSession } from './hybrid-realtime.js';
 import { handleElevenLabsSession } from './elevenlabs-realtime.js';
@@ -42,13 +44,13 @@ import {
 } from './services/gateway.js';
 import {
   SESSIONS_DIR,
-  loadGatewayToken,
   getMainSessionId,
+  readMainSessionId,
   getMainSessionPath,
   loadSessionHistory,
   appendToSessionSync,
-  extractTextFromContent,
-  hashMessage
+  hashMessage,
+  cleanTranscriptEntry
 } from './services/session.js';
 import {
   CLI_TIMEOUT_MS,
@@ -58,15 +60,60 @@ import {
   STALE_SESSION_MAX_AGE_MS,
   SYNC_POLL_INTERVAL_MS,
   SYNC_DEBOUNCE_MS,
+  SYNC_ROTATION_BACKFILL_MESSAGES,
+  MODE_SYNC_MAX_SUBSCRIPTIONS,
   MAX_HASH_CACHE,
   MAX_FILE_TEXT_CLI,
+  PENDING_REATTACH_POLL_MS,
 } from './constants.js';
 import { log, debug, warn, error as logError } from './logger.js';
 import { routeModeMessage, getModeHistory, getActiveModeSessions } from './mode-sessions.js';
-import { listSessions, createSession as createModeSession, getLatestSession as getLatestModeSession, getSessionIndex } from './mode-session-index.js';
+import {
+  listSessions, createSession as createModeSession, getLatestSession as getLatestModeSession, getSessionIndex,
+  getSession as getModeSession, validateSessionChanges, updateSession as updateModeSession, deleteSession as deleteModeSession
+} from './mode-session-index.js';
+import { trackActiveRequest, cancelActiveRequests } from './services/active-requests.js';
+import { createOutbox, recordFrame, framesAfter } from './services/outbox.js';
+import { subscribeModeSession, unsubscribeModeSession } from './services/mode-sync.js';
+import { readTranscript, readTranscriptSummary, summaryMessages, listTranscripts } from './services/transcripts.js';
+import { normalizeTranscript, CHANNELS } from './services/messages.js';
+import {
+  addPendingRequest,
+  updatePendingRequest,
+  getPendingRequest,
+  getUndeliveredRequests,
+  hasUndeliveredRequests,
+  clearSessionRequests,
+  getInterruptedRequests,
+  findTranscriptReply,
+  flushPendingRequests
+} from './services/pending-requests.js';
+import { refreshSearchIndex, searchTranscripts, getSearchContext, flushSearchIndex } from './services/search-index.js';
+import { EXPORT_FORMATS, getSessionExport, getModeSessionExport, exportFilename, renderExport } from './services/export.js';
+import { validateHandoff, handoffMessage } from './services/handoff.js';
+import { loadTools, listTools } from './tools.js';
+import { startScheduler, listJobs, runJob } from './services/scheduler.js';
+import { getVapidPublicKey, validateSubscription, saveSubscription, getSubscription, setSubscriptionScopes, deleteSubscription } from './services/push.js';
+import { listReports, listReportDates, localDate, isValidDate } from './services/reports.js';
+import { loadModes, getMode, listModes, validateMode, createMode, mergeMode, updateMode, deleteMode } from './modes.js';
+import {
+  initAuth,
+  isAuthEnabled,
+  requireAuth,
+  authenticateRequest,
+  authenticateUpgrade,
+  verifyPassword,
+  isLockedOut,
+  recordLoginFailure,
+  clearLoginFailures,
+  createDevice,
+  listDevices,
+  revokeDevice,
+  sessionCookie
+} from './services/auth.js';
 import { createRequire } from 'module';
 const require = createRequire(import.meta.url);
-const pdf = require('pdf-parse');
+const { PDFParse } = require('pdf-parse');
 const mammoth = require('mammoth');
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
@@ -84,18 +131,44 @@ const MODELS = {
 };
 
 // Gateway connection
-const GATEWAY_URL = config.llm?.gatewayUrl || 'http://localhost:18789';
-const GATEWAY_TOKEN = config.llm?.gatewayToken || loadGatewayToken();
+const GATEWAY_URL = config.llm.gatewayUrl;
+const GATEWAY_TOKEN = getGatewayToken();
 
 // TTS
 const tts = new TTSProvider(config.tts);
 
+// STT (voice notes) - provider first, then fallbacks that are configured
+const stt = new STTProvider(config.stt);
+
 // Session utilities imported from ./services/session.js
 const MAIN_SESSION_ID = getMainSessionId();
 const MAIN_SESSION_PATH = getMainSessionPath();
 
 log(`🧠 Models: Voice=${MODELS.voice}, Chat=${MODELS.chat}`);
 log(`📁 Shared session: ${MAIN_SESSION_ID}`);
+if (stt.chain().length) log(`🎤 STT: ${stt.chain().join(' → ')}`);
+
+// Config report: where settings came from, plus anything missing or invalid
+const configReport = getConfigReport();
+log(`⚙️  Config: ${configReport.fileLoaded ? configReport.file : 'no config file'} (${configReport.sources.env} from env, ${configReport.sources.file} from file)`);
+log(`👤 Identity: ${config.identity.userName}, ${config.identity.timezone}, workspace ${config.paths.workspaceDir}`);
+for (const issue of configReport.issues) {
+  if (issue.level === 'error') logError(`❌ Config ${issue.key}: ${issue.message}`);
+  else warn(`⚠️  Config ${issue.key}: ${issue.message}`);
+}
+
+// Auth (password login → signed per-device tokens)
+const authStatus = initAuth(config.auth);
+if (authStatus.enabled) log(`🔐 Auth enabled (${authStatus.devices} registered devices)`);
+
+// Voice tools (discovered from tools/, shared by all realtime voice sessions)
+await loadTools();
+
+// Mode definitions (modes/*.json)
+loadModes();
+
+// Scheduled jobs (jobs.json) - results are stored as reports
+startScheduler();
 
 // Express app
 const app = express();
@@ -103,13 +176,16 @@ const app = express();
 // Enable gzip compression (reduces ~117KB app.js to ~25KB)
 app.use(compression());
 
+// Require a device session for /api/* and the app shell (login page stays public)
+app.use(requireAuth);
+
 // Cache static files for 1 hour, but not API routes
 app.use(express.static(join(__dirname, '../public'), { 
   etag: true,
   maxAge: '1h',
   setHeaders: (res, path) => {
-    // Don't cache HTML (for updates)
-    if (path.endsWith('.html')) {
+    // Don't cache HTML or the service worker (for updates)
+    if (path.endsWith('.html') || path.endsWith('sw.js')) {
       res.setHeader('Cache-Control', 'no-cache');
     }
   }
@@ -121,8 +197,153 @@ app.use('/api', (req, res, next) => {
   next();
 });
 
+// ============================================================================
+// AUTH API
+// ============================================================================
+
+// Auth status (public) - lets the login page know whether a session is needed
+app.get('/api/auth/status', (req, res) => {
+  const device = authenticateRequest(req);
+  res.json({ enabled: isAuthEnabled(), authenticated: !!device, device: device ? { id: device.id, name: device.name } : null });
+});
+
+// Log in with the portal password - registers this device and sets the session cookie
+app.post('/api/auth/login', express.json(), (req, res) => {
+  const ip = req.ip || req.socket.remoteAddress;
+  if (!isAuthEnabled()) {
+    return res.status(400).json({ error: 'Auth is not enabled' });
+  }
+  if (isLockedOut(ip)) {
+    warn(`🔐 Login locked out: ${ip}`);
+    return res.status(429).json({ error: 'Too many failed attempts. Try again later.' });
+  }
+  if (!verifyPassword(req.body?.password)) {
+    recordLoginFailure(ip);
+    warn(`🔐 Failed login from ${ip}`);
+    return res.status(401).json({ error: 'Invalid password' });
+  }
+
+  clearLoginFailures(ip);
+  const userAgent = req.headers['user-agent'] || '';
+  const { device, token } = createDevice(req.body?.deviceName || userAgent.slice(0, 60), userAgent);
+  const secure = req.secure || req.headers['x-forwarded-proto'] === 'https';
+  res.setHeader('Set-Cookie', sessionCookie(token, secure));
+  res.json({ success: true, device: { id: device.id, name: device.name } });
+});
+
+// Log out - revokes this device and clears the cookie
+app.post('/api/auth/logout', (req, res) => {
+  if (req.device?.id && req.device.id !== 'anonymous') revokeDevice(req.device.id);
+  res.setHeader('Set-Cookie', sessionCookie(null));
+  res.json({ success: true });
+});
+
+// List registered devices
+app.get('/api/auth/devices', (req, res) => {
+  const devices = listDevices().map(d => ({ ...d, current: d.id === req.device?.id }));
+  res.json({ devices });
+});
+
+// Issue a token for a non-browser client (scripts, shortcuts) - returned once
+app.post('/api/auth/devices', express.json(), (req, res) => {
+  if (!isAuthEnabled()) {
+    return res.status(400).json({ error: 'Auth is not enabled' });
+  }
+  const name = req.body?.name?.trim();
+  if (!name) {
+    return res.status(400).json({ error: 'Missing device name' });
+  }
+  const { device, token } = createDevice(name, 'api-token');
+  res.json({ device, token });
+});
+
+// Revoke a device
+app.delete('/api/auth/devices/:deviceId', (req, res) => {
+  if (!revokeDevice(req.params.deviceId)) {
+    return res.status(404).json({ error: 'Device not found' });
+  }
+  res.json({ success: true });
+});
+
+// ============================================================================
+// PENDING REQUESTS API
+// ============================================================================
+
+// Status and result of a main or mode request (requestId from its 'thinking' frame)
+app.get('/api/requests/:id', (req, res) => {
+  const request = getPendingRequest(req.params.id);
+  if (!request) {
+    return res.status(404).json({ error: 'Request not found' });
+  }
+  res.json(request);
+});
+
+// ============================================================================
+// PUSH NOTIFICATIONS API
+// ============================================================================
+
+// Scopes a device can opt into: mode ids, plus 'main' for the main session
+function checkPushScopes(scopes) {
+  if (!Array.isArray(scopes)) return 'scopes must be an array';
+  const unknown = scopes.filter(s => s !== 'main' && !getMode(s));
+  return unknown.length ? `unknown scope: ${unknown.join(', ')}` : null;
+}
+
+// VAPID public key for PushManager.subscribe()
+app.get('/api/push/key', (req, res) => {
+  res.json({ publicKey: getVapidPublicKey() });
+});
+
+// Register this device's PushSubscription; scopes default to the main session
+// plus every mode with notifyWhatsApp set
+app.post('/api/push/subscriptions', express.json(), (req, res) => {
+  const problem = validateSubscription(req.body?.subscription);
+  if (problem) {
+    return res.status(400).json({ error: `Invalid subscription: ${problem}` });
+  }
+  const scopes = req.body.scopes ?? ['main', ...listModes().filter(m => m.notifyWhatsApp).map(m => m.id)];
+  const scopeProblem = checkPushScopes(scopes);
+  if (scopeProblem) {
+    return res.status(400).json({ error: scopeProblem });
+  }
+  res.status(201).json(saveSubscription(req.body.subscription, scopes));
+});
+
+app.get('/api/push/subscriptions/:id', (req, res) => {
+  const sub = getSubscription(req.params.id);
+  if (!sub) {
+    return res.status(404).json({ error: 'Subscription not found' });
+  }
+  res.json(sub);
+});
+
+// Change which modes notify this device
+app.patch('/api/push/subscriptions/:id', express.json(), (req, res) => {
+  const scopeProblem = checkPushScopes(req.body?.scopes);
+  if (scopeProblem) {
+    return res.status(400).json({ error: scopeProblem });
+  }
+  const sub = setSubscriptionScopes(req.params.id, req.body.scopes);
+  if (!sub) {
+    return res.status(404).json({ error: 'Subscription not found' });
+  }
+  res.json(sub);
+});
+
+app.delete('/api/push/subscriptions/:id', (req, res) => {
+  if (!deleteSubscription(req.params.id)) {
+    return res.status(404).json({ error: 'Subscription not found' });
+  }
+  res.json({ success: true });
+});
+
 app.get('/api/config', (req, res) => {
-  res.json({ modes: Object.keys(MODELS) });
+  res.json({ modes: Object.keys(MODELS), userName: config.identity.userName });
+});
+
+// Voice tool registry (tools/*.js)
+app.get('/api/tools', (req, res) => {
+  res.json({ tools: listTools() });
 });
 
 // Articulations endpoint - refine text for clarity
@@ -185,59 +406,21 @@ You are NOT a chatbot. You are NOT helpful. You ONLY output cleaner versions of
   }
 });
 
-// Fetch chat history from session files
-import { readdirSync, statSync } from 'fs';
-
-// extractTextFromContent imported from ./services/session.js
+// Fetch chat history from session files (readTranscript / readTranscriptSummary: ./services/transcripts.js)
 
 app.get('/api/sessions', async (req, res) => {
   try {
-    const files = readdirSync(SESSIONS_DIR)
-      .filter(f => f.endsWith('.jsonl'))
-      .map(f => {
-        const filepath = join(SESSIONS_DIR, f);
-        const stat = statSync(filepath);
-        const content = readFileSync(filepath, 'utf8');
-        const lines = content.trim().split('\n').filter(l => l);
-        
-        // Get last user message as preview
-        let preview = 'No messages';
-        let channel = 'spark';
-        
-        for (let i = lines.length - 1; i >= 0; i--) {
-          try {
-            const entry = JSON.parse(lines[i]);
-            // Handle Clawdbot transcript format: {"type":"message","message":{...}}
-            const msg = entry.message || entry;
-            if (msg.role === 'user') {
-              const text = extractTextFromContent(msg.content);
-              if (text) {
-                // Check if WhatsApp
-                if (text.includes('[message_id:') || text.includes('[WhatsApp')) channel = 'whatsapp';
-                
-                // Clean up preview - remove all metadata
-                preview = text
-                  .replace(/^\[WhatsApp[^\]]*\]\s*/g, '')
-                  .replace(/\n?\[message_id:[^\]]+\]/g, '')
-                  .replace(/^\[Chat messages since[^\]]*\]\n?/gm, '')
-                  .replace(/^\[Current message[^\]]*\]\n?/gm, '')
-                  .replace(/^User:\s*/gm, '')
-                  .replace(/^Assistant:[^\n]*\n?/gm, '')
-                  .trim()
-                  .slice(0, 100);
-                
-                // Skip if preview is empty after cleaning
-                if (!preview) continue;
-                break;
-              }
-            }
-          } catch {}
-        }
+    const files = listTranscripts()
+      .map(({ sessionId, mtimeMs }) => {
+        // Last user message as preview
+        const last = readTranscriptSummary(sessionId)?.lastUser;
+        const preview = last ? last.text : 'No messages';
+        const channel = last ? last.channel : 'web';
         
         return {
-          key: f.replace('.jsonl', ''),
+          key: sessionId,
           channel,
-          updatedAt: stat.mtimeMs,
+          updatedAt: mtimeMs,
           preview,
         };
       })
@@ -255,26 +438,14 @@ app.get('/api/sessions', async (req, res) => {
 app.get('/api/sessions/:sessionId', async (req, res) => {
   try {
     const sessionId = req.params.sessionId;
-    const filepath = join(SESSIONS_DIR, `${sessionId}.jsonl`);
+    const transcript = readTranscript(sessionId);
     
-    if (!existsSync(filepath)) {
+    if (!transcript) {
       return res.status(404).json({ error: 'Session not found' });
     }
     
-    const content = readFileSync(filepath, 'utf8');
-    const messages = content.trim().split('\n')
-      .filter(l => l)
-      .map(l => {
-        try {
-          const entry = JSON.parse(l);
-          // Handle Clawdbot transcript format
-          if (entry.type === 'message' && entry.message) {
-            return entry.message;
-          }
-          return null;
-        } catch { return null; }
-      })
-      .filter(m => m && (m.role === 'user' || m.role === 'assistant'));
+    // User/assistant messages (tool calls and images reduced to their type)
+    const messages = transcript.entries.map(entry => entry.message);
     
     res.json({ messages });
   } catch (e) {
@@ -283,76 +454,49 @@ app.get('/api/sessions/:sessionId', async (req, res) => {
   }
 });
 
-// Fetch ALL messages from ALL sessions - unified chat feed (Web + WhatsApp only)
+// Send a conversation as a download - ?format=md|html|json (default md)
+function sendExport(req, res, conversation) {
+  const format = req.query.format || 'md';
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({ error: 'Invalid format, use md, html or json' });
+  }
+  if (!conversation) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  res.set('Content-Type', EXPORT_FORMATS[format].contentType);
+  res.attachment(exportFilename(conversation, format));
+  res.send(renderExport(conversation, format));
+}
+
+// Export a transcript (main, WhatsApp or mode session)
+app.get('/api/sessions/:sessionId/export', (req, res) => {
+  try {
+    sendExport(req, res, getSessionExport(req.params.sessionId));
+  } catch (e) {
+    logError('Session export error:', e.message);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Fetch ALL messages from ALL sessions - unified chat feed (Web + WhatsApp sessions)
+// ?channel=whatsapp,web,voice,cron picks channels (default: all but cron)
 app.get('/api/messages/all', async (req, res) => {
   try {
-    const allMessages = [];
-    const files = readdirSync(SESSIONS_DIR).filter(f => f.endsWith('.jsonl'));
-    
-    // Patterns to exclude (heartbeats, cron, system)
-    const excludePatterns = [
-      'Read HEARTBEAT.md',
-      'HEARTBEAT_OK',
-      'Cron:',
-      '[Cron job',
-      'systemEvent',
-    ];
+    const channels = req.query.channel ? req.query.channel.toString().split(',') : CHANNELS.filter(c => c !== 'cron');
+    if (!channels.every(c => CHANNELS.includes(c))) {
+      return res.status(400).json({ error: `Invalid channel, use ${CHANNELS.join(', ')}` });
+    }
     
-    for (const f of files) {
-      const filepath = join(SESSIONS_DIR, f);
-      const content = readFileSync(filepath, 'utf8');
-      const lines = content.trim().split('\n').filter(l => l);
-      
-      // Determine session type from filename
-      const isSparkSession = f.startsWith('spark_');
-      
-      // First pass: check if this session has any WhatsApp messages
-      const hasWhatsApp = content.includes('[WhatsApp');
+    const allMessages = [];
+    for (const { sessionId: transcriptId } of listTranscripts()) {
+      const summary = readTranscriptSummary(transcriptId);
+      if (!summary) continue;
       
-      // Skip sessions that are neither ClawChat nor WhatsApp
-      if (!isSparkSession && !hasWhatsApp) continue;
+      // Only ClawChat sessions and sessions with WhatsApp messages
+      if (!transcriptId.startsWith('spark_') && !summary.hasWhatsApp) continue;
       
-      for (const line of lines) {
-        try {
-          const entry = JSON.parse(line);
-          // Handle Clawdbot transcript format
-          if (entry.type === 'message' && entry.message) {
-            const msg = entry.message;
-            if (msg.role === 'user' || msg.role === 'assistant') {
-              // Extract text content
-              let text = extractTextFromContent(msg.content);
-              if (!text) continue;
-              
-              // Determine channel for this message
-              const isWhatsAppMsg = text.includes('[WhatsApp');
-              
-              // Skip heartbeats, cron, system messages
-              if (excludePatterns.some(p => text.includes(p))) continue;
-              
-              // Clean up the text
-              text = text
-                .replace(/^\[WhatsApp[^\]]*\]\s*/g, '')
-                .replace(/\n?\[message_id:[^\]]+\]/g, '')
-                .replace(/^\[Chat messages since[^\]]*\]\n?/gm, '')
-                .replace(/^\[Current message[^\]]*\]\n?/gm, '')
-                .replace(/^User:\s*/gm, '')
-                .replace(/^Assistant:\s*/gm, '')
-                .trim();
-              
-              if (!text) continue;
-              
-              // Get timestamp
-              const timestamp = msg.timestamp || entry.timestamp || Date.parse(entry.timestamp) || 0;
-              
-              allMessages.push({
-                role: msg.role,
-                text,
-                channel: hasWhatsApp ? 'whatsapp' : 'web',
-                timestamp: typeof timestamp === 'string' ? Date.parse(timestamp) : timestamp
-              });
-            }
-          }
-        } catch {}
+      for (const message of summaryMessages(summary, channels)) {
+        allMessages.push({ sessionId: transcriptId, ...message });
       }
     }
     
@@ -373,57 +517,23 @@ app.get('/api/messages/all', async (req, res) => {
 app.get('/api/messages/recent', async (req, res) => {
   try {
     const since = parseInt(req.query.since) || 0;
-    const recentMessages = [];
     
     // Read main session file
-    const currentSessionId = getMainSessionId();
-    const sessionPath = join(SESSIONS_DIR, `${currentSessionId}.jsonl`);
+    const transcript = readTranscript(getMainSessionId());
     
-    if (!existsSync(sessionPath)) {
+    if (!transcript) {
       return res.json({ messages: [] });
     }
     
-    const content = readFileSync(sessionPath, 'utf8');
-    const lines = content.trim().split('\n').filter(l => l);
-    
-    // Read last 50 lines for efficiency
-    const recentLines = lines.slice(-50);
-    
-    for (const line of recentLines) {
-      try {
-        const entry = JSON.parse(line);
-        if (entry.type !== 'message' || !entry.message) continue;
-        
-        const msg = entry.message;
-        const msgTimestamp = msg.timestamp || Date.parse(entry.timestamp) || 0;
-        
-        // Skip messages before the requested timestamp
-        if (msgTimestamp <= since) continue;
-        
-        const text = typeof msg.content === 'string' ? msg.content :
-                    (Array.isArray(msg.content) ? msg.content.find(c => c.type === 'text')?.text : null);
-        
-        if (!text) continue;
-        
-        // Skip heartbeats and system messages
-        if (text.includes('HEARTBEAT') || text.includes('Read HEARTBEAT.md')) continue;
-        
-        // Clean up text
-        const cleanText = text
-          .replace(/^\[WhatsApp[^\]]*\]\s*/g, '')
-          .replace(/\n?\[message_id:[^\]]+\]/g, '')
-          .replace(/^\[ClawChat Web\]\s*/g, '')
-          .trim();
-        
-        if (!cleanText) continue;
-        
-        recentMessages.push({
-          role: msg.role === 'assistant' ? 'bot' : 'user',
-          text: cleanText,
-          timestamp: msgTimestamp
-        });
-      } catch {}
-    }
+    // Only the last 50 messages
+    const recentMessages = normalizeTranscript(transcript.entries.slice(-50))
+      .filter(message => message.text && message.timestamp > since)
+      .map(message => ({
+        role: message.role === 'assistant' ? 'bot' : 'user',
+        text: message.text,
+        channel: message.channel,
+        timestamp: message.timestamp
+      }));
     
     // Sort by timestamp
     recentMessages.sort((a, b) => a.timestamp - b.timestamp);
@@ -435,17 +545,57 @@ app.get('/api/messages/recent', async (req, res) => {
   }
 });
 
+// Full-text search across all transcripts (main, WhatsApp, mode sessions)
+app.get('/api/search', (req, res) => {
+  try {
+    const q = (req.query.q || '').toString().trim();
+    if (!q) {
+      return res.status(400).json({ error: 'Missing query' });
+    }
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const channel = req.query.channel || undefined;
+    const { total, results } = searchTranscripts(q, { limit, channel });
+    res.json({ query: q, total, results });
+  } catch (e) {
+    logError('Search error:', e.message);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Messages surrounding a search hit
+app.get('/api/search/context', (req, res) => {
+  try {
+    const { sessionId, entryId } = req.query;
+    if (!sessionId || !entryId) {
+      return res.status(400).json({ error: 'Missing sessionId or entryId' });
+    }
+    const radius = Math.min(parseInt(req.query.radius) || 10, 50);
+    const context = getSearchContext(sessionId, entryId, radius);
+    if (!context) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    res.json({ sessionId, ...context });
+  } catch (e) {
+    logError('Search context error:', e.message);
+    res.status(500).json({ error: e.message });
+  }
+});
+
 // Node status endpoint - check if PC is connected
-const OPENCLAW_PATH = '/home/heisenberg/.npm-global/bin/openclaw';
+const OPENCLAW_PATH = config.paths.openclawPath;
 
 // Wake-on-LAN config
-const PC_MAC_ADDRESS = '8C:86:DD:61:3D:16';
+const PC_MAC_ADDRESS = config.wol.pcMacAddress;
 
 // Wake-on-LAN endpoint
 import dgram from 'dgram';
 
 app.post('/api/nodes/wake', async (req, res) => {
   try {
+    if (!PC_MAC_ADDRESS) {
+      return res.status(400).json({ success: false, error: 'wol.pcMacAddress (PC_MAC_ADDRESS) is not set' });
+    }
+    
     // Create magic packet
     const mac = PC_MAC_ADDRESS.replace(/[:-]/g, '');
     const macBuffer = Buffer.from(mac, 'hex');
@@ -503,7 +653,7 @@ app.get('/api/nodes/status', async (req, res) => {
     const data = JSON.parse(output);
     const nodes = data.nodes || [];
     
-    // Find Parth's PC node
+    // Find the user's PC node
     const pcNode = nodes.find(n => n.displayName?.includes('PC') || n.platform === 'win32');
     
     res.json({
@@ -530,19 +680,73 @@ app.get('/api/modes/:mode/history', (req, res) => {
   }
 });
 
-// Mode configs endpoint (used by frontend to load available modes)
+// Mode definitions (modes/*.json) - used by the frontend to render mode buttons
 app.get('/api/modes', (req, res) => {
-  const modes = {
-    dev: { name: 'Dev Mode', icon: '👨‍💻', notifyWhatsApp: true },
-    research: { name: 'Research Mode', icon: '🔬', notifyWhatsApp: true },
-    plan: { name: 'Plan Mode', icon: '📋', notifyWhatsApp: true },
-    articulate: { name: 'Articulate Mode', icon: '✍️', notifyWhatsApp: false },
-    dailyreports: { name: 'Daily Reports', icon: '📊', notifyWhatsApp: true },
-    videogen: { name: 'Video Gen', icon: '🎬', notifyWhatsApp: true }
-  };
+  const modes = Object.fromEntries(listModes().map(({ id, ...mode }) => [id, mode]));
   res.json({ modes });
 });
 
+app.get('/api/modes/:mode', (req, res) => {
+  const mode = getMode(req.params.mode);
+  if (!mode) {
+    return res.status(404).json({ error: 'Mode not found' });
+  }
+  res.json({ mode });
+});
+
+// Create a mode - body is the definition plus its id
+app.post('/api/modes', express.json(), (req, res) => {
+  const { id, ...definition } = req.body || {};
+  if (getMode(id)) {
+    return res.status(409).json({ error: `Mode already exists: ${id}` });
+  }
+  const problem = validateMode(id, definition);
+  if (problem) {
+    return res.status(400).json({ error: `Invalid mode: ${problem}` });
+  }
+  try {
+    res.status(201).json({ mode: createMode(id, definition) });
+  } catch (e) {
+    logError('Create mode error:', e.message);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Update some fields of a mode
+app.patch('/api/modes/:mode', express.json(), (req, res) => {
+  const id = req.params.mode;
+  if (!getMode(id)) {
+    return res.status(404).json({ error: 'Mode not found' });
+  }
+  if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+    return res.status(400).json({ error: 'Invalid mode: changes must be an object' });
+  }
+  const merged = mergeMode(id, req.body);
+  const problem = validateMode(id, merged);
+  if (problem) {
+    return res.status(400).json({ error: `Invalid mode: ${problem}` });
+  }
+  try {
+    res.json({ mode: updateMode(id, merged) });
+  } catch (e) {
+    logError('Update mode error:', e.message);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Delete a mode definition (its sessions and transcripts are kept)
+app.delete('/api/modes/:mode', (req, res) => {
+  try {
+    if (!deleteMode(req.params.mode)) {
+      return res.status(404).json({ error: 'Mode not found' });
+    }
+    res.json({ success: true });
+  } catch (e) {
+    logError('Delete mode error:', e.message);
+    res.status(500).json({ error: e.message });
+  }
+});
+
 // Active mode sessions endpoint
 app.get('/api/mode-sessions', (req, res) => {
   try {
@@ -554,11 +758,11 @@ app.get('/api/mode-sessions', (req, res) => {
   }
 });
 
-// List sessions for a mode (multi-session support)
+// List sessions for a mode (multi-session support) - ?archived=true includes archived ones
 app.get('/api/modes/:mode/sessions', (req, res) => {
   try {
     const mode = req.params.mode;
-    const sessions = listSessions(mode);
+    const sessions = listSessions(mode, { includeArchived: req.query.archived === 'true' });
     res.json({ mode, sessions });
   } catch (e) {
     logError('List mode sessions error:', e.message);
@@ -579,6 +783,59 @@ app.post('/api/modes/:mode/sessions', (req, res) => {
   }
 });
 
+// Rename, pin or archive a session - body { title?, pinned?, archived? }
+app.patch('/api/modes/:mode/sessions/:sessionId', express.json(), (req, res) => {
+  const { mode, sessionId } = req.params;
+  if (!getMode(mode) || !getModeSession(mode, sessionId)) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  const problem = validateSessionChanges(req.body);
+  if (problem) {
+    return res.status(400).json({ error: `Invalid session changes: ${problem}` });
+  }
+  try {
+    res.json({ session: updateModeSession(mode, sessionId, req.body) });
+  } catch (e) {
+    logError('Update mode session error:', e.message);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Delete a session (its transcript moves to mode-sessions/archive/)
+app.delete('/api/modes/:mode/sessions/:sessionId', (req, res) => {
+  try {
+    const { mode, sessionId } = req.params;
+    if (!getMode(mode) || !deleteModeSession(mode, sessionId)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json({ success: true });
+  } catch (e) {
+    logError('Delete mode session error:', e.message);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Hand an assistant message off to another mode - body { toMode, toSessionId?, content }
+// Returns the target session and the seed message for the client to send there
+app.post('/api/modes/:mode/sessions/:sessionId/handoff', express.json(), async (req, res) => {
+  const { mode, sessionId } = req.params;
+  if (!getMode(mode) || !getModeSession(mode, sessionId)) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  const problem = validateHandoff(mode, req.body);
+  if (problem) {
+    return res.status(400).json({ error: `Invalid handoff: ${problem}` });
+  }
+  try {
+    const handoff = await handoffMessage(mode, sessionId, req.body);
+    if (!handoff) return res.status(404).json({ error: 'Session not found' });
+    res.json(handoff);
+  } catch (e) {
+    logError('Handoff error:', e.message);
+    res.status(500).json({ error: e.message });
+  }
+});
+
 // Get history for a specific session
 app.get('/api/modes/:mode/sessions/:sessionId/history', (req, res) => {
   try {
@@ -592,7 +849,51 @@ app.get('/api/modes/:mode/sessions/:sessionId/history', (req, res) => {
   }
 });
 
-// Fetch today's reports from session messages (briefings sent to user)
+// Export a mode session
+app.get('/api/modes/:mode/sessions/:sessionId/export', (req, res) => {
+  try {
+    const { mode, sessionId } = req.params;
+    sendExport(req, res, getModeSessionExport(mode, sessionId));
+  } catch (e) {
+    logError('Mode session export error:', e.message);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Stored job reports for a day - ?date=YYYY-MM-DD (default today) &type=
+app.get('/api/reports', (req, res) => {
+  const date = req.query.date || localDate();
+  if (!isValidDate(date)) {
+    return res.status(400).json({ error: 'Invalid date, use YYYY-MM-DD' });
+  }
+  const type = req.query.type || undefined;
+  res.json({ date, type: type || null, reports: listReports({ date, type }) });
+});
+
+// Days that have stored reports, newest first
+app.get('/api/reports/dates', (req, res) => {
+  res.json({ dates: listReportDates() });
+});
+
+// Scheduled jobs with their next run
+app.get('/api/jobs', (req, res) => {
+  res.json({ jobs: listJobs() });
+});
+
+// Run a job now; the report shows up in /api/reports when it finishes
+app.post('/api/jobs/:id/run', (req, res) => {
+  const job = listJobs().find(j => j.id === req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  if (job.running) {
+    return res.status(409).json({ error: 'Job is already running' });
+  }
+  runJob(job.id);
+  res.status(202).json({ started: true });
+});
+
+// Legacy: scrape today's briefings (from an external cron) out of session messages
 app.get('/api/reports/today', async (req, res) => {
   try {
     const today = new Date();
@@ -600,65 +901,20 @@ app.get('/api/reports/today', async (req, res) => {
     const todayMs = today.getTime();
     
     const reports = [];
-    const files = readdirSync(SESSIONS_DIR).filter(f => f.endsWith('.jsonl'));
-    
-    // Report patterns to look for
-    const reportPatterns = [
-      '☀️ MORNING',
-      '📊 MARKET RECAP',
-      '🔬 SCIENCE UPDATE',
-      '🌍 GEOPOLITICS',
-      '📈 PRE-MARKET',
-      '🤖 AI/TECH',
-      'MORNING BRIEFING',
-      'MARKET RECAP',
-      'SCIENCE UPDATE',
-      'GEOPOLITICS UPDATE',
-      'PRE-MARKET BRIEFING',
-      'AI/TECH EVENING'
-    ];
     
-    for (const f of files) {
-      const filepath = join(SESSIONS_DIR, f);
-      const stat = statSync(filepath);
-      
+    for (const { sessionId: transcriptId, mtimeMs } of listTranscripts()) {
       // Skip files not modified today
-      if (stat.mtimeMs < todayMs) continue;
+      if (mtimeMs < todayMs) continue;
       
-      const content = readFileSync(filepath, 'utf8');
-      const lines = content.trim().split('\n').filter(l => l);
-      
-      for (const line of lines) {
-        try {
-          const entry = JSON.parse(line);
-          if (entry.type === 'message' && entry.message) {
-            const msg = entry.message;
-            
-            // Only assistant messages
-            if (msg.role !== 'assistant') continue;
-            
-            // Get timestamp
-            const timestamp = msg.timestamp || Date.parse(entry.timestamp) || 0;
-            if (timestamp < todayMs) continue;
-            
-            // Get text content
-            let text = extractTextFromContent(msg.content);
-            if (!text || text.length < 200) continue;
-            
-            // Check if it matches report patterns
-            const isReport = reportPatterns.some(p => text.toUpperCase().includes(p.toUpperCase()));
-            if (!isReport) continue;
-            
-            // Skip duplicates (same first 100 chars)
-            const preview = text.slice(0, 100);
-            if (reports.some(r => r.summary.slice(0, 100) === preview)) continue;
-            
-            reports.push({
-              timestamp,
-              summary: text
-            });
-          }
-        } catch {}
+      // Long assistant replies matching REPORT_TEXT_PATTERNS
+      for (const report of readTranscriptSummary(transcriptId)?.reports || []) {
+        if (report.timestamp < todayMs) continue;
+        
+        // Skip duplicates (same first 100 chars)
+        const preview = report.summary.slice(0, 100);
+        if (reports.some(r => r.summary.slice(0, 100) === preview)) continue;
+        
+        reports.push(report);
       }
     }
     
@@ -682,13 +938,9 @@ app.post('/api/notes/save-memory', express.json(), async (req, res) => {
     const { transcription, summary, timestamp } = req.body;
     const date = new Date(timestamp || Date.now());
     const dateStr = date.toISOString().split('T')[0];
-    const timeStr = date.toLocaleTimeString('en-SG', { 
-      timeZone: 'Asia/Singapore',
-      hour: '2-digit', 
-      minute: '2-digit' 
-    });
+    const timeStr = formatLocalTime(date, { hour: '2-digit', minute: '2-digit' });
     
-    const memoryPath = '/home/heisenberg/clawd/MEMORY.md';
+    const memoryPath = join(config.paths.workspaceDir, 'MEMORY.md');
     let content = existsSync(memoryPath) ? readFileSync(memoryPath, 'utf8') : '# MEMORY\n\n';
     
     // Add note entry
@@ -706,18 +958,20 @@ app.post('/api/notes/save-memory', express.json(), async (req, res) => {
 // Save note to file (creates dated note file)
 app.post('/api/notes/save-file', express.json(), async (req, res) => {
   try {
-    const { transcription, summary, timestamp } = req.body;
+    const { transcription, summary, timestamp, segments } = req.body;
     const date = new Date(timestamp || Date.now());
     const dateStr = date.toISOString().split('T')[0];
     const timeStr = date.toTimeString().split(' ')[0].replace(/:/g, '-');
+    // Timestamped/speaker-labelled transcript when the STT backend provided segments
+    const transcript = Array.isArray(segments) && segments.length ? formatTranscript(segments).replace(/\n/g, '  \n') : transcription;
     
-    const notesDir = '/home/heisenberg/clawd/notes';
+    const notesDir = join(config.paths.workspaceDir, 'notes');
     if (!existsSync(notesDir)) mkdirSync(notesDir, { recursive: true });
     
     const filename = `note-${dateStr}-${timeStr}.md`;
     const filepath = join(notesDir, filename);
     
-    const content = `# Voice Note\n\n**Date:** ${date.toLocaleString('en-SG', { timeZone: 'Asia/Singapore' })}\n\n## Transcription\n\n${transcription}\n\n## Summary\n\n${summary}\n`;
+    const content = `# Voice Note\n\n**Date:** ${formatLocalTime(date)}\n\n## Transcription\n\n${transcript}\n\n## Summary\n\n${summary}\n`;
     
     writeFileSync(filepath, content);
     res.json({ success: true, filename });
@@ -727,6 +981,29 @@ app.post('/api/notes/save-file', express.json(), async (req, res) => {
   }
 });
 
+// Recorded voice note audio (seekable - sendFile handles Range requests)
+app.get('/api/notes/audio/:file', (req, res) => {
+  const { file } = req.params;
+  if (!/^note_\d+\.webm$/.test(file)) {
+    return res.status(400).json({ error: 'Invalid note file' });
+  }
+  const filepath = join(config.paths.voiceNotesDir, file);
+  if (!existsSync(filepath)) {
+    return res.status(404).json({ error: 'Note not found' });
+  }
+  res.sendFile(filepath, { headers: { 'Content-Type': 'audio/webm' } });
+});
+
+// Transcript (segments) of a recorded voice note
+app.get('/api/notes/:id/transcript', (req, res) => {
+  const { id } = req.params;
+  const filepath = join(config.paths.voiceNotesDir, `${id}.json`);
+  if (!/^note_\d+$/.test(id) || !existsSync(filepath)) {
+    return res.status(404).json({ error: 'Note not found' });
+  }
+  res.json(JSON.parse(readFileSync(filepath, 'utf8')));
+});
+
 // HTTP server
 const server = createServer(app);
 
@@ -745,6 +1022,14 @@ server.on('upgrade', (request, socket, head) => {
   
   debug(`🔌 WebSocket upgrade request: ${pathname}`);
   
+  // Reject unauthenticated sockets before any handler sees them
+  if (!authenticateUpgrade(request)) {
+    warn(`🔐 Rejected unauthenticated WebSocket upgrade: ${pathname}`);
+    socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+    socket.destroy();
+    return;
+  }
+  
   // Route /realtime to realtime voice handler
   if (pathname === '/realtime' || pathname.endsWith('/realtime')) {
     wssRealtime.handleUpgrade(request, socket, head, (ws) => {
@@ -773,15 +1058,31 @@ server.on('upgrade', (request, socket, head) => {
 // Session store
 const sessions = new Map();
 
+// Client-generated message ids (transcript / mode_message messageId)
+const MESSAGE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
 // ============================================================================
 // UNIFIED SESSION - Real-time sync polling
 // ============================================================================
 const portalClients = new Set(); // Track all connected portal WebSocket clients
-const processingClients = new Set(); // Clients waiting for CLI response - don't sync assistant msgs to them
+const processingClients = new Map(); // Client → in-flight CLI requests - don't sync assistant msgs to them
+
+// Several requests can be in flight per client; it stays "processing" until the last settles
+function markProcessing(ws) {
+  processingClients.set(ws, (processingClients.get(ws) || 0) + 1);
+}
+
+function unmarkProcessingClient(ws) {
+  const remaining = (processingClients.get(ws) || 0) - 1;
+  if (remaining > 0) processingClients.set(ws, remaining);
+  else processingClients.delete(ws);
+}
 // Initialize from last message in session file, not Date.now() (avoids missing recent messages)
 let lastSyncTimestamp = 0; // Will be set from session file on first poll
 let lastSyncedMessageId = null;
 let syncInitialized = false;
+let syncedMainSessionId = null; // Main session the watcher follows (moves when it rotates)
+let rotationBackfillPending = false; // Next poll reads further back in the new transcript
 
 // Track recently sent message IDs to avoid duplicate sync (by content hash)
 const recentlySentHashes = new Set();
@@ -793,96 +1094,55 @@ async function pollForSync() {
   if (!UNIFIED_SESSION || portalClients.size === 0) return;
   
   try {
-    // Re-read main session ID in case it changed
-    const currentSessionId = getMainSessionId();
-    const sessionPath = join(SESSIONS_DIR, `${currentSessionId}.jsonl`);
-    
-    if (!existsSync(sessionPath)) return;
-    
-    const content = readFileSync(sessionPath, 'utf8');
-    const lines = content.trim().split('\n').filter(l => l);
+    // Re-read main session ID in case it changed (backup for the sessions.json watcher)
+    followMainSession();
+    const transcript = readTranscript(syncedMainSessionId);
+    if (!transcript) return;
+    const { entries } = transcript;
     
     // Initialize lastSyncTimestamp from the last message on first poll
     // This ensures we don't re-sync old messages but also don't miss recent ones
     if (!syncInitialized) {
       syncInitialized = true;
-      const lastLines = lines.slice(-5);
-      for (let i = lastLines.length - 1; i >= 0; i--) {
-        try {
-          const entry = JSON.parse(lastLines[i]);
-          if (entry.message?.timestamp) {
-            lastSyncTimestamp = entry.message.timestamp;
-            debug(`📡 Sync initialized from timestamp: ${new Date(lastSyncTimestamp).toISOString()}`);
-            break;
-          }
-        } catch {}
+      const lastEntries = entries.slice(-5);
+      for (let i = lastEntries.length - 1; i >= 0; i--) {
+        if (lastEntries[i].message.timestamp) {
+          lastSyncTimestamp = lastEntries[i].message.timestamp;
+          debug(`📡 Sync initialized from timestamp: ${new Date(lastSyncTimestamp).toISOString()}`);
+          break;
+        }
       }
       return; // Skip first poll to avoid re-syncing recent messages
     }
     
-    // Check last 10 entries for new messages
-    const recentLines = lines.slice(-10);
+    // Check last 10 messages for new ones - more right after a rotation, so what
+    // landed in the new transcript before we noticed is backfilled
+    const recentEntries = entries.slice(rotationBackfillPending ? -SYNC_ROTATION_BACKFILL_MESSAGES : -10);
+    rotationBackfillPending = false;
     
-    for (const line of recentLines) {
+    for (const entry of recentEntries) {
       try {
-        const entry = JSON.parse(line);
-        if (entry.type !== 'message' || !entry.message) continue;
+        // ONLY sync user and pure-text assistant messages - skip toolCall, thinking, heartbeats
+        const cleaned = cleanTranscriptEntry(entry);
+        if (!cleaned) continue;
         
-        const msg = entry.message;
-        const msgTimestamp = msg.timestamp || Date.parse(entry.timestamp) || 0;
-        const msgId = entry.id;
+        const { role, text: cleanText, source, timestamp: msgTimestamp, id: msgId } = cleaned;
         
         // Skip if we've already synced this message (by timestamp)
         if (msgTimestamp <= lastSyncTimestamp) continue;
         if (msgId && msgId === lastSyncedMessageId) continue;
         
-        // ONLY sync user and assistant messages - skip toolResult, toolCall, thinking, etc.
-        if (msg.role !== 'user' && msg.role !== 'assistant') continue;
-        
-        // For assistant messages, check if it's a pure text response (not tool calls/thinking)
-        if (msg.role === 'assistant' && Array.isArray(msg.content)) {
-          // Check if content contains toolCall or thinking blocks
-          const hasToolCall = msg.content.some(c => c.type === 'toolCall' || c.type === 'tool_use');
-          const hasThinking = msg.content.some(c => c.type === 'thinking');
-          // Skip if this is a tool-use turn (not a final response)
-          if (hasToolCall) continue;
-          // If it's ONLY thinking with no text, skip
-          if (hasThinking && !msg.content.some(c => c.type === 'text')) continue;
-        }
-        
-        const text = typeof msg.content === 'string' ? msg.content :
-                    (Array.isArray(msg.content) ? msg.content.find(c => c.type === 'text')?.text : null);
-        
-        if (!text) continue;
-        
         // Skip USER messages from ClawChat Portal (to avoid echo of what you just typed)
         // BUT allow assistant responses to be synced (they don't have [ClawChat Web] tag when from gateway)
-        if (msg.role === 'user' && (text.includes('[ClawChat Web]') || text.includes('[ClawChat Portal]'))) continue;
-        
-        // Skip heartbeats and system messages
-        if (text.includes('HEARTBEAT') || text.includes('Read HEARTBEAT.md')) continue;
-        
-        // Clean up text for display
-        let cleanText = text
-          .replace(/^\[WhatsApp[^\]]*\]\s*/g, '')
-          .replace(/\n?\[message_id:[^\]]+\]/g, '')
-          .replace(/^\[ClawChat Web\]\s*/g, '')
-          .trim();
-        
-        if (!cleanText) continue;
+        if (role === 'user' && source === 'web') continue;
         
         // Check content hash to avoid duplicates (more reliable than timestamp)
         const contentHash = hashMessage(cleanText);
         if (recentlySentHashes.has(contentHash)) continue;
         
-        // Determine source (WhatsApp or other)
-        const isWhatsApp = text.includes('[WhatsApp') || text.includes('[message_id:');
-        const isClawChatWeb = text.includes('[ClawChat Web]');
-        const source = isWhatsApp ? 'whatsapp' : (isClawChatWeb ? 'web' : 'other');
-        
         // Skip portal-originated messages (user already sees them locally)
         // Assistant responses to portal are handled by hash check above (recentlySentHashes)
-        if (isClawChatWeb) {
+        if (source === 'web') {
           lastSyncTimestamp = msgTimestamp;
           if (msgId) lastSyncedMessageId = msgId;
           continue;
@@ -892,7 +1152,7 @@ async function pollForSync() {
         const syncPayload = JSON.stringify({
           type: 'sync',
           message: {
-            role: msg.role === 'assistant' ? 'bot' : 'user',
+            role: role === 'assistant' ? 'bot' : 'user',
             text: cleanText,
             source,
             timestamp: msgTimestamp
@@ -903,7 +1163,7 @@ async function pollForSync() {
           if (client.readyState === 1) { // WebSocket.OPEN
             // Skip assistant messages for clients waiting for CLI response
             // They'll get the response directly from CLI
-            if (msg.role === 'assistant' && processingClients.has(client)) {
+            if (role === 'assistant' && processingClients.has(client)) {
               debug(`📡 Skipping sync to processing client`);
               continue;
             }
@@ -927,7 +1187,7 @@ async function pollForSync() {
           for (let i = 0; i < 20; i++) recentlySentHashes.delete(iter.next().value);
         }
         
-        debug(`📡 Synced ${msg.role} message from ${source}: ${cleanText.slice(0, 50)}...`);
+        debug(`📡 Synced ${role} message from ${source}: ${cleanText.slice(0, 50)}...`);
       } catch (parseErr) {
         // Skip malformed lines
       }
@@ -937,9 +1197,41 @@ async function pollForSync() {
   }
 }
 
+/**
+ * Follow the main session if it changed (OpenClaw rotated it): move the file
+ * watcher to the new transcript, have the next poll backfill it, and tell
+ * portal clients with a `session_rotated` frame (they show a divider).
+ * sessions.json without a usable entry (e.g. a mode run overwrote it) is no rotation.
+ */
+function followMainSession() {
+  const currentSessionId = readMainSessionId() || syncedMainSessionId || getMainSessionId();
+  if (currentSessionId === syncedMainSessionId) return;
+  const previousSessionId = syncedMainSessionId;
+  syncedMainSessionId = currentSessionId;
+  if (!previousSessionId) return; // First resolve at startup
+
+  log(`🔄 Main session rotated: ${previousSessionId} → ${currentSessionId}`);
+  rotationBackfillPending = true;
+  startFileWatcher();
+
+  const payload = JSON.stringify({ type: 'session_rotated', previousSessionId, sessionId: currentSessionId, timestamp: Date.now() });
+  for (const client of portalClients) {
+    if (client.readyState === 1) { // WebSocket.OPEN
+      try {
+        client.send(payload);
+      } catch (e) {
+        logError('Failed to send session_rotated to client:', e.message);
+      }
+    }
+  }
+}
+
 // Start sync with file watching (instant) + backup polling (fallback)
 let syncDebounceTimer = null;
 let fileWatcher = null;
+let fileWatcherRetry = null;
+let sessionsIndexWatcher = null;
+let sessionsIndexDebounceTimer = null;
 
 function debouncedSync() {
   // Debounce rapid file changes (multiple writes in quick succession)
@@ -950,9 +1242,10 @@ function debouncedSync() {
 }
 
 function startFileWatcher() {
-  const currentSessionId = getMainSessionId();
-  const sessionPath = join(SESSIONS_DIR, `${currentSessionId}.jsonl`);
+  if (!syncedMainSessionId) syncedMainSessionId = getMainSessionId();
+  const sessionPath = join(SESSIONS_DIR, `${syncedMainSessionId}.jsonl`);
   
+  clearTimeout(fileWatcherRetry);
   if (fileWatcher) {
     fileWatcher.close();
     fileWatcher = null;
@@ -960,7 +1253,7 @@ function startFileWatcher() {
   
   if (!existsSync(sessionPath)) {
     debug('📡 Session file not found, will retry in 5s');
-    setTimeout(startFileWatcher, 5000);
+    fileWatcherRetry = setTimeout(startFileWatcher, 5000);
     return;
   }
   
@@ -975,7 +1268,7 @@ function startFileWatcher() {
       logError('File watcher error:', err.message);
       fileWatcher = null;
       // Restart watcher after error
-      setTimeout(startFileWatcher, 2000);
+      fileWatcherRetry = setTimeout(startFileWatcher, 2000);
     });
     
     log(`📡 File watcher active on: ${sessionPath}`);
@@ -985,15 +1278,50 @@ function startFileWatcher() {
   }
 }
 
+// Watch sessions.json for main-session rotation. The directory is watched, not
+// the file: sessions.json is replaced on write, which a file watch wouldn't survive
+function startSessionsIndexWatcher() {
+  try {
+    sessionsIndexWatcher = watch(SESSIONS_DIR, (eventType, filename) => {
+      if (filename !== 'sessions.json') return;
+      clearTimeout(sessionsIndexDebounceTimer);
+      sessionsIndexDebounceTimer = setTimeout(() => {
+        followMainSession();
+        debouncedSync();
+      }, SYNC_DEBOUNCE_MS);
+    });
+    
+    sessionsIndexWatcher.on('error', (err) => {
+      logError('sessions.json watcher error:', err.message);
+      sessionsIndexWatcher = null;
+      setTimeout(startSessionsIndexWatcher, 2000);
+    });
+  } catch (e) {
+    logError('Failed to watch sessions.json:', e.message);
+    // The sync poll still picks up rotations
+  }
+}
+
 if (UNIFIED_SESSION) {
   // Primary: file watching (instant sync)
   startFileWatcher();
+  startSessionsIndexWatcher();
   
   // Backup: poll every 1s - file watching is unreliable on Linux
   setInterval(pollForSync, SYNC_POLL_INTERVAL_MS);
   log('📡 Real-time sync: file watching + 1s backup poll');
 }
 
+// Warm the search index in the background so the first search is fast
+setTimeout(() => {
+  try {
+    const added = refreshSearchIndex();
+    if (added > 0) log(`🔎 Search index: ${added} messages indexed`);
+  } catch (e) {
+    logError('Search index warm-up failed:', e.message);
+  }
+}, 5000);
+
 // WebSocket heartbeat to detect dead connections
 // Heartbeat intervals imported from constants.js
 
@@ -1026,9 +1354,7 @@ setInterval(() => {
     if (now - lastActivity > MAX_AGE) {
       sessions.delete(sessionId);
       // Also clean up pending requests for this session
-      if (pendingRequests.has(sessionId)) {
-        pendingRequests.delete(sessionId);
-      }
+      clearSessionRequests(sessionId);
       cleaned++;
     }
   }
@@ -1038,54 +1364,67 @@ setInterval(() => {
   }
 }, 60 * 60 * 1000); // Every hour
 
-// Pending requests store - persists across reconnections
-// Map<sessionId, Array<{requestId, status, startTime, text, response?, error?}>>
-const pendingRequests = new Map();
-
-// Get or create pending queue for a session
-function getPendingQueue(sessionId) {
-  if (!pendingRequests.has(sessionId)) {
-    pendingRequests.set(sessionId, []);
-  }
-  return pendingRequests.get(sessionId);
-}
-
-// Add a new pending request to the queue
-function addPendingRequest(sessionId, text) {
-  const requestId = Math.random().toString(36).slice(2, 10);
-  const queue = getPendingQueue(sessionId);
-  queue.push({
-    requestId,
-    status: 'processing',
-    startTime: Date.now(),
-    text: text.slice(0, 100)
-  });
-  return requestId;
+// Pending requests (main and mode) live in services/pending-requests.js,
+// persisted to disk so replies survive reconnections and restarts
+
+// Final frame for a finished request; mode replies carry their mode so the
+// client can tell them apart from main-session replies
+function pendingResultFrame(request) {
+  const frame = request.status === 'complete'
+    ? { type: 'text', content: request.response }
+    : { type: 'error', message: request.error };
+  frame.requestId = request.requestId;
+  if (request.mode) frame.sparkMode = request.mode;
+  return withMessageId(frame, request.messageId);
 }
 
-// Update a pending request by requestId
-function updatePendingRequest(sessionId, requestId, updates) {
-  const queue = pendingRequests.get(sessionId);
-  if (!queue) return false;
-  const request = queue.find(r => r.requestId === requestId);
-  if (request) {
-    Object.assign(request, updates);
-    return true;
-  }
-  return false;
+// Settle a request recovered after a restart: deliver if the client is back, else keep for replay
+function finishRecoveredRequest(request, updates) {
+  const finished = { ...request, ...updates };
+  const delivered = sendToClient(request.sessionId, pendingResultFrame(finished));
+  sendToClient(request.sessionId, withMessageId({ type: 'done' }, request.messageId));
+  updatePendingRequest(request.requestId, { ...updates, delivered });
 }
 
-// Remove a pending request by requestId
-function removePendingRequest(sessionId, requestId) {
-  const queue = pendingRequests.get(sessionId);
-  if (!queue) return;
-  const index = queue.findIndex(r => r.requestId === requestId);
-  if (index !== -1) {
-    queue.splice(index, 1);
-  }
-  // Clean up empty queues
-  if (queue.length === 0) {
-    pendingRequests.delete(sessionId);
+// Pick up requests a previous process left unfinished (restart mid-run).
+// The CLI children died with it, so look at the session transcript:
+// - reply already there → keep it for replay
+// - prompt there but no reply yet → the agent may still be running; wait for the reply
+// - prompt never reached the agent → send it again
+function recoverInterruptedRequests() {
+  for (const request of getInterruptedRequests()) {
+    getOrCreateSession(request.sessionId);
+    const transcriptId = request.mode ? request.modeSessionId : getMainSessionId();
+    const { asked, reply } = request.status === 'queued'
+      ? { asked: false, reply: null }
+      : findTranscriptReply(transcriptId, request);
+
+    if (reply) {
+      log(`♻️ [${request.sessionId}] Recovered reply for request ${request.requestId}`);
+      finishRecoveredRequest(request, { status: 'complete', response: reply });
+    } else if (asked) {
+      log(`♻️ [${request.sessionId}] Re-attaching to request ${request.requestId} (waiting for reply)`);
+      const timer = setInterval(() => {
+        const { reply } = findTranscriptReply(transcriptId, request);
+        const expired = Date.now() - request.startTime > CLI_TIMEOUT_MS;
+        if (!reply && !expired) return;
+        clearInterval(timer);
+        finishRecoveredRequest(request, reply
+          ? { status: 'complete', response: reply }
+          : { status: 'error', error: 'Request was interrupted by a server restart' });
+      }, PENDING_REATTACH_POLL_MS);
+    } else if (request.mode && !getMode(request.mode)) {
+      finishRecoveredRequest(request, { status: 'error', error: `Unknown mode: ${request.mode}` });
+    } else if (request.mode && !getModeSession(request.mode, request.modeSessionId)) {
+      finishRecoveredRequest(request, { status: 'error', error: 'Session not found' });
+    } else if (request.mode) {
+      log(`♻️ [${request.sessionId}] Re-driving ${request.mode} request ${request.requestId}`);
+      const send = (sid, frame) => sendToClient(sid, withMessageId(frame, request.messageId));
+      routeModeMessage(null, request.sessionId, request.mode, request.prompt, send, request.modeSessionId, { requestId: request.requestId, messageId: request.messageId });
+    } else {
+      log(`♻️ [${request.sessionId}] Re-driving request ${request.requestId}`);
+      routeThroughOpenClaw(null, request.sessionId, request.prompt, { requestId: request.requestId });
+    }
   }
 }
 
@@ -1097,6 +1436,7 @@ function getOrCreateSession(sessionId) {
       createdAt: Date.now(),
       lastActivity: Date.now(),
       ws: null,
+      outbox: createOutbox(),
     });
   }
   const session = sessions.get(sessionId);
@@ -1104,9 +1444,15 @@ function getOrCreateSession(sessionId) {
   return session;
 }
 
-// Send to client if connected
+// Tag a frame with the client message id it answers (omitted for untagged requests)
+function withMessageId(frame, messageId) {
+  return messageId ? { ...frame, messageId } : frame;
+}
+
+// Record in the session outbox (numbered for replay on reconnect), then send if connected
 function sendToClient(sessionId, data) {
   const session = sessions.get(sessionId);
+  if (session) data = recordFrame(session.outbox, data);
   if (session?.ws?.readyState === 1) { // WebSocket.OPEN
     try {
       session.ws.send(JSON.stringify(data));
@@ -1136,8 +1482,8 @@ wss.on('connection', (ws, request) => {
   const url = new URL(request.url, 'http://localhost');
   let sessionId = url.searchParams.get('session');
   
-  if (sessionId && sessions.has(sessionId)) {
-    // Reconnecting to existing session
+  if (sessionId && (sessions.has(sessionId) || hasUndeliveredRequests(sessionId))) {
+    // Reconnecting to existing session (or to one whose requests outlived a restart)
     debug(`⚡ [${sessionId}] Reconnected`);
   } else {
     // New session
@@ -1148,34 +1494,50 @@ wss.on('connection', (ws, request) => {
   const session = getOrCreateSession(sessionId);
   session.ws = ws;
   ws.sessionId = sessionId;
+  const outbox = session.outbox.id;
   
-  // Check for pending request results (queue-based)
-  const pendingQueue = pendingRequests.get(sessionId);
-  if (pendingQueue && pendingQueue.length > 0) {
-    const hasProcessing = pendingQueue.some(r => r.status === 'processing');
+  // Replay what the client missed after its last seq, if this outbox still has all of it
+  const lastSeq = Number(url.searchParams.get('seq'));
+  const missed = framesAfter(session.outbox, url.searchParams.get('outbox'), lastSeq);
+  const pendingQueue = getUndeliveredRequests(sessionId);
+  if (missed) {
+    debug(`⚡ [${sessionId}] Replaying ${missed.length} frame(s) after seq ${lastSeq}`);
+    ws.send(JSON.stringify({ type: 'ready', sessionId, outbox }));
+    for (const frame of missed) {
+      ws.send(JSON.stringify(frame));
+    }
+    // Results the pending store still holds were among those frames
+    for (const req of pendingQueue.filter(r => r.status !== 'processing' && r.status !== 'queued')) {
+      updatePendingRequest(req.requestId, { delivered: true });
+    }
+  } else if (pendingQueue.length > 0) {
+    // Otherwise fall back to the pending request results the client hasn't seen
+    const inFlight = pendingQueue.filter(r => r.status === 'processing' || r.status === 'queued');
     const completedRequests = pendingQueue.filter(r => r.status === 'complete' || r.status === 'error');
     
-    if (hasProcessing) {
-      // At least one still processing - tell client
-      ws.send(JSON.stringify({ type: 'ready', sessionId, pending: true }));
-      ws.send(JSON.stringify({ type: 'thinking' }));
+    if (inFlight.length > 0) {
+      // Still processing - tell client, once per in-flight message
+      ws.send(JSON.stringify({ type: 'ready', sessionId, outbox, pending: true }));
+      for (const req of inFlight) {
+        sendToClient(sessionId, withMessageId({ type: 'thinking', requestId: req.requestId }, req.messageId));
+      }
     } else {
-      ws.send(JSON.stringify({ type: 'ready', sessionId }));
+      ws.send(JSON.stringify({ type: 'ready', sessionId, outbox }));
     }
     
     // Send all completed/errored results
     for (const req of completedRequests) {
-      if (req.status === 'complete') {
-        ws.send(JSON.stringify({ type: 'text', content: req.response }));
-        ws.send(JSON.stringify({ type: 'done' }));
-      } else if (req.status === 'error') {
-        ws.send(JSON.stringify({ type: 'error', message: req.error }));
-        ws.send(JSON.stringify({ type: 'done' }));
-      }
-      removePendingRequest(sessionId, req.requestId);
+      sendToClient(sessionId, pendingResultFrame(req));
+      sendToClient(sessionId, withMessageId({ type: 'done' }, req.messageId));
+      updatePendingRequest(req.requestId, { delivered: true });
+    }
+    
+    // Cancelled requests have nothing to deliver
+    for (const req of pendingQueue.filter(r => r.status === 'cancelled')) {
+      updatePendingRequest(req.requestId, { delivered: true });
     }
   } else {
-    ws.send(JSON.stringify({ type: 'ready', sessionId }));
+    ws.send(JSON.stringify({ type: 'ready', sessionId, outbox }));
   }
   
   ws.on('message', async (data) => {
@@ -1184,40 +1546,58 @@ wss.on('connection', (ws, request) => {
       const rawSize = typeof data === 'string' ? data.length : data.byteLength;
       if (rawSize > WS_MAX_PAYLOAD) {
         warn(`[${sessionId}] Rejected oversized message: ${Math.round(rawSize / 1024)}KB`);
-        ws.send(JSON.stringify({ type: 'error', message: 'Message too large' }));
+        sendToClient(sessionId, { type: 'error', message: 'Message too large' });
         return;
       }
 
       const msg = JSON.parse(data.toString());
 
       // Validate message type
-      const VALID_WS_TYPES = ['transcript', 'voice_note', 'mode_message', 'mode_history'];
+      const VALID_WS_TYPES = ['transcript', 'voice_note', 'mode_message', 'mode_history', 'mode_subscribe', 'mode_unsubscribe', 'cancel'];
       if (!msg.type || !VALID_WS_TYPES.includes(msg.type)) {
         warn(`[${sessionId}] Invalid message type: ${msg.type}`);
-        ws.send(JSON.stringify({ type: 'error', message: `Invalid message type: ${msg.type}` }));
+        sendToClient(sessionId, { type: 'error', message: `Invalid message type: ${msg.type}` });
+        return;
+      }
+
+      // Client message id: echoed on every frame answering this message
+      if (msg.messageId !== undefined && (typeof msg.messageId !== 'string' || !MESSAGE_ID_PATTERN.test(msg.messageId))) {
+        sendToClient(sessionId, { type: 'error', message: 'Invalid messageId' });
         return;
       }
 
       // Validate required fields per message type
       if (msg.type === 'transcript' && (!msg.text || typeof msg.text !== 'string' || !msg.text.trim())) {
-        ws.send(JSON.stringify({ type: 'error', message: 'Missing or empty text for transcript' }));
+        sendToClient(sessionId, { type: 'error', message: 'Missing or empty text for transcript' });
         return;
       }
 
       if (msg.type === 'voice_note' && (!msg.audio || typeof msg.audio !== 'string')) {
-        ws.send(JSON.stringify({ type: 'error', message: 'Missing audio data for voice note' }));
+        sendToClient(sessionId, { type: 'error', message: 'Missing audio data for voice note' });
         return;
       }
 
       // Handle mode_message: route to isolated mode session
       if (msg.type === 'mode_message') {
-        const { sparkMode, text, sessionId: modeSessionId } = msg;
+        const { sparkMode, text, sessionId: modeSessionId, messageId } = msg;
         if (!sparkMode || !text?.trim()) {
-          ws.send(JSON.stringify({ type: 'error', message: 'Missing sparkMode or text for mode_message' }));
+          sendToClient(sessionId, withMessageId({ type: 'error', message: 'Missing sparkMode or text for mode_message' }, messageId));
           return;
         }
         log(`📦 [${sessionId}] Mode message: ${sparkMode} (session: ${modeSessionId || 'latest'}) - ${text.slice(0, 50)}...`);
-        await routeModeMessage(ws, sessionId, sparkMode, text, sendToClient, modeSessionId);
+        const send = (sid, frame) => sendToClient(sid, withMessageId(frame, messageId));
+        await routeModeMessage(ws, sessionId, sparkMode, text, send, modeSessionId, { messageId });
+        return;
+      }
+
+      // Handle cancel: stop the in-flight main or mode requests (sparkMode selects the mode,
+      // messageId narrows it to one message)
+      if (msg.type === 'cancel') {
+        const scope = msg.sparkMode ? `mode:${msg.sparkMode}` : 'main';
+        if (cancelActiveRequests(sessionId, scope, msg.messageId) === 0) {
+          debug(`[${sessionId}] Cancel: no active ${scope} request`);
+          sendToClient(sessionId, withMessageId({ type: 'done' }, msg.messageId));
+        }
         return;
       }
 
@@ -1225,25 +1605,56 @@ wss.on('connection', (ws, request) => {
       if (msg.type === 'mode_history') {
         const { sparkMode, sessionId: modeSessionId } = msg;
         if (!sparkMode) {
-          ws.send(JSON.stringify({ type: 'error', message: 'Missing sparkMode for mode_history' }));
+          sendToClient(sessionId, { type: 'error', message: 'Missing sparkMode for mode_history' });
           return;
         }
         const messages = getModeHistory(sparkMode, 50, modeSessionId);
-        ws.send(JSON.stringify({ type: 'mode_history', mode: sparkMode, messages }));
+        sendToClient(sessionId, { type: 'mode_history', mode: sparkMode, messages });
+        return;
+      }
+
+      // Handle mode_subscribe: follow a mode session live (mode_sync frames)
+      if (msg.type === 'mode_subscribe') {
+        const { sparkMode, sessionId: modeSessionId } = msg;
+        const modeSession = typeof modeSessionId === 'string' && getModeSession(sparkMode, modeSessionId);
+        if (!modeSession) {
+          sendToClient(sessionId, { type: 'error', message: 'Session not found' });
+          return;
+        }
+        if (modeSession.legacy) {
+          sendToClient(sessionId, { type: 'error', message: 'Live sync is not available for legacy sessions' });
+          return;
+        }
+        if (!subscribeModeSession(sessionId, sparkMode, modeSessionId, frame => sendToClient(sessionId, frame))) {
+          sendToClient(sessionId, { type: 'error', message: `At most ${MODE_SYNC_MAX_SUBSCRIPTIONS} live mode sessions per client` });
+          return;
+        }
+        sendToClient(sessionId, { type: 'mode_subscribed', sparkMode, sessionId: modeSessionId });
+        return;
+      }
+
+      // Handle mode_unsubscribe: stop following one mode session (or all without sessionId)
+      if (msg.type === 'mode_unsubscribe') {
+        unsubscribeModeSession(sessionId, typeof msg.sessionId === 'string' ? msg.sessionId : undefined);
         return;
       }
 
       await handleMessage(ws, msg);
     } catch (e) {
       logError(`[${sessionId}] Error:`, e.message);
-      ws.send(JSON.stringify({ type: 'error', message: e.message }));
+      sendToClient(sessionId, { type: 'error', message: e.message });
     }
   });
   
   ws.on('close', () => {
     debug(`[${sessionId}] Disconnected (processing continues)`);
-    // Don't delete session - keep it for reconnection
-    if (session) session.ws = null;
+    // A late close from a socket the session has since replaced leaves the new one alone
+    if (session?.ws === ws) {
+      // Live mode sessions are subscribed again on reconnect
+      unsubscribeModeSession(sessionId);
+      // Don't delete session - keep it for reconnection
+      session.ws = null;
+    }
     // Remove from portal clients for sync broadcasting
     portalClients.delete(ws);
   });
@@ -1256,7 +1667,7 @@ async function handleMessage(ws, msg) {
 
   switch (msg.type) {
     case 'transcript':
-      await handleTranscript(ws, session, msg.text, msg.mode || 'chat', msg.image, msg.file);
+      await handleTranscript(ws, session, msg.text, msg.mode || 'chat', msg.image, msg.file, msg.messageId);
       break;
       
     case 'voice_note':
@@ -1320,6 +1731,16 @@ async function extractWithPaddleOCR(dataUrl, fileType) {
     .join('\n\n---\n\n');
 }
 
+// Extract the text layer of a PDF (pdf-parse v2 API)
+async function parsePdf(buffer) {
+  const parser = new PDFParse({ data: buffer });
+  try {
+    return await parser.getText();
+  } finally {
+    await parser.destroy();
+  }
+}
+
 // Extract text from PDF (with PaddleOCR fallback for scanned docs)
 async function extractPdfText(dataUrl) {
   const base64Data = dataUrl.split(',')[1];
@@ -1327,7 +1748,7 @@ async function extractPdfText(dataUrl) {
 
   // Try text extraction first (fast, no API call)
   try {
-    const data = await pdf(buffer);
+    const data = await parsePdf(buffer);
     if (data.text && data.text.trim().length > 50) {
       return data.text; // Digital PDF — text extracted successfully
     }
@@ -1346,7 +1767,7 @@ async function extractPdfText(dataUrl) {
 
   // Last resort: return whatever pdf-parse got (even if short)
   try {
-    const data = await pdf(buffer);
+    const data = await parsePdf(buffer);
     return data.text || '[Could not extract text from PDF]';
   } catch {
     return '[Could not extract text from PDF]';
@@ -1361,15 +1782,159 @@ async function extractDocxText(dataUrl) {
   return result.value;
 }
 
+// Stream a main-session reply through the gateway's OpenAI-compatible endpoint,
+// forwarding each token to the client as a text_delta frame.
+// Returns the full reply, or null if the gateway didn't accept the request
+// (connection error or non-2xx status; caller falls back to the CLI). Once it
+// answered 2xx the agent may already be acting on the prompt, so a broken
+// stream throws instead - running it again through the CLI could repeat its tool calls.
+// signal: aborts the stream when the client cancels (returns the partial reply)
+// send: delivers a frame to the requesting client
+async function streamThroughGateway(sessionId, text, signal, send) {
+  const timeoutSignal = AbortSignal.timeout(CLI_TIMEOUT_MS);
+  let reply = '';
+  let accepted = false;
+  
+  try {
+    const response = await fetch(`${GATEWAY_URL}/v1/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${GATEWAY_TOKEN}`,
+        'x-openclaw-session-key': UNIFIED_SESSION_KEY,
+      },
+      body: JSON.stringify({
+        model: 'openclaw:main',
+        stream: true,
+        messages: [{ role: 'user', content: text }],
+      }),
+      signal: AbortSignal.any([signal, timeoutSignal]),
+    });
+    
+    if (!response.ok) {
+      warn(`[${sessionId}] Gateway streaming unavailable (${response.status}), falling back to CLI`);
+      return null;
+    }
+    accepted = true;
+    if (!response.body) throw new Error('empty response');
+    
+    // Parse server-sent events: "data: {json}\n\n" ... "data: [DONE]"
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      
+      for (const line of lines) {
+        if (!line.startsWith('data:')) continue;
+        const payload = line.slice(5).trim();
+        if (!payload || payload === '[DONE]') continue;
+        
+        let event;
+        try {
+          event = JSON.parse(payload);
+        } catch {
+          continue;
+        }
+        const delta = event.choices?.[0]?.delta?.content;
+        if (delta) {
+          reply += delta;
+          send({ type: 'text_delta', delta });
+        }
+      }
+    }
+    
+    return reply;
+  } catch (e) {
+    if (signal.aborted) return reply;
+    if (!accepted) {
+      warn(`[${sessionId}] Gateway streaming failed (${e.message}), falling back to CLI`);
+      return null;
+    }
+    throw new Error(timeoutSignal.aborted ? 'Request timed out after 5 minutes' : `Stream interrupted: ${e.message}`);
+  }
+}
+
 // Route messages through OpenClaw's main session (for tools/skills)
 // Uses the CLI for reliable agent execution with full tool access
-// isRetry: true if this is a retry from the queue (don't re-queue on failure)
-async function routeThroughOpenClaw(ws, sessionId, text, isRetry = false) {
+// options.isRetry: true if this is a retry from the queue (don't re-queue on failure)
+// options.requestId: existing pending request (queue retry, or re-driven after a restart)
+// options.messageId: client message id, echoed on every frame of this request
+async function routeThroughOpenClaw(ws, sessionId, text, { isRetry = false, requestId = null, messageId = null } = {}) {
   log(`🔀 [${sessionId}] Routing through OpenClaw: ${text.slice(0, 50)}...${isRetry ? ' (retry)' : ''}`);
-  sendToClient(sessionId, { type: 'thinking' });
+  
+  // Track in the pending store so a reconnecting client can pick up the result
+  if (requestId) {
+    messageId = getPendingRequest(requestId)?.messageId || messageId;
+    updatePendingRequest(requestId, { status: 'processing' });
+  } else {
+    requestId = addPendingRequest(sessionId, text, { messageId });
+  }
+  const send = (frame) => sendToClient(sessionId, withMessageId(frame, messageId));
+  send({ type: 'thinking', requestId });
   
   // Mark this client as processing - sync will skip assistant msgs for them
-  if (ws) processingClients.add(ws);
+  if (ws) markProcessing(ws);
+  
+  // Unmark client as processing (once)
+  let unmarked = false;
+  const unmarkProcessing = () => {
+    if (unmarked) return;
+    unmarked = true;
+    if (ws) unmarkProcessingClient(ws);
+  };
+  
+  // Deliver the final frames; keep the result for replay only if the client missed it
+  const settle = (frame, updates) => {
+    const delivered = send(frame);
+    send({ type: 'done' });
+    updatePendingRequest(requestId, { ...updates, delivered });
+    unmarkProcessing();
+  };
+  
+  // Client-initiated cancel (WS 'cancel' message)
+  const cancelController = new AbortController();
+  const untrack = trackActiveRequest(sessionId, 'main', () => {
+    if (cancelController.signal.aborted) return;
+    cancelController.abort();
+    updatePendingRequest(requestId, { status: 'cancelled', delivered: true });
+    unmarkProcessing();
+    send({ type: 'cancelled' });
+    send({ type: 'done' });
+  }, messageId);
+  
+  // Prefer token streaming via the gateway; fall back to the CLI only if it didn't take the request
+  if (config.features.streamReplies) {
+    try {
+      const streamed = await streamThroughGateway(sessionId, text, cancelController.signal, send);
+      if (cancelController.signal.aborted) return false;
+      if (streamed !== null) {
+        untrack();
+        const reply = streamed || 'Request processed by OpenClaw.';
+        log(`✅ [${sessionId}] OpenClaw streamed response: ${reply.slice(0, 100)}...`);
+        // Add to hash set so sync won't re-broadcast this response
+        recentlySentHashes.add(hashMessage(reply));
+        // Final text frame lets the client replace the live bubble with the formatted reply
+        settle({ type: 'text', content: reply }, { status: 'complete', response: reply });
+        return true;
+      }
+    } catch (e) {
+      untrack();
+      logError(`[${sessionId}] OpenClaw streaming error:`, e.message);
+      settle({ type: 'error', message: e.message }, { status: 'error', error: e.message });
+      return false;
+    }
+  }
+  
+  // Without a main target the CLI has nowhere to route the message
+  if (!config.identity.mainTarget) {
+    untrack();
+    const errorMsg = 'identity.mainTarget (MAIN_TARGET) is not set';
+    logError(`[${sessionId}] ${errorMsg}`);
+    settle({ type: 'error', message: errorMsg }, { status: 'error', error: errorMsg });
+    return false;
+  }
   
   return new Promise((resolve) => {
     const timeout = CLI_TIMEOUT_MS;
@@ -1381,7 +1946,7 @@ async function routeThroughOpenClaw(ws, sessionId, text, isRetry = false) {
     const proc = spawn(OPENCLAW_PATH, [
       'agent',
       '--message', text,
-      '--to', '+6587588470', // Parth's number - routes to main session
+      '--to', config.identity.mainTarget, // Routes to main session
       '--json'
     ], {
       timeout,
@@ -1399,21 +1964,30 @@ async function routeThroughOpenClaw(ws, sessionId, text, isRetry = false) {
     const timeoutId = setTimeout(() => {
       if (!completed) {
         completed = true;
+        untrack();
         proc.kill('SIGTERM');
         logError(`[${sessionId}] OpenClaw routing timeout after 5 minutes`);
-        sendToClient(sessionId, { type: 'error', message: 'Request timed out after 5 minutes' });
-        sendToClient(sessionId, { type: 'done' });
-        // Unmark client as processing
-        const session = sessions.get(sessionId);
-        if (session?.ws) processingClients.delete(session.ws);
+        settle({ type: 'error', message: 'Request timed out after 5 minutes' }, { status: 'error', error: 'Request timed out after 5 minutes' });
         resolve(false);
       }
     }, timeout);
     
+    // Cancel: kill the child; the cancel callback already notified the client
+    const onCancel = () => {
+      if (completed) return;
+      completed = true;
+      clearTimeout(timeoutId);
+      proc.kill('SIGTERM');
+      resolve(false);
+    };
+    if (cancelController.signal.aborted) onCancel();
+    else cancelController.signal.addEventListener('abort', onCancel, { once: true });
+    
     proc.on('close', (code) => {
       clearTimeout(timeoutId);
-      if (completed) return;
+      if (completed || cancelController.signal.aborted) return;
       completed = true;
+      untrack();
       
       try {
         if (code !== 0) {
@@ -1424,20 +1998,20 @@ async function routeThroughOpenClaw(ws, sessionId, text, isRetry = false) {
             log(`⏳ [${sessionId}] Gateway connecting, queueing message...`);
             setGatewayConnecting(true);
             
-            // Notify user their message is queued
-            sendToClient(sessionId, { 
-              type: 'text', 
+            // Notify user their message is queued; no done yet, the retry's
+            // frames carry the same message id and end with their own done
+            send({ 
+              type: 'queued', 
               content: '⏳ WhatsApp is reconnecting... Your message has been queued and will be sent automatically when connected.' 
             });
-            sendToClient(sessionId, { type: 'done' });
             
-            // Queue the message
-            queueMessage(ws, sessionId, text, resolve);
+            // Queue the message (the retry picks up the same pending request)
+            updatePendingRequest(requestId, { status: 'queued' });
+            queueMessage(ws, sessionId, text, resolve, requestId, messageId);
             startQueueDrainTimer();
             
             // Unmark client as processing (will be re-marked on retry)
-            const sessionQueue = sessions.get(sessionId);
-            if (sessionQueue?.ws) processingClients.delete(sessionQueue.ws);
+            unmarkProcessing();
             return;
           }
           
@@ -1451,17 +2025,12 @@ async function routeThroughOpenClaw(ws, sessionId, text, isRetry = false) {
                       'Request processed by OpenClaw.';
         
         log(`✅ [${sessionId}] OpenClaw response: ${reply.slice(0, 100)}...`);
-        sendToClient(sessionId, { type: 'text', content: reply });
-        sendToClient(sessionId, { type: 'done' });
         
         // Add to hash set so sync won't re-broadcast this response
         const replyHash = hashMessage(reply);
         recentlySentHashes.add(replyHash);
         
-        // Unmark client as processing
-        const session = sessions.get(sessionId);
-        if (session?.ws) processingClients.delete(session.ws);
-        
+        settle({ type: 'text', content: reply }, { status: 'complete', response: reply });
         resolve(true);
       } catch (e) {
         logError(`[${sessionId}] OpenClaw routing error:`, e.message);
@@ -1469,11 +2038,7 @@ async function routeThroughOpenClaw(ws, sessionId, text, isRetry = false) {
         const errorMsg = e.message.includes('JSON') 
           ? (stderr || stdout || 'Unknown error from OpenClaw').slice(0, 500)
           : e.message;
-        sendToClient(sessionId, { type: 'error', message: errorMsg });
-        sendToClient(sessionId, { type: 'done' });
-        // Unmark client as processing
-        const sessionErr = sessions.get(sessionId);
-        if (sessionErr?.ws) processingClients.delete(sessionErr.ws);
+        settle({ type: 'error', message: errorMsg }, { status: 'error', error: errorMsg });
         resolve(false);
       }
     });
@@ -1482,13 +2047,11 @@ async function routeThroughOpenClaw(ws, sessionId, text, isRetry = false) {
       clearTimeout(timeoutId);
       if (completed) return;
       completed = true;
+      untrack();
       
       logError(`[${sessionId}] OpenClaw spawn error:`, e.message);
-      sendToClient(sessionId, { type: 'error', message: `Failed to run OpenClaw: ${e.message}` });
-      sendToClient(sessionId, { type: 'done' });
-      // Unmark client as processing
-      const sessionSpawn = sessions.get(sessionId);
-      if (sessionSpawn?.ws) processingClients.delete(sessionSpawn.ws);
+      const errorMsg = `Failed to run OpenClaw: ${e.message}`;
+      settle({ type: 'error', message: errorMsg }, { status: 'error', error: errorMsg });
       resolve(false);
     });
   });
@@ -1499,7 +2062,7 @@ setQueueCallbacks(routeThroughOpenClaw, sendToClient);
 
 // Handle text/voice transcript (with optional image or file)
 // ALL messages route through OpenClaw main session for unified experience
-async function handleTranscript(ws, session, text, mode, imageDataUrl, fileData) {
+async function handleTranscript(ws, session, text, mode, imageDataUrl, fileData, messageId) {
   if (!text?.trim()) return;
   
   const sessionId = ws.sessionId;
@@ -1533,8 +2096,8 @@ async function handleTranscript(ws, session, text, mode, imageDataUrl, fileData)
       fullText = `${text}\n\n[File: ${fileData.filename}]\n\n${extractedText}`;
     } catch (e) {
       logError(`[${sessionId}] File extraction error:`, e.message);
-      sendToClient(sessionId, { type: 'error', message: `Failed to read file: ${e.message}` });
-      sendToClient(sessionId, { type: 'done' });
+      sendToClient(sessionId, withMessageId({ type: 'error', message: `Failed to read file: ${e.message}` }, messageId));
+      sendToClient(sessionId, withMessageId({ type: 'done' }, messageId));
       return;
     }
   }
@@ -1574,41 +2137,64 @@ async function handleTranscript(ws, session, text, mode, imageDataUrl, fileData)
   
   // Route ALL messages through OpenClaw main session
   // This ensures same session, same tools, same memory as WhatsApp
-  await routeThroughOpenClaw(ws, sessionId, fullText);
+  await routeThroughOpenClaw(ws, sessionId, fullText, { messageId });
 }
 
 // Handle voice note (transcribe + summarize)
 async function handleVoiceNote(ws, session, audioBase64, duration) {
   log(`🎙️ [${ws.sessionId}] Voice note: ${duration}s`);
   
-  ws.send(JSON.stringify({ type: 'thinking' }));
+  sendToClient(ws.sessionId, { type: 'thinking' });
   
   // Save audio file
-  const notesDir = join(__dirname, '../notes');
+  const notesDir = config.paths.voiceNotesDir;
   if (!existsSync(notesDir)) mkdirSync(notesDir, { recursive: true });
   
-  const filename = `note_${Date.now()}.webm`;
+  const noteId = `note_${Date.now()}`;
+  const filename = `${noteId}.webm`;
   const filepath = join(notesDir, filename);
-  writeFileSync(filepath, Buffer.from(audioBase64, 'base64'));
+  const audio = Buffer.from(audioBase64, 'base64');
+  writeFileSync(filepath, audio);
   
-  // Transcribe using Whisper API via gateway
+  // Transcribe (STT provider chain: hosted APIs and/or local whisper)
   let transcription;
+  let hasSpeakers = false;
   try {
-    transcription = await transcribeAudio(audioBase64);
-    ws.send(JSON.stringify({ type: 'transcription', text: transcription }));
+    const result = await stt.transcribe(audio);
+    hasSpeakers = result.segments.some(s => s.speaker);
+    // Segment timestamps/speakers go in the summary prompt and a sidecar for the clickable transcript
+    transcription = formatTranscript(result.segments) || result.text;
+    writeFileSync(join(notesDir, `${noteId}.json`), JSON.stringify({
+      id: noteId,
+      audio: filename,
+      duration,
+      provider: result.provider,
+      text: result.text,
+      segments: result.segments,
+      createdAt: Date.now()
+    }, null, 2));
+    sendToClient(ws.sessionId, {
+      type: 'transcription',
+      text: result.text,
+      segments: result.segments,
+      provider: result.provider,
+      noteId,
+      audioUrl: `/api/notes/audio/${filename}`
+    });
   } catch (e) {
     logError('Transcription error:', e.message);
-    ws.send(JSON.stringify({ type: 'error', message: 'Transcription failed' }));
-    ws.send(JSON.stringify({ type: 'done' }));
+    sendToClient(ws.sessionId, { type: 'error', message: 'Transcription failed' });
+    sendToClient(ws.sessionId, { type: 'done' });
     return;
   }
   
   // Summarize
-  const prompt = `Here's a voice note transcription. Please provide a clear, concise summary with key points:\n\n${transcription}`;
+  const attribution = hasSpeakers ? ' Attribute key points and action items to the speakers.' : '';
+  const prompt = `Here's a voice note transcription. Please provide a clear, concise summary with key points.${attribution}\n\n${transcription}`;
   const summary = await chat([{ role: 'user', content: prompt }], MODELS.notes, 'notes');
   
-  ws.send(JSON.stringify({ type: 'text', content: summary }));
-  ws.send(JSON.stringify({ type: 'done' }));
+  sendToClient(ws.sessionId, { type: 'text', content: summary });
+  sendToClient(ws.sessionId, { type: 'done' });
 }
 
 // Chat with LLM
@@ -1676,65 +2262,6 @@ async function chat(history, model, mode, hasImage = false) {
   }
 }
 
-// Transcribe audio using OpenAI Whisper API
-async function transcribeAudio(audioBase64) {
-  // Get OpenAI key from skills config
-  const configPath = '/home/heisenberg/.clawdbot/clawdbot.json';
-  let apiKey;
-  
-  if (existsSync(configPath)) {
-    const cfg = JSON.parse(readFileSync(configPath, 'utf8'));
-    apiKey = cfg.skills?.entries?.['openai-whisper-api']?.apiKey;
-  }
-  
-  if (!apiKey) {
-    throw new Error('OpenAI API key not found');
-  }
-  
-  // Convert base64 to buffer
-  const audioBuffer = Buffer.from(audioBase64, 'base64');
-  
-  // Build multipart form data manually
-  const boundary = '----WebKitFormBoundary' + Math.random().toString(36).slice(2);
-  
-  const formParts = [
-    `--${boundary}\r\n`,
-    `Content-Disposition: form-data; name="file"; filename="audio.webm"\r\n`,
-    `Content-Type: audio/webm\r\n\r\n`,
-  ];
-  
-  const formEnd = [
-    `\r\n--${boundary}\r\n`,
-    `Content-Disposition: form-data; name="model"\r\n\r\n`,
-    `whisper-1`,
-    `\r\n--${boundary}--\r\n`,
-  ];
-  
-  const formBody = Buffer.concat([
-    Buffer.from(formParts.join('')),
-    audioBuffer,
-    Buffer.from(formEnd.join(''))
-  ]);
-  
-  const response = await fetch('https://api.openai.com/v1/audio/transcriptions', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${apiKey}`,
-      'Content-Type': `multipart/form-data; boundary=${boundary}`,
-    },
-    body: formBody,
-  });
-  
-  if (!response.ok) {
-    const err = await response.text();
-    logError('Whisper error:', err);
-    throw new Error(`Whisper error: ${response.status}`);
-  }
-  
-  const data = await response.json();
-  return data.text;
-}
-
 // Start server
 const PORT = config.port || 3456;
 server.listen(PORT, '0.0.0.0', () => {
@@ -1750,4 +2277,14 @@ server.listen(PORT, '0.0.0.0', () => {
 ║  • Notes: Whisper + ${MODELS.notes}  ║
 ╚═══════════════════════════════════════════════════════╝
 `);
+  recoverInterruptedRequests();
 });
+
+// Pending requests and the search index are written in batches; don't lose the last one on shutdown
+process.on('exit', () => {
+  flushPendingRequests();
+  flushSearchIndex();
+});
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, () => process.exit(0));
+}
@@ -0,0 +1,65 @@
+/**
+ * ClawChat - Active Requests
+ *
+ * Registry of in-flight agent runs (CLI children / gateway streams) per
+ * ClawChat session, so a client can cancel them before CLI_TIMEOUT_MS.
+ *
+ * Scopes: 'main' for the unified main session, 'mode:<mode>' for mode sessions.
+ * Requests started by a tagged client message also carry its messageId, so one
+ * of several concurrent requests can be cancelled on its own.
+ */
+
+import { log } from '../logger.js';
+
+// Map<sessionId, Set<{scope, cancel, messageId}>>
+const activeRequests = new Map();
+
+/**
+ * Register a cancellable request
+ * @param {string} sessionId - ClawChat session ID
+ * @param {string} scope - 'main' or 'mode:<mode>'
+ * @param {Function} cancel - Stops the request (kill child, notify client)
+ * @param {string} [messageId] - Client message id the request answers
+ * @returns {Function} - Unregister; call once the request settles
+ */
+export function trackActiveRequest(sessionId, scope, cancel, messageId = null) {
+  if (!activeRequests.has(sessionId)) {
+    activeRequests.set(sessionId, new Set());
+  }
+  const entry = { scope, cancel, messageId };
+  activeRequests.get(sessionId).add(entry);
+
+  return () => {
+    const entries = activeRequests.get(sessionId);
+    if (!entries) return;
+    entries.delete(entry);
+    if (entries.size === 0) activeRequests.delete(sessionId);
+  };
+}
+
+/**
+ * Cancel all active requests for a session within a scope
+ * @param {string} sessionId - ClawChat session ID
+ * @param {string} scope - 'main' or 'mode:<mode>'
+ * @param {string} [messageId] - Only the request answering this client message
+ * @returns {number} - Number of requests cancelled
+ */
+export function cancelActiveRequests(sessionId, scope, messageId) {
+  const entries = activeRequests.get(sessionId);
+  if (!entries) return 0;
+
+  let cancelled = 0;
+  for (const entry of [...entries]) {
+    if (entry.scope !== scope) continue;
+    if (messageId && entry.messageId !== messageId) continue;
+    entries.delete(entry);
+    entry.cancel();
+    cancelled++;
+  }
+  if (entries.size === 0) activeRequests.delete(sessionId);
+
+  if (cancelled > 0) {
+    log(`🛑 [${sessionId}] Cancelled ${cancelled} ${scope} request(s)`);
+  }
+  return cancelled;
+}
@@ -0,0 +1,328 @@
+/**
+ * ClawChat - Authentication
+ *
+ * Password login issuing signed, per-device session tokens.
+ *
+ * Token format: <deviceId>.<expiresAt>.<hmac-sha256(deviceId.expiresAt)>
+ * - Sent as the `clawchat_session` cookie (browser) or `Authorization: Bearer` (API clients)
+ * - Valid only while the device record exists in <authDir>/devices.json, so
+ *   revoking a device invalidates its token immediately
+ *
+ * Auth is enabled when PORTAL_PASSWORD or PORTAL_PASSWORD_HASH is set.
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync, renameSync } from 'fs';
+import { join } from 'path';
+import { randomBytes, randomUUID, createHmac, scryptSync, timingSafeEqual } from 'crypto';
+import { log, warn, error as logError } from '../logger.js';
+import { AUTH_SESSION_MAX_AGE_MS, AUTH_MAX_LOGIN_FAILURES, AUTH_LOCKOUT_MS } from '../constants.js';
+import { getConfig } from '../config.js';
+
+const AUTH_DIR = getConfig().paths.authDir;
+const DEVICES_PATH = join(AUTH_DIR, 'devices.json');
+const SECRET_PATH = join(AUTH_DIR, 'secret');
+
+export const SESSION_COOKIE = 'clawchat_session';
+
+// Routes reachable without a session
+const PUBLIC_API_PATHS = new Set(['/api/auth/login', '/api/auth/status']);
+
+let authConfig = { password: null, passwordHash: null, secret: null };
+let signingSecret = null;
+
+// Failed login attempts per IP: Map<ip, {count, firstAt}>
+const loginFailures = new Map();
+
+/**
+ * Ensure the auth directory exists
+ */
+function ensureDir() {
+  if (!existsSync(AUTH_DIR)) {
+    mkdirSync(AUTH_DIR, { recursive: true, mode: 0o700 });
+  }
+}
+
+/**
+ * Load the HMAC signing secret (config/env, else generated once and persisted)
+ */
+function loadSigningSecret() {
+  if (authConfig.secret) return authConfig.secret;
+  if (existsSync(SECRET_PATH)) {
+    return readFileSync(SECRET_PATH, 'utf8').trim();
+  }
+  ensureDir();
+  const secret = randomBytes(32).toString('hex');
+  writeFileSync(SECRET_PATH, secret, { mode: 0o600 });
+  log('🔐 Generated new auth signing secret');
+  return secret;
+}
+
+/**
+ * Read device records
+ */
+function loadDevices() {
+  if (!existsSync(DEVICES_PATH)) return [];
+  try {
+    return JSON.parse(readFileSync(DEVICES_PATH, 'utf8')).devices || [];
+  } catch (e) {
+    logError('Failed to read auth devices:', e.message);
+    return [];
+  }
+}
+
+/**
+ * Save device records (atomic write via rename)
+ */
+function saveDevices(devices) {
+  ensureDir();
+  const tmpPath = DEVICES_PATH + '.tmp';
+  try {
+    writeFileSync(tmpPath, JSON.stringify({ devices }, null, 2), { mode: 0o600 });
+    renameSync(tmpPath, DEVICES_PATH);
+  } catch (e) {
+    logError('Failed to save auth devices:', e.message);
+  }
+}
+
+function sign(payload) {
+  return createHmac('sha256', signingSecret).update(payload).digest('base64url');
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Initialize auth from config.auth
+ * @returns {{enabled: boolean, devices: number}}
+ */
+export function initAuth(config = {}) {
+  authConfig = { ...authConfig, ...config };
+  if (!isAuthEnabled()) {
+    warn('⚠️  Auth disabled - set PORTAL_PASSWORD to protect the portal, API and WebSockets');
+    return { enabled: false, devices: 0 };
+  }
+  signingSecret = loadSigningSecret();
+  return { enabled: true, devices: loadDevices().length };
+}
+
+export function isAuthEnabled() {
+  return !!(authConfig.password || authConfig.passwordHash);
+}
+
+/**
+ * Hash a password for PORTAL_PASSWORD_HASH (format: scrypt:<salt>:<hash>, hex)
+ */
+export function hashPassword(password) {
+  const salt = randomBytes(16).toString('hex');
+  const hash = scryptSync(password, salt, 64).toString('hex');
+  return `scrypt:${salt}:${hash}`;
+}
+
+/**
+ * Check a login password against the configured password/hash
+ */
+export function verifyPassword(password) {
+  if (typeof password !== 'string' || !password) return false;
+
+  if (authConfig.passwordHash) {
+    const [scheme, salt, hash] = authConfig.passwordHash.split(':');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+      logError('Invalid PORTAL_PASSWORD_HASH format (expected scrypt:<salt>:<hash>)');
+      return false;
+    }
+    const candidate = scryptSync(password, salt, 64).toString('hex');
+    return safeEqual(candidate, hash);
+  }
+
+  return safeEqual(password, authConfig.password || '');
+}
+
+/**
+ * Login rate limiting - returns true if this IP is locked out
+ */
+export function isLockedOut(ip) {
+  const entry = loginFailures.get(ip);
+  if (!entry) return false;
+  if (Date.now() - entry.firstAt > AUTH_LOCKOUT_MS) {
+    loginFailures.delete(ip);
+    return false;
+  }
+  return entry.count >= AUTH_MAX_LOGIN_FAILURES;
+}
+
+export function recordLoginFailure(ip) {
+  const entry = loginFailures.get(ip);
+  if (!entry || Date.now() - entry.firstAt > AUTH_LOCKOUT_MS) {
+    loginFailures.set(ip, { count: 1, firstAt: Date.now() });
+  } else {
+    entry.count++;
+  }
+}
+
+export function clearLoginFailures(ip) {
+  loginFailures.delete(ip);
+}
+
+/**
+ * Register a device and issue its signed token
+ * @param {string} name - Display name (e.g. "iPhone Safari", "cron script")
+ * @param {string} [userAgent]
+ * @returns {{device: object, token: string}}
+ */
+export function createDevice(name, userAgent = '') {
+  const devices = loadDevices();
+  const now = Date.now();
+  const device = {
+    id: randomUUID(),
+    name: (name || 'Unnamed device').slice(0, 100),
+    userAgent: userAgent.slice(0, 200),
+    createdAt: now,
+    lastSeenAt: now,
+    expiresAt: now + AUTH_SESSION_MAX_AGE_MS,
+  };
+  devices.push(device);
+  saveDevices(devices);
+  log(`🔐 Device registered: ${device.name} (${device.id.slice(0, 8)})`);
+
+  const payload = `${device.id}.${device.expiresAt}`;
+  return { device, token: `${payload}.${sign(payload)}` };
+}
+
+/**
+ * List registered devices (no secrets are stored, so records are safe to return)
+ */
+export function listDevices() {
+  return loadDevices().sort((a, b) => b.lastSeenAt - a.lastSeenAt);
+}
+
+/**
+ * Revoke a device - its token stops working immediately
+ * @returns {boolean} - Whether the device existed
+ */
+export function revokeDevice(deviceId) {
+  const devices = loadDevices();
+  const remaining = devices.filter(d => d.id !== deviceId);
+  if (remaining.length === devices.length) return false;
+  saveDevices(remaining);
+  log(`🔐 Device revoked: ${deviceId.slice(0, 8)}`);
+  return true;
+}
+
+/**
+ * Verify a token and return its device, or null
+ */
+export function verifyToken(token) {
+  if (!token || typeof token !== 'string') return null;
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+
+  const [deviceId, expiresAt, signature] = parts;
+  if (!safeEqual(signature, sign(`${deviceId}.${expiresAt}`))) return null;
+  if (Date.now() > Number(expiresAt)) return null;
+
+  const devices = loadDevices();
+  const device = devices.find(d => d.id === deviceId);
+  if (!device) return null;
+
+  // Throttle lastSeen writes to once a minute
+  if (Date.now() - device.lastSeenAt > 60000) {
+    device.lastSeenAt = Date.now();
+    saveDevices(devices);
+  }
+  return device;
+}
+
+/**
+ * Parse a Cookie header into an object
+ */
+function parseCookies(header = '') {
+  const cookies = {};
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    const key = part.slice(0, index).trim();
+    try {
+      cookies[key] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch {
+      cookies[key] = part.slice(index + 1).trim();
+    }
+  }
+  return cookies;
+}
+
+/**
+ * Extract the token from an HTTP request (Bearer header, then cookie)
+ */
+function getRequestToken(req) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) return header.slice(7).trim();
+  return parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+}
+
+/**
+ * Resolve the authenticated device for a request (null if unauthenticated).
+ * When auth is disabled every request is allowed as an anonymous device.
+ */
+export function authenticateRequest(req) {
+  if (!isAuthEnabled()) return { id: 'anonymous', name: 'Auth disabled' };
+  return verifyToken(getRequestToken(req));
+}
+
+/**
+ * Build the Set-Cookie header value for a token (or to clear it with token=null)
+ */
+export function sessionCookie(token, secure) {
+  const attrs = [
+    `${SESSION_COOKIE}=${token ? encodeURIComponent(token) : ''}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Lax',
+    `Max-Age=${token ? Math.floor(AUTH_SESSION_MAX_AGE_MS / 1000) : 0}`,
+  ];
+  if (secure) attrs.push('Secure');
+  return attrs.join('; ');
+}
+
+/**
+ * Express middleware: protects /api/* (except login/status) and the app shell.
+ * Unauthenticated page loads are redirected to /login.html.
+ */
+export function requireAuth(req, res, next) {
+  if (!isAuthEnabled()) return next();
+  // Express routes match case-insensitively, so /API/... must be guarded too
+  const path = req.path.toLowerCase();
+  if (PUBLIC_API_PATHS.has(path)) return next();
+
+  const isApi = path.startsWith('/api/');
+  const isAppShell = path === '/' || path === '/index.html';
+  if (!isApi && !isAppShell) return next();
+
+  const device = authenticateRequest(req);
+  if (device) {
+    req.device = device;
+    return next();
+  }
+
+  if (isApi) return res.status(401).json({ error: 'Unauthorized' });
+  return res.redirect('/login.html');
+}
+
+/**
+ * Check a WebSocket upgrade request: valid token and same-origin (if Origin is sent)
+ */
+export function authenticateUpgrade(request) {
+  if (!isAuthEnabled()) return true;
+
+  const origin = request.headers.origin;
+  if (origin) {
+    try {
+      if (new URL(origin).host !== request.headers.host) return false;
+    } catch {
+      return false;
+    }
+  }
+  return !!authenticateRequest(request);
+}
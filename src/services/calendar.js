@@ -0,0 +1,289 @@
+/**
+ * ClawChat - Google Calendar Service
+ *
+ * Calendar API helpers shared by the voice calendar tools (tools/*_event.js,
+ * get_calendar, find_free_slot). All dates are interpreted in the configured
+ * timezone (identity.timezone).
+ *
+ * Destructive changes (update/delete) go through a confirmation step:
+ * the first call returns a preview for the assistant to read back, and the
+ * change is only applied when the same action is called again with
+ * confirmed=true within CALENDAR_CONFIRM_TTL_MS.
+ */
+
+import { getGoogleAccessToken } from './google.js';
+import { CALENDAR_CONFIRM_TTL_MS } from '../constants.js';
+import { getConfig } from '../config.js';
+
+const CALENDAR_API = 'https://www.googleapis.com/calendar/v3';
+const CALENDAR_ID = 'primary';
+
+const { identity } = getConfig();
+export const TIMEZONE = identity.timezone;
+const LOCALE = identity.locale;
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Pending confirmations: Map<`${action}:${eventId}:${details}`, expiresAt>
+const pendingConfirmations = new Map();
+
+// ============================================================================
+// API
+// ============================================================================
+
+/**
+ * Call the Calendar API
+ * @param {string} path - e.g. '/calendars/primary/events'
+ * @param {object} [options]
+ * @returns {Promise<object|null>} - Parsed JSON (null for empty responses)
+ */
+async function calendarRequest(path, { method = 'GET', query, body } = {}) {
+  const accessToken = await getGoogleAccessToken();
+  const url = new URL(`${CALENDAR_API}${path}`);
+  for (const [key, value] of Object.entries(query || {})) {
+    if (value !== undefined) url.searchParams.set(key, String(value));
+  }
+
+  const response = await fetch(url.toString(), {
+    method,
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      ...(body && { 'Content-Type': 'application/json' })
+    },
+    ...(body && { body: JSON.stringify(body) })
+  });
+
+  if (!response.ok) {
+    const err = await response.text();
+    throw new Error(`Calendar API error: ${response.status} ${err}`);
+  }
+  if (response.status === 204) return null;
+  const text = await response.text();
+  return text ? JSON.parse(text) : null;
+}
+
+const eventPath = (eventId) => `/calendars/${CALENDAR_ID}/events${eventId ? `/${encodeURIComponent(eventId)}` : ''}`;
+
+export async function listEvents(timeMin, timeMax, maxResults = 25) {
+  const data = await calendarRequest(eventPath(), {
+    query: { timeMin, timeMax, singleEvents: true, orderBy: 'startTime', maxResults }
+  });
+  return data?.items || [];
+}
+
+export function getEvent(eventId) {
+  return calendarRequest(eventPath(eventId));
+}
+
+export function insertEvent(event) {
+  return calendarRequest(eventPath(), { method: 'POST', body: event, query: { sendUpdates: 'all' } });
+}
+
+export function patchEvent(eventId, changes) {
+  return calendarRequest(eventPath(eventId), { method: 'PATCH', body: changes, query: { sendUpdates: 'all' } });
+}
+
+export function deleteEvent(eventId) {
+  return calendarRequest(eventPath(eventId), { method: 'DELETE', query: { sendUpdates: 'all' } });
+}
+
+/**
+ * Busy intervals on the primary calendar
+ * @returns {Promise<Array<{start: Date, end: Date}>>}
+ */
+export async function getBusyIntervals(timeMin, timeMax) {
+  const data = await calendarRequest('/freeBusy', {
+    method: 'POST',
+    body: { timeMin, timeMax, timeZone: TIMEZONE, items: [{ id: CALENDAR_ID }] }
+  });
+  const busy = data?.calendars?.[CALENDAR_ID]?.busy || [];
+  return busy.map(b => ({ start: new Date(b.start), end: new Date(b.end) }));
+}
+
+// ============================================================================
+// Dates
+// ============================================================================
+
+/**
+ * Offset of TIMEZONE from UTC at an instant, in ms (DST-aware)
+ */
+function zonedOffsetMs(instant) {
+  const parts = {};
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: TIMEZONE,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  });
+  for (const { type, value } of formatter.formatToParts(instant)) parts[type] = value;
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(instant.getTime() / 1000) * 1000;
+}
+
+/**
+ * Wall-clock date and time in TIMEZONE to an instant
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} [time] - HH:MM or HH:MM:SS
+ */
+function fromLocal(date, time = '00:00') {
+  const wall = new Date(`${date}T${time.length === 5 ? `${time}:00` : time}Z`);
+  if (isNaN(wall)) return wall;
+  // Second pass corrects for an offset change between the guess and the result
+  let instant = new Date(wall.getTime() - zonedOffsetMs(wall));
+  instant = new Date(wall.getTime() - zonedOffsetMs(instant));
+  return instant;
+}
+
+/**
+ * Today's date in TIMEZONE (YYYY-MM-DD)
+ */
+export function todayDate() {
+  return new Date().toLocaleDateString('en-CA', { timeZone: TIMEZONE });
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ */
+export function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Resolve a date word or YYYY-MM-DD to a YYYY-MM-DD date
+ */
+export function resolveDate(value) {
+  if (!value || value === 'today') return todayDate();
+  if (value === 'tomorrow') return addDays(todayDate(), 1);
+  if (DATE_ONLY.test(value) && !isNaN(new Date(`${value}T00:00:00Z`))) return value;
+  throw new Error(`Invalid date "${value}" - use today, tomorrow or YYYY-MM-DD`);
+}
+
+/**
+ * Midnight (TIMEZONE) at the start of a YYYY-MM-DD date
+ */
+export function startOfDay(date) {
+  return fromLocal(date);
+}
+
+/**
+ * Parse a date-time argument; times without an offset are in TIMEZONE
+ * @returns {Date}
+ */
+export function parseDateTime(value) {
+  if (typeof value !== 'string' || !value) throw new Error('Missing date-time');
+  let normalized = value.trim().replace(' ', 'T');
+  if (DATE_ONLY.test(normalized)) normalized += 'T00:00';
+  const local = normalized.match(/^(\d{4}-\d{2}-\d{2})T(\d{2}:\d{2}(?::\d{2})?)$/);
+  const date = local ? fromLocal(local[1], local[2]) : new Date(normalized);
+  if (isNaN(date)) throw new Error(`Invalid date-time "${value}" - use YYYY-MM-DDTHH:MM`);
+  return date;
+}
+
+/**
+ * Resolve get_calendar style range arguments
+ * Accepts date (today | tomorrow | week | YYYY-MM-DD) or start_date/end_date (inclusive).
+ * @returns {{first: string, last: string, timeMin: string, timeMax: string, label: string, multiDay: boolean}}
+ */
+export function resolveRange({ date, start_date, end_date } = {}) {
+  let first, last, label;
+
+  if (start_date || end_date) {
+    first = resolveDate(start_date || end_date);
+    last = resolveDate(end_date || start_date);
+    if (last < first) throw new Error('end_date is before start_date');
+    label = first === last ? formatDay(first) : `${formatDay(first)} to ${formatDay(last)}`;
+  } else if (date === 'week') {
+    first = todayDate();
+    last = addDays(first, 6);
+    label = 'this week';
+  } else {
+    first = last = resolveDate(date);
+    label = date === 'tomorrow' ? 'tomorrow' : first === todayDate() ? 'today' : formatDay(first);
+  }
+
+  return {
+    first,
+    last,
+    timeMin: startOfDay(first).toISOString(),
+    timeMax: startOfDay(addDays(last, 1)).toISOString(),
+    label,
+    multiDay: first !== last
+  };
+}
+
+// ============================================================================
+// Formatting (for voice)
+// ============================================================================
+
+function formatDay(date) {
+  return startOfDay(date).toLocaleDateString(LOCALE, {
+    timeZone: TIMEZONE,
+    weekday: 'long',
+    day: 'numeric',
+    month: 'long'
+  });
+}
+
+export function formatTime(date) {
+  return date.toLocaleTimeString(LOCALE, {
+    timeZone: TIMEZONE,
+    hour: 'numeric',
+    minute: '2-digit',
+    hour12: true
+  });
+}
+
+export function formatDateTime(date) {
+  return `${date.toLocaleDateString(LOCALE, { timeZone: TIMEZONE, weekday: 'long', day: 'numeric', month: 'long' })} at ${formatTime(date)}`;
+}
+
+/**
+ * One-line spoken summary of an event
+ * @param {object} event - Calendar API event
+ * @param {object} [options]
+ * @param {boolean} [options.withDay] - Include the weekday/date
+ * @param {boolean} [options.withId] - Append the event id (for follow-up tool calls)
+ */
+export function describeEvent(event, { withDay = true, withId = false } = {}) {
+  const title = event.summary || 'Untitled event';
+  let when;
+  if (event.start?.dateTime) {
+    const start = new Date(event.start.dateTime);
+    when = withDay ? formatDateTime(start) : formatTime(start);
+  } else {
+    when = withDay ? `${formatDay(event.start?.date)} (all day)` : 'All day';
+  }
+  return `${when}: ${title}${withId ? ` [id: ${event.id}]` : ''}`;
+}
+
+// ============================================================================
+// Confirmation
+// ============================================================================
+
+/**
+ * Check (and consume) a confirmation for a destructive action.
+ * Returns true only if a preview for the same action, event and details was
+ * issued recently and the caller says the user confirmed; otherwise records
+ * a new preview.
+ * @param {string} action - 'update' | 'delete'
+ * @param {string} eventId
+ * @param {boolean} confirmed - The user said yes to the preview
+ * @param {string} [details] - Serialized changes, so a preview can't be reused for different ones
+ */
+export function checkConfirmation(action, eventId, confirmed, details = '') {
+  const key = `${action}:${eventId}:${details}`;
+  const now = Date.now();
+
+  for (const [k, expiresAt] of pendingConfirmations) {
+    if (expiresAt < now) pendingConfirmations.delete(k);
+  }
+
+  if (confirmed && pendingConfirmations.has(key)) {
+    pendingConfirmations.delete(key);
+    return true;
+  }
+  pendingConfirmations.set(key, now + CALENDAR_CONFIRM_TTL_MS);
+  return false;
+}
@@ -0,0 +1,182 @@
+/**
+ * ClawChat - Conversation Export
+ *
+ * Renders a transcript as Markdown, standalone HTML or JSON. Messages are
+ * cleaned with the history rules (normalizeTranscript / getModeHistory),
+ * keep their attachment references and are labelled with their channel:
+ * WhatsApp, Web, Voice or Cron for the main session, the mode for mode sessions.
+ *
+ * A conversation is { id, title, mode, messages: [{ role, content, timestamp,
+ * channel, attachments }] }.
+ */
+
+import { formatLocalTime } from './shared.js';
+import { readTranscript, SESSION_ID_PATTERN } from './transcripts.js';
+import { normalizeTranscript, isDisplayable, CHANNEL_LABELS } from './messages.js';
+import { getModeHistory } from '../mode-sessions.js';
+import { findSessionMode, getSession } from '../mode-session-index.js';
+import { getMode } from '../modes.js';
+import { getConfig } from '../config.js';
+
+const { identity } = getConfig();
+
+/** Export formats: ?format= value → response type and file extension */
+export const EXPORT_FORMATS = {
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+/**
+ * A mode session as a conversation, or null if the mode or session doesn't exist
+ */
+export function getModeSessionExport(mode, sessionId) {
+  if (!getMode(mode)) return null;
+  const session = getSession(mode, sessionId);
+  if (!session) return null;
+
+  const messages = getModeHistory(mode, Infinity, sessionId).map(message => ({
+    ...message,
+    channel: 'mode',
+    attachments: message.attachments || []
+  }));
+  return { id: sessionId, title: session.title || `${getMode(mode).name} session`, mode, messages };
+}
+
+/**
+ * Any transcript in SESSIONS_DIR as a conversation (mode sessions are
+ * exported as such), or null if it doesn't exist
+ */
+export function getSessionExport(sessionId) {
+  if (!SESSION_ID_PATTERN.test(sessionId)) return null;
+
+  const mode = findSessionMode(sessionId);
+  if (mode) {
+    const conversation = getModeSessionExport(mode, sessionId);
+    if (conversation) return conversation;
+  }
+
+  const transcript = readTranscript(sessionId);
+  if (!transcript) return null;
+
+  const messages = normalizeTranscript(transcript.entries).filter(isDisplayable).map(message => ({
+    role: message.role,
+    content: message.text,
+    timestamp: message.timestamp,
+    channel: message.channel,
+    attachments: message.attachments
+  }));
+  return { id: sessionId, title: 'ClawChat conversation', mode: null, messages };
+}
+
+/**
+ * File name for the Content-Disposition header
+ */
+export function exportFilename(conversation, format) {
+  const slug = conversation.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+  return `${slug || conversation.id}.${EXPORT_FORMATS[format].extension}`;
+}
+
+function speaker(role) {
+  return role === 'user' ? identity.userName : 'Spark';
+}
+
+function channelLabel(conversation, channel) {
+  if (channel === 'mode') {
+    const mode = getMode(conversation.mode);
+    return mode ? `${mode.icon} ${mode.name}` : conversation.mode;
+  }
+  return CHANNEL_LABELS[channel] || channel;
+}
+
+function formatTimestamp(timestamp) {
+  return timestamp ? formatLocalTime(new Date(timestamp), { dateStyle: 'medium', timeStyle: 'short' }) : '';
+}
+
+function attachmentLabel({ type, ref }) {
+  return `${type === 'file' ? '📄' : '📎'} ${ref}`;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function renderMarkdown(conversation) {
+  const out = [`# ${conversation.title}`, '', `_Exported ${formatTimestamp(Date.now())}_`];
+  for (const message of conversation.messages) {
+    const meta = [speaker(message.role), channelLabel(conversation, message.channel), formatTimestamp(message.timestamp)];
+    out.push('', `### ${meta.filter(Boolean).join(' · ')}`, '');
+    if (message.content) out.push(message.content);
+    for (const attachment of message.attachments) {
+      out.push('', `> ${attachmentLabel(attachment)}`);
+    }
+  }
+  return out.join('\n') + '\n';
+}
+
+function renderHtml(conversation) {
+  const messages = conversation.messages.map(message => {
+    const meta = [speaker(message.role), channelLabel(conversation, message.channel), formatTimestamp(message.timestamp)];
+    const attachments = message.attachments
+      .map(attachment => `<div class="attachment">${escapeHtml(attachmentLabel(attachment))}</div>`)
+      .join('');
+    return `<article class="msg ${message.role}">
+<header>${meta.filter(Boolean).map(escapeHtml).join(' · ')}</header>
+<div class="content">${escapeHtml(message.content)}</div>${attachments}
+</article>`;
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(conversation.title)}</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; max-width: 720px; margin: 2rem auto; padding: 0 1rem; color: #1a1a1a; }
+.exported { color: #888; font-size: 0.85rem; }
+.msg { margin: 1rem 0; padding: 0.75rem 1rem; border-radius: 12px; background: #f3f3f3; }
+.msg.user { background: #e8f0fe; }
+.msg header { font-size: 0.8rem; color: #666; margin-bottom: 0.35rem; }
+.content { white-space: pre-wrap; line-height: 1.5; }
+.attachment { margin-top: 0.5rem; font-size: 0.85rem; color: #444; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(conversation.title)}</h1>
+<p class="exported">Exported ${escapeHtml(formatTimestamp(Date.now()))}</p>
+${messages.join('\n')}
+</body>
+</html>
+`;
+}
+
+function renderJson(conversation) {
+  return JSON.stringify({
+    id: conversation.id,
+    title: conversation.title,
+    mode: conversation.mode,
+    exportedAt: new Date().toISOString(),
+    messages: conversation.messages.map(message => ({
+      role: message.role,
+      content: message.content,
+      timestamp: message.timestamp ? new Date(message.timestamp).toISOString() : null,
+      channel: message.channel,
+      attachments: message.attachments
+    }))
+  }, null, 2);
+}
+
+/**
+ * Render a conversation in one of EXPORT_FORMATS
+ * @returns {string}
+ */
+export function renderExport(conversation, format) {
+  if (format === 'html') return renderHtml(conversation);
+  if (format === 'json') return renderJson(conversation);
+  return renderMarkdown(conversation);
+}
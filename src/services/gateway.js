@@ -4,10 +4,15 @@
  * Communication with Clawdbot Gateway for session unification
  */
 
+import { getConfig } from '../config.js';
+import { notify } from './push.js';
+import { getPendingRequest } from './pending-requests.js';
+import { PUSH_BODY_MAX_CHARS } from '../constants.js';
+
 // Session unification config
 export const UNIFIED_SESSION = process.env.UNIFIED_SESSION !== 'false';
-export const UNIFIED_GATEWAY_URL = 'http://localhost:18789';
-export const UNIFIED_HOOK_TOKEN = 'spark-portal-hook-token-2026';
+export const UNIFIED_GATEWAY_URL = getConfig().llm.gatewayUrl;
+export const UNIFIED_HOOK_TOKEN = getConfig().gateway.hookToken;
 export const UNIFIED_SESSION_KEY = 'agent:main:main';
 
 // Message queue state
@@ -50,17 +55,32 @@ export async function checkGatewayStatus() {
 
 /**
  * Queue a message for later delivery
+ * requestId: its pending-request record, reused by the retry
+ * messageId: client message id, echoed if the retry fails
  */
-export function queueMessage(ws, sessionId, text, resolve) {
+export function queueMessage(ws, sessionId, text, resolve, requestId, messageId = null) {
   if (messageQueue.length >= MAX_QUEUE_SIZE) {
     console.warn(`⚠️ Message queue full (${MAX_QUEUE_SIZE}), rejecting message`);
     return false;
   }
-  messageQueue.push({ ws, sessionId, text, resolve, queuedAt: Date.now() });
+  messageQueue.push({ ws, sessionId, text, resolve, requestId, messageId, queuedAt: Date.now() });
   console.log(`📥 [${sessionId}] Message queued (${messageQueue.length} pending)`);
   return true;
 }
 
+/**
+ * Push-notify devices opted into the main session that a queued message got its reply
+ * @param {string} text - The reply
+ */
+function notifyQueuedDelivered(text) {
+  notify('main', {
+    title: '💬 Spark replied to your queued message',
+    body: text.length > PUSH_BODY_MAX_CHARS ? `${text.slice(0, PUSH_BODY_MAX_CHARS - 1)}…` : text,
+    url: '/',
+    tag: 'main-queue'
+  });
+}
+
 /**
  * Drain queued messages when connection is restored
  */
@@ -85,14 +105,17 @@ export async function drainMessageQueue() {
     
     try {
       if (routeThroughClawdbotFn) {
-        await routeThroughClawdbotFn(item.ws, item.sessionId, item.text, true);
+        const delivered = await routeThroughClawdbotFn(item.ws, item.sessionId, item.text, { isRetry: true, requestId: item.requestId });
+        const reply = delivered && getPendingRequest(item.requestId)?.response;
+        if (reply) notifyQueuedDelivered(reply);
       }
       if (item.resolve) item.resolve(true);
     } catch (e) {
       console.error(`❌ [${item.sessionId}] Failed to process queued message:`, e.message);
       if (sendToClientFn) {
-        sendToClientFn(item.sessionId, { type: 'error', message: `Queued message failed: ${e.message}` });
-        sendToClientFn(item.sessionId, { type: 'done' });
+        const tag = item.messageId ? { messageId: item.messageId } : {};
+        sendToClientFn(item.sessionId, { type: 'error', message: `Queued message failed: ${e.message}`, ...tag });
+        sendToClientFn(item.sessionId, { type: 'done', ...tag });
       }
       if (item.resolve) item.resolve(false);
     }
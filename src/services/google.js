@@ -0,0 +1,44 @@
+/**
+ * ClawChat - Google API Service
+ * 
+ * OAuth access tokens for Google APIs (Calendar), using the refresh token
+ * stored in the Clawdbot Google credentials file.
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { getConfig } from '../config.js';
+
+const GOOGLE_CREDS_PATH = getConfig().paths.googleCredentials;
+
+/**
+ * Load and refresh Google credentials
+ * @returns {Promise<string>} - OAuth access token
+ */
+export async function getGoogleAccessToken() {
+  if (!existsSync(GOOGLE_CREDS_PATH)) {
+    throw new Error('Google credentials not found');
+  }
+  
+  const creds = JSON.parse(readFileSync(GOOGLE_CREDS_PATH, 'utf8'));
+  
+  // Check if token is expired (tokens last ~1 hour)
+  // For simplicity, always refresh
+  const response = await fetch('https://oauth2.googleapis.com/token', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      client_id: creds.client_id,
+      client_secret: creds.client_secret,
+      refresh_token: creds.refresh_token,
+      grant_type: 'refresh_token'
+    })
+  });
+  
+  if (!response.ok) {
+    const err = await response.text();
+    throw new Error(`Token refresh failed: ${err}`);
+  }
+  
+  const data = await response.json();
+  return data.access_token;
+}
@@ -0,0 +1,70 @@
+/**
+ * ClawChat - Cross-Mode Handoff
+ *
+ * Hands an assistant message from one mode session to another mode (e.g. a
+ * Plan result to Dev): picks or creates the target session, links both index
+ * entries (recordHandoff) and builds the seed message - a context summary of
+ * the source session plus the handed-off text. The client sends the seed as
+ * a regular mode_message to the target session, so the reply streams, queues
+ * and notifies like any other.
+ */
+
+import { HANDOFF_CONTENT_MAX_CHARS, SESSION_TITLE_MAX_CHARS } from '../constants.js';
+import { getMode } from '../modes.js';
+import { getSession, createSession, recordHandoff } from '../mode-session-index.js';
+import { getContextSummary } from './session-summary.js';
+
+/**
+ * Validate a handoff body { toMode, toSessionId?, content } from a session of fromMode
+ * (no toSessionId starts a new session in toMode)
+ * @returns {string|null} - Problem description, or null if valid
+ */
+export function validateHandoff(fromMode, body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return 'body must be an object';
+  if (typeof body.toMode !== 'string' || !getMode(body.toMode)) return `unknown mode: ${body.toMode}`;
+  if (body.toMode === fromMode) return 'toMode must be a different mode';
+  if (body.toSessionId != null) {
+    if (typeof body.toSessionId !== 'string' || !getSession(body.toMode, body.toSessionId)) {
+      return `unknown ${body.toMode} session: ${body.toSessionId}`;
+    }
+  }
+  if (typeof body.content !== 'string' || !body.content.trim()) return 'content must be a non-empty string';
+  if (body.content.length > HANDOFF_CONTENT_MAX_CHARS) return `content must be at most ${HANDOFF_CONTENT_MAX_CHARS} characters`;
+  return null;
+}
+
+/**
+ * Build the first message for the target session
+ */
+function buildSeedMessage(fromMode, source, summary, content) {
+  const { icon = '✨', name = fromMode } = getMode(fromMode) || {};
+  const parts = [`[Handoff from ${icon} ${name}${source.title ? `: ${source.title}` : ''}]`];
+  if (summary) parts.push(`Context: ${summary}`);
+  parts.push(content.trim());
+  return parts.join('\n\n');
+}
+
+/**
+ * Hand a message off from a mode session to another mode (body validated by validateHandoff)
+ * @returns {Promise<{session: object, message: string}|null>} - The target session and the
+ *   seed message to send to it, or null if the source session doesn't exist
+ */
+export async function handoffMessage(fromMode, fromSessionId, { toMode, toSessionId, content }) {
+  if (!getSession(fromMode, fromSessionId)) return null;
+  // Summarizing may also title the source, so read it afterwards
+  const summary = await getContextSummary(fromMode, fromSessionId);
+  const source = getSession(fromMode, fromSessionId);
+  if (!source) return null;
+
+  const fromName = getMode(fromMode)?.name || fromMode;
+  const target = toSessionId
+    ? getSession(toMode, toSessionId)
+    : createSession(toMode, `↪ ${source.title || fromName}`.slice(0, SESSION_TITLE_MAX_CHARS));
+  if (!target) return null;
+
+  recordHandoff({ mode: fromMode, sessionId: fromSessionId }, { mode: toMode, sessionId: target.id });
+  return {
+    session: getSession(toMode, target.id),
+    message: buildSeedMessage(fromMode, source, summary, content)
+  };
+}
@@ -0,0 +1,189 @@
+/**
+ * ClawChat - Message Normalizer
+ *
+ * Turns a transcript entry into one canonical message, whatever wrote it:
+ * WhatsApp (via the gateway), ClawChat web or voice, or a cron job. Channel
+ * tags, the WhatsApp header and message id, the [System Context:] wrapper and
+ * the gateway timestamp prefix are stripped from the text; attachment markers
+ * become `attachments`.
+ *
+ * Message: { id, role, text, rawText, channel, sender, attachments, toolCalls, mode, timestamp }
+ * - channel: whatsapp | web | voice | cron - from the message's own tag; an
+ *   untagged assistant reply takes the channel of the user message it answers
+ * - sender: the WhatsApp sender (number or name) or the ClawChat/cron tag, null if untagged
+ * - attachments: [{ type: image | file | media, ref }]
+ * - toolCalls: [{ name }] - tool calls in an assistant turn
+ */
+
+import { extractTextFromContent } from './session.js';
+
+/** Message channels, in the order the history filter shows them */
+export const CHANNELS = ['whatsapp', 'web', 'voice', 'cron'];
+
+/** Display names of the channels */
+export const CHANNEL_LABELS = { whatsapp: 'WhatsApp', web: 'Web', voice: 'Voice', cron: 'Cron' };
+
+/**
+ * Attachment markers ClawChat and the gateway write into user messages:
+ * [Image attached: path], [File: name] (followed by the extracted text), [media attached: path (type)]
+ */
+const ATTACHMENT_PATTERNS = [
+  { type: 'image', pattern: /\[Image attached: ([^\]]+)\]/g },
+  { type: 'file', pattern: /\[File: ([^\]]+)\][\s\S]*$/g },
+  { type: 'media', pattern: /\[media attached: ([^\]]+)\]/g }
+];
+
+// Gateway timestamp prefix: [Sat 2026-02-07 07:43 UTC] ...
+const TIMESTAMP_PREFIX = /^\[\w{3}\s+\d{4}-\d{2}-\d{2}\s+\d{2}:\d{2}\s+\w+\]\s*/;
+
+// [WhatsApp +6500000000 2026-01-01 10:00] - sender, then the time it was sent
+const WHATSAPP_HEADER = /^\[WhatsApp\s*([^\]]*)\]\s*/;
+const WHATSAPP_HEADER_TIME = /\s+(?:\w{3}\s+)?\d{4}-\d{2}-\d{2}.*$/;
+
+// [ClawChat Web], [ClawChat Voice Realtime], [Spark Voice], [Cron job ...]
+const CLIENT_TAG = /^\[((?:ClawChat|Spark) [^\]]+)\]\s*/;
+const CRON_TAG = /^\[(Cron[^\]]*)\]\s*/;
+
+/**
+ * Extract the actual user text from a [System Context: ...]\n\nUser message format
+ */
+export function extractUserTextFromSystemContext(text) {
+  const contextStart = text.indexOf('[System Context:');
+  if (contextStart === -1) return text;
+
+  // Find the closing ']' followed by '\n\n'
+  const contextEnd = text.indexOf(']\n\n', contextStart);
+  if (contextEnd !== -1) {
+    const afterContext = text.slice(contextEnd + 3).trim();
+    return afterContext || null;
+  }
+
+  // Try just ']' at end of line
+  const bracketEnd = text.indexOf(']\n', contextStart);
+  if (bracketEnd !== -1) {
+    const afterBracket = text.slice(bracketEnd + 2).trim();
+    return afterBracket || null;
+  }
+
+  return null; // System context only, no actual message
+}
+
+/**
+ * Channel a message's leading tag says it came from, or null if it has none.
+ * Only untagged messages are sniffed for gateway markers and cron events, so a
+ * tagged message that mentions them keeps its channel.
+ */
+function taggedChannel(text) {
+  const lead = text.replace(TIMESTAMP_PREFIX, '');
+  if (/^\[WhatsApp[\s\]]/.test(lead)) return 'whatsapp';
+  const client = /^\[(?:ClawChat|Spark) ([^\]]+)\]/.exec(lead);
+  if (client) return client[1].startsWith('Voice') ? 'voice' : 'web';
+  if (/^\[Cron\b/.test(lead)) return 'cron';
+
+  if (/\[message_id:|\[media attached:/.test(text)) return 'whatsapp';
+  if (/^Cron:|systemEvent/.test(lead)) return 'cron';
+  return null;
+}
+
+/**
+ * Canonical form of one transcript entry
+ * @param {object} entry - Parsed JSONL line
+ * @param {object} [context]
+ * @param {string} [context.mode] - Mode of the session the entry comes from
+ * @param {string} [context.replyChannel] - Channel of the last user message, for untagged replies
+ * @returns {object|null} - null for anything but user/assistant messages, heartbeats
+ *   and gateway status messages
+ */
+export function normalizeEntry(entry, { mode = null, replyChannel = null } = {}) {
+  if (entry?.type !== 'message' || !entry.message) return null;
+
+  const msg = entry.message;
+  if (msg.role !== 'user' && msg.role !== 'assistant') return null;
+
+  const rawText = extractTextFromContent(msg.content);
+  if (rawText.includes('HEARTBEAT') || rawText.includes('Read HEARTBEAT.md')) return null;
+  if (rawText.includes('WhatsApp gateway disconnected') || rawText.includes('WhatsApp gateway connected')) return null;
+
+  // WhatsApp batches start with the chat since the last reply; keep the current message
+  let text = rawText;
+  const current = text.match(/^\[Current message[^\]]*\]\n?/m);
+  if (current) text = text.slice(current.index + current[0].length);
+
+  const channel = taggedChannel(text) || (msg.role === 'assistant' ? replyChannel : null) || 'web';
+
+  let sender = null;
+  text = text.replace(TIMESTAMP_PREFIX, '');
+  text = text.replace(WHATSAPP_HEADER, (_, header) => {
+    sender = header.replace(WHATSAPP_HEADER_TIME, '').trim() || null;
+    return '';
+  });
+  text = text.replace(CLIENT_TAG, (_, tag) => {
+    sender = tag;
+    return '';
+  });
+  text = text.replace(CRON_TAG, (_, tag) => {
+    sender = tag;
+    return '';
+  });
+  text = text.replace(/\n?\[message_id:[^\]]+\]/g, '');
+
+  const attachments = [];
+  for (const { type, pattern } of ATTACHMENT_PATTERNS) {
+    text = text.replace(pattern, (_, ref) => {
+      attachments.push({ type, ref: ref.trim() });
+      return '';
+    });
+  }
+
+  if (text.includes('[System Context:')) {
+    text = extractUserTextFromSystemContext(text) || '';
+  }
+  text = text.replace(TIMESTAMP_PREFIX, '').trim();
+
+  const toolCalls = Array.isArray(msg.content)
+    ? msg.content.filter(c => c.type === 'toolCall' || c.type === 'tool_use').map(c => ({ name: c.name }))
+    : [];
+  const timestamp = msg.timestamp || Date.parse(entry.timestamp) || 0;
+
+  return {
+    id: entry.id || null,
+    role: msg.role,
+    text,
+    rawText,
+    channel,
+    sender,
+    attachments,
+    toolCalls,
+    mode,
+    timestamp: typeof timestamp === 'string' ? Date.parse(timestamp) || 0 : timestamp
+  };
+}
+
+/**
+ * Canonical messages of a transcript, replies attributed to the channel they answer
+ * @param {Array<object>} entries - Transcript entries in order
+ * @param {object} [options]
+ * @param {string} [options.mode] - Mode of the session
+ * @returns {Array<object>}
+ */
+export function normalizeTranscript(entries, { mode = null } = {}) {
+  const messages = [];
+  let replyChannel = null;
+  for (const entry of entries) {
+    const message = normalizeEntry(entry, { mode, replyChannel });
+    if (!message) continue;
+    if (message.role === 'user') replyChannel = message.channel;
+    messages.push(message);
+  }
+  return messages;
+}
+
+/**
+ * Whether a message is shown in history: a final reply or a prompt with
+ * text or attachments (no tool-call or thinking-only turns, nothing huge)
+ */
+export function isDisplayable(message) {
+  if (message.toolCalls.length) return false;
+  if (!message.text && message.attachments.length === 0) return false;
+  return message.text.length <= 10000;
+}
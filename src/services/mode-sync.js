@@ -0,0 +1,192 @@
+/**
+ * ClawChat - Mode Session Sync
+ *
+ * Live updates for mode session pages open on other tabs and devices.
+ * Clients subscribe to mode session ids (WS mode_subscribe) and get a
+ * mode_sync frame for each new user/assistant message in that session's
+ * transcript - cleaned like mode history, with its tool timeline - and for
+ * each tool step as it starts or ends, no matter which client (or scheduled
+ * job) sent the request.
+ *
+ * Frames: { type: 'mode_sync', sparkMode, sessionId, message } or
+ *         { type: 'mode_sync', sparkMode, sessionId, progress: { status, step } } or
+ *         { type: 'mode_sync', sparkMode, sessionId, done: true, error?, cancelled? }
+ * (done comes from routeModeMessage - failures never reach the transcript)
+ *
+ * One tail per subscribed transcript: fs.watch plus a SYNC_POLL_INTERVAL_MS
+ * backup poll, like the main session sync. It starts at the current end of
+ * the file (the client loads history first) and stops with the last subscriber.
+ */
+
+import { existsSync, statSync, watch, openSync, readSync, closeSync } from 'fs';
+import { join } from 'path';
+import { debug } from '../logger.js';
+import { SYNC_POLL_INTERVAL_MS, SYNC_DEBOUNCE_MS, MODE_SYNC_MAX_SUBSCRIPTIONS } from '../constants.js';
+import { SESSIONS_DIR } from './session.js';
+import { cleanHistoryEntry } from '../mode-sessions.js';
+import { createToolTimeline } from './tool-timeline.js';
+
+// mode session id -> tail state
+const tails = new Map();
+
+/**
+ * Start tailing a mode session transcript from its current end
+ */
+function startTail(mode, sessionId) {
+  const path = join(SESSIONS_DIR, `${sessionId}.jsonl`);
+  const tail = {
+    mode,
+    sessionId,
+    path,
+    offset: existsSync(path) ? statSync(path).size : 0,
+    partial: '',
+    timeline: createToolTimeline(),
+    subscribers: new Map(),
+    watcher: null,
+    debounce: null,
+    poll: null
+  };
+  tail.poll = setInterval(() => readTail(tail), SYNC_POLL_INTERVAL_MS);
+  watchTail(tail);
+  tails.set(sessionId, tail);
+  debug(`📡 Mode sync: tailing ${sessionId}`);
+  return tail;
+}
+
+/**
+ * fs.watch the transcript once it exists (a new session has no file until its first reply)
+ */
+function watchTail(tail) {
+  if (tail.watcher || !existsSync(tail.path)) return;
+  try {
+    tail.watcher = watch(tail.path, (eventType) => {
+      if (eventType !== 'change') return;
+      clearTimeout(tail.debounce);
+      tail.debounce = setTimeout(() => readTail(tail), SYNC_DEBOUNCE_MS);
+    });
+    tail.watcher.on('error', (e) => {
+      debug(`Mode sync watcher error (${tail.sessionId}): ${e.message}`);
+      tail.watcher = null;
+    });
+  } catch (e) {
+    debug(`Mode sync watch failed (${tail.sessionId}): ${e.message}`);
+  }
+}
+
+function stopTail(tail) {
+  clearInterval(tail.poll);
+  clearTimeout(tail.debounce);
+  if (tail.watcher) { try { tail.watcher.close(); } catch {} }
+  tails.delete(tail.sessionId);
+  debug(`📡 Mode sync: stopped tailing ${tail.sessionId}`);
+}
+
+function broadcast(tail, data) {
+  const frame = { type: 'mode_sync', sparkMode: tail.mode, sessionId: tail.sessionId, ...data };
+  for (const send of tail.subscribers.values()) {
+    send(frame);
+  }
+}
+
+/**
+ * Read what was appended since the last read and broadcast it
+ */
+function readTail(tail) {
+  if (!tails.has(tail.sessionId)) return;
+  watchTail(tail);
+  let text;
+  try {
+    const { size } = statSync(tail.path);
+    // Rewritten or truncated: start over from its new end
+    if (size < tail.offset) tail.offset = size;
+    if (size === tail.offset) return;
+    const buffer = Buffer.alloc(size - tail.offset);
+    const fd = openSync(tail.path, 'r');
+    try {
+      readSync(fd, buffer, 0, buffer.length, tail.offset);
+    } finally {
+      closeSync(fd);
+    }
+    tail.offset = size;
+    text = tail.partial + buffer.toString('utf8');
+  } catch (e) {
+    // Not created yet or briefly unavailable - the next poll tries again
+    if (e.code !== 'ENOENT') debug(`Mode sync read error (${tail.sessionId}): ${e.message}`);
+    return;
+  }
+
+  // Keep a half-written last line for the next read
+  const lines = text.split('\n');
+  tail.partial = lines.pop();
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      continue;
+    }
+
+    for (const step of tail.timeline.add(entry)) {
+      broadcast(tail, { progress: { status: step.status, step: { ...step } } });
+    }
+    const { role, content, timestamp, attachments } = cleanHistoryEntry(entry) || {};
+    if (!content) continue;
+    const message = attachments.length ? { role, content, timestamp, attachments } : { role, content, timestamp };
+    if (role === 'assistant' && tail.timeline.steps.length) message.timeline = tail.timeline.steps;
+    broadcast(tail, { message });
+    tail.timeline = createToolTimeline();
+  }
+}
+
+/**
+ * Tell a mode session's subscribers that a request in it ended, except the
+ * client that sent it (it got its own done frame)
+ * @param {string} sessionId - Mode session id
+ * @param {string} clientId - ClawChat session that sent the request
+ * @param {object} [outcome] - { error } or { cancelled: true }
+ */
+export function broadcastRequestEnd(sessionId, clientId, outcome = {}) {
+  const tail = tails.get(sessionId);
+  if (!tail) return;
+  for (const [id, send] of tail.subscribers) {
+    if (id !== clientId) send({ type: 'mode_sync', sparkMode: tail.mode, sessionId, done: true, ...outcome });
+  }
+}
+
+/**
+ * Subscribe a ClawChat session to a mode session's new messages and tool steps
+ * @param {string} clientId - ClawChat session id
+ * @param {string} mode - Mode of the session
+ * @param {string} sessionId - Mode session id (must exist in the index)
+ * @param {Function} send - Called with each mode_sync frame for this client
+ * @returns {boolean} - False if the client already has MODE_SYNC_MAX_SUBSCRIPTIONS others
+ */
+export function subscribeModeSession(clientId, mode, sessionId, send) {
+  const existing = tails.get(sessionId);
+  if (!existing?.subscribers.has(clientId) && subscriptionsOf(clientId).length >= MODE_SYNC_MAX_SUBSCRIPTIONS) {
+    return false;
+  }
+  const tail = existing || startTail(mode, sessionId);
+  tail.subscribers.set(clientId, send);
+  return true;
+}
+
+/**
+ * Drop a client's subscription to one mode session, or all of them
+ * @param {string} clientId - ClawChat session id
+ * @param {string} [sessionId] - Mode session id (omit for all)
+ */
+export function unsubscribeModeSession(clientId, sessionId) {
+  for (const tail of sessionId ? [tails.get(sessionId)].filter(Boolean) : [...tails.values()]) {
+    tail.subscribers.delete(clientId);
+    if (tail.subscribers.size === 0) stopTail(tail);
+  }
+}
+
+/**
+ * Mode session ids a client is subscribed to
+ */
+export function subscriptionsOf(clientId) {
+  return [...tails.values()].filter(t => t.subscribers.has(clientId)).map(t => t.sessionId);
+}
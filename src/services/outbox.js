@@ -0,0 +1,57 @@
+/**
+ * ClawChat - Session Outbox
+ *
+ * Every frame the server sends a ClawChat session goes through its outbox
+ * first and gets the next sequence number (`seq`). A client reconnecting
+ * with ?session=<id>&outbox=<outbox id>&seq=<last seq seen> gets everything
+ * after that replayed, so a phone that locked mid-request still sees the
+ * answer - whether the frames were dropped (no socket) or lost on a
+ * half-open one.
+ *
+ * Outboxes live in memory: a restart starts a new one (new id), and
+ * reconnects that can't be served from it fall back to the pending request
+ * store. Streaming deltas are dropped once their final `text` frame is in.
+ */
+
+import { randomUUID } from 'crypto';
+import { OUTBOX_MAX_FRAMES } from '../constants.js';
+
+/**
+ * New empty outbox: { id, seq (last assigned), frames: [{ seq, ... }], droppedThrough }
+ * (droppedThrough: highest seq pushed out by OUTBOX_MAX_FRAMES)
+ */
+export function createOutbox() {
+  return { id: randomUUID().slice(0, 8), seq: 0, frames: [], droppedThrough: 0 };
+}
+
+/**
+ * Number a frame and keep it for replay
+ * @returns {object} - The frame with its seq
+ */
+export function recordFrame(outbox, data) {
+  const frame = { ...data, seq: ++outbox.seq };
+  // The final text supersedes the deltas streamed for the same reply
+  if (frame.type === 'text') {
+    outbox.frames = outbox.frames.filter(f => f.type !== 'text_delta' || f.messageId !== frame.messageId);
+  }
+  outbox.frames.push(frame);
+  if (outbox.frames.length > OUTBOX_MAX_FRAMES) {
+    const dropped = outbox.frames.splice(0, outbox.frames.length - OUTBOX_MAX_FRAMES);
+    outbox.droppedThrough = dropped.at(-1).seq;
+  }
+  return frame;
+}
+
+/**
+ * Frames a client missed after lastSeq, or null if the outbox can't tell
+ * (another outbox, a seq it never assigned, or frames already dropped)
+ * @param {object} outbox
+ * @param {string} outboxId - Outbox id the client last saw (from `ready`)
+ * @param {number} lastSeq - Last seq the client received
+ * @returns {Array<object>|null}
+ */
+export function framesAfter(outbox, outboxId, lastSeq) {
+  if (outboxId !== outbox.id || !Number.isInteger(lastSeq) || lastSeq < 0 || lastSeq > outbox.seq) return null;
+  if (lastSeq < outbox.droppedThrough) return null;
+  return outbox.frames.filter(f => f.seq > lastSeq);
+}
@@ -0,0 +1,233 @@
+/**
+ * ClawChat - Pending Request Store
+ *
+ * Every main-session and mode request a client sends is recorded here until
+ * its reply has reached the client, so a dropped WebSocket or a server restart
+ * doesn't lose it. Records are persisted to paths.pendingRequestsFile:
+ *
+ *   { requestId, sessionId, messageId, mode, modeSessionId, prompt, promptPreview,
+ *     anchorEntryId, userEntryId,
+ *     status: 'processing' | 'queued' | 'complete' | 'error' | 'cancelled',
+ *     response, error, delivered, startTime, updatedAt }
+ *
+ * `sessionId` is the ClawChat WebSocket session, `messageId` the client's id for
+ * the prompt (null if it sent none); `mode` is null for the main session.
+ * The whole `prompt` is only kept while the request is unfinished (a restart
+ * may have to send it again); after that only `promptPreview` remains.
+ * `anchorEntryId` is the transcript's last entry when the request started, so
+ * its turn is looked for after it; `userEntryId` is that turn once found.
+ * Delivered and finished records stay fetchable by id (GET /api/requests/:id)
+ * for PENDING_REQUEST_RETENTION_MS.
+ *
+ * Changes are written in batches, PENDING_REQUEST_SAVE_DELAY_MS after the first
+ * one; flushPendingRequests() writes them right away (on shutdown).
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync, renameSync } from 'fs';
+import { dirname } from 'path';
+import { randomBytes } from 'crypto';
+import { debug, error as logError } from '../logger.js';
+import { PENDING_REQUEST_RETENTION_MS, PENDING_REQUEST_SAVE_DELAY_MS, PENDING_PROMPT_PREVIEW_CHARS } from '../constants.js';
+import { getConfig } from '../config.js';
+import { cleanTranscriptEntry, getMainSessionId } from './session.js';
+import { readTranscript } from './transcripts.js';
+
+const { paths } = getConfig();
+const STORE_PATH = paths.pendingRequestsFile;
+
+// Map<requestId, record>, null until first load
+let requests = null;
+
+// Pending batched write
+let saveTimer = null;
+
+const isUnfinished = (record) => record.status === 'processing' || record.status === 'queued';
+
+function load() {
+  if (requests) return requests;
+  requests = new Map();
+  if (existsSync(STORE_PATH)) {
+    try {
+      for (const record of JSON.parse(readFileSync(STORE_PATH, 'utf8')).requests || []) {
+        requests.set(record.requestId, record);
+      }
+    } catch (e) {
+      logError('Failed to read pending requests:', e.message);
+    }
+  }
+  return requests;
+}
+
+/**
+ * Write the store soon, together with any other changes made meanwhile
+ */
+function save() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(flushPendingRequests, PENDING_REQUEST_SAVE_DELAY_MS);
+  saveTimer.unref();
+}
+
+/**
+ * Write the store now (atomic write via rename); finished records past retention are dropped
+ */
+export function flushPendingRequests() {
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  if (!requests) return;
+  const cutoff = Date.now() - PENDING_REQUEST_RETENTION_MS;
+  for (const [id, record] of requests) {
+    if (!isUnfinished(record) && record.updatedAt < cutoff) {
+      requests.delete(id);
+    }
+  }
+  try {
+    const dir = dirname(STORE_PATH);
+    if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+    const tmpPath = STORE_PATH + '.tmp';
+    writeFileSync(tmpPath, JSON.stringify({ requests: [...requests.values()] }, null, 2), 'utf8');
+    renameSync(tmpPath, STORE_PATH);
+  } catch (e) {
+    logError('Failed to save pending requests:', e.message);
+  }
+}
+
+/**
+ * Record a new in-flight request
+ * @param {string} sessionId - ClawChat session the reply belongs to
+ * @param {string} prompt - Text sent to the agent (kept whole until it finishes, so it can be re-driven)
+ * @param {object} [options]
+ * @param {string} [options.mode] - Mode id, or null for the main session
+ * @param {string} [options.modeSessionId] - Target mode session
+ * @param {string} [options.messageId] - Client message id, echoed on replayed frames
+ * @returns {string} - requestId
+ */
+export function addPendingRequest(sessionId, prompt, { mode = null, modeSessionId = null, messageId = null } = {}) {
+  const requestId = randomBytes(8).toString('hex');
+  const now = Date.now();
+  const entries = readTranscript(mode ? modeSessionId : getMainSessionId())?.entries || [];
+  load().set(requestId, {
+    requestId,
+    sessionId,
+    messageId,
+    mode,
+    modeSessionId,
+    prompt,
+    promptPreview: prompt.slice(0, PENDING_PROMPT_PREVIEW_CHARS),
+    anchorEntryId: entries.findLast(e => e.id)?.id || null,
+    userEntryId: null,
+    status: 'processing',
+    response: null,
+    error: null,
+    delivered: false,
+    startTime: now,
+    updatedAt: now
+  });
+  save();
+  return requestId;
+}
+
+/**
+ * Update a request by id
+ * @returns {boolean} - false if the request doesn't exist
+ */
+export function updatePendingRequest(requestId, updates) {
+  const record = load().get(requestId);
+  if (!record) return false;
+  Object.assign(record, updates, { updatedAt: Date.now() });
+  // Finished: it won't be sent again, so the preview is enough
+  if (!isUnfinished(record)) delete record.prompt;
+  save();
+  return true;
+}
+
+export function removePendingRequest(requestId) {
+  if (load().delete(requestId)) save();
+}
+
+/**
+ * A request by id, or null
+ */
+export function getPendingRequest(requestId) {
+  const record = load().get(requestId);
+  return record ? { ...record } : null;
+}
+
+/**
+ * Requests of a session whose outcome the client hasn't seen yet, oldest first
+ */
+export function getUndeliveredRequests(sessionId) {
+  return [...load().values()]
+    .filter(r => r.sessionId === sessionId && !r.delivered)
+    .sort((a, b) => a.startTime - b.startTime)
+    .map(r => ({ ...r }));
+}
+
+/**
+ * Whether a session still has requests the client hasn't seen (lets it
+ * reconnect to the same session id after a restart)
+ */
+export function hasUndeliveredRequests(sessionId) {
+  return [...load().values()].some(r => r.sessionId === sessionId && !r.delivered);
+}
+
+/**
+ * Forget every request of a session (stale session cleanup)
+ */
+export function clearSessionRequests(sessionId) {
+  let removed = 0;
+  for (const [id, record] of load()) {
+    if (record.sessionId === sessionId) {
+      requests.delete(id);
+      removed++;
+    }
+  }
+  if (removed) save();
+  return removed;
+}
+
+/**
+ * Requests a previous process left unfinished (status processing or queued)
+ */
+export function getInterruptedRequests() {
+  const interrupted = [...load().values()]
+    .filter(isUnfinished)
+    .map(r => ({ ...r }));
+  if (interrupted.length) debug(`⏳ ${interrupted.length} interrupted request(s) in store`);
+  return interrupted;
+}
+
+/**
+ * Look for a request's turn in a session transcript
+ * The agent records the user turn when the run starts and the reply when it ends,
+ * so this tells whether an interrupted run reached the agent and whether it finished.
+ * The turn is the request's userEntryId once known; before that, the first user
+ * message after its anchor entry that starts with its prompt (or after its start
+ * time, if the anchor is gone). A turn found is remembered as userEntryId.
+ * @param {string} transcriptId - Session id of the transcript
+ * @param {object} request - Pending request record
+ * @returns {{asked: boolean, reply: string|null}}
+ */
+export function findTranscriptReply(transcriptId, request) {
+  const entries = readTranscript(transcriptId)?.entries || [];
+  const preview = request.promptPreview ?? request.prompt?.slice(0, PENDING_PROMPT_PREVIEW_CHARS) ?? '';
+  const anchor = request.anchorEntryId ? entries.findIndex(e => e.id === request.anchorEntryId) : -1;
+  const byTime = anchor === -1;
+
+  let asked = false;
+  for (const entry of entries.slice(anchor + 1)) {
+    const message = cleanTranscriptEntry(entry);
+    if (!message || (byTime && message.timestamp < request.startTime)) continue;
+    if (!asked) {
+      asked = message.role === 'user' && (request.userEntryId
+        ? message.id === request.userEntryId
+        : message.rawText.includes(preview));
+      if (asked && !request.userEntryId && message.id) {
+        request.userEntryId = message.id;
+        updatePendingRequest(request.requestId, { userEntryId: message.id });
+      }
+    } else if (message.role === 'assistant') {
+      return { asked, reply: message.rawText };
+    }
+  }
+  return { asked, reply: null };
+}
@@ -0,0 +1,271 @@
+/**
+ * ClawChat - Web Push
+ *
+ * Notifies subscribed browsers when long-running work finishes (mode replies,
+ * drained gateway queue). Implements the Web Push protocol directly:
+ * - VAPID (RFC 8292): ES256-signed JWT per push service origin
+ * - Payload encryption (RFC 8291): aes128gcm with an ephemeral ECDH key
+ *
+ * Subscriptions live in push/subscriptions.json. Each one carries `scopes`:
+ * the mode ids (plus 'main' for the main session) its device opted into.
+ * Subscriptions the push service reports as gone (404/410) are dropped.
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync, renameSync } from 'fs';
+import { join } from 'path';
+import {
+  createECDH, createHash, createPrivateKey, generateKeyPairSync,
+  hkdfSync, randomBytes, sign, createCipheriv
+} from 'crypto';
+import { log, debug, warn, error as logError } from '../logger.js';
+import { PUSH_REQUEST_TIMEOUT_MS, PUSH_TTL_SECONDS } from '../constants.js';
+import { getConfig } from '../config.js';
+
+const { paths, push: pushConfig } = getConfig();
+const PUSH_DIR = paths.pushDir;
+const SUBSCRIPTIONS_PATH = join(PUSH_DIR, 'subscriptions.json');
+const VAPID_PATH = join(PUSH_DIR, 'vapid.json');
+
+const RECORD_SIZE = 4096;
+
+let vapidKeys = null;      // { publicKey, privateKey } (base64url: 65-byte point, 32-byte scalar)
+let subscriptions = null;  // Map<id, {id, endpoint, keys: {p256dh, auth}, scopes, createdAt}>
+
+const b64url = (buf) => Buffer.from(buf).toString('base64url');
+
+function ensureDir() {
+  if (!existsSync(PUSH_DIR)) mkdirSync(PUSH_DIR, { recursive: true, mode: 0o700 });
+}
+
+/**
+ * Write JSON atomically (tmp file + rename)
+ */
+function writeJson(path, data, mode) {
+  ensureDir();
+  const tmpPath = path + '.tmp';
+  writeFileSync(tmpPath, JSON.stringify(data, null, 2), { encoding: 'utf8', mode });
+  renameSync(tmpPath, path);
+}
+
+/**
+ * VAPID key pair (config/env, else generated once and persisted)
+ */
+function getVapidKeys() {
+  if (vapidKeys) return vapidKeys;
+  if (pushConfig.vapidPublicKey && pushConfig.vapidPrivateKey) {
+    vapidKeys = { publicKey: pushConfig.vapidPublicKey, privateKey: pushConfig.vapidPrivateKey };
+  } else if (existsSync(VAPID_PATH)) {
+    vapidKeys = JSON.parse(readFileSync(VAPID_PATH, 'utf8'));
+  } else {
+    const { privateKey } = generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+    const jwk = privateKey.export({ format: 'jwk' });
+    vapidKeys = {
+      publicKey: b64url(Buffer.concat([Buffer.from([4]), Buffer.from(jwk.x, 'base64url'), Buffer.from(jwk.y, 'base64url')])),
+      privateKey: jwk.d
+    };
+    writeJson(VAPID_PATH, vapidKeys, 0o600);
+    log('🔔 Generated new VAPID key pair');
+  }
+  return vapidKeys;
+}
+
+/**
+ * Public key for PushManager.subscribe({ applicationServerKey })
+ */
+export function getVapidPublicKey() {
+  return getVapidKeys().publicKey;
+}
+
+/**
+ * VAPID Authorization header for a push endpoint
+ */
+function vapidAuthorization(endpoint) {
+  const { publicKey, privateKey } = getVapidKeys();
+  const point = Buffer.from(publicKey, 'base64url');
+  const key = createPrivateKey({
+    key: { kty: 'EC', crv: 'P-256', d: privateKey, x: b64url(point.subarray(1, 33)), y: b64url(point.subarray(33, 65)) },
+    format: 'jwk'
+  });
+
+  const header = b64url(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+  const claims = b64url(JSON.stringify({
+    aud: new URL(endpoint).origin,
+    exp: Math.floor(Date.now() / 1000) + 12 * 60 * 60,
+    sub: pushConfig.subject
+  }));
+  const signature = sign('sha256', Buffer.from(`${header}.${claims}`), { key, dsaEncoding: 'ieee-p1363' });
+  return `vapid t=${header}.${claims}.${b64url(signature)}, k=${publicKey}`;
+}
+
+/**
+ * Encrypt a payload for one subscription (RFC 8291, single aes128gcm record)
+ */
+export function encryptPayload(payload, { p256dh, auth }) {
+  const clientPublic = Buffer.from(p256dh, 'base64url');
+  const authSecret = Buffer.from(auth, 'base64url');
+
+  const ecdh = createECDH('prime256v1');
+  const serverPublic = ecdh.generateKeys();
+  const sharedSecret = ecdh.computeSecret(clientPublic);
+
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), clientPublic, serverPublic]);
+  const ikm = Buffer.from(hkdfSync('sha256', sharedSecret, authSecret, keyInfo, 32));
+  const salt = randomBytes(16);
+  const cek = Buffer.from(hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+  const nonce = Buffer.from(hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+  const cipher = createCipheriv('aes-128-gcm', cek, nonce);
+  // 0x02 marks the last (only) record
+  const body = Buffer.concat([cipher.update(Buffer.concat([Buffer.from(payload), Buffer.from([2])])), cipher.final(), cipher.getAuthTag()]);
+
+  const header = Buffer.alloc(21);
+  salt.copy(header, 0);
+  header.writeUInt32BE(RECORD_SIZE, 16);
+  header.writeUInt8(serverPublic.length, 20);
+  return Buffer.concat([header, serverPublic, body]);
+}
+
+// ============================================================================
+// Subscriptions
+// ============================================================================
+
+function loadSubscriptions() {
+  if (subscriptions) return subscriptions;
+  subscriptions = new Map();
+  if (existsSync(SUBSCRIPTIONS_PATH)) {
+    try {
+      for (const sub of JSON.parse(readFileSync(SUBSCRIPTIONS_PATH, 'utf8')).subscriptions || []) {
+        subscriptions.set(sub.id, sub);
+      }
+    } catch (e) {
+      logError('Failed to read push subscriptions:', e.message);
+    }
+  }
+  return subscriptions;
+}
+
+function saveSubscriptions() {
+  writeJson(SUBSCRIPTIONS_PATH, { subscriptions: [...loadSubscriptions().values()] }, 0o600);
+}
+
+/**
+ * Stable subscription id derived from its endpoint
+ */
+function subscriptionId(endpoint) {
+  return createHash('sha256').update(endpoint).digest('base64url').slice(0, 16);
+}
+
+/**
+ * Validate a PushSubscription JSON ({ endpoint, keys: { p256dh, auth } })
+ * @returns {string|null} - Problem description, or null if valid
+ */
+export function validateSubscription(sub) {
+  if (!sub || typeof sub !== 'object') return 'missing subscription';
+  try {
+    if (!['https:', 'http:'].includes(new URL(sub.endpoint).protocol)) return 'endpoint must be an http(s) URL';
+  } catch {
+    return 'invalid endpoint';
+  }
+  if (typeof sub.keys?.p256dh !== 'string' || Buffer.from(sub.keys.p256dh, 'base64url').length !== 65) return 'invalid p256dh key';
+  if (typeof sub.keys?.auth !== 'string' || Buffer.from(sub.keys.auth, 'base64url').length !== 16) return 'invalid auth secret';
+  return null;
+}
+
+/**
+ * Add or refresh a subscription (re-subscribing keeps the id for the same endpoint)
+ * @param {object} sub - Validated PushSubscription JSON
+ * @param {string[]} scopes - Mode ids and/or 'main' to notify this device about
+ */
+export function saveSubscription(sub, scopes) {
+  const id = subscriptionId(sub.endpoint);
+  const existing = loadSubscriptions().get(id);
+  const record = {
+    id,
+    endpoint: sub.endpoint,
+    keys: { p256dh: sub.keys.p256dh, auth: sub.keys.auth },
+    scopes: [...new Set(scopes)],
+    createdAt: existing?.createdAt || new Date().toISOString()
+  };
+  subscriptions.set(id, record);
+  saveSubscriptions();
+  log(`🔔 Push subscription ${existing ? 'updated' : 'added'}: ${id} (${record.scopes.join(', ') || 'no scopes'})`);
+  return { id, scopes: record.scopes };
+}
+
+export function getSubscription(id) {
+  const sub = loadSubscriptions().get(id);
+  return sub ? { id, scopes: sub.scopes } : null;
+}
+
+/**
+ * Replace the scopes a subscription is notified about
+ * @returns {object|null} - null if the subscription doesn't exist
+ */
+export function setSubscriptionScopes(id, scopes) {
+  const sub = loadSubscriptions().get(id);
+  if (!sub) return null;
+  sub.scopes = [...new Set(scopes)];
+  saveSubscriptions();
+  debug(`🔔 Push scopes for ${id}: ${sub.scopes.join(', ') || 'none'}`);
+  return { id, scopes: sub.scopes };
+}
+
+export function deleteSubscription(id) {
+  if (!loadSubscriptions().delete(id)) return false;
+  saveSubscriptions();
+  log(`🔕 Push subscription removed: ${id}`);
+  return true;
+}
+
+// ============================================================================
+// Delivery
+// ============================================================================
+
+/**
+ * Deliver one notification to one subscription
+ * @returns {Promise<boolean>} - Whether the push service accepted it
+ */
+async function deliver(sub, payload) {
+  const response = await fetch(sub.endpoint, {
+    method: 'POST',
+    headers: {
+      'Authorization': vapidAuthorization(sub.endpoint),
+      'Content-Encoding': 'aes128gcm',
+      'Content-Type': 'application/octet-stream',
+      'TTL': String(PUSH_TTL_SECONDS),
+      'Urgency': 'normal'
+    },
+    body: encryptPayload(JSON.stringify(payload), sub.keys),
+    signal: AbortSignal.timeout(PUSH_REQUEST_TIMEOUT_MS)
+  });
+
+  if (response.status === 404 || response.status === 410) {
+    warn(`🔕 Push subscription ${sub.id} expired (${response.status}) - removing`);
+    deleteSubscription(sub.id);
+    return false;
+  }
+  if (!response.ok) {
+    throw new Error(`push service returned ${response.status}: ${(await response.text()).slice(0, 200)}`);
+  }
+  return true;
+}
+
+/**
+ * Notify every device subscribed to a scope. Never throws.
+ * @param {string} scope - Mode id, or 'main'
+ * @param {object} notification - { title, body, url, tag }
+ * @returns {Promise<number>} - Devices notified
+ */
+export async function notify(scope, notification) {
+  const targets = [...loadSubscriptions().values()].filter(sub => sub.scopes.includes(scope));
+  if (targets.length === 0) return 0;
+
+  const results = await Promise.allSettled(targets.map(sub => deliver(sub, notification)));
+  let sent = 0;
+  results.forEach((result, i) => {
+    if (result.status === 'fulfilled') sent += result.value ? 1 : 0;
+    else logError(`Push to ${targets[i].id} failed:`, result.reason?.message);
+  });
+  debug(`🔔 Notified ${sent}/${targets.length} device(s) for ${scope}: ${notification.title}`);
+  return sent;
+}
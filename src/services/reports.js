@@ -0,0 +1,100 @@
+/**
+ * ClawChat - Report Store
+ *
+ * Results of scheduled jobs (see scheduler.js), one file per local day:
+ * reports/<YYYY-MM-DD>.json → { reports: [...] }, oldest first.
+ *
+ * A report is { id, jobId, type, title, date, timestamp, mode,
+ * status: 'complete' | 'error', content, error }.
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync, renameSync, readdirSync } from 'fs';
+import { join } from 'path';
+import { randomUUID } from 'crypto';
+import { debug, error as logError } from '../logger.js';
+import { getConfig } from '../config.js';
+
+const { paths, identity } = getConfig();
+const REPORTS_DIR = paths.reportsDir;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Local date (identity.timezone) of an instant, as YYYY-MM-DD
+ */
+export function localDate(date = new Date()) {
+  return date.toLocaleDateString('en-CA', { timeZone: identity.timezone });
+}
+
+/**
+ * Whether a string is a real YYYY-MM-DD date
+ */
+export function isValidDate(value) {
+  return typeof value === 'string' && DATE_PATTERN.test(value) &&
+    new Date(`${value}T00:00:00Z`).toISOString().startsWith(value);
+}
+
+function dayPath(date) {
+  return join(REPORTS_DIR, `${date}.json`);
+}
+
+function readDay(date) {
+  const path = dayPath(date);
+  if (!existsSync(path)) return [];
+  try {
+    return JSON.parse(readFileSync(path, 'utf8')).reports || [];
+  } catch (e) {
+    logError(`Failed to read reports for ${date}:`, e.message);
+    return [];
+  }
+}
+
+/**
+ * Store a report under the local day of its timestamp (atomic write via rename)
+ * @param {object} report - Report fields; id, timestamp and date are filled in
+ * @returns {object} - The stored report
+ */
+export function saveReport(report) {
+  const timestamp = report.timestamp || Date.now();
+  const stored = {
+    id: randomUUID(),
+    ...report,
+    timestamp,
+    date: localDate(new Date(timestamp))
+  };
+
+  if (!existsSync(REPORTS_DIR)) mkdirSync(REPORTS_DIR, { recursive: true });
+  const reports = readDay(stored.date);
+  reports.push(stored);
+  reports.sort((a, b) => a.timestamp - b.timestamp);
+
+  const path = dayPath(stored.date);
+  const tmpPath = path + '.tmp';
+  writeFileSync(tmpPath, JSON.stringify({ reports }, null, 2), 'utf8');
+  renameSync(tmpPath, path);
+  debug(`🗂️ Saved ${stored.type} report for ${stored.date}`);
+  return stored;
+}
+
+/**
+ * Reports for a local day, optionally only one type
+ * @param {object} [options]
+ * @param {string} [options.date] - YYYY-MM-DD, defaults to today
+ * @param {string} [options.type]
+ */
+export function listReports({ date = localDate(), type } = {}) {
+  const reports = readDay(date);
+  return type ? reports.filter(r => r.type === type) : reports;
+}
+
+/**
+ * Days that have reports, newest first
+ */
+export function listReportDates() {
+  if (!existsSync(REPORTS_DIR)) return [];
+  return readdirSync(REPORTS_DIR)
+    .filter(f => f.endsWith('.json') && isValidDate(f.slice(0, -5)))
+    .map(f => f.slice(0, -5))
+    .sort()
+    .reverse();
+}
@@ -0,0 +1,372 @@
+/**
+ * ClawChat - Job Scheduler
+ *
+ * Cron-style jobs that send a prompt to a mode session (via routeModeMessage)
+ * or to the main session (openclaw agent --to), and store the reply as a
+ * report (see reports.js). Jobs live in jobs.json (paths.jobsFile):
+ *
+ *   {
+ *     "jobs": [{
+ *       "id": "morning-briefing",     // unique, [a-z0-9-]
+ *       "schedule": "0 7 * * 1-5",    // minute hour day-of-month month day-of-week
+ *       "mode": "dailyreports",       // mode id, or null for the main session
+ *       "prompt": "...",
+ *       "type": "morning",            // report type, defaults to the id
+ *       "title": "Morning Briefing",  // defaults to the id
+ *       "enabled": true
+ *     }]
+ *   }
+ *
+ * Schedules are evaluated in identity.timezone. Fields accept *, lists (1,15),
+ * ranges (1-5) and steps on either (9-17/2); day-of-week 0 and 7 are Sunday.
+ * A job that is still running when it comes due again is skipped.
+ */
+
+import { spawn } from 'child_process';
+import { readFileSync, existsSync } from 'fs';
+import { log, warn, error as logError } from '../logger.js';
+import { CLI_TIMEOUT_MS } from '../constants.js';
+import { getConfig } from '../config.js';
+import { getMode } from '../modes.js';
+import { routeModeMessage } from '../mode-sessions.js';
+import { saveReport } from './reports.js';
+
+const config = getConfig();
+const JOBS_FILE = config.paths.jobsFile;
+
+const JOB_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+const MINUTE_MS = 60 * 1000;
+const MAX_LOOKAHEAD_MS = 366 * 24 * 60 * MINUTE_MS;
+
+// Cron field bounds, in expression order
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day-of-month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day-of-week', min: 0, max: 7 }
+];
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const partsFormat = new Intl.DateTimeFormat('en-US', {
+  timeZone: config.identity.timezone,
+  hourCycle: 'h23',
+  month: 'numeric',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: 'numeric',
+  weekday: 'short'
+});
+
+// Map<id, {job, cron, running, lastRun, lastStatus, lastMinute}>
+const jobs = new Map();
+let tickTimer = null;
+
+/**
+ * Parse a 5-field cron expression
+ * @returns {{minute: Set, hour: Set, dom: Set, month: Set, dow: Set, domAny: boolean, dowAny: boolean}}
+ * @throws {Error} - Describes the first invalid field
+ */
+export function parseCron(expression) {
+  const fields = String(expression || '').trim().split(/\s+/);
+  if (fields.length !== 5) throw new Error('schedule must have 5 fields (minute hour day month weekday)');
+
+  const sets = fields.map((field, i) => {
+    const { name, min, max } = CRON_FIELDS[i];
+    const values = new Set();
+    for (const part of field.split(',')) {
+      const match = /^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/.exec(part);
+      if (!match) throw new Error(`invalid ${name} "${part}"`);
+      const [, range, stepText] = match;
+      const step = stepText ? parseInt(stepText, 10) : 1;
+      let [from, to] = range === '*' ? [min, max] : range.split('-').map(n => parseInt(n, 10));
+      if (to === undefined) to = stepText ? max : from;
+      if (step < 1 || from < min || to > max || from > to) throw new Error(`${name} "${part}" out of range ${min}-${max}`);
+      for (let v = from; v <= to; v += step) values.add(v);
+    }
+    return values;
+  });
+
+  const dow = sets[4];
+  if (dow.has(7)) dow.add(0);
+  return {
+    minute: sets[0],
+    hour: sets[1],
+    dom: sets[2],
+    month: sets[3],
+    dow,
+    domAny: fields[2] === '*',
+    dowAny: fields[4] === '*'
+  };
+}
+
+/**
+ * Local calendar fields of an instant in identity.timezone
+ */
+function localParts(date) {
+  const parts = {};
+  for (const { type, value } of partsFormat.formatToParts(date)) parts[type] = value;
+  return {
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: WEEKDAYS[parts.weekday]
+  };
+}
+
+// Standard cron: when both day fields are restricted, either may match
+function dayMatches(cron, p) {
+  if (!cron.month.has(p.month)) return false;
+  if (cron.domAny || cron.dowAny) return cron.dom.has(p.day) && cron.dow.has(p.weekday);
+  return cron.dom.has(p.day) || cron.dow.has(p.weekday);
+}
+
+/**
+ * Whether a cron expression fires in the local minute containing `date`
+ */
+export function cronMatches(cron, date) {
+  const p = localParts(date);
+  return dayMatches(cron, p) && cron.hour.has(p.hour) && cron.minute.has(p.minute);
+}
+
+/**
+ * Next instant after `from` at which the cron fires (null if none within a year)
+ */
+export function nextCronRun(cron, from = new Date()) {
+  let t = Math.floor(from.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+  const limit = t + MAX_LOOKAHEAD_MS;
+  while (t < limit) {
+    const p = localParts(new Date(t));
+    if (!dayMatches(cron, p)) {
+      t += ((23 - p.hour) * 60 + (60 - p.minute)) * MINUTE_MS; // next local midnight
+    } else if (!cron.hour.has(p.hour)) {
+      t += (60 - p.minute) * MINUTE_MS;                         // next hour
+    } else if (!cron.minute.has(p.minute)) {
+      t += MINUTE_MS;
+    } else {
+      return new Date(t);
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate a job definition
+ * @returns {string|null} - Problem description, or null if valid
+ */
+function validateJob(job) {
+  if (!job || typeof job !== 'object') return 'not an object';
+  if (typeof job.id !== 'string' || !JOB_ID_PATTERN.test(job.id)) return 'invalid id';
+  if (typeof job.prompt !== 'string' || !job.prompt.trim()) return 'missing prompt';
+  if (job.mode != null && typeof job.mode !== 'string') return 'mode must be a mode id or null';
+  try {
+    parseCron(job.schedule);
+  } catch (e) {
+    return e.message;
+  }
+  return null;
+}
+
+/**
+ * Read job definitions from jobs.json
+ * Invalid jobs are skipped with a warning so one bad entry can't stop the rest.
+ * @returns {string[]} - Ids of loaded jobs
+ */
+export function loadJobs() {
+  jobs.clear();
+  if (!existsSync(JOBS_FILE)) return [];
+
+  let defined;
+  try {
+    defined = JSON.parse(readFileSync(JOBS_FILE, 'utf8')).jobs || [];
+  } catch (e) {
+    logError(`Failed to read jobs file ${JOBS_FILE}:`, e.message);
+    return [];
+  }
+
+  for (const job of defined) {
+    const problem = validateJob(job);
+    if (problem) {
+      warn(`⚠️  Skipping job ${job?.id || '(no id)'}: ${problem}`);
+      continue;
+    }
+    if (jobs.has(job.id)) {
+      warn(`⚠️  Skipping job ${job.id}: duplicate id`);
+      continue;
+    }
+    if (job.mode && !getMode(job.mode)) {
+      warn(`⚠️  Job ${job.id} targets unknown mode "${job.mode}"`);
+    }
+    jobs.set(job.id, {
+      job: {
+        id: job.id,
+        schedule: job.schedule,
+        mode: job.mode || null,
+        prompt: job.prompt,
+        type: job.type || job.id,
+        title: job.title || job.id,
+        enabled: job.enabled !== false
+      },
+      cron: parseCron(job.schedule),
+      running: false,
+      lastRun: null,
+      lastStatus: null,
+      lastMinute: null
+    });
+  }
+
+  log(`⏰ Loaded ${jobs.size} scheduled job(s): ${[...jobs.keys()].join(', ') || 'none'}`);
+  return [...jobs.keys()];
+}
+
+/**
+ * Job listing for /api/jobs
+ */
+export function listJobs() {
+  return [...jobs.values()].map(({ job, cron, running, lastRun, lastStatus }) => ({
+    ...job,
+    running,
+    lastRun,
+    lastStatus,
+    nextRun: job.enabled ? nextCronRun(cron)?.getTime() || null : null
+  }));
+}
+
+/**
+ * Send a job's prompt to its mode session and collect the reply
+ * @returns {Promise<{content: string, error: string|null}>}
+ */
+async function runInMode(job) {
+  let content = '';
+  let error = null;
+  const clientId = `job:${job.id}`;
+  const ok = await routeModeMessage(null, clientId, job.mode, job.prompt, (_, frame) => {
+    if (frame.type === 'text') content = frame.content;
+    else if (frame.type === 'error') error = frame.message;
+  }, undefined, { track: false });
+  return { content, error: ok ? null : (error || 'Job failed') };
+}
+
+/**
+ * Send a job's prompt to the main session via the CLI and collect the reply
+ * @returns {Promise<{content: string, error: string|null}>}
+ */
+function runInMain(job) {
+  if (!config.identity.mainTarget) {
+    return Promise.resolve({ content: '', error: 'identity.mainTarget (MAIN_TARGET) is not set' });
+  }
+  return new Promise((resolve) => {
+    let stdout = '';
+    let stderr = '';
+    const proc = spawn(config.paths.openclawPath, [
+      'agent',
+      '--message', job.prompt,
+      '--to', config.identity.mainTarget,
+      '--json'
+    ], { timeout: CLI_TIMEOUT_MS, env: { ...process.env } });
+
+    proc.stdout.on('data', (data) => { stdout += data.toString(); });
+    proc.stderr.on('data', (data) => { stderr += data.toString(); });
+
+    proc.on('close', (code) => {
+      if (code !== 0) {
+        resolve({ content: '', error: `CLI exited with code ${code}: ${(stderr || stdout).slice(0, 300)}` });
+        return;
+      }
+      try {
+        const payloads = JSON.parse(stdout).result?.payloads || [];
+        resolve({ content: payloads.map(p => p.text).filter(Boolean).join('\n'), error: null });
+      } catch (e) {
+        resolve({ content: '', error: `Invalid CLI output: ${e.message}` });
+      }
+    });
+
+    proc.on('error', (e) => {
+      resolve({ content: '', error: `Failed to run job: ${e.message}` });
+    });
+  });
+}
+
+/**
+ * Run a job now and store its report
+ * @returns {Promise<object|null>} - The stored report, or null if the job is unknown or already running
+ */
+export async function runJob(id) {
+  const entry = jobs.get(id);
+  if (!entry) return null;
+  if (entry.running) {
+    warn(`⏰ Job ${id} is still running - skipped`);
+    return null;
+  }
+
+  const { job } = entry;
+  entry.running = true;
+  const startedAt = Date.now();
+  log(`⏰ Running job ${id} (${job.mode ? `${job.mode} mode` : 'main session'})`);
+
+  try {
+    const result = job.mode ? await runInMode(job) : await runInMain(job);
+    const report = saveReport({
+      jobId: job.id,
+      type: job.type,
+      title: job.title,
+      timestamp: startedAt,
+      mode: job.mode,
+      status: result.error ? 'error' : 'complete',
+      content: result.content,
+      error: result.error
+    });
+    entry.lastStatus = report.status;
+    if (result.error) logError(`⏰ Job ${id} failed:`, result.error);
+    else log(`✅ Job ${id} finished in ${((Date.now() - startedAt) / 1000).toFixed(1)}s`);
+    return report;
+  } catch (e) {
+    entry.lastStatus = 'error';
+    logError(`⏰ Job ${id} error:`, e.message);
+    return null;
+  } finally {
+    entry.lastRun = startedAt;
+    entry.running = false;
+  }
+}
+
+/**
+ * Start jobs due in the current minute (each at most once per minute)
+ */
+function tick() {
+  const now = new Date();
+  const minute = Math.floor(now.getTime() / MINUTE_MS);
+  for (const entry of jobs.values()) {
+    if (!entry.job.enabled || entry.lastMinute === minute) continue;
+    if (!cronMatches(entry.cron, now)) continue;
+    entry.lastMinute = minute;
+    runJob(entry.job.id);
+  }
+}
+
+function scheduleTick() {
+  const delay = MINUTE_MS - (Date.now() % MINUTE_MS) + 50;
+  tickTimer = setTimeout(() => {
+    tick();
+    scheduleTick();
+  }, delay);
+  tickTimer.unref?.();
+}
+
+/**
+ * Load jobs and start checking them at every minute boundary
+ */
+export function startScheduler() {
+  loadJobs();
+  stopScheduler();
+  if (jobs.size > 0) scheduleTick();
+}
+
+export function stopScheduler() {
+  if (tickTimer) {
+    clearTimeout(tickTimer);
+    tickTimer = null;
+  }
+}
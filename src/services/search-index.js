@@ -0,0 +1,337 @@
+/**
+ * ClawChat - Search Index
+ *
+ * Incremental full-text index over every transcript in SESSIONS_DIR
+ * (main, WhatsApp and mode sessions), persisted to search-index/index.json.
+ *
+ * - Messages are normalized (normalizeEntry) and filtered like real-time sync
+ * - Each file is tracked by byte offset, so refreshes only parse appended lines
+ *   (read in chunks, like the transcript reader)
+ * - A file that was rewritten or replaced (shrank, new inode or different first
+ *   bytes) is re-indexed from scratch
+ * - The inverted index is rebuilt in memory on load; only documents are persisted,
+ *   SEARCH_INDEX_SAVE_DELAY_MS after a change (flushSearchIndex writes right away)
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync, renameSync, readdirSync, statSync } from 'fs';
+import { join } from 'path';
+import { log, debug, error as logError } from '../logger.js';
+import { SESSIONS_DIR } from './session.js';
+import { normalizeEntry } from './messages.js';
+import { wasRewritten, createState, readAppended } from './transcripts.js';
+import { findSessionMode, isLegacySession } from '../mode-session-index.js';
+import { SEARCH_MAX_TEXT, SEARCH_SNIPPET_LENGTH, SEARCH_INDEX_SAVE_DELAY_MS } from '../constants.js';
+import { getConfig } from '../config.js';
+
+const INDEX_DIR = getConfig().paths.searchIndexDir;
+const INDEX_PATH = join(INDEX_DIR, 'index.json');
+const INDEX_VERSION = 3;
+
+// Persisted state
+let files = {};   // { [sessionId]: { ino, head, offset, mtimeMs, lines, expectReply, replyChannel } }
+let docs = [];    // [{ sessionId, entryId, role, text, timestamp, channel, mode }]
+
+// In-memory inverted index: Map<token, Map<docIndex, termFrequency>>
+let postings = new Map();
+let loaded = false;
+
+// Pending batched write
+let saveTimer = null;
+
+/**
+ * Split text into lowercase word tokens
+ */
+function tokenize(text) {
+  return text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(t => t.length > 1);
+}
+
+function addPostings(docIndex) {
+  const counts = new Map();
+  for (const token of tokenize(docs[docIndex].text)) {
+    counts.set(token, (counts.get(token) || 0) + 1);
+  }
+  for (const [token, tf] of counts) {
+    if (!postings.has(token)) postings.set(token, new Map());
+    postings.get(token).set(docIndex, tf);
+  }
+}
+
+function rebuildPostings() {
+  postings = new Map();
+  for (let i = 0; i < docs.length; i++) addPostings(i);
+}
+
+function loadIndex() {
+  loaded = true;
+  if (!existsSync(INDEX_PATH)) return;
+  try {
+    const data = JSON.parse(readFileSync(INDEX_PATH, 'utf8'));
+    if (data.version !== INDEX_VERSION) {
+      log('🔎 Search index format changed, rebuilding');
+      return;
+    }
+    files = data.files || {};
+    docs = data.docs || [];
+    rebuildPostings();
+    debug(`🔎 Loaded search index: ${docs.length} messages from ${Object.keys(files).length} sessions`);
+  } catch (e) {
+    logError('Failed to load search index:', e.message);
+    files = {};
+    docs = [];
+  }
+}
+
+/**
+ * Save the index soon, together with any other changes made meanwhile
+ */
+function saveIndex() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(flushSearchIndex, SEARCH_INDEX_SAVE_DELAY_MS);
+  saveTimer.unref();
+}
+
+/**
+ * Save the index now if it has unsaved changes (atomic write via rename)
+ */
+export function flushSearchIndex() {
+  if (!saveTimer) return;
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  try {
+    if (!existsSync(INDEX_DIR)) mkdirSync(INDEX_DIR, { recursive: true });
+    const tmpPath = INDEX_PATH + '.tmp';
+    writeFileSync(tmpPath, JSON.stringify({ version: INDEX_VERSION, files, docs }), 'utf8');
+    renameSync(tmpPath, INDEX_PATH);
+  } catch (e) {
+    logError('Failed to save search index:', e.message);
+  }
+}
+
+/**
+ * Turn a transcript line into an index document (or null).
+ * state carries the legacy-session pairing flag and the channel of the last
+ * user message (for replies) across incremental reads.
+ */
+function toDocument(line, sessionId, mode, legacy, state, lineNo) {
+  let entry;
+  try {
+    entry = JSON.parse(line);
+  } catch {
+    return null;
+  }
+  const message = normalizeEntry(entry, { mode, replyChannel: state.replyChannel });
+  if (!message) return null;
+  if (message.role === 'user') state.replyChannel = message.channel;
+  // Same rules as real-time sync: no tool-use or thinking-only turns
+  if (message.toolCalls.length || !message.text) return null;
+
+  // Legacy mode sessions are mixed with main session traffic: keep only
+  // mode prompts ([System Context:] wrapper) and the reply that follows each
+  if (legacy) {
+    if (message.role === 'user') {
+      state.expectReply = message.rawText.includes('[System Context:');
+      if (!state.expectReply) return null;
+    } else if (!state.expectReply) {
+      return null;
+    } else {
+      state.expectReply = false;
+    }
+  }
+
+  return {
+    sessionId,
+    entryId: message.id || `L${lineNo}`,
+    role: message.role,
+    text: message.text.slice(0, SEARCH_MAX_TEXT),
+    timestamp: message.timestamp,
+    channel: mode ? 'mode' : message.channel,
+    mode
+  };
+}
+
+/**
+ * Bring the index up to date with SESSIONS_DIR (appended lines only)
+ * @returns {number} - Number of new documents indexed
+ */
+export function refreshSearchIndex() {
+  if (!loaded) loadIndex();
+  if (!existsSync(SESSIONS_DIR)) return 0;
+
+  let added = 0;
+  let needsRebuild = false;
+  const seen = new Set();
+
+  for (const f of readdirSync(SESSIONS_DIR)) {
+    if (!f.endsWith('.jsonl')) continue;
+    const sessionId = f.slice(0, -'.jsonl'.length);
+    const path = join(SESSIONS_DIR, f);
+    seen.add(sessionId);
+
+    let stat;
+    try {
+      stat = statSync(path);
+    } catch {
+      continue;
+    }
+
+    let state = files[sessionId];
+    try {
+      if (state && wasRewritten(path, stat, state)) {
+        // File was rewritten - drop its documents and start over
+        docs = docs.filter(d => d.sessionId !== sessionId);
+        needsRebuild = true;
+        delete files[sessionId];
+        state = null;
+      }
+      if (!state) {
+        state = files[sessionId] = createState(path, stat, { lines: 0, expectReply: false, replyChannel: null });
+      }
+      if (stat.size > state.offset) {
+        // Only complete lines are consumed; a partial trailing line is picked up next time
+        const mode = findSessionMode(sessionId);
+        const legacy = mode ? isLegacySession(sessionId) : false;
+        readAppended(path, state, stat.size, line => {
+          state.lines++;
+          const doc = toDocument(line, sessionId, mode, legacy, state, state.lines);
+          if (!doc) return;
+          docs.push(doc);
+          if (!needsRebuild) addPostings(docs.length - 1);
+          added++;
+        });
+      }
+    } catch (e) {
+      logError(`Failed to index transcript ${sessionId}:`, e.message);
+      continue;
+    }
+    state.mtimeMs = stat.mtimeMs;
+  }
+
+  // Drop sessions whose transcripts were deleted
+  for (const sessionId of Object.keys(files)) {
+    if (!seen.has(sessionId)) {
+      delete files[sessionId];
+      docs = docs.filter(d => d.sessionId !== sessionId);
+      needsRebuild = true;
+    }
+  }
+
+  if (needsRebuild) rebuildPostings();
+  if (added > 0 || needsRebuild) {
+    saveIndex();
+    debug(`🔎 Search index updated: +${added} messages (${docs.length} total)`);
+  }
+  return added;
+}
+
+/**
+ * Build a snippet around the first query match
+ */
+function buildSnippet(text, queryTokens) {
+  const lower = text.toLowerCase();
+  let pos = -1;
+  for (const token of queryTokens) {
+    const i = lower.indexOf(token);
+    if (i !== -1 && (pos === -1 || i < pos)) pos = i;
+  }
+  const flat = (s) => s.replace(/\s+/g, ' ');
+  if (pos === -1 || text.length <= SEARCH_SNIPPET_LENGTH) {
+    return flat(text.slice(0, SEARCH_SNIPPET_LENGTH));
+  }
+  const start = Math.max(0, pos - Math.floor(SEARCH_SNIPPET_LENGTH / 3));
+  const end = Math.min(text.length, start + SEARCH_SNIPPET_LENGTH);
+  return (start > 0 ? '…' : '') + flat(text.slice(start, end)) + (end < text.length ? '…' : '');
+}
+
+/**
+ * Search all transcripts
+ *
+ * Every query term must match (the last term as a prefix, for search-as-you-type).
+ * Ranking: tf-idf per term, a bonus for the exact phrase, and a mild recency boost.
+ *
+ * @param {string} query
+ * @param {object} [options]
+ * @param {number} [options.limit=20]
+ * @param {string} [options.channel] - whatsapp | web | voice | cron | mode
+ * @returns {{total: number, results: Array}}
+ */
+export function searchTranscripts(query, { limit = 20, channel } = {}) {
+  refreshSearchIndex();
+
+  const queryTokens = tokenize(query);
+  if (queryTokens.length === 0) return { total: 0, results: [] };
+
+  const docCount = docs.length || 1;
+  let scores = null;
+
+  queryTokens.forEach((queryToken, i) => {
+    const isPrefix = i === queryTokens.length - 1;
+    const termScores = new Map();
+
+    for (const [token, docMap] of postings) {
+      if (token !== queryToken && !(isPrefix && token.startsWith(queryToken))) continue;
+      const idf = Math.log(1 + docCount / docMap.size);
+      for (const [docIndex, tf] of docMap) {
+        termScores.set(docIndex, (termScores.get(docIndex) || 0) + (1 + Math.log(tf)) * idf);
+      }
+    }
+
+    // AND semantics: keep only documents matching every term
+    if (scores === null) {
+      scores = termScores;
+    } else {
+      for (const [docIndex, score] of scores) {
+        if (termScores.has(docIndex)) scores.set(docIndex, score + termScores.get(docIndex));
+        else scores.delete(docIndex);
+      }
+    }
+  });
+
+  const phrase = query.trim().toLowerCase();
+  const now = Date.now();
+  const ranked = [];
+  for (const [docIndex, score] of scores) {
+    const doc = docs[docIndex];
+    if (channel && doc.channel !== channel) continue;
+    const ageDays = doc.timestamp ? (now - doc.timestamp) / 86400000 : 365;
+    const recency = 1 / (1 + Math.max(0, ageDays) / 30);
+    const phraseBonus = queryTokens.length > 1 && doc.text.toLowerCase().includes(phrase) ? 2 : 0;
+    ranked.push({ doc, score: score + phraseBonus + recency });
+  }
+  ranked.sort((a, b) => b.score - a.score);
+
+  return {
+    total: ranked.length,
+    results: ranked.slice(0, limit).map(({ doc, score }) => ({
+      sessionId: doc.sessionId,
+      entryId: doc.entryId,
+      channel: doc.channel,
+      mode: doc.mode,
+      role: doc.role,
+      timestamp: doc.timestamp,
+      snippet: buildSnippet(doc.text, queryTokens),
+      score: Math.round(score * 100) / 100
+    }))
+  };
+}
+
+/**
+ * Get the indexed messages around a hit, for showing it in context
+ * @returns {{messages: Array, hitIndex: number}|null}
+ */
+export function getSearchContext(sessionId, entryId, radius = 10) {
+  refreshSearchIndex();
+
+  const sessionDocs = docs.filter(d => d.sessionId === sessionId);
+  const hitIndex = sessionDocs.findIndex(d => d.entryId === entryId);
+  if (hitIndex === -1) return null;
+
+  const start = Math.max(0, hitIndex - radius);
+  const messages = sessionDocs.slice(start, hitIndex + radius + 1).map(d => ({
+    entryId: d.entryId,
+    role: d.role,
+    text: d.text,
+    timestamp: d.timestamp,
+    channel: d.channel
+  }));
+  return { messages, hitIndex: hitIndex - start, mode: sessionDocs[hitIndex].mode };
+}
@@ -0,0 +1,148 @@
+/**
+ * ClawChat - Mode Session Summaries
+ *
+ * After the first exchange of a mode session, and every SESSION_SUMMARY_INTERVAL
+ * messages after that, asks the gateway (/v1/chat/completions) for a short
+ * title and a one-paragraph rolling summary, and stores both in the mode's
+ * session index (setSessionSummary). The previous summary is passed along so
+ * it keeps covering the whole session while only recent messages are sent.
+ *
+ * Runs in the background; failures are logged and retried at the next reply.
+ */
+
+import { debug, warn } from '../logger.js';
+import {
+  SESSION_SUMMARY_TIMEOUT_MS, SESSION_SUMMARY_HISTORY, SESSION_SUMMARY_INTERVAL,
+  SESSION_SUMMARY_MAX_CHARS, SESSION_TITLE_MAX_CHARS
+} from '../constants.js';
+import { getConfig } from '../config.js';
+import { getMode } from '../modes.js';
+import { getSession, setSessionSummary } from '../mode-session-index.js';
+import { getModeHistory } from '../mode-sessions.js';
+
+const { llm, identity, features } = getConfig();
+
+// Per-message cap in the prompt, so one huge reply doesn't crowd out the rest
+const PROMPT_MESSAGE_MAX_CHARS = 2000;
+
+const SYSTEM_PROMPT = `You title and summarize conversations between a user and their assistant, Spark.
+
+Reply with JSON only, no code fences: {"title": "...", "summary": "..."}
+- title: at most 6 words naming the topic, no quotes, no trailing punctuation
+- summary: one paragraph of at most 3 sentences covering what the user is after and where things stand
+If a previous summary is given, update it with the new messages instead of starting over.`;
+
+// Sessions with a summary request in flight
+const inFlight = new Set();
+
+/**
+ * Whether a session is due for a (new) summary
+ */
+function isDue(session) {
+  if (!session || session.legacy || !session.messageCount) return false;
+  if (session.summaryMessageCount == null) return true;
+  return session.messageCount - session.summaryMessageCount >= SESSION_SUMMARY_INTERVAL;
+}
+
+/**
+ * Pull {title, summary} out of the model's reply (tolerates code fences and surrounding text)
+ * @returns {{title: string|null, summary: string}|null}
+ */
+export function parseSummaryReply(reply) {
+  const match = /\{[\s\S]*\}/.exec(reply || '');
+  if (!match) return null;
+  let parsed;
+  try {
+    parsed = JSON.parse(match[0]);
+  } catch {
+    return null;
+  }
+  const summary = typeof parsed.summary === 'string' ? parsed.summary.replace(/\s+/g, ' ').trim() : '';
+  if (!summary) return null;
+  const title = typeof parsed.title === 'string'
+    ? parsed.title.replace(/^["'\s]+|["'.\s]+$/g, '').slice(0, SESSION_TITLE_MAX_CHARS)
+    : '';
+  return { title: title || null, summary: summary.slice(0, SESSION_SUMMARY_MAX_CHARS) };
+}
+
+function buildPrompt(mode, session, messages) {
+  const transcript = messages
+    .map(m => `${m.role === 'user' ? identity.userName : 'Spark'}: ${m.content.slice(0, PROMPT_MESSAGE_MAX_CHARS)}`)
+    .join('\n\n');
+  const parts = [`Mode: ${getMode(mode)?.name || mode}`];
+  if (session.summary) parts.push(`Previous summary: ${session.summary}`);
+  parts.push(`Conversation:\n${transcript}`);
+  return parts.join('\n\n');
+}
+
+/**
+ * Generate and store a title and summary for a mode session now
+ * @returns {Promise<object|null>} - The updated session, or null if there was nothing to summarize
+ */
+export async function summarizeModeSession(mode, sessionId) {
+  const session = getSession(mode, sessionId);
+  if (!session) return null;
+  const messages = getModeHistory(mode, SESSION_SUMMARY_HISTORY, sessionId);
+  if (messages.length === 0) return null;
+
+  const response = await fetch(`${llm.gatewayUrl}/v1/chat/completions`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${llm.gatewayToken}`,
+    },
+    body: JSON.stringify({
+      model: 'claude-sonnet-4-20250514',
+      messages: [
+        { role: 'system', content: SYSTEM_PROMPT },
+        { role: 'user', content: buildPrompt(mode, session, messages) }
+      ],
+      max_tokens: 300,
+    }),
+    signal: AbortSignal.timeout(SESSION_SUMMARY_TIMEOUT_MS)
+  });
+  if (!response.ok) {
+    throw new Error(`Gateway error: ${response.status}`);
+  }
+
+  const data = await response.json();
+  const generated = parseSummaryReply(data.choices?.[0]?.message?.content);
+  if (!generated) {
+    throw new Error('Reply was not a {title, summary} object');
+  }
+  // messageCount as read before the request: messages sent meanwhile count toward the next refresh
+  return setSessionSummary(mode, sessionId, { ...generated, messageCount: session.messageCount });
+}
+
+/**
+ * A session's summary for use as context elsewhere (e.g. a handoff): refreshed
+ * first if it's missing or stale, the stored one if the gateway fails
+ * @returns {Promise<string|null>}
+ */
+export async function getContextSummary(mode, sessionId) {
+  const session = getSession(mode, sessionId);
+  if (!session) return null;
+  if (isDue(session)) {
+    try {
+      return (await summarizeModeSession(mode, sessionId))?.summary || session.summary || null;
+    } catch (e) {
+      warn(`⚠️  Could not summarize ${mode} session ${sessionId}:`, e.message);
+    }
+  }
+  return session.summary || null;
+}
+
+/**
+ * Summarize a mode session in the background if it's due (call after each reply). Never throws.
+ */
+export function maybeSummarizeModeSession(mode, sessionId) {
+  if (!features.sessionSummaries) return;
+  const key = `${mode}/${sessionId}`;
+  if (inFlight.has(key) || !isDue(getSession(mode, sessionId))) return;
+
+  inFlight.add(key);
+  debug(`📝 Summarizing ${mode} session ${sessionId}`);
+  summarizeModeSession(mode, sessionId)
+    .catch(e => warn(`⚠️  Could not summarize ${mode} session ${sessionId}:`, e.message))
+    .finally(() => inFlight.delete(key));
+}
@@ -6,23 +6,14 @@
 
 import { readFileSync, existsSync, appendFileSync } from 'fs';
 import { join } from 'path';
+import { getConfig } from '../config.js';
+import { readTranscript } from './transcripts.js';
+import { normalizeEntry, normalizeTranscript } from './messages.js';
 
-// Session directories
-export const SESSIONS_DIR = '/home/heisenberg/.clawdbot/agents/main/sessions';
+const { paths, identity } = getConfig();
 
-/**
- * Load gateway token from Clawdbot config
- */
-export function loadGatewayToken() {
-  const configPath = '/home/heisenberg/.clawdbot/clawdbot.json';
-  if (existsSync(configPath)) {
-    try {
-      const cfg = JSON.parse(readFileSync(configPath, 'utf8'));
-      return cfg.gateway?.auth?.token;
-    } catch {}
-  }
-  return null;
-}
+// Session directories
+export const SESSIONS_DIR = paths.sessionsDir;
 
 // Mode session IDs that should NOT be treated as the main session
 // These are deterministic IDs used by ClawChat mode routing
@@ -33,27 +24,28 @@ const MODE_SESSION_IDS = new Set([
   'spark-vid-00000-0000-0000-000000000004',
 ]);
 
-// Default main session ID (WhatsApp main session)
-const DEFAULT_MAIN_SESSION_ID = '1e4cdd11-d94a-4ed8-b686-029d5fb50ac1';
+// Default main session ID (WhatsApp main session) - identity.mainSessionId
+const DEFAULT_MAIN_SESSION_ID = identity.mainSessionId;
 
 /**
- * Get main session ID dynamically from sessions.json
+ * Main session ID as sessions.json has it right now, or null if it has no
+ * usable entry (missing, unreadable, or pointing at a mode session)
  * 
  * NOTE: OpenClaw CLI can overwrite the agent:main:main entry in sessions.json
  * when mode sessions use `openclaw agent --session-id`. We must detect this
- * and fall back to the known WhatsApp main session ID.
+ * rather than take it for the main session.
  */
-export function getMainSessionId() {
+export function readMainSessionId() {
   try {
     const sessionsPath = join(SESSIONS_DIR, 'sessions.json');
     if (existsSync(sessionsPath)) {
       const sessions = JSON.parse(readFileSync(sessionsPath, 'utf8'));
       const mainSession = sessions['agent:main:main'];
       if (mainSession?.sessionId) {
-        // Guard: don't return a mode session ID as the main session
-        if (MODE_SESSION_IDS.has(mainSession.sessionId)) {
-          console.warn(`⚠️ sessions.json agent:main:main points to mode session ${mainSession.sessionId}, using default`);
-          return DEFAULT_MAIN_SESSION_ID;
+        // Guard: don't return a mode session ID (legacy or spark-<mode>-<uuid>) as the main session
+        if (MODE_SESSION_IDS.has(mainSession.sessionId) || mainSession.sessionId.startsWith('spark-')) {
+          console.warn(`⚠️ sessions.json agent:main:main points to mode session ${mainSession.sessionId}`);
+          return null;
         }
         return mainSession.sessionId;
       }
@@ -61,15 +53,23 @@ export function getMainSessionId() {
   } catch (e) {
     console.error('Failed to read main session ID:', e.message);
   }
-  return DEFAULT_MAIN_SESSION_ID;
+  return null;
 }
 
 /**
- * Get the path to the main session file
+ * Get main session ID dynamically from sessions.json, falling back to
+ * identity.mainSessionId (null if that isn't set either)
+ */
+export function getMainSessionId() {
+  return readMainSessionId() || DEFAULT_MAIN_SESSION_ID;
+}
+
+/**
+ * Get the path to the main session file, or null if no main session is known
  */
 export function getMainSessionPath() {
   const sessionId = getMainSessionId();
-  return join(SESSIONS_DIR, `${sessionId}.jsonl`);
+  return sessionId ? join(SESSIONS_DIR, `${sessionId}.jsonl`) : null;
 }
 
 /**
@@ -77,42 +77,14 @@ export function getMainSessionPath() {
  */
 export function loadSessionHistory(limit = 20) {
   try {
-    const sessionPath = getMainSessionPath();
-    if (!existsSync(sessionPath)) return [];
-    
-    const content = readFileSync(sessionPath, 'utf8');
-    const lines = content.trim().split('\n').filter(l => l);
+    const transcript = readTranscript(getMainSessionId());
+    if (!transcript) return [];
     
     const messages = [];
-    for (const line of lines.slice(-limit * 2)) {
-      try {
-        const entry = JSON.parse(line);
-        if (entry.type === 'message' && entry.message) {
-          const msg = entry.message;
-          if (msg.role === 'user' || msg.role === 'assistant') {
-            let text = '';
-            if (typeof msg.content === 'string') {
-              text = msg.content;
-            } else if (Array.isArray(msg.content)) {
-              const textPart = msg.content.find(c => c.type === 'text');
-              text = textPart?.text || '';
-            }
-            
-            // Skip heartbeats and system messages
-            if (text.includes('HEARTBEAT') || text.includes('Read HEARTBEAT.md')) continue;
-            
-            // Clean WhatsApp markers
-            text = text
-              .replace(/^\[WhatsApp[^\]]*\]\s*/g, '')
-              .replace(/\n?\[message_id:[^\]]+\]/g, '')
-              .trim();
-            
-            if (text) {
-              messages.push({ role: msg.role, content: text });
-            }
-          }
-        }
-      } catch {}
+    for (const message of normalizeTranscript(transcript.entries.slice(-limit * 2))) {
+      if (message.text) {
+        messages.push({ role: message.role, content: message.text });
+      }
     }
     
     return messages.slice(-limit);
@@ -128,6 +100,7 @@ export function loadSessionHistory(limit = 20) {
 export function appendToSessionSync(role, content) {
   try {
     const sessionPath = getMainSessionPath();
+    if (!sessionPath) return;
     const entry = {
       type: 'message',
       id: Math.random().toString(36).slice(2, 10),
@@ -169,3 +142,29 @@ export function hashMessage(text) {
   }
   return hash.toString(36);
 }
+
+/**
+ * Clean a transcript entry for display, using the real-time sync rules:
+ * only user/assistant messages, no tool-use or thinking-only turns,
+ * no heartbeats, channel tags stripped (normalizeEntry).
+ * 
+ * @param {object} entry - Parsed JSONL line
+ * @returns {{id, role, text, rawText, source, timestamp}|null} - source: whatsapp | web | other,
+ *   from the message's own tags (other for untagged messages)
+ */
+export function cleanTranscriptEntry(entry) {
+  const message = normalizeEntry(entry);
+  if (!message || message.toolCalls.length || !message.text) return null;
+  
+  // Without a replyChannel, only tags give a message a channel other than the default
+  const tagged = message.sender !== null || message.channel === 'whatsapp';
+  
+  return {
+    id: message.id,
+    role: message.role,
+    text: message.text,
+    rawText: message.rawText,
+    source: tagged && (message.channel === 'whatsapp' || message.channel === 'web') ? message.channel : 'other',
+    timestamp: message.timestamp
+  };
+}
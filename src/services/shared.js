@@ -5,42 +5,49 @@
  * Eliminates duplication of key loading, session access, and context loading.
  */
 
-import { readFileSync, existsSync, appendFileSync } from 'fs';
+import { appendFileSync } from 'fs';
 import { join } from 'path';
 import { getMainSessionId, SESSIONS_DIR } from './session.js';
+import { normalizeTranscript } from './messages.js';
+import { readTranscript } from './transcripts.js';
+import { getConfig } from '../config.js';
+
+const { identity, stt, llm } = getConfig();
 
 /**
- * Get OpenAI API key from clawdbot/openclaw config
+ * Get OpenAI API key (OPENAI_API_KEY, else the clawdbot whisper skill entry)
  */
 export function getOpenAIKey() {
-  const configPath = '/home/heisenberg/.clawdbot/clawdbot.json';
-  if (existsSync(configPath)) {
-    const cfg = JSON.parse(readFileSync(configPath, 'utf8'));
-    return cfg.skills?.entries?.['openai-whisper-api']?.apiKey;
-  }
-  return null;
+  return stt.openaiApiKey;
 }
 
 /**
- * Get gateway auth token from clawdbot/openclaw config
+ * Get gateway auth token (GATEWAY_TOKEN, else the clawdbot config gateway.auth.token)
  */
 export function getGatewayToken() {
-  const configPath = '/home/heisenberg/.clawdbot/clawdbot.json';
-  if (existsSync(configPath)) {
-    try {
-      const cfg = JSON.parse(readFileSync(configPath, 'utf8'));
-      return cfg.gateway?.auth?.token;
-    } catch {}
-  }
-  return null;
+  return llm.gatewayToken;
+}
+
+/**
+ * Format a date in the configured timezone and locale (identity.timezone / identity.locale)
+ */
+export function formatLocalTime(date = new Date(), options = {}) {
+  return date.toLocaleString(identity.locale, { timeZone: identity.timezone, ...options });
+}
+
+/**
+ * Spoken name of the configured timezone, e.g. 'Asia/Singapore' -> 'Singapore'
+ */
+export function getTimezoneLabel() {
+  return identity.timezone.split('/').pop().replace(/_/g, ' ');
 }
 
 /**
- * Get the current main session file path (dynamic, not hardcoded)
+ * Get the current main session file path (dynamic, not hardcoded), null if unknown
  */
 function getSessionPath() {
   const sessionId = getMainSessionId();
-  return join(SESSIONS_DIR, `${sessionId}.jsonl`);
+  return sessionId ? join(SESSIONS_DIR, `${sessionId}.jsonl`) : null;
 }
 
 /**
@@ -54,44 +61,17 @@ function getSessionPath() {
  */
 export function loadConversationContext({ limit = 10, format = 'messages', maxLength = 1000 } = {}) {
   try {
-    const sessionPath = getSessionPath();
-    if (!existsSync(sessionPath)) return format === 'text' ? '' : [];
-
-    const content = readFileSync(sessionPath, 'utf8');
-    const lines = content.trim().split('\n').filter(l => l);
+    const transcript = readTranscript(getMainSessionId());
+    if (!transcript) return format === 'text' ? '' : [];
 
     const messages = [];
-    for (const line of lines.slice(-limit * 3)) {
-      try {
-        const entry = JSON.parse(line);
-        if (entry.type === 'message' && entry.message) {
-          const msg = entry.message;
-          if (msg.role === 'user' || msg.role === 'assistant') {
-            let text = '';
-            if (typeof msg.content === 'string') {
-              text = msg.content;
-            } else if (Array.isArray(msg.content)) {
-              const textPart = msg.content.find(c => c.type === 'text');
-              text = textPart?.text || '';
-            }
-
-            // Skip system messages
-            if (text.includes('HEARTBEAT') || text.includes('Read HEARTBEAT.md')) continue;
-            if (text.includes('[Cron') || text.includes('systemEvent')) continue;
+    for (const message of normalizeTranscript(transcript.entries.slice(-limit * 3))) {
+      // Skip cron jobs and system events
+      if (message.channel === 'cron') continue;
 
-            // Clean markers
-            text = text
-              .replace(/^\[WhatsApp[^\]]*\]\s*/g, '')
-              .replace(/^\[ClawChat[^\]]*\]\s*/g, '')
-              .replace(/\n?\[message_id:[^\]]+\]/g, '')
-              .trim();
-
-            if (text && text.length < maxLength) {
-              messages.push({ role: msg.role, content: text });
-            }
-          }
-        }
-      } catch {}
+      if (message.text && message.text.length < maxLength) {
+        messages.push({ role: message.role, content: message.text });
+      }
     }
 
     const result = messages.slice(-limit);
@@ -118,6 +98,7 @@ export function loadConversationContext({ limit = 10, format = 'messages', maxLe
 export function appendToSession(role, content, source = 'ClawChat Voice') {
   try {
     const sessionPath = getSessionPath();
+    if (!sessionPath) return;
     const entry = {
       type: 'message',
       id: Math.random().toString(36).slice(2, 10),
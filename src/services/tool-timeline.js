@@ -0,0 +1,128 @@
+/**
+ * ClawChat - Tool Timeline
+ *
+ * Turns the tool activity in an agent transcript into timeline steps: each
+ * tool call (toolCall / tool_use part) starts a step, its result (toolResult
+ * message / tool_result part) ends it.
+ *
+ * Step: { id, tool, args, status, startedAt, endedAt?, durationMs?, resultChars?, error? }
+ * - args: short summary of the call arguments (path, command, query, ...)
+ * - status: the human-readable progress line ("Reading src/app.js...")
+ * - error: start of the result text when the tool reported an error
+ */
+
+import { TOOL_ARGS_SUMMARY_MAX_CHARS, TOOL_ERROR_MAX_CHARS } from '../constants.js';
+
+/**
+ * Progress line shown while a tool runs
+ */
+export function progressStatus(name, args) {
+  const path = args.path || args.file_path || 'file';
+  const statuses = {
+    'exec':        'Running command...',
+    'read':        `Reading ${path}...`,
+    'Read':        `Reading ${path}...`,
+    'Edit':        `Editing ${path}...`,
+    'edit':        `Editing ${path}...`,
+    'Write':       `Writing ${path}...`,
+    'write':       `Writing ${path}...`,
+    'web_search':  `Searching: ${args.query || ''}...`,
+    'web_fetch':   `Fetching ${args.url || 'page'}...`,
+    'browser':     'Using browser...',
+    'image':       'Analyzing image...',
+    'sessions_spawn': 'Spawning sub-agent...',
+  };
+  return statuses[name] || `${name}...`;
+}
+
+/**
+ * Short summary of a tool call's arguments: the one that says what it did, else the JSON
+ */
+export function summarizeToolArgs(args) {
+  if (!args || typeof args !== 'object') return typeof args === 'string' ? args.slice(0, TOOL_ARGS_SUMMARY_MAX_CHARS) : '';
+  const key = ['command', 'path', 'file_path', 'query', 'url', 'pattern', 'task'].find(k => typeof args[k] === 'string');
+  const summary = key ? args[key] : JSON.stringify(args);
+  return summary.length > TOOL_ARGS_SUMMARY_MAX_CHARS ? `${summary.slice(0, TOOL_ARGS_SUMMARY_MAX_CHARS - 1)}…` : summary;
+}
+
+function resultText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content.map(part => (typeof part === 'string' ? part : part?.text || '')).join('');
+}
+
+function entryTime(entry) {
+  return entry.message?.timestamp || Date.parse(entry.timestamp) || Date.now();
+}
+
+/**
+ * Tool calls and results in one transcript entry, in order
+ * @returns {Array<{kind: 'call', id, tool, args}|{kind: 'result', id, tool, text, isError}>}
+ */
+function toolEvents(entry) {
+  if (entry?.type !== 'message' || !entry.message) return [];
+  const msg = entry.message;
+
+  // OpenClaw writes each result as its own message
+  if (msg.role === 'toolResult') {
+    return [{ kind: 'result', id: msg.toolCallId || null, tool: msg.toolName || null, text: resultText(msg.content), isError: !!msg.isError }];
+  }
+  if (!Array.isArray(msg.content)) return [];
+
+  const events = [];
+  for (const part of msg.content) {
+    if (msg.role === 'assistant' && (part.type === 'toolCall' || part.type === 'tool_use')) {
+      events.push({
+        kind: 'call',
+        id: part.id || null,
+        tool: part.name || part.function?.name || 'working',
+        args: part.arguments || part.input || {}
+      });
+    } else if (part.type === 'tool_result') {
+      events.push({ kind: 'result', id: part.tool_use_id || null, tool: null, text: resultText(part.content), isError: !!part.is_error });
+    }
+  }
+  return events;
+}
+
+/**
+ * Collect the steps of one agent run from its transcript entries
+ * @returns {{steps: Array<object>, add: (entry: object) => Array<object>}} - add() applies
+ *   an entry and returns the steps it started or ended, in order
+ */
+export function createToolTimeline() {
+  const steps = [];
+
+  function add(entry) {
+    const changed = [];
+    const at = entryTime(entry);
+    for (const event of toolEvents(entry)) {
+      if (event.kind === 'call') {
+        const args = typeof event.args === 'object' && event.args ? event.args : {};
+        const step = {
+          id: event.id || `step-${steps.length + 1}`,
+          tool: event.tool,
+          args: summarizeToolArgs(event.args),
+          status: progressStatus(event.tool, args),
+          startedAt: at
+        };
+        steps.push(step);
+        changed.push(step);
+        continue;
+      }
+
+      // Match the result to its call by id, else the oldest unfinished call
+      const step = steps.find(s => event.id && s.id === event.id)
+        || steps.find(s => s.endedAt == null && (!event.tool || s.tool === event.tool));
+      if (!step || step.endedAt != null) continue;
+      step.endedAt = at;
+      step.durationMs = Math.max(0, at - step.startedAt);
+      step.resultChars = event.text.length;
+      if (event.isError) step.error = event.text.slice(0, TOOL_ERROR_MAX_CHARS) || 'Tool failed';
+      changed.push(step);
+    }
+    return changed;
+  }
+
+  return { steps, add };
+}
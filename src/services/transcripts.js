@@ -0,0 +1,344 @@
+/**
+ * ClawChat - Transcript Reader
+ *
+ * One incremental reader for the session transcripts (SESSIONS_DIR/<id>.jsonl)
+ * behind the history endpoints, the sync poll and conversation context. Each
+ * file keeps its byte offset, so a read only parses the lines appended since
+ * the last one; a file that shrank or was replaced is parsed again from the
+ * start, and a half-written last line waits for the next read.
+ *
+ * Cached per file: its user/assistant message entries in transcript order, in
+ * their original shape (so cleanTranscriptEntry / cleanHistoryEntry work on
+ * them unchanged) but trimmed - content keeps its text parts, other parts
+ * (tool calls, thinking, images) keep only their type and name. Tool results
+ * aren't kept; instead each message without tool calls carries the tool steps
+ * since the previous one as `timeline`. The entries are shared - don't modify them.
+ * Past TRANSCRIPT_CACHE_MAX_BYTES (counted by file size) the least recently
+ * read files are dropped.
+ *
+ * Listings that visit every transcript (session list, unified feed, today's
+ * reports) read summaries instead: per file, the last user message, the newest
+ * messages of each channel and the report-like replies, updated from the same
+ * appended lines. Summaries are small and kept for every file, so a listing
+ * only reads what was appended since the last one.
+ */
+
+import { existsSync, statSync, readdirSync, openSync, readSync, closeSync } from 'fs';
+import { join } from 'path';
+import { debug, warn } from '../logger.js';
+import {
+  TRANSCRIPT_CACHE_MAX_BYTES,
+  TRANSCRIPT_READ_CHUNK_BYTES,
+  TRANSCRIPT_SUMMARY_MESSAGES,
+  TRANSCRIPT_SUMMARY_REPORTS,
+  REPORT_TEXT_PATTERNS
+} from '../constants.js';
+import { getConfig } from '../config.js';
+import { createToolTimeline } from './tool-timeline.js';
+import { normalizeEntry, CHANNELS } from './messages.js';
+import { extractTextFromContent } from './session.js';
+
+const SESSIONS_DIR = getConfig().paths.sessionsDir;
+
+/** Transcript file names: no path separators or leading dots */
+export const SESSION_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]*$/;
+
+// sessionId -> { ino, head, offset, mtimeMs, bytes, entries, timeline } (Map order = least recently read first)
+const cache = new Map();
+let cachedBytes = 0;
+
+// sessionId -> { ino, head, offset, mtimeMs, summary } for every transcript read through readTranscriptSummary
+const summaries = new Map();
+
+// Bytes compared to tell a rewritten file from an appended one
+const HEAD_BYTES = 256;
+
+/**
+ * Path of a session's transcript
+ */
+export function transcriptPath(sessionId) {
+  return join(SESSIONS_DIR, `${sessionId}.jsonl`);
+}
+
+function trimContent(content) {
+  if (!Array.isArray(content)) return typeof content === 'string' ? content : '';
+  return content.map(part => {
+    if (part?.type === 'text') return { type: 'text', text: part.text };
+    return part?.name ? { type: part.type, name: part.name } : { type: part?.type };
+  });
+}
+
+function parseLine(line) {
+  try {
+    return JSON.parse(line);
+  } catch {
+    return null; // Skip malformed lines
+  }
+}
+
+/**
+ * Apply one transcript line to a file's cached entries
+ */
+function addLine(state, line) {
+  const entry = parseLine(line);
+  if (!entry) return;
+  state.timeline.add(entry);
+  const msg = entry?.type === 'message' ? entry.message : null;
+  if (msg?.role !== 'user' && msg?.role !== 'assistant') return;
+
+  const trimmed = {
+    type: 'message',
+    id: entry.id,
+    timestamp: entry.timestamp,
+    message: { role: msg.role, content: trimContent(msg.content), timestamp: msg.timestamp }
+  };
+  const hasToolCall = Array.isArray(msg.content) && msg.content.some(c => c.type === 'toolCall' || c.type === 'tool_use');
+  if (!hasToolCall) {
+    if (state.timeline.steps.length) trimmed.timeline = state.timeline.steps;
+    state.timeline = createToolTimeline();
+  }
+  state.entries.push(trimmed);
+}
+
+function createSummary() {
+  return {
+    lastUser: null,
+    hasWhatsApp: false,
+    replyChannel: null,
+    count: 0,
+    recent: Object.fromEntries(CHANNELS.map(c => [c, []])),
+    reports: []
+  };
+}
+
+// Keep the newest `max` items of a list
+function pushCapped(list, item, max) {
+  list.push(item);
+  if (list.length > max) list.shift();
+}
+
+/**
+ * Apply one transcript line to a file's summary
+ */
+function summarizeLine(summary, line) {
+  const entry = parseLine(line);
+  const message = entry && normalizeEntry(entry, { replyChannel: summary.replyChannel });
+  if (!message) return;
+
+  if (message.role === 'user') summary.replyChannel = message.channel;
+  if (message.channel === 'whatsapp') summary.hasWhatsApp = true;
+  if (!message.text) return;
+
+  if (message.role === 'user') summary.lastUser = { text: message.text.slice(0, 100), channel: message.channel };
+  // index: position in the file, to merge the channels back in transcript order
+  pushCapped(summary.recent[message.channel], {
+    index: summary.count++,
+    message: {
+      entryId: message.id,
+      role: message.role,
+      text: message.text,
+      channel: message.channel,
+      sender: message.sender,
+      attachments: message.attachments,
+      timestamp: message.timestamp
+    }
+  }, TRANSCRIPT_SUMMARY_MESSAGES);
+
+  // Briefings an external cron posts as long assistant replies
+  const text = extractTextFromContent(entry.message.content);
+  if (message.role === 'assistant' && text.length >= 200
+      && REPORT_TEXT_PATTERNS.some(p => text.toUpperCase().includes(p.toUpperCase()))) {
+    pushCapped(summary.reports, { timestamp: message.timestamp, summary: text }, TRANSCRIPT_SUMMARY_REPORTS);
+  }
+}
+
+/**
+ * First bytes of a file, as a string to compare
+ */
+function readHead(path, length) {
+  const fd = openSync(path, 'r');
+  try {
+    const buffer = Buffer.alloc(length);
+    readSync(fd, buffer, 0, buffer.length, 0);
+    return buffer.toString('latin1');
+  } finally {
+    closeSync(fd);
+  }
+}
+
+/**
+ * Whether a file was rewritten or replaced since the state last read it (not just appended to)
+ */
+export function wasRewritten(path, stat, state) {
+  return stat.mtimeMs !== state.mtimeMs
+    && (stat.ino !== state.ino || stat.size < state.offset || readHead(path, state.head.length) !== state.head);
+}
+
+/**
+ * Read state for a file parsed from the start
+ * (ino and head tell wasRewritten what to compare; offset moves with readAppended)
+ */
+export function createState(path, stat, fields) {
+  const head = readHead(path, Math.min(HEAD_BYTES, stat.size));
+  return { ino: stat.ino, head, offset: 0, mtimeMs: 0, ...fields };
+}
+
+/**
+ * Pass each complete line between the state's offset and size to onLine,
+ * reading TRANSCRIPT_READ_CHUNK_BYTES at a time
+ */
+export function readAppended(path, state, size, onLine) {
+  const fd = openSync(path, 'r');
+  try {
+    // Split on newline bytes, so a character cut by a chunk boundary is decoded whole
+    let carry = Buffer.alloc(0);
+    let position = state.offset;
+    while (position < size) {
+      const chunk = Buffer.alloc(Math.min(TRANSCRIPT_READ_CHUNK_BYTES, size - position));
+      const bytesRead = readSync(fd, chunk, 0, chunk.length, position);
+      if (bytesRead === 0) break;
+      position += bytesRead;
+      const data = Buffer.concat([carry, chunk.subarray(0, bytesRead)]);
+      const end = data.lastIndexOf(0x0a);
+      if (end === -1) {
+        carry = data;
+        continue;
+      }
+      for (const line of data.toString('utf8', 0, end).split('\n')) {
+        if (line.trim()) onLine(line);
+      }
+      carry = data.subarray(end + 1);
+    }
+    // A half-written last line is read again next time
+    state.offset = position - carry.length;
+  } finally {
+    closeSync(fd);
+  }
+}
+
+/**
+ * A session transcript's message entries, parsed up to the current end of the file
+ * @param {string} sessionId - Session id (file name without .jsonl)
+ * @returns {{entries: Array<object>, mtimeMs: number}|null} - null if there is no transcript
+ *   (or the id isn't a valid transcript name)
+ */
+export function readTranscript(sessionId) {
+  if (typeof sessionId !== 'string' || !SESSION_ID_PATTERN.test(sessionId)) return null;
+  const path = transcriptPath(sessionId);
+  let stat;
+  try {
+    stat = statSync(path);
+  } catch {
+    uncache(sessionId);
+    return null;
+  }
+
+  let state = cache.get(sessionId);
+  try {
+    // Rewritten or replaced (not just appended to): parse it again from the start
+    if (state && wasRewritten(path, stat, state)) {
+      debug(`📜 Transcript ${sessionId} was rewritten, reading it again`);
+      state = null;
+    }
+    if (!state) state = createState(path, stat, { entries: [], timeline: createToolTimeline() });
+    if (stat.size > state.offset) readAppended(path, state, stat.size, line => addLine(state, line));
+  } catch (e) {
+    warn(`⚠️  Could not read transcript ${sessionId}:`, e.message);
+    if (!state) return null;
+  }
+  state.mtimeMs = stat.mtimeMs;
+  cacheState(sessionId, state);
+  return { entries: state.entries, mtimeMs: state.mtimeMs };
+}
+
+function uncache(sessionId) {
+  const state = cache.get(sessionId);
+  if (!state) return;
+  cache.delete(sessionId);
+  cachedBytes -= state.bytes;
+}
+
+/**
+ * Keep a file's entries as the most recently read, dropping the least recently
+ * read past TRANSCRIPT_CACHE_MAX_BYTES (a file bigger than that isn't kept)
+ */
+function cacheState(sessionId, state) {
+  uncache(sessionId);
+  state.bytes = state.offset;
+  cache.set(sessionId, state);
+  cachedBytes += state.bytes;
+  for (const [id, old] of cache) {
+    if (cachedBytes <= TRANSCRIPT_CACHE_MAX_BYTES) break;
+    cache.delete(id);
+    cachedBytes -= old.bytes;
+  }
+}
+
+/**
+ * Summary of a session transcript, updated up to the current end of the file
+ * @param {string} sessionId - Session id (file name without .jsonl)
+ * @returns {{lastUser: {text: string, channel: string}|null, hasWhatsApp: boolean,
+ *   recent: object, reports: Array<{timestamp: number, summary: string}>,
+ *   mtimeMs: number}|null} - recent: per channel, the newest messages with text
+ *   (read them with summaryMessages); null if there is no transcript
+ */
+export function readTranscriptSummary(sessionId) {
+  if (typeof sessionId !== 'string' || !SESSION_ID_PATTERN.test(sessionId)) return null;
+  const path = transcriptPath(sessionId);
+  let stat;
+  try {
+    stat = statSync(path);
+  } catch {
+    summaries.delete(sessionId);
+    return null;
+  }
+
+  let state = summaries.get(sessionId);
+  try {
+    if (state && wasRewritten(path, stat, state)) state = null;
+    if (!state) state = createState(path, stat, { summary: createSummary() });
+    if (stat.size > state.offset) readAppended(path, state, stat.size, line => summarizeLine(state.summary, line));
+  } catch (e) {
+    warn(`⚠️  Could not read transcript ${sessionId}:`, e.message);
+    if (!state) return null;
+  }
+  state.mtimeMs = stat.mtimeMs;
+  summaries.set(sessionId, state);
+  const { lastUser, hasWhatsApp, recent, reports } = state.summary;
+  return { lastUser, hasWhatsApp, recent, reports, mtimeMs: state.mtimeMs };
+}
+
+/**
+ * A summary's newest messages of the given channels, in transcript order
+ * (each channel's last TRANSCRIPT_SUMMARY_MESSAGES, which covers the last
+ * TRANSCRIPT_SUMMARY_MESSAGES of any mix of them)
+ * @returns {Array<{entryId, role, text, channel, sender, attachments, timestamp}>}
+ */
+export function summaryMessages(summary, channels) {
+  return channels.flatMap(channel => summary.recent[channel] || [])
+    .sort((a, b) => a.index - b.index)
+    .map(item => item.message);
+}
+
+/**
+ * Session ids of all transcripts in SESSIONS_DIR, with their modification time
+ * @returns {Array<{sessionId: string, mtimeMs: number}>}
+ */
+export function listTranscripts() {
+  if (!existsSync(SESSIONS_DIR)) return [];
+  const transcripts = [];
+  for (const f of readdirSync(SESSIONS_DIR)) {
+    if (!f.endsWith('.jsonl')) continue;
+    try {
+      transcripts.push({ sessionId: f.slice(0, -'.jsonl'.length), mtimeMs: statSync(join(SESSIONS_DIR, f)).mtimeMs });
+    } catch {
+      // Removed meanwhile
+    }
+  }
+  // Forget summaries of transcripts that are gone
+  const present = new Set(transcripts.map(t => t.sessionId));
+  for (const sessionId of summaries.keys()) {
+    if (!present.has(sessionId)) summaries.delete(sessionId);
+  }
+  return transcripts;
+}
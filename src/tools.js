@@ -1,257 +1,161 @@
 /**
  * Tools for ClawChat Voice Realtime
- * 
- * Provides calendar, time, and Clawdbot integration
+ *
+ * Pluggable tool registry shared by every voice session (pure Realtime,
+ * hybrid and ElevenLabs). Tools are modules in the top-level tools/ directory,
+ * discovered at startup. Each module default-exports:
+ *
+ *   {
+ *     name: 'get_time',               // unique, [a-zA-Z0-9_-]
+ *     description: '...',             // shown to the model
+ *     parameters: { type: 'object', properties: {...}, required: [...] },
+ *     timeoutMs: 5000,                // optional, defaults to TOOL_TIMEOUT_MS
+ *     handler: async (args, context) => 'result text'
+ *   }
+ *
+ * context is { session: 'realtime' | 'hybrid' | 'elevenlabs' }.
  */
 
-import { readFileSync, existsSync } from 'fs';
-import { getGatewayToken } from './services/shared.js';
+import { readdirSync, existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { log, warn, error as logError } from './logger.js';
+import { TOOL_TIMEOUT_MS } from './constants.js';
 
-// Google Calendar setup
-const GOOGLE_CREDS_PATH = '/home/heisenberg/.clawdbot/google/credentials.json';
-const CALENDAR_ID = 'primary';
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const TOOLS_DIR = join(__dirname, '..', 'tools');
 
-// Gateway for Claude queries
-const GATEWAY_URL = 'http://localhost:18789';
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
 
-// Load and refresh Google credentials
-async function getGoogleAccessToken() {
-  if (!existsSync(GOOGLE_CREDS_PATH)) {
-    throw new Error('Google credentials not found');
-  }
-  
-  const creds = JSON.parse(readFileSync(GOOGLE_CREDS_PATH, 'utf8'));
-  
-  // Check if token is expired (tokens last ~1 hour)
-  // For simplicity, always refresh
-  const response = await fetch('https://oauth2.googleapis.com/token', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-    body: new URLSearchParams({
-      client_id: creds.client_id,
-      client_secret: creds.client_secret,
-      refresh_token: creds.refresh_token,
-      grant_type: 'refresh_token'
-    })
-  });
-  
-  if (!response.ok) {
-    const err = await response.text();
-    throw new Error(`Token refresh failed: ${err}`);
-  }
-  
-  const data = await response.json();
-  return data.access_token;
+// Map<name, {name, description, parameters, timeoutMs, handler, file}>
+const tools = new Map();
+
+/**
+ * Validate a tool module's default export
+ * @returns {string|null} - Problem description, or null if valid
+ */
+function validateTool(tool) {
+  if (!tool || typeof tool !== 'object') return 'no default export';
+  if (typeof tool.name !== 'string' || !TOOL_NAME_PATTERN.test(tool.name)) return 'invalid name';
+  if (typeof tool.description !== 'string' || !tool.description) return 'missing description';
+  if (typeof tool.handler !== 'function') return 'missing handler';
+  if (tool.parameters && tool.parameters.type !== 'object') return 'parameters must be a JSON schema object';
+  if (tool.timeoutMs !== undefined && !(tool.timeoutMs > 0)) return 'timeoutMs must be a positive number';
+  return null;
 }
 
 /**
- * Get calendar events for today or a date range
+ * Discover and load tool modules from tools/
+ * Invalid modules are skipped with a warning so one bad tool can't break voice.
+ * @returns {Promise<string[]>} - Names of loaded tools
  */
-export async function getCalendar(args = {}) {
-  try {
-    const accessToken = await getGoogleAccessToken();
-    
-    // Default to today in Singapore timezone
-    const now = new Date();
-    const sgNow = new Date(now.toLocaleString('en-US', { timeZone: 'Asia/Singapore' }));
-    
-    // If no specific date, get today's events
-    let timeMin, timeMax;
-    
-    if (args.date === 'tomorrow') {
-      const tomorrow = new Date(sgNow);
-      tomorrow.setDate(tomorrow.getDate() + 1);
-      tomorrow.setHours(0, 0, 0, 0);
-      timeMin = tomorrow.toISOString();
-      const endOfTomorrow = new Date(tomorrow);
-      endOfTomorrow.setHours(23, 59, 59, 999);
-      timeMax = endOfTomorrow.toISOString();
-    } else if (args.date === 'week') {
-      // This week
-      const startOfWeek = new Date(sgNow);
-      startOfWeek.setHours(0, 0, 0, 0);
-      timeMin = startOfWeek.toISOString();
-      const endOfWeek = new Date(startOfWeek);
-      endOfWeek.setDate(endOfWeek.getDate() + 7);
-      timeMax = endOfWeek.toISOString();
-    } else {
-      // Today
-      const startOfDay = new Date(sgNow);
-      startOfDay.setHours(0, 0, 0, 0);
-      timeMin = startOfDay.toISOString();
-      const endOfDay = new Date(sgNow);
-      endOfDay.setHours(23, 59, 59, 999);
-      timeMax = endOfDay.toISOString();
-    }
-    
-    const url = new URL(`https://www.googleapis.com/calendar/v3/calendars/${CALENDAR_ID}/events`);
-    url.searchParams.set('timeMin', timeMin);
-    url.searchParams.set('timeMax', timeMax);
-    url.searchParams.set('singleEvents', 'true');
-    url.searchParams.set('orderBy', 'startTime');
-    url.searchParams.set('maxResults', '10');
-    
-    const response = await fetch(url.toString(), {
-      headers: { 'Authorization': `Bearer ${accessToken}` }
-    });
-    
-    if (!response.ok) {
-      const err = await response.text();
-      throw new Error(`Calendar API error: ${err}`);
-    }
-    
-    const data = await response.json();
-    const events = data.items || [];
-    
-    if (events.length === 0) {
-      const dateLabel = args.date === 'tomorrow' ? 'tomorrow' : args.date === 'week' ? 'this week' : 'today';
-      return `No events scheduled for ${dateLabel}.`;
-    }
-    
-    // Format events for voice
-    const formatted = events.map(event => {
-      const start = event.start.dateTime || event.start.date;
-      const time = new Date(start).toLocaleTimeString('en-SG', {
-        timeZone: 'Asia/Singapore',
-        hour: 'numeric',
-        minute: '2-digit',
-        hour12: true
+export async function loadTools() {
+  tools.clear();
+  if (!existsSync(TOOLS_DIR)) {
+    warn(`⚠️  Tools directory not found: ${TOOLS_DIR}`);
+    return [];
+  }
+
+  const files = readdirSync(TOOLS_DIR).filter(f => f.endsWith('.js')).sort();
+  for (const file of files) {
+    try {
+      const mod = await import(pathToFileURL(join(TOOLS_DIR, file)).href);
+      const tool = mod.default;
+      const problem = validateTool(tool);
+      if (problem) {
+        warn(`⚠️  Skipping tool ${file}: ${problem}`);
+        continue;
+      }
+      if (tools.has(tool.name)) {
+        warn(`⚠️  Skipping tool ${file}: duplicate name "${tool.name}"`);
+        continue;
+      }
+      tools.set(tool.name, {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters || { type: 'object', properties: {}, required: [] },
+        timeoutMs: tool.timeoutMs || TOOL_TIMEOUT_MS,
+        handler: tool.handler,
+        file
       });
-      const title = event.summary || 'Untitled event';
-      return `${time}: ${title}`;
-    });
-    
-    const dateLabel = args.date === 'tomorrow' ? 'Tomorrow' : args.date === 'week' ? 'This week' : 'Today';
-    return `${dateLabel}'s events:\n${formatted.join('\n')}`;
-    
-  } catch (e) {
-    console.error('Calendar error:', e.message);
-    return `Sorry, I couldn't access the calendar: ${e.message}`;
+    } catch (e) {
+      logError(`Failed to load tool ${file}:`, e.message);
+    }
   }
+
+  log(`🔧 Loaded ${tools.size} voice tool(s): ${[...tools.keys()].join(', ') || 'none'}`);
+  return [...tools.keys()];
+}
+
+export function hasTool(name) {
+  return tools.has(name);
 }
 
 /**
- * Get current time in Singapore
+ * Tool definitions for OpenAI Realtime API (session.update)
  */
-export function getTime() {
-  const now = new Date();
-  const sgTime = now.toLocaleString('en-SG', {
-    timeZone: 'Asia/Singapore',
-    weekday: 'long',
-    year: 'numeric',
-    month: 'long',
-    day: 'numeric',
-    hour: 'numeric',
-    minute: '2-digit',
-    hour12: true
-  });
-  return `It's ${sgTime} in Singapore.`;
+export function getToolDefinitions() {
+  return [...tools.values()].map(({ name, description, parameters }) => ({
+    type: 'function',
+    name,
+    description,
+    parameters
+  }));
 }
 
 /**
- * Ask Clawdbot/Claude for complex queries
+ * Tool definitions for chat completions (hybrid session via gateway)
  */
-export async function askClawdbot(args) {
-  const { question } = args;
-  if (!question) return 'No question provided.';
-  
-  const gatewayToken = getGatewayToken();
-  if (!gatewayToken) return 'Gateway not available.';
-  
-  try {
-    const response = await fetch(`${GATEWAY_URL}/v1/chat/completions`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${gatewayToken}`,
-      },
-      body: JSON.stringify({
-        model: 'claude-sonnet-4-20250514',
-        messages: [
-          { 
-            role: 'system', 
-            content: 'You are answering a voice query. Be concise (1-2 sentences). Current timezone: Asia/Singapore.' 
-          },
-          { role: 'user', content: question }
-        ],
-        max_tokens: 200,
-      }),
-    });
-    
-    if (!response.ok) {
-      throw new Error(`Gateway error: ${response.status}`);
-    }
-    
-    const data = await response.json();
-    return data.choices?.[0]?.message?.content || 'No response from Clawdbot.';
-    
-  } catch (e) {
-    console.error('Clawdbot error:', e.message);
-    return `Sorry, I couldn't reach Clawdbot: ${e.message}`;
-  }
+export function getChatToolDefinitions() {
+  return [...tools.values()].map(({ name, description, parameters }) => ({
+    type: 'function',
+    function: { name, description, parameters }
+  }));
 }
 
 /**
- * Tool definitions for OpenAI Realtime API
+ * One line per tool for system prompts
  */
-export const TOOL_DEFINITIONS = [
-  {
-    type: 'function',
-    name: 'get_calendar',
-    description: 'Get calendar events. Use for questions about schedule, meetings, appointments, or "what\'s on my calendar".',
-    parameters: {
-      type: 'object',
-      properties: {
-        date: {
-          type: 'string',
-          enum: ['today', 'tomorrow', 'week'],
-          description: 'Which day to check. Defaults to today.'
-        }
-      },
-      required: []
-    }
-  },
-  {
-    type: 'function',
-    name: 'get_time',
-    description: 'Get the current time in Singapore. Use for questions about what time it is.',
-    parameters: {
-      type: 'object',
-      properties: {},
-      required: []
-    }
-  },
-  {
-    type: 'function',
-    name: 'ask_clawdbot',
-    description: 'Ask Clawdbot (Claude) for complex questions that need deep knowledge, analysis, or information you don\'t have. Use sparingly - only for things you genuinely can\'t answer.',
-    parameters: {
-      type: 'object',
-      properties: {
-        question: {
-          type: 'string',
-          description: 'The question to ask Clawdbot'
-        }
-      },
-      required: ['question']
-    }
-  }
-];
+export function describeTools() {
+  return [...tools.values()].map(t => `- ${t.name}: ${t.description}`).join('\n');
+}
 
 /**
- * Execute a tool by name
+ * Registry listing for /api/tools
  */
-export async function executeTool(name, args) {
-  console.log(`🔧 Executing tool: ${name}`, args);
-  
-  switch (name) {
-    case 'get_calendar':
-      return await getCalendar(args);
-    case 'get_time':
-      return getTime();
-    case 'ask_clawdbot':
-      return await askClawdbot(args);
-    default:
-      return `Unknown tool: ${name}`;
+export function listTools() {
+  return [...tools.values()].map(({ name, description, parameters, timeoutMs, file }) => ({
+    name,
+    description,
+    parameters,
+    timeoutMs,
+    file
+  }));
+}
+
+/**
+ * Execute a tool by name, enforcing its timeout
+ * @param {string} name
+ * @param {object} args
+ * @param {object} [context] - { session: 'realtime' | 'hybrid' | 'elevenlabs' }
+ * @returns {Promise<string>} - Result text for the model
+ */
+export async function executeTool(name, args = {}, context = {}) {
+  log(`🔧 Executing tool: ${name}`, args);
+
+  const tool = tools.get(name);
+  if (!tool) return `Unknown tool: ${name}`;
+
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${name} timed out after ${tool.timeoutMs}ms`)), tool.timeoutMs);
+  });
+
+  try {
+    const result = await Promise.race([Promise.resolve(tool.handler(args, context)), timeout]);
+    if (typeof result === 'string') return result;
+    return result === undefined ? '' : JSON.stringify(result);
+  } finally {
+    clearTimeout(timer);
   }
 }
@@ -0,0 +1,106 @@
+/**
+ * Portal auth: password login, cookie and Bearer sessions on REST and
+ * WebSocket upgrades, device revocation, login lockout
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHarness } from './helpers/harness.js';
+
+const PASSWORD = 'correct horse';
+
+let harness;
+
+before(async () => {
+  harness = await startHarness({ env: { PORTAL_PASSWORD: PASSWORD } });
+});
+
+after(async () => {
+  await harness?.stop();
+});
+
+function login(password) {
+  return harness.fetch('/api/auth/login', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ password, deviceName: 'test browser' })
+  });
+}
+
+test('the API, app shell and every WebSocket endpoint need a session', async () => {
+  assert.equal((await harness.fetch('/api/modes')).status, 401);
+  assert.equal((await harness.fetch('/api/modes', { headers: { Authorization: 'Bearer nope.0.bad' } })).status, 401);
+  // Routes match case-insensitively; so does the guard
+  assert.equal((await harness.fetch('/API/modes')).status, 401);
+  assert.equal((await harness.fetch('/Api/sessions')).status, 401);
+  const minted = await harness.fetch('/API/auth/devices', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ name: 'intruder' })
+  });
+  assert.equal(minted.status, 401);
+  const shell = await harness.fetch('/', { redirect: 'manual' });
+  assert.equal(shell.status, 302);
+  assert.equal(shell.headers.get('location'), '/login.html');
+
+  const status = await (await harness.fetch('/api/auth/status')).json();
+  assert.deepEqual([status.enabled, status.authenticated], [true, false]);
+
+  for (const path of ['/', '/realtime', '/elevenlabs-realtime']) {
+    await assert.rejects(harness.connect({}, { path }), /401/, path);
+  }
+});
+
+test('logging in sets a session cookie accepted by REST and WebSocket', async () => {
+  assert.equal((await login('wrong')).status, 401);
+
+  const res = await login(PASSWORD);
+  assert.equal(res.status, 200);
+  const cookie = res.headers.get('set-cookie').split(';')[0];
+  assert.match(cookie, /^clawchat_session=.+/);
+
+  const status = await (await harness.fetch('/api/auth/status', { headers: { Cookie: cookie } })).json();
+  assert.equal(status.device.name, 'test browser');
+  assert.equal((await harness.fetch('/api/modes', { headers: { Cookie: cookie } })).status, 200);
+
+  const client = await harness.connect({}, { headers: { Cookie: cookie } });
+  await client.waitFor('ready');
+  client.close();
+
+  // A valid session from another origin is still refused
+  const origin = { Cookie: cookie, Origin: 'http://evil.example' };
+  await assert.rejects(harness.connect({}, { headers: origin }), /401/);
+});
+
+test('a revoked device token is refused on REST and the WebSocket upgrade', async () => {
+  const cookie = (await login(PASSWORD)).headers.get('set-cookie').split(';')[0];
+  const issued = await harness.fetch('/api/auth/devices', {
+    method: 'POST',
+    headers: { Cookie: cookie, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ name: 'backup script' })
+  });
+  const { device, token } = await issued.json();
+  const bearer = { Authorization: `Bearer ${token}` };
+
+  assert.equal((await harness.fetch('/api/modes', { headers: bearer })).status, 200);
+  const client = await harness.connect({}, { headers: bearer });
+  await client.waitFor('ready');
+  client.close();
+
+  const revoked = await harness.fetch(`/api/auth/devices/${device.id}`, { method: 'DELETE', headers: { Cookie: cookie } });
+  assert.equal(revoked.status, 200);
+  assert.equal((await harness.fetch('/api/modes', { headers: bearer })).status, 401);
+  await assert.rejects(harness.connect({}, { headers: bearer }), /401/);
+  // Other devices keep their sessions
+  assert.equal((await harness.fetch('/api/modes', { headers: { Cookie: cookie } })).status, 200);
+});
+
+// Last: the lockout applies to every login from this address
+test('repeated failed logins lock the address out, even for the right password', async () => {
+  for (let i = 0; i < 5; i++) {
+    assert.equal((await login('guess')).status, 401);
+  }
+  const locked = await login(PASSWORD);
+  assert.equal(locked.status, 429);
+  assert.match((await locked.json()).error, /Too many failed attempts/);
+});
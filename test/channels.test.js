@@ -0,0 +1,85 @@
+/**
+ * Canonical messages: per-message channel and sender in the unified feed,
+ * replies attributed to the channel they answer, channel filters
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHarness, transcriptEntry, MAIN_SESSION_ID } from './helpers/harness.js';
+
+let harness;
+
+before(async () => {
+  harness = await startHarness();
+  harness.appendTranscript(transcriptEntry('user', '[ClawChat Web] from the browser'));
+  harness.appendTranscript(transcriptEntry('assistant', 'web reply'));
+  harness.appendTranscript(transcriptEntry('user', '[WhatsApp +6500000000 2026-01-01 10:00] from the phone\n[message_id: abc]'));
+  harness.appendTranscript({
+    ...transcriptEntry('assistant', ''),
+    message: { role: 'assistant', content: [{ type: 'toolCall', name: 'exec', arguments: {} }], timestamp: Date.now() }
+  });
+  harness.appendTranscript(transcriptEntry('assistant', 'whatsapp reply'));
+  harness.appendTranscript(transcriptEntry('user', '[ClawChat Voice Realtime] spoken question'));
+  harness.appendTranscript(transcriptEntry('assistant', '[ClawChat Voice Realtime] spoken answer'));
+  harness.appendTranscript(transcriptEntry('user', '[Cron job nightly] [Sat 2026-02-07 07:43 UTC] run the nightly report'));
+  harness.appendTranscript(transcriptEntry('assistant', 'report done'));
+});
+
+after(async () => {
+  await harness?.stop();
+});
+
+async function feed(query = '') {
+  const res = await harness.fetch(`/api/messages/all${query}`);
+  return { status: res.status, body: await res.json() };
+}
+
+test('every message carries its own channel and sender', async () => {
+  const { body } = await feed();
+  assert.deepEqual(body.messages.map(m => [m.role, m.channel, m.sender, m.text]), [
+    ['assistant', 'web', null, 'Earlier conversation'],
+    ['user', 'web', 'ClawChat Web', 'from the browser'],
+    ['assistant', 'web', null, 'web reply'],
+    ['user', 'whatsapp', '+6500000000', 'from the phone'],
+    ['assistant', 'whatsapp', null, 'whatsapp reply'],
+    ['user', 'voice', 'ClawChat Voice Realtime', 'spoken question'],
+    ['assistant', 'voice', 'ClawChat Voice Realtime', 'spoken answer']
+  ]);
+  assert.ok(body.messages.every(m => m.sessionId === MAIN_SESSION_ID && m.entryId));
+});
+
+test('the feed is filtered by channel, cron only on request', async () => {
+  const cron = await feed('?channel=cron');
+  assert.deepEqual(cron.body.messages.map(m => [m.role, m.sender, m.text]), [
+    ['user', 'Cron job nightly', 'run the nightly report'],
+    ['assistant', null, 'report done']
+  ]);
+
+  const mixed = await feed('?channel=whatsapp,voice');
+  assert.deepEqual(mixed.body.messages.map(m => m.channel), ['whatsapp', 'whatsapp', 'voice', 'voice']);
+
+  const invalid = await feed('?channel=fax');
+  assert.equal(invalid.status, 400);
+  assert.match(invalid.body.error, /Invalid channel/);
+});
+
+test('search results carry the per-message channel', async () => {
+  const res = await harness.fetch('/api/search?q=reply&channel=whatsapp');
+  const { results } = await res.json();
+  assert.deepEqual(results.map(r => r.snippet), ['whatsapp reply']);
+});
+
+test('tagged messages that mention cron or system events keep their channel', async () => {
+  harness.appendTranscript(transcriptEntry('user', '[ClawChat Web] why did the systemEvent job fail?'));
+  harness.appendTranscript(transcriptEntry('assistant', 'the job timed out'));
+  harness.appendTranscript(transcriptEntry('user', '[ClawChat Web] paste:\nCron: daily'));
+  harness.appendTranscript(transcriptEntry('user', 'systemEvent: nightly report due'));
+
+  const { body } = await feed('?channel=web,cron');
+  assert.deepEqual(body.messages.slice(-4).map(m => [m.role, m.channel, m.text]), [
+    ['user', 'web', 'why did the systemEvent job fail?'],
+    ['assistant', 'web', 'the job timed out'],
+    ['user', 'web', 'paste:\nCron: daily'],
+    ['user', 'cron', 'systemEvent: nightly report due']
+  ]);
+});
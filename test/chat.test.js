@@ -0,0 +1,125 @@
+/**
+ * Main chat routing: gateway streaming, CLI fallback, errors, cancel
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHarness } from './helpers/harness.js';
+
+let harness;
+
+before(async () => {
+  harness = await startHarness();
+});
+
+after(async () => {
+  await harness?.stop();
+});
+
+test('transcript streams the reply through the gateway as text_delta frames', async () => {
+  harness.gateway.mode = 'stream';
+  const client = await harness.connect();
+  await client.waitFor('ready');
+
+  client.send({ type: 'transcript', text: 'hello there' });
+  const text = await client.waitFor('text');
+  await client.waitFor('done');
+
+  assert.equal(text.content, 'Streamed: hello there');
+  const deltas = client.ofType('text_delta').map(f => f.delta).join('');
+  assert.equal(deltas, 'Streamed: hello there');
+
+  const request = harness.gateway.requests.at(-1);
+  assert.equal(request.body.stream, true);
+  assert.equal(request.body.model, 'openclaw:main');
+  assert.ok(request.headers['x-openclaw-session-key']);
+  client.close();
+});
+
+test('falls back to the openclaw CLI when the gateway is unavailable', async () => {
+  harness.gateway.mode = 'unavailable';
+  const client = await harness.connect();
+  await client.waitFor('ready');
+
+  client.send({ type: 'transcript', text: 'ping via cli' });
+  const text = await client.waitFor('text');
+  await client.waitFor('done');
+
+  assert.equal(text.content, 'Echo: ping via cli');
+  assert.equal(client.ofType('text_delta').length, 0);
+
+  const call = harness.cliCalls().at(-1);
+  assert.equal(call.argv[0], 'agent');
+  assert.ok(call.argv.includes('--to'));
+  assert.equal(call.message, 'ping via cli');
+  client.close();
+});
+
+test('a stream that breaks after the gateway accepted it is reported, not rerun through the CLI', async () => {
+  harness.gateway.mode = 'break';
+  const client = await harness.connect();
+  await client.waitFor('ready');
+  const cliCalls = harness.cliCalls().length;
+
+  client.send({ type: 'transcript', text: 'do it once' });
+  const error = await client.waitFor('error');
+  await client.waitFor('done');
+
+  assert.match(error.message, /Stream interrupted/);
+  assert.equal(client.ofType('text').length, 0);
+  assert.equal(harness.cliCalls().length, cliCalls);
+  client.close();
+});
+
+test('CLI failures are reported as error frames', async () => {
+  harness.gateway.mode = 'unavailable';
+  const client = await harness.connect();
+  await client.waitFor('ready');
+
+  client.send({ type: 'transcript', text: '[fail] please crash' });
+  const error = await client.waitFor('error');
+  await client.waitFor('done');
+
+  assert.match(error.message, /CLI exited with code 1/);
+  client.close();
+});
+
+test('invalid and empty messages are rejected', async () => {
+  const client = await harness.connect();
+  await client.waitFor('ready');
+
+  client.send({ type: 'bogus' });
+  const invalid = await client.waitFor('error');
+  assert.equal(invalid.message, 'Invalid message type: bogus');
+
+  const since = client.mark();
+  client.send({ type: 'transcript', text: '   ' });
+  const empty = await client.waitFor('error', { since });
+  assert.equal(empty.message, 'Missing or empty text for transcript');
+  client.close();
+});
+
+test('cancel stops an in-flight CLI request', async () => {
+  harness.gateway.mode = 'unavailable';
+  const client = await harness.connect();
+  await client.waitFor('ready');
+
+  client.send({ type: 'transcript', text: '[slow:3000] take your time' });
+  await client.waitFor('thinking');
+  client.send({ type: 'cancel' });
+
+  await client.waitFor('cancelled');
+  await client.waitFor('done');
+  assert.equal(client.ofType('text').length, 0);
+  client.close();
+});
+
+test('cancel with nothing in flight just completes', async () => {
+  const client = await harness.connect();
+  await client.waitFor('ready');
+
+  client.send({ type: 'cancel' });
+  await client.waitFor('done');
+  assert.equal(client.ofType('cancelled').length, 0);
+  client.close();
+});
@@ -0,0 +1,125 @@
+/**
+ * Config schema: precedence, validation and the startup report
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const CONFIG_MODULE = join(dirname(fileURLToPath(import.meta.url)), '..', 'src', 'config.js');
+
+let tmp;
+
+before(() => {
+  tmp = mkdtempSync(join(tmpdir(), 'clawchat-config-'));
+});
+
+after(() => {
+  rmSync(tmp, { recursive: true, force: true });
+});
+
+// Config is cached per process, so resolve it in a fresh one
+function resolve(env = {}, file = null) {
+  const configFile = join(tmp, `config-${Math.random().toString(36).slice(2)}.json`);
+  if (file) writeFileSync(configFile, typeof file === 'string' ? file : JSON.stringify(file));
+  const script = `
+    const { getConfig, getConfigReport } = await import(${JSON.stringify(CONFIG_MODULE)});
+    console.log(JSON.stringify({ config: getConfig(), report: getConfigReport() }));
+  `;
+  const out = execFileSync(process.execPath, ['--input-type=module', '-e', script], {
+    cwd: tmp,
+    env: { PATH: process.env.PATH, HOME: tmp, ...(file && { CLAWCHAT_CONFIG: configFile }), ...env },
+    encoding: 'utf8'
+  });
+  return JSON.parse(out);
+}
+
+const issueFor = (report, key) => report.issues.find(i => i.key.startsWith(key));
+
+test('defaults derive from HOME and the clawdbot dir', () => {
+  const { config, report } = resolve({ TZ: 'Asia/Tokyo' });
+  assert.equal(config.paths.clawdbotDir, join(tmp, '.clawdbot'));
+  assert.equal(config.paths.sessionsDir, join(tmp, '.clawdbot', 'agents', 'main', 'sessions'));
+  assert.equal(config.identity.timezone, 'Asia/Tokyo');
+  assert.equal(report.fileLoaded, false);
+  assert.equal(issueFor(report, 'paths.workspaceDir').level, 'warn');
+});
+
+test('per-instance settings have no owner defaults and are reported until set', () => {
+  const { config, report } = resolve({ TZ: 'Asia/Tokyo' });
+  assert.equal(config.identity.mainTarget, null);
+  assert.equal(config.identity.mainSessionId, null);
+  assert.equal(config.wol.pcMacAddress, null);
+  assert.equal(config.identity.userName, 'User');
+  for (const key of ['identity.mainTarget', 'identity.mainSessionId', 'wol.pcMacAddress']) {
+    assert.deepEqual([issueFor(report, key)?.level, issueFor(report, key)?.message], ['warn', 'not set'], key);
+  }
+  assert.equal(issueFor(report, 'identity.timezone').message, 'not set - using Asia/Tokyo');
+  assert.equal(issueFor(report, 'identity.userName').message, 'not set - using User');
+
+  const set = resolve({ MAIN_TARGET: '+4915112345678' }, { wol: { pcMacAddress: 'aa:bb:cc:dd:ee:ff' } });
+  assert.equal(set.config.identity.mainTarget, '+4915112345678');
+  assert.equal(set.config.wol.pcMacAddress, 'AA:BB:CC:DD:EE:FF');
+  assert.equal(issueFor(set.report, 'identity.mainTarget'), undefined);
+  assert.equal(issueFor(set.report, 'wol.pcMacAddress'), undefined);
+});
+
+test('env overrides the config file, which overrides defaults', () => {
+  const { config, report } = resolve(
+    { TIMEZONE: 'Europe/Berlin' },
+    { identity: { timezone: 'America/New_York', userName: 'Alex' }, paths: { clawdbotDir: '~/bot' } }
+  );
+  assert.equal(config.identity.timezone, 'Europe/Berlin');
+  assert.equal(config.identity.userName, 'Alex');
+  assert.equal(config.paths.clawdbotDir, join(tmp, 'bot'));
+  assert.equal(config.paths.clawdbotConfig, join(tmp, 'bot', 'clawdbot.json'));
+  assert.deepEqual(report.sources, { env: 1, file: 2 });
+});
+
+test('invalid values fall back to defaults and are reported', () => {
+  const { config, report } = resolve(
+    { TZ: 'Asia/Tokyo', TIMEZONE: 'Berlin', PC_MAC_ADDRESS: 'nope', PORT: 'abc' },
+    { identity: { mainTarget: '12345' }, colour: 'blue' }
+  );
+  assert.equal(config.identity.timezone, 'Asia/Tokyo');
+  assert.equal(config.wol.pcMacAddress, null);
+  assert.equal(config.port, 3456);
+  for (const key of ['identity.timezone', 'wol.pcMacAddress', 'port', 'identity.mainTarget']) {
+    assert.equal(issueFor(report, key)?.level, 'error', key);
+  }
+  assert.equal(issueFor(report, 'colour').level, 'warn');
+});
+
+test('unreadable config file is reported and ignored', () => {
+  const { config, report } = resolve({}, '{ not json');
+  assert.equal(report.fileLoaded, false);
+  assert.match(report.issues[0].message, /invalid JSON/);
+  assert.equal(config.identity.userName, 'User');
+});
+
+test('the gateway hook token comes from config, never a built-in value', () => {
+  const unset = resolve();
+  assert.equal(unset.config.gateway.hookToken, null);
+  assert.equal(issueFor(unset.report, 'gateway.hookToken').level, 'warn');
+
+  const { config, report } = resolve({ GATEWAY_HOOK_TOKEN: 'hook-secret' });
+  assert.equal(config.gateway.hookToken, 'hook-secret');
+  assert.equal(issueFor(report, 'gateway.hookToken'), undefined);
+});
+
+test('the gateway token accessor follows GATEWAY_TOKEN, else the clawdbot config', () => {
+  const clawdbotConfig = join(tmp, 'clawdbot.json');
+  writeFileSync(clawdbotConfig, JSON.stringify({ gateway: { auth: { token: 'from-file' } } }));
+  const shared = join(dirname(CONFIG_MODULE), 'services', 'shared.js');
+  const token = (env) => execFileSync(process.execPath, ['--input-type=module', '-e', `
+    const { getGatewayToken } = await import(${JSON.stringify(shared)});
+    console.log(getGatewayToken());
+  `], { cwd: tmp, env: { PATH: process.env.PATH, HOME: tmp, CLAWDBOT_CONFIG: clawdbotConfig, ...env }, encoding: 'utf8' }).trim();
+
+  assert.equal(token({ GATEWAY_TOKEN: 'from-env' }), 'from-env');
+  assert.equal(token({}), 'from-file');
+});
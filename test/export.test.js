@@ -0,0 +1,89 @@
+/**
+ * Conversation export: Markdown, HTML and JSON for main and mode sessions
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHarness, transcriptEntry, MAIN_SESSION_ID } from './helpers/harness.js';
+
+let harness;
+
+before(async () => {
+  harness = await startHarness();
+  harness.appendTranscript(transcriptEntry('user', '[WhatsApp +6500000000 2026-01-01 10:00] lunch plans?\n[message_id: abc]'));
+  harness.appendTranscript({
+    ...transcriptEntry('assistant', ''),
+    message: { role: 'assistant', content: [{ type: 'toolCall', name: 'exec', arguments: {} }], timestamp: Date.now() }
+  });
+  harness.appendTranscript(transcriptEntry('assistant', 'Noodles at noon.'));
+  harness.appendTranscript(transcriptEntry('user', '[ClawChat Web] [Image attached: /tmp/spark-images/img_1.jpg]\n\nwhat is <this>?'));
+  harness.appendTranscript(transcriptEntry('user', 'HEARTBEAT check'));
+});
+
+after(async () => {
+  await harness?.stop();
+});
+
+async function exportSession(path, format) {
+  const res = await harness.fetch(`${path}${format ? `?format=${format}` : ''}`);
+  return { res, body: await res.text() };
+}
+
+test('main sessions export as JSON with channels and attachments', async () => {
+  const { res, body } = await exportSession(`/api/sessions/${MAIN_SESSION_ID}/export`, 'json');
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-disposition'), /attachment; filename=".+\.json"/);
+
+  // The harness transcript starts with one earlier exchange
+  const messages = JSON.parse(body).messages.slice(-3);
+  assert.deepEqual(messages.map(m => [m.role, m.channel, m.content]), [
+    ['user', 'whatsapp', 'lunch plans?'],
+    ['assistant', 'whatsapp', 'Noodles at noon.'],
+    ['user', 'web', 'what is <this>?']
+  ]);
+  assert.deepEqual(messages[2].attachments, [{ type: 'image', ref: '/tmp/spark-images/img_1.jpg' }]);
+  assert.ok(messages.every(m => !Number.isNaN(Date.parse(m.timestamp))));
+});
+
+test('markdown and HTML exports label speakers and escape content', async () => {
+  const md = await exportSession(`/api/sessions/${MAIN_SESSION_ID}/export`);
+  assert.match(md.res.headers.get('content-type'), /text\/markdown/);
+  assert.match(md.body, /^# /);
+  assert.match(md.body, /### \S+ · WhatsApp · .+\n\nlunch plans\?/);
+  assert.match(md.body, /> 📎 \/tmp\/spark-images\/img_1\.jpg/);
+
+  const html = await exportSession(`/api/sessions/${MAIN_SESSION_ID}/export`, 'html');
+  assert.match(html.res.headers.get('content-type'), /text\/html/);
+  assert.ok(html.body.includes('what is &lt;this&gt;?'));
+  assert.ok(!html.body.includes('<this>'));
+});
+
+test('mode sessions export with the mode as channel', async () => {
+  const client = await harness.connect();
+  await client.waitFor('ready');
+  client.send({ type: 'mode_message', sparkMode: 'dev', text: 'refactor the parser' });
+  await client.waitFor('done');
+  client.close();
+  const sessionId = harness.cliCalls().at(-1).sessionId;
+
+  const { res, body } = await exportSession(`/api/modes/dev/sessions/${sessionId}/export`, 'md');
+  assert.equal(res.status, 200);
+  assert.match(body, /^# refactor the parser/);
+  assert.match(body, /· 👨‍💻 Dev Mode · /);
+  assert.ok(body.includes('Echo: refactor the parser'));
+  assert.ok(!body.includes('[System Context:'));
+
+  // The generic endpoint recognises the mode session too
+  const generic = JSON.parse((await exportSession(`/api/sessions/${sessionId}/export`, 'json')).body);
+  assert.equal(generic.mode, 'dev');
+  assert.deepEqual(generic.messages.map(m => m.channel), ['mode', 'mode']);
+});
+
+test('unknown sessions and formats are rejected', async () => {
+  assert.equal((await exportSession('/api/sessions/nope/export')).res.status, 404);
+  assert.equal((await exportSession('/api/modes/dev/sessions/nope/export')).res.status, 404);
+  assert.equal((await exportSession('/api/modes/nope/sessions/x/export')).res.status, 404);
+  const bad = await exportSession(`/api/sessions/${MAIN_SESSION_ID}/export`, 'pdf');
+  assert.equal(bad.res.status, 400);
+  assert.match(JSON.parse(bad.body).error, /Invalid format/);
+});
@@ -0,0 +1,63 @@
+/**
+ * Attachment handling: PDF/DOCX text extraction and image hand-off
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, existsSync, rmSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { startHarness } from './helpers/harness.js';
+
+const FIXTURES = join(dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+let harness;
+
+before(async () => {
+  harness = await startHarness();
+  harness.gateway.mode = 'stream';
+});
+
+after(async () => {
+  await harness?.stop();
+});
+
+const dataUrl = (file, mime) => `data:${mime};base64,${readFileSync(join(FIXTURES, file)).toString('base64')}`;
+
+async function sendAndGetPrompt(msg) {
+  const client = await harness.connect();
+  await client.waitFor('ready');
+  client.send({ type: 'transcript', ...msg });
+  await client.waitFor('done', { timeout: 10000 });
+  client.close();
+  return harness.gateway.requests.at(-1).body.messages.at(-1).content;
+}
+
+test('PDF text is extracted into the message', async () => {
+  const prompt = await sendAndGetPrompt({
+    text: 'summarize this',
+    file: { filename: 'sample.pdf', dataUrl: dataUrl('sample.pdf', 'application/pdf') }
+  });
+  assert.ok(prompt.startsWith('summarize this\n\n[File: sample.pdf]'));
+  assert.match(prompt, /marker PDF-4402/);
+});
+
+test('DOCX text is extracted into the message', async () => {
+  const prompt = await sendAndGetPrompt({
+    text: 'review this',
+    file: { filename: 'sample.docx', dataUrl: dataUrl('sample.docx', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') }
+  });
+  assert.ok(prompt.startsWith('review this\n\n[File: sample.docx]'));
+  assert.match(prompt, /marker DOCX-7731/);
+});
+
+test('images are saved to disk and referenced by path', async () => {
+  // 1x1 transparent GIF
+  const gif = 'data:image/gif;base64,R0lGODlhAQABAAAAACH5BAEKAAEALAAAAAABAAEAAAICTAEAOw==';
+  const prompt = await sendAndGetPrompt({ text: 'what is this', image: gif });
+
+  const match = prompt.match(/^\[Image attached: (\S+)\]\n\nwhat is this$/);
+  assert.ok(match, prompt);
+  assert.ok(existsSync(match[1]));
+  rmSync(match[1]);
+});
@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+/**
+ * Stand-in for the `openclaw` CLI (set as OPENCLAW_PATH by the test harness)
+ *
+ * Handles `openclaw agent --message <text> (--to <number> | --session-id <id>) --json`
+ * like the real agent: appends the turn to the session transcript in
+ * SESSIONS_DIR and prints `{ result: { payloads: [{ text }] } }`.
+ * Every invocation is logged as a JSON line to FAKE_OPENCLAW_LOG.
+ *
+ * Directives in the message steer the run:
+ *   [slow:<ms>]  wait before replying
+ *   [progress]   write tool calls and their results first (mode progress frames):
+ *                `exec` succeeds, then `read` fails
+ *   [fail]       exit 1 with an error on stderr
+ *   [connecting] the first run fails as if WhatsApp were reconnecting; the retry succeeds
+ */
+
+import { appendFileSync, readFileSync, existsSync } from 'fs';
+import { join } from 'path';
+
+const argv = process.argv.slice(2);
+const arg = (name) => {
+  const i = argv.indexOf(name);
+  return i === -1 ? undefined : argv[i + 1];
+};
+
+const message = arg('--message') || '';
+const modeSessionId = arg('--session-id');
+
+if (process.env.FAKE_OPENCLAW_LOG) {
+  appendFileSync(process.env.FAKE_OPENCLAW_LOG, JSON.stringify({ argv, message, sessionId: modeSessionId || null }) + '\n');
+}
+
+// Anything other than `agent` (e.g. `nodes status --json`) gets an empty result
+if (argv[0] !== 'agent') {
+  console.log('{}');
+  process.exit(0);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function transcriptPath() {
+  const dir = process.env.SESSIONS_DIR;
+  if (modeSessionId) return join(dir, `${modeSessionId}.jsonl`);
+  const sessionsJson = join(dir, 'sessions.json');
+  const sessions = existsSync(sessionsJson) ? JSON.parse(readFileSync(sessionsJson, 'utf8')) : {};
+  return join(dir, `${sessions['agent:main:main']?.sessionId || 'main'}.jsonl`);
+}
+
+function appendEntry(role, content, extra = {}) {
+  const entry = {
+    type: 'message',
+    id: Math.random().toString(36).slice(2, 10),
+    timestamp: new Date().toISOString(),
+    message: { role, content, timestamp: Date.now(), ...extra }
+  };
+  appendFileSync(transcriptPath(), JSON.stringify(entry) + '\n');
+}
+
+// Reply echoes the user's own words (without the mode system context)
+function replyFor(text) {
+  const contextEnd = text.startsWith('[System Context:') ? text.indexOf(']\n\n') : -1;
+  const userText = contextEnd === -1 ? text : text.slice(contextEnd + 3);
+  return `Echo: ${userText.split('\n')[0].replace(/\[[a-z]+(:\d+)?\]\s*/g, '').trim()}`;
+}
+
+const slow = message.match(/\[slow:(\d+)\]/);
+if (slow) await sleep(Number(slow[1]));
+
+if (message.includes('[fail]')) {
+  console.error('agent crashed');
+  process.exit(1);
+}
+
+if (message.includes('[connecting]')) {
+  const marker = join(process.env.SESSIONS_DIR, 'connecting-seen');
+  if (!existsSync(marker)) {
+    appendFileSync(marker, '');
+    console.error('Error: No active WhatsApp Web listener');
+    process.exit(1);
+  }
+}
+
+appendEntry('user', [{ type: 'text', text: modeSessionId ? message : `[ClawChat Web] ${message}` }]);
+
+if (message.includes('[progress]')) {
+  // Give the server's transcript watcher time to attach
+  await sleep(800);
+  appendEntry('assistant', [{ type: 'toolCall', id: 'call_1', name: 'exec', arguments: { command: 'ls' } }]);
+  await sleep(300);
+  appendEntry('toolResult', [{ type: 'text', text: 'a.txt\nb.txt' }], { toolCallId: 'call_1', toolName: 'exec', isError: false });
+  appendEntry('assistant', [{ type: 'toolCall', id: 'call_2', name: 'read', arguments: { path: 'missing.txt' } }]);
+  appendEntry('toolResult', [{ type: 'text', text: 'ENOENT: no such file' }], { toolCallId: 'call_2', toolName: 'read', isError: true });
+  await sleep(300);
+}
+
+const reply = replyFor(message);
+appendEntry('assistant', [{ type: 'text', text: reply }]);
+console.log(JSON.stringify({ result: { payloads: [{ text: reply }] } }));
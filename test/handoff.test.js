@@ -0,0 +1,114 @@
+/**
+ * Cross-mode handoff: seed message, session links, validation
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHarness } from './helpers/harness.js';
+
+let harness;
+let planSessionId;
+
+before(async () => {
+  harness = await startHarness();
+  harness.gateway.completion = () => '{"title": "Blog rollout", "summary": "Planning a blog in three phases."}';
+
+  const client = await harness.connect();
+  await client.waitFor('ready');
+  client.send({ type: 'mode_message', sparkMode: 'plan', text: 'plan a blog for me' });
+  await client.waitFor('done');
+  client.close();
+  planSessionId = harness.cliCalls().at(-1).sessionId;
+});
+
+after(async () => {
+  await harness?.stop();
+});
+
+function handoff(body, sessionId = planSessionId) {
+  return harness.fetch(`/api/modes/plan/sessions/${sessionId}/handoff`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+}
+
+async function sessions(mode) {
+  return (await (await harness.fetch(`/api/modes/${mode}/sessions`)).json()).sessions;
+}
+
+test('handing off to a new session seeds it with a summary and links both sessions', async () => {
+  const res = await handoff({ toMode: 'dev', content: 'Phase 1: set up the static site generator' });
+  assert.equal(res.status, 200);
+  const { session, message } = await res.json();
+
+  assert.match(session.id, /^spark-dev-/);
+  assert.equal(session.title, '↪ Blog rollout');
+  assert.equal(session.handoffFrom.mode, 'plan');
+  assert.equal(session.handoffFrom.sessionId, planSessionId);
+  assert.equal(message, '[Handoff from 📋 Plan Mode: Blog rollout]\n\n' +
+    'Context: Planning a blog in three phases.\n\nPhase 1: set up the static site generator');
+
+  const source = (await sessions('plan')).find(s => s.id === planSessionId);
+  assert.deepEqual(source.handoffsTo.map(h => [h.mode, h.sessionId]), [['dev', session.id]]);
+
+  // The client sends the seed as a regular mode message
+  const client = await harness.connect();
+  await client.waitFor('ready');
+  client.send({ type: 'mode_message', sparkMode: 'dev', sessionId: session.id, text: message });
+  await client.waitFor('done');
+  client.close();
+  const history = await (await harness.fetch(`/api/modes/dev/sessions/${session.id}/history`)).json();
+  assert.equal(history.messages[0].content, message);
+});
+
+test('handing off to an existing session reuses it', async () => {
+  const [existing] = await sessions('dev');
+  const before = (await sessions('dev')).length;
+  const res = await handoff({ toMode: 'dev', toSessionId: existing.id, content: 'Phase 2: write the first post' });
+  assert.equal(res.status, 200);
+  const { session } = await res.json();
+  assert.equal(session.id, existing.id);
+  assert.equal((await sessions('dev')).length, before);
+  const source = (await sessions('plan')).find(s => s.id === planSessionId);
+  assert.equal(source.handoffsTo.length, 2);
+});
+
+test('invalid handoffs are rejected', async () => {
+  const cases = [
+    [{ toMode: 'plan', content: 'x' }, /different mode/],
+    [{ toMode: 'nope', content: 'x' }, /unknown mode/],
+    [{ toMode: 'dev', toSessionId: 'spark-dev-missing', content: 'x' }, /unknown dev session/],
+    [{ toMode: 'dev', content: '  ' }, /content/],
+    [{ toMode: 'dev', content: 'x'.repeat(9000) }, /at most/]
+  ];
+  for (const [body, pattern] of cases) {
+    const res = await handoff(body);
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).error, pattern);
+  }
+  assert.equal((await handoff({ toMode: 'dev', content: 'x' }, 'spark-plan-missing')).status, 404);
+});
+
+test('a source mode deleted while summarizing still hands off under its id', async () => {
+  const json = (method, body) => ({ method, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+  assert.equal((await harness.fetch('/api/modes', json('POST', { id: 'scratch', name: 'Scratch', systemPrompt: 'Scratch pad.' }))).status, 201);
+
+  const client = await harness.connect();
+  await client.waitFor('ready');
+  client.send({ type: 'mode_message', sparkMode: 'scratch', text: 'jot this down' });
+  await client.waitFor('done');
+  client.close();
+  const sessionId = harness.cliCalls().at(-1).sessionId;
+  await harness.fetch(`/api/modes/scratch/sessions/${sessionId}`, json('PATCH', { title: null }));
+
+  harness.gateway.completion = async () => {
+    await harness.fetch('/api/modes/scratch', { method: 'DELETE' });
+    return 'not a summary';
+  };
+  const res = await harness.fetch(`/api/modes/scratch/sessions/${sessionId}/handoff`, json('POST', { toMode: 'dev', content: 'carry on' }));
+  assert.equal(res.status, 200);
+  const { session, message } = await res.json();
+  assert.equal(session.title, '↪ scratch');
+  assert.equal(message, '[Handoff from ✨ scratch]\n\ncarry on');
+});
@@ -0,0 +1,306 @@
+/**
+ * Integration test harness
+ *
+ * Boots src/server.js as a child process against a throwaway environment:
+ * - a temp SESSIONS_DIR with sessions.json and an empty main transcript
+ * - test/fixtures/fake-openclaw.js as OPENCLAW_PATH
+ * - an in-process fake gateway serving /v1/chat/completions
+ * - temp MODE_SESSIONS_DIR, SEARCH_INDEX_DIR and VOICE_NOTES_DIR, so the repo is never touched
+ * - a copy of the repo's modes/ as MODES_DIR, so mode CRUD tests can write freely
+ * - temp JOBS_FILE (written from options.jobs), REPORTS_DIR, PUSH_DIR, AUTH_DIR and PENDING_REQUESTS_FILE
+ *
+ * restart() kills the server (like a crash or `systemctl restart`) and boots a
+ * new one against the same directories.
+ */
+
+import { spawn } from 'child_process';
+import { createServer } from 'http';
+import { createServer as createNetServer } from 'net';
+import { mkdtempSync, mkdirSync, writeFileSync, appendFileSync, readFileSync, existsSync, rmSync, cpSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { TestClient } from './ws-client.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..', '..');
+
+export const MAIN_SESSION_ID = '00000000-test-4000-8000-000000000001';
+export const GATEWAY_TOKEN = 'test-gateway-token';
+export const HOOK_TOKEN = 'test-hook-token';
+
+/**
+ * Find a free TCP port
+ */
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = createNetServer();
+    srv.once('error', reject);
+    srv.listen(0, '127.0.0.1', () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Append a transcript entry in OpenClaw's JSONL format
+ */
+export function transcriptEntry(role, text, extra = {}) {
+  return {
+    type: 'message',
+    id: Math.random().toString(36).slice(2, 10),
+    timestamp: new Date().toISOString(),
+    message: { role, content: [{ type: 'text', text }], timestamp: Date.now() },
+    ...extra
+  };
+}
+
+/**
+ * Fake gateway: OpenAI-compatible /v1/chat/completions
+ *
+ * mode 'stream' answers streaming requests with SSE tokens ("Streamed: <text>")
+ * and records the turn in the main transcript like the real gateway;
+ * mode 'unavailable' returns 503 so the server falls back to the CLI;
+ * mode 'break' accepts the request, then drops the connection before any token.
+ * Non-streaming requests get `completion(payload)` (may be async) if a test sets it.
+ * GET /api/status (hook token) reports WhatsApp connected (drains queued messages).
+ */
+function startFakeGateway(mainTranscriptPath) {
+  const gateway = {
+    mode: 'stream',
+    completion: null,
+    requests: [],
+    port: null,
+    server: null
+  };
+
+  gateway.server = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', async () => {
+      if (req.method === 'GET' && req.url === '/api/status') {
+        if (req.headers.authorization !== `Bearer ${HOOK_TOKEN}`) {
+          res.writeHead(401).end('{"error":"unauthorized"}');
+          return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ channels: { whatsapp: { running: true, connected: true } } }));
+        return;
+      }
+      if (req.method !== 'POST' || req.url !== '/v1/chat/completions') {
+        res.writeHead(404).end();
+        return;
+      }
+
+      const payload = JSON.parse(body || '{}');
+      gateway.requests.push({ headers: req.headers, body: payload });
+
+      if (req.headers.authorization !== `Bearer ${GATEWAY_TOKEN}`) {
+        res.writeHead(401).end('{"error":"unauthorized"}');
+        return;
+      }
+      if (gateway.mode === 'unavailable') {
+        res.writeHead(503).end('{"error":"unavailable"}');
+        return;
+      }
+
+      const userText = payload.messages?.at(-1)?.content || '';
+      const reply = `Streamed: ${String(userText).split('\n')[0]}`;
+
+      if (!payload.stream) {
+        const content = gateway.completion ? await gateway.completion(payload) : reply;
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content } }] }));
+        return;
+      }
+
+      appendFileSync(mainTranscriptPath, JSON.stringify(transcriptEntry('user', `[ClawChat Web] ${userText}`)) + '\n');
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      if (gateway.mode === 'break') {
+        res.flushHeaders();
+        setTimeout(() => res.destroy(), 20);
+        return;
+      }
+      for (const token of reply.match(/\S+\s*/g)) {
+        res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: token } }] })}\n\n`);
+        await new Promise(resolve => setTimeout(resolve, 5));
+      }
+      res.write('data: [DONE]\n\n');
+      res.end();
+      appendFileSync(mainTranscriptPath, JSON.stringify(transcriptEntry('assistant', reply)) + '\n');
+    });
+  });
+
+  return new Promise((resolve) => {
+    gateway.server.listen(0, '127.0.0.1', () => {
+      gateway.port = gateway.server.address().port;
+      resolve(gateway);
+    });
+  });
+}
+
+/**
+ * Boot the server in a sandbox
+ * @param {object} [options]
+ * @param {object} [options.env] - Extra environment variables for the server
+ * @param {object[]} [options.jobs] - Scheduled job definitions for jobs.json
+ * @returns {Promise<object>} - Harness handle (see return value below)
+ */
+export async function startHarness({ env = {}, jobs = [] } = {}) {
+  const tmp = mkdtempSync(join(tmpdir(), 'clawchat-test-'));
+  const sessionsDir = join(tmp, 'sessions');
+  const modeSessionsDir = join(tmp, 'mode-sessions');
+  const modesDir = join(tmp, 'modes');
+  mkdirSync(sessionsDir);
+  mkdirSync(modeSessionsDir);
+  cpSync(join(ROOT, 'modes'), modesDir, { recursive: true });
+  const jobsFile = join(tmp, 'jobs.json');
+  writeFileSync(jobsFile, JSON.stringify({ jobs }));
+
+  const mainTranscriptPath = join(sessionsDir, `${MAIN_SESSION_ID}.jsonl`);
+  writeFileSync(join(sessionsDir, 'sessions.json'), JSON.stringify({
+    'agent:main:main': { sessionId: MAIN_SESSION_ID, updatedAt: Date.now() }
+  }));
+  // Seed the transcript so sync initializes from a known timestamp
+  writeFileSync(mainTranscriptPath, JSON.stringify(transcriptEntry('assistant', 'Earlier conversation')) + '\n');
+
+  const cliLogPath = join(tmp, 'openclaw.log');
+  const gateway = await startFakeGateway(mainTranscriptPath);
+  const port = await freePort();
+
+  const pendingRequestsFile = join(tmp, 'pending-requests.json');
+  const serverEnv = {
+    PATH: process.env.PATH,
+    HOME: tmp,
+    PORT: String(port),
+    SESSIONS_DIR: sessionsDir,
+    MODE_SESSIONS_DIR: modeSessionsDir,
+    MODES_DIR: modesDir,
+    JOBS_FILE: jobsFile,
+    REPORTS_DIR: join(tmp, 'reports'),
+    PUSH_DIR: join(tmp, 'push'),
+    AUTH_DIR: join(tmp, 'auth'),
+    PENDING_REQUESTS_FILE: pendingRequestsFile,
+    SEARCH_INDEX_DIR: join(tmp, 'search-index'),
+    VOICE_NOTES_DIR: join(tmp, 'notes'),
+    OPENCLAW_PATH: join(ROOT, 'test', 'fixtures', 'fake-openclaw.js'),
+    FAKE_OPENCLAW_LOG: cliLogPath,
+    GATEWAY_URL: `http://127.0.0.1:${gateway.port}`,
+    GATEWAY_TOKEN,
+    GATEWAY_HOOK_TOKEN: HOOK_TOKEN,
+    USER_NAME: 'Alex',
+    MAIN_TARGET: '+4915112345678',
+    SESSION_SUMMARIES: 'false',
+    ...env
+  };
+
+  let output = '';
+  let child = null;
+  const launch = () => {
+    child = spawn(process.execPath, [join(ROOT, 'src', 'server.js')], {
+      cwd: tmp,
+      env: serverEnv,
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    child.stdout.on('data', d => { output += d; });
+    child.stderr.on('data', d => { output += d; });
+  };
+  const kill = async (signal) => {
+    if (child.exitCode === null && child.signalCode === null) {
+      child.kill(signal);
+      await new Promise(resolve => child.once('exit', resolve));
+    }
+  };
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+  const clients = new Set();
+
+  const harness = {
+    port,
+    baseUrl,
+    sessionsDir,
+    modeSessionsDir,
+    modesDir,
+    pendingRequestsFile,
+    mainTranscriptPath,
+    gateway,
+
+    /** Server stdout/stderr so far (for failure messages) */
+    output: () => output,
+
+    /** Parsed invocations of the fake openclaw CLI */
+    cliCalls() {
+      if (!existsSync(cliLogPath)) return [];
+      return readFileSync(cliLogPath, 'utf8').trim().split('\n').filter(Boolean).map(l => JSON.parse(l));
+    },
+
+    /** Append a raw entry to the main transcript (e.g. a WhatsApp message) */
+    appendTranscript(entry) {
+      appendFileSync(mainTranscriptPath, JSON.stringify(entry) + '\n');
+    },
+
+    /**
+     * Open a WebSocket client; query.session reconnects to an existing session
+     * @param {object} [query] - Query string parameters
+     * @param {object} [options]
+     * @param {string} [options.path='/'] - Upgrade path (e.g. /realtime)
+     * @param {object} [options.headers] - Extra upgrade headers (Cookie, Authorization, Origin)
+     */
+    async connect(query = {}, { path = '/', headers } = {}) {
+      const qs = new URLSearchParams(query).toString();
+      const client = new TestClient(`ws://127.0.0.1:${port}${path}${qs ? `?${qs}` : ''}`, { headers });
+      clients.add(client);
+      await client.opened;
+      return client;
+    },
+
+    fetch(path, init) {
+      return fetch(`${baseUrl}${path}`, init);
+    },
+
+    /**
+     * Kill the server without a graceful shutdown and boot a fresh one
+     * @param {Function} [prepare] - Runs while the server is down (e.g. to edit its files)
+     */
+    async restart(prepare) {
+      for (const client of clients) client.close();
+      clients.clear();
+      await kill('SIGKILL');
+      await prepare?.();
+      launch();
+      await waitUntilReady();
+    },
+
+    async stop() {
+      for (const client of clients) client.close();
+      await kill('SIGTERM');
+      await new Promise(resolve => gateway.server.close(resolve));
+      rmSync(tmp, { recursive: true, force: true });
+    }
+  };
+
+  // Wait until the HTTP server answers
+  async function waitUntilReady() {
+    const deadline = Date.now() + 15000;
+    while (true) {
+      if (child.exitCode !== null) {
+        throw new Error(`Server exited during startup:\n${output}`);
+      }
+      try {
+        // Public even with PORTAL_PASSWORD set
+        const res = await fetch(`${baseUrl}/api/auth/status`);
+        if (res.ok) return;
+      } catch {}
+      if (Date.now() > deadline) {
+        await harness.stop();
+        throw new Error(`Server did not start within 15s:\n${output}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+
+  launch();
+  await waitUntilReady();
+  return harness;
+}
@@ -0,0 +1,86 @@
+/**
+ * WebSocket test client
+ *
+ * Records every server frame and lets tests await frames by type or predicate.
+ */
+
+import WebSocket from 'ws';
+
+export class TestClient {
+  constructor(url, options) {
+    this.frames = [];
+    this.waiters = [];
+    this.ws = new WebSocket(url, options);
+
+    this.opened = new Promise((resolve, reject) => {
+      this.ws.once('open', resolve);
+      this.ws.once('error', reject);
+    });
+
+    this.ws.on('message', (data) => {
+      const frame = JSON.parse(data.toString());
+      this.frames.push(frame);
+      for (const waiter of [...this.waiters]) {
+        if (waiter.match(frame)) waiter.resolve(frame);
+      }
+    });
+  }
+
+  send(msg) {
+    this.ws.send(JSON.stringify(msg));
+  }
+
+  /**
+   * Resolve with the first frame (already received after `since`, or future) matching
+   * @param {string|Function} match - Frame type or predicate
+   * @param {object} [options]
+   * @param {number} [options.timeout=5000]
+   * @param {number} [options.since=0] - Only consider frames from this index on
+   */
+  waitFor(match, { timeout = 5000, since = 0 } = {}) {
+    const predicate = typeof match === 'function' ? match : (frame) => frame.type === match;
+    const existing = this.frames.slice(since).find(predicate);
+    if (existing) return Promise.resolve(existing);
+
+    return new Promise((resolve, reject) => {
+      const waiter = {
+        match: predicate,
+        resolve: (frame) => {
+          clearTimeout(timer);
+          this.waiters = this.waiters.filter(w => w !== waiter);
+          resolve(frame);
+        }
+      };
+      const timer = setTimeout(() => {
+        this.waiters = this.waiters.filter(w => w !== waiter);
+        reject(new Error(`Timed out waiting for ${typeof match === 'string' ? match : 'frame'}; got: ${this.frames.map(f => f.type).join(', ')}`));
+      }, timeout);
+      this.waiters.push(waiter);
+    });
+  }
+
+  /** Frames of a type received so far */
+  ofType(type) {
+    return this.frames.filter(frame => frame.type === type);
+  }
+
+  /** Index to pass as `since` for frames received after this point */
+  mark() {
+    return this.frames.length;
+  }
+
+  close() {
+    if (this.ws.readyState === WebSocket.OPEN || this.ws.readyState === WebSocket.CONNECTING) {
+      this.ws.terminate();
+    }
+  }
+
+  /** Close and wait until the server has seen the disconnect */
+  async disconnect() {
+    const closed = new Promise(resolve => this.ws.once('close', resolve));
+    this.ws.close();
+    await closed;
+  }
+}
+
+export const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
@@ -0,0 +1,106 @@
+/**
+ * Client message ids: echoed on every reply frame, concurrent requests, per-message cancel, queued retries
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHarness } from './helpers/harness.js';
+
+let harness;
+
+before(async () => {
+  harness = await startHarness();
+  harness.gateway.mode = 'unavailable';
+});
+
+after(async () => {
+  await harness?.stop();
+});
+
+const forMessage = (messageId, type) => (frame) => frame.messageId === messageId && frame.type === type;
+
+test('concurrent transcripts each get their own tagged reply', async () => {
+  const client = await harness.connect();
+  await client.waitFor('ready');
+
+  client.send({ type: 'transcript', text: '[slow:800] first question', messageId: 'msg-1' });
+  await client.waitFor(forMessage('msg-1', 'thinking'));
+  client.send({ type: 'transcript', text: 'second question', messageId: 'msg-2' });
+
+  const second = await client.waitFor(forMessage('msg-2', 'text'));
+  await client.waitFor(forMessage('msg-2', 'done'));
+  const first = await client.waitFor(forMessage('msg-1', 'text'));
+  await client.waitFor(forMessage('msg-1', 'done'));
+
+  assert.equal(first.content, 'Echo: first question');
+  assert.equal(second.content, 'Echo: second question');
+  // The second reply arrived while the first was still running
+  assert.ok(client.frames.indexOf(second) < client.frames.indexOf(first));
+  const replyFrames = client.frames.filter(f => ['thinking', 'text', 'done'].includes(f.type));
+  assert.ok(replyFrames.every(f => f.messageId));
+  client.close();
+});
+
+test('mode replies echo the message id on every frame', async () => {
+  const client = await harness.connect();
+  await client.waitFor('ready');
+
+  client.send({ type: 'mode_message', sparkMode: 'research', text: '[progress] dig in', messageId: 'mode_1' });
+  await client.waitFor(forMessage('mode_1', 'done'));
+
+  const types = client.frames.filter(f => f.messageId === 'mode_1').map(f => f.type);
+  for (const type of ['thinking', 'progress', 'text', 'done']) {
+    assert.ok(types.includes(type), `${type} frame is tagged`);
+  }
+  assert.equal(client.frames.find(forMessage('mode_1', 'text')).content, 'Echo: dig in');
+  client.close();
+});
+
+test('cancel with a message id stops only that request', async () => {
+  const client = await harness.connect();
+  await client.waitFor('ready');
+
+  client.send({ type: 'transcript', text: '[slow:3000] long one', messageId: 'keep-me' });
+  client.send({ type: 'transcript', text: '[slow:3000] stop me', messageId: 'stop-me' });
+  await client.waitFor(forMessage('keep-me', 'thinking'));
+  await client.waitFor(forMessage('stop-me', 'thinking'));
+
+  client.send({ type: 'cancel', messageId: 'stop-me' });
+  await client.waitFor(forMessage('stop-me', 'cancelled'));
+  await client.waitFor(forMessage('stop-me', 'done'));
+
+  const kept = await client.waitFor(forMessage('keep-me', 'text'), { timeout: 10000 });
+  assert.equal(kept.content, 'Echo: long one');
+  assert.ok(!client.frames.some(forMessage('keep-me', 'cancelled')));
+  client.close();
+});
+
+test('a queued message keeps its id until the retried reply is done', async () => {
+  const client = await harness.connect();
+  await client.waitFor('ready');
+
+  client.send({ type: 'transcript', text: '[connecting] while reconnecting', messageId: 'queued-1' });
+  const queued = await client.waitFor(forMessage('queued-1', 'queued'));
+  assert.match(queued.content, /reconnecting/);
+
+  // The drain timer retries it once the gateway reports WhatsApp connected
+  const reply = await client.waitFor(forMessage('queued-1', 'text'), { timeout: 10000 });
+  assert.equal(reply.content, 'Echo: while reconnecting');
+  const done = await client.waitFor(forMessage('queued-1', 'done'));
+  // One done, after the reply: the queued notice didn't end the message
+  assert.equal(client.frames.filter(forMessage('queued-1', 'done')).length, 1);
+  assert.ok(client.frames.indexOf(queued) < client.frames.indexOf(reply));
+  assert.ok(client.frames.indexOf(reply) < client.frames.indexOf(done));
+  client.close();
+});
+
+test('invalid message ids are rejected', async () => {
+  const client = await harness.connect();
+  await client.waitFor('ready');
+
+  client.send({ type: 'transcript', text: 'hi', messageId: 'not valid!' });
+  const error = await client.waitFor('error');
+  assert.equal(error.message, 'Invalid messageId');
+  assert.equal(client.ofType('thinking').length, 0);
+  client.close();
+});
@@ -0,0 +1,86 @@
+/**
+ * Live mode session sync: subscribed clients follow requests sent from elsewhere
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHarness } from './helpers/harness.js';
+import { sleep } from './helpers/ws-client.js';
+
+let harness;
+let modeSessionId;
+
+before(async () => {
+  harness = await startHarness();
+  const res = await harness.fetch('/api/modes/research/sessions', { method: 'POST' });
+  modeSessionId = (await res.json()).id;
+});
+
+after(async () => {
+  await harness?.stop();
+});
+
+async function follower() {
+  const client = await harness.connect();
+  await client.waitFor('ready');
+  client.send({ type: 'mode_subscribe', sparkMode: 'research', sessionId: modeSessionId });
+  await client.waitFor('mode_subscribed');
+  return client;
+}
+
+const syncs = (client, key) => client.ofType('mode_sync').filter(f => f[key]);
+
+test('messages and tool steps reach a client that did not send them', async () => {
+  const laptop = await follower();
+  const phone = await harness.connect();
+  await phone.waitFor('ready');
+  phone.send({ type: 'mode_message', sparkMode: 'research', sessionId: modeSessionId, text: '[progress] dig', messageId: 'phone-1' });
+  await phone.waitFor('done', { timeout: 8000 });
+
+  const reply = await laptop.waitFor(f => f.type === 'mode_sync' && f.message?.role === 'assistant', { timeout: 5000 });
+  assert.equal(reply.sparkMode, 'research');
+  assert.equal(reply.sessionId, modeSessionId);
+  assert.equal(reply.message.content, 'Echo: dig');
+  assert.deepEqual(reply.message.timeline.map(s => [s.tool, !!s.error]), [['exec', false], ['read', true]]);
+
+  const [question] = syncs(laptop, 'message');
+  assert.equal(question.message.role, 'user');
+  assert.equal(question.message.content, '[progress] dig');
+  const steps = syncs(laptop, 'progress').map(f => f.progress.step);
+  assert.deepEqual(steps.map(s => [s.id, s.endedAt != null]), [['call_1', false], ['call_1', true], ['call_2', false], ['call_2', true]]);
+  assert.equal(syncs(laptop, 'done').length, 1);
+  // The laptop's own session traffic is untouched
+  assert.equal(laptop.ofType('text').length, 0);
+  laptop.close();
+  phone.close();
+});
+
+test('a failed request ends on followers with its error, not for the sender', async () => {
+  const laptop = await follower();
+  const phone = await follower();
+  phone.send({ type: 'mode_message', sparkMode: 'research', sessionId: modeSessionId, text: '[fail] broken' });
+  await phone.waitFor('done');
+
+  const done = await laptop.waitFor(f => f.type === 'mode_sync' && f.done);
+  assert.match(done.error, /CLI exited with code 1/);
+  await sleep(300);
+  assert.equal(syncs(phone, 'done').length, 0);
+  laptop.close();
+  phone.close();
+});
+
+test('unsubscribing stops the frames; unknown sessions are rejected', async () => {
+  const laptop = await follower();
+  laptop.send({ type: 'mode_unsubscribe', sessionId: modeSessionId });
+  laptop.send({ type: 'mode_subscribe', sparkMode: 'research', sessionId: 'spark-research-missing' });
+  assert.equal((await laptop.waitFor('error')).message, 'Session not found');
+
+  const phone = await harness.connect();
+  await phone.waitFor('ready');
+  phone.send({ type: 'mode_message', sparkMode: 'research', sessionId: modeSessionId, text: 'anyone there?' });
+  await phone.waitFor('done');
+  await sleep(1500);
+  assert.equal(laptop.ofType('mode_sync').length, 0);
+  laptop.close();
+  phone.close();
+});
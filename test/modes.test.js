@@ -0,0 +1,207 @@
+/**
+ * Mode sessions: isolated CLI sessions, index, history and progress
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { startHarness } from './helpers/harness.js';
+
+let harness;
+
+before(async () => {
+  harness = await startHarness();
+});
+
+after(async () => {
+  await harness?.stop();
+});
+
+test('mode_message runs in its own session and is indexed', async () => {
+  const client = await harness.connect();
+  await client.waitFor('ready');
+
+  client.send({ type: 'mode_message', sparkMode: 'dev', text: 'build the thing' });
+  const text = await client.waitFor('text');
+  await client.waitFor('done');
+  assert.equal(text.content, 'Echo: build the thing');
+
+  const call = harness.cliCalls().at(-1);
+  assert.match(call.sessionId, /^spark-dev-[0-9a-f]{8}-/);
+  assert.ok(call.message.startsWith('[System Context: You are Spark in Dev Mode'));
+  assert.ok(!call.argv.includes('--to'));
+
+  const indexPath = join(harness.modeSessionsDir, 'dev.json');
+  assert.ok(existsSync(indexPath));
+  const index = JSON.parse(readFileSync(indexPath, 'utf8'));
+  assert.ok(index.sessions.some(s => s.id === call.sessionId && s.title === 'build the thing'));
+
+  const res = await harness.fetch('/api/modes/dev/sessions');
+  const { sessions } = await res.json();
+  assert.ok(sessions.some(s => s.id === call.sessionId));
+  client.close();
+});
+
+test('mode_history returns the cleaned conversation', async () => {
+  const client = await harness.connect();
+  await client.waitFor('ready');
+
+  client.send({ type: 'mode_history', sparkMode: 'dev' });
+  const history = await client.waitFor('mode_history');
+  assert.equal(history.mode, 'dev');
+  assert.deepEqual(
+    history.messages.map(m => [m.role, m.content]),
+    [['user', 'build the thing'], ['assistant', 'Echo: build the thing']]
+  );
+  client.close();
+});
+
+test('tool calls in the mode transcript surface as progress frames', async () => {
+  const client = await harness.connect();
+  await client.waitFor('ready');
+
+  client.send({ type: 'mode_message', sparkMode: 'research', text: '[progress] look around' });
+  const progress = await client.waitFor('progress');
+  assert.equal(progress.status, 'Running command...');
+  assert.equal(progress.tool, 'exec');
+
+  const text = await client.waitFor('text');
+  assert.equal(text.content, 'Echo: look around');
+  client.close();
+});
+
+test('progress frames carry timeline steps and history keeps the timeline', async () => {
+  const client = await harness.connect();
+  await client.waitFor('ready');
+
+  client.send({ type: 'mode_message', sparkMode: 'research', text: '[progress] audit this' });
+  await client.waitFor('done');
+  const steps = client.ofType('progress').map(f => f.step);
+  assert.deepEqual(steps.map(s => [s.id, s.tool, s.args, s.endedAt != null]), [
+    ['call_1', 'exec', 'ls', false],
+    ['call_1', 'exec', 'ls', true],
+    ['call_2', 'read', 'missing.txt', false],
+    ['call_2', 'read', 'missing.txt', true]
+  ]);
+  assert.equal(steps[1].resultChars, 'a.txt\nb.txt'.length);
+  assert.equal(steps[1].error, undefined);
+  assert.equal(steps[3].error, 'ENOENT: no such file');
+  client.close();
+
+  const sessionId = harness.cliCalls().at(-1).sessionId;
+  const { messages } = await (await harness.fetch(`/api/modes/research/sessions/${sessionId}/history`)).json();
+  const reply = messages.at(-1);
+  assert.equal(reply.content, 'Echo: audit this');
+  assert.deepEqual(reply.timeline.map(s => [s.tool, s.status, !!s.error]), [
+    ['exec', 'Running command...', false],
+    ['read', 'Reading missing.txt...', true]
+  ]);
+  assert.equal(messages.at(-2).timeline, undefined);
+});
+
+test('unknown modes are rejected', async () => {
+  const client = await harness.connect();
+  await client.waitFor('ready');
+
+  client.send({ type: 'mode_message', sparkMode: 'nope', text: 'hi' });
+  const error = await client.waitFor('error');
+  assert.equal(error.message, 'Unknown mode: nope');
+  client.close();
+});
+
+test('modes are listed from their definition files', async () => {
+  const res = await harness.fetch('/api/modes');
+  const { modes } = await res.json();
+  assert.deepEqual(Object.keys(modes), ['dev', 'research', 'plan', 'dailyreports', 'videogen', 'articulate']);
+  assert.equal(modes.dev.name, 'Dev Mode');
+  assert.equal(modes.articulate.notifyWhatsApp, false);
+  assert.equal(modes.videogen.launcher, 'videogen');
+});
+
+test('modes can be created, updated and deleted', async () => {
+  const json = (body) => ({ headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+
+  let res = await harness.fetch('/api/modes', { method: 'POST', ...json({ id: 'Bad Id', name: 'x' }) });
+  assert.equal(res.status, 400);
+  res = await harness.fetch('/api/modes', { method: 'POST', ...json({ id: 'dev', name: 'Dev again' }) });
+  assert.equal(res.status, 409);
+
+  res = await harness.fetch('/api/modes', { method: 'POST', ...json({
+    id: 'writer',
+    name: 'Writer',
+    systemPrompt: 'You are Spark in Writer Mode for {userName}.',
+    model: 'writer-model',
+    tools: ['read']
+  }) });
+  assert.equal(res.status, 201);
+  const { mode } = await res.json();
+  assert.equal(mode.launcher, 'sheet');
+  assert.ok(existsSync(join(harness.modesDir, 'writer.json')));
+
+  res = await harness.fetch('/api/modes/writer', { method: 'PATCH', ...json({ tools: 'all' }) });
+  assert.equal(res.status, 400);
+  res = await harness.fetch('/api/modes/writer', { method: 'PATCH', ...json({ icon: '✍️' }) });
+  assert.equal((await res.json()).mode.icon, '✍️');
+
+  // The new mode routes like the built-in ones, with its model and tool list
+  const client = await harness.connect();
+  await client.waitFor('ready');
+  client.send({ type: 'mode_message', sparkMode: 'writer', text: 'draft a post' });
+  assert.equal((await client.waitFor('text')).content, 'Echo: draft a post');
+  const call = harness.cliCalls().at(-1);
+  assert.match(call.sessionId, /^spark-writer-/);
+  assert.equal(call.argv[call.argv.indexOf('--model') + 1], 'writer-model');
+  assert.match(call.message, /Writer Mode for Alex\.\n\nAllowed tools: read\./);
+  client.close();
+
+  res = await harness.fetch('/api/modes/writer', { method: 'DELETE' });
+  assert.equal(res.status, 200);
+  assert.equal((await harness.fetch('/api/modes/writer')).status, 404);
+  assert.ok(!existsSync(join(harness.modesDir, 'writer.json')));
+});
+
+test('mode sessions can be renamed, pinned, archived and deleted', async () => {
+  const json = (body) => ({ headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+  const client = await harness.connect();
+  await client.waitFor('ready');
+  client.send({ type: 'mode_message', sparkMode: 'plan', text: 'plan the week' });
+  await client.waitFor('done');
+  const sessionId = harness.cliCalls().at(-1).sessionId;
+  const url = `/api/modes/plan/sessions/${sessionId}`;
+
+  let res = await harness.fetch(url, { method: 'PATCH', ...json({ title: 'Week plan', pinned: true }) });
+  assert.equal(res.status, 200);
+  const { session } = await res.json();
+  assert.equal(session.title, 'Week plan');
+  assert.equal(session.pinned, true);
+
+  res = await harness.fetch(url, { method: 'PATCH', ...json({ pinned: 'yes' }) });
+  assert.equal(res.status, 400);
+  res = await harness.fetch(url, { method: 'PATCH', ...json({ color: 'red' }) });
+  assert.match((await res.json()).error, /unknown field: color/);
+
+  // Archived sessions are hidden unless asked for, and never picked as the latest
+  await harness.fetch(url, { method: 'PATCH', ...json({ archived: true }) });
+  const listed = async (query = '') => (await (await harness.fetch(`/api/modes/plan/sessions${query}`)).json()).sessions.map(s => s.id);
+  assert.ok(!(await listed()).includes(sessionId));
+  assert.ok((await listed('?archived=true')).includes(sessionId));
+  client.send({ type: 'mode_message', sparkMode: 'plan', text: 'fresh start' });
+  await client.waitFor(f => f.type === 'text' && f.content === 'Echo: fresh start');
+  assert.notEqual(harness.cliCalls().at(-1).sessionId, sessionId);
+
+  // Deleting moves the transcript to the archive folder
+  res = await harness.fetch(url, { method: 'DELETE' });
+  assert.equal(res.status, 200);
+  assert.ok(!existsSync(join(harness.sessionsDir, `${sessionId}.jsonl`)));
+  assert.ok(existsSync(join(harness.modeSessionsDir, 'archive', 'plan', `${sessionId}.jsonl`)));
+  assert.ok(!(await listed('?archived=true')).includes(sessionId));
+  assert.equal((await harness.fetch(url, { method: 'DELETE' })).status, 404);
+
+  // A deleted session can't be written to again
+  const since = client.mark();
+  client.send({ type: 'mode_message', sparkMode: 'plan', sessionId, text: 'still there?' });
+  assert.equal((await client.waitFor('error', { since })).message, 'Session not found');
+  assert.ok(!existsSync(join(harness.sessionsDir, `${sessionId}.jsonl`)));
+  client.close();
+});
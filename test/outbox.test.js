@@ -0,0 +1,104 @@
+/**
+ * Session outbox: numbered frames replayed after the client's last seq on reconnect
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHarness } from './helpers/harness.js';
+import { sleep } from './helpers/ws-client.js';
+
+let harness;
+
+before(async () => {
+  harness = await startHarness();
+  harness.gateway.mode = 'unavailable';
+});
+
+after(async () => {
+  await harness?.stop();
+});
+
+test('frames are numbered in order within the session outbox', async () => {
+  const client = await harness.connect();
+  const ready = await client.waitFor('ready');
+  assert.match(ready.outbox, /^[0-9a-f]{8}$/);
+  assert.equal(ready.seq, undefined);
+
+  client.send({ type: 'transcript', text: 'count me' });
+  await client.waitFor('done');
+  // Transcript sync broadcasts aren't session traffic and carry no seq
+  const seqs = client.frames.filter(f => f.seq).map(f => f.seq);
+  assert.ok(seqs.length >= 3);
+  assert.deepEqual(seqs, seqs.map((_, i) => seqs[0] + i));
+  client.close();
+});
+
+test('a reply finished while disconnected is replayed from the outbox', async () => {
+  const first = await harness.connect();
+  const { sessionId, outbox } = await first.waitFor('ready');
+  first.send({ type: 'transcript', text: '[slow:800] while locked', messageId: 'locked-1' });
+  const thinking = await first.waitFor('thinking');
+  await first.disconnect();
+  await sleep(1500);
+
+  const second = await harness.connect({ session: sessionId, outbox, seq: thinking.seq });
+  assert.equal((await second.waitFor('ready')).outbox, outbox);
+  const text = await second.waitFor('text');
+  await second.waitFor('done');
+  assert.equal(text.content, 'Echo: while locked');
+  assert.equal(text.messageId, 'locked-1');
+  assert.equal(text.seq, thinking.seq + 1);
+  assert.equal(second.ofType('thinking').length, 0);
+  second.close();
+});
+
+test('frames lost on a socket that looked open are replayed too', async () => {
+  const first = await harness.connect();
+  const { sessionId, outbox } = await first.waitFor('ready');
+  first.send({ type: 'mode_message', sparkMode: 'research', text: '[progress] dig', messageId: 'lost-1' });
+  const thinking = await first.waitFor('thinking');
+  await first.waitFor('done', { timeout: 8000 });
+  await first.disconnect();
+
+  // The client only saw up to `thinking`; everything after comes again
+  const second = await harness.connect({ session: sessionId, outbox, seq: thinking.seq });
+  await second.waitFor('ready');
+  await second.waitFor('done');
+  const replayed = second.frames.slice(1);
+  assert.deepEqual(replayed.map(f => f.seq), first.frames.filter(f => f.seq > thinking.seq).map(f => f.seq));
+  assert.ok(replayed.some(f => f.type === 'progress' && f.step));
+  assert.equal(replayed.find(f => f.type === 'text').content, 'Echo: dig');
+  second.close();
+});
+
+test('nothing is replayed when the client is up to date or the outbox is unknown', async () => {
+  const first = await harness.connect();
+  const { sessionId, outbox } = await first.waitFor('ready');
+  first.send({ type: 'transcript', text: 'seen it all' });
+  const done = await first.waitFor('done');
+  await first.disconnect();
+
+  for (const query of [{ outbox, seq: done.seq }, { outbox: 'deadbeef', seq: 0 }]) {
+    const client = await harness.connect({ session: sessionId, ...query });
+    await client.waitFor('ready');
+    await sleep(200);
+    assert.deepEqual(client.frames.filter(f => f.seq), []);
+    await client.disconnect();
+  }
+});
+
+test('the old socket closing after a reconnect leaves the new one live', async () => {
+  const first = await harness.connect();
+  const { sessionId, outbox } = await first.waitFor('ready');
+  const second = await harness.connect({ session: sessionId, outbox });
+  await second.waitFor('ready');
+  // The stale socket's close arrives after the reconnect
+  await first.disconnect();
+  await sleep(200);
+
+  second.send({ type: 'transcript', text: 'still here', messageId: 'after-close' });
+  const text = await second.waitFor(f => f.type === 'text' && f.messageId === 'after-close');
+  assert.equal(text.content, 'Echo: still here');
+  await second.waitFor('done');
+  second.close();
+});
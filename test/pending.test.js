@@ -0,0 +1,168 @@
+/**
+ * Pending-request replay: results survive a dropped WebSocket and a restart
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, writeFileSync } from 'fs';
+import { startHarness, transcriptEntry } from './helpers/harness.js';
+import { sleep } from './helpers/ws-client.js';
+
+let harness;
+
+before(async () => {
+  harness = await startHarness();
+  harness.gateway.mode = 'unavailable';
+});
+
+after(async () => {
+  await harness?.stop();
+});
+
+test('a reply finished while disconnected is replayed on reconnect', async () => {
+  const first = await harness.connect();
+  const { sessionId } = await first.waitFor('ready');
+
+  first.send({ type: 'transcript', text: '[slow:800] replay me' });
+  await first.waitFor('thinking');
+  await first.disconnect();
+
+  // Let the CLI finish while nobody is listening
+  await sleep(1500);
+
+  const second = await harness.connect({ session: sessionId });
+  const ready = await second.waitFor('ready');
+  assert.equal(ready.sessionId, sessionId);
+  assert.ok(!ready.pending);
+
+  const text = await second.waitFor('text');
+  await second.waitFor('done');
+  assert.equal(text.content, 'Echo: replay me');
+  second.close();
+});
+
+test('reconnecting mid-request reports pending and delivers to the new socket', async () => {
+  const first = await harness.connect();
+  const { sessionId } = await first.waitFor('ready');
+
+  first.send({ type: 'transcript', text: '[slow:1500] still going' });
+  await first.waitFor('thinking');
+  await first.disconnect();
+
+  const second = await harness.connect({ session: sessionId });
+  const ready = await second.waitFor('ready');
+  assert.equal(ready.pending, true);
+  await second.waitFor('thinking');
+
+  const text = await second.waitFor('text', { timeout: 8000 });
+  assert.equal(text.content, 'Echo: still going');
+  second.close();
+});
+
+test('an unknown session id starts a fresh session', async () => {
+  const client = await harness.connect({ session: 'spark_does_not_exist' });
+  const ready = await client.waitFor('ready');
+  assert.notEqual(ready.sessionId, 'spark_does_not_exist');
+  client.close();
+});
+
+test('results can be fetched by request id', async () => {
+  const client = await harness.connect();
+  await client.waitFor('ready');
+
+  client.send({ type: 'transcript', text: 'look me up' });
+  const { requestId } = await client.waitFor('thinking');
+  assert.match(requestId, /^[0-9a-f]{16}$/);
+  await client.waitFor('done');
+  client.close();
+
+  const request = await (await harness.fetch(`/api/requests/${requestId}`)).json();
+  assert.equal(request.status, 'complete');
+  assert.equal(request.response, 'Echo: look me up');
+  assert.equal(request.delivered, true);
+  assert.equal((await harness.fetch('/api/requests/0000000000000000')).status, 404);
+});
+
+test('requests interrupted by a restart are recovered or re-driven', async () => {
+  const { id: modeSessionId } = await (await harness.fetch('/api/modes/dev/sessions', { method: 'POST' })).json();
+  const startTime = Date.now() - 1000;
+  const record = (requestId, fields) => ({
+    requestId, status: 'processing', response: null, error: null, delivered: false,
+    startTime, updatedAt: startTime, mode: null, modeSessionId: null, ...fields
+  });
+
+  await harness.restart(() => {
+    // The agent finished this one while the server was down
+    harness.appendTranscript(transcriptEntry('user', '[ClawChat Web] answered while down'));
+    harness.appendTranscript(transcriptEntry('assistant', 'Answered by the agent'));
+    // This one never reached the agent
+    const store = JSON.parse(readFileSync(harness.pendingRequestsFile, 'utf8'));
+    store.requests.push(
+      record('aaaaaaaaaaaaaaaa', { sessionId: 'spark_restart_main', prompt: 'answered while down' }),
+      record('bbbbbbbbbbbbbbbb', { sessionId: 'spark_restart_dev', prompt: 'redrive me', mode: 'dev', modeSessionId })
+    );
+    writeFileSync(harness.pendingRequestsFile, JSON.stringify(store));
+  });
+
+  // Recovered from the transcript without running the agent again
+  const main = await harness.connect({ session: 'spark_restart_main' });
+  const ready = await main.waitFor('ready');
+  assert.equal(ready.sessionId, 'spark_restart_main');
+  const text = await main.waitFor('text');
+  assert.equal(text.content, 'Answered by the agent');
+  assert.equal(text.requestId, 'aaaaaaaaaaaaaaaa');
+  assert.ok(!harness.cliCalls().some(c => c.message.includes('answered while down')));
+  main.close();
+
+  // Re-driven into its mode session
+  let redriven;
+  for (let i = 0; i < 50 && redriven?.status !== 'complete'; i++) {
+    await sleep(100);
+    redriven = await (await harness.fetch('/api/requests/bbbbbbbbbbbbbbbb')).json();
+  }
+  assert.equal(redriven.response, 'Echo: redrive me');
+  const call = harness.cliCalls().find(c => c.message.includes('redrive me'));
+  assert.equal(call.sessionId, modeSessionId);
+
+  const dev = await harness.connect({ session: 'spark_restart_dev' });
+  await dev.waitFor('ready');
+  const replay = await dev.waitFor('text');
+  assert.equal(replay.content, 'Echo: redrive me');
+  assert.equal(replay.sparkMode, 'dev');
+  dev.close();
+});
+
+test('a restarted request only matches turns after its anchor, and keeps just a preview once done', async () => {
+  const startTime = Date.now() - 1000;
+  const stale = transcriptEntry('assistant', 'Stale answer');
+
+  await harness.restart(() => {
+    // The same prompt answered earlier, before this request started
+    harness.appendTranscript(transcriptEntry('user', '[ClawChat Web] ask again'));
+    harness.appendTranscript(stale);
+    const store = JSON.parse(readFileSync(harness.pendingRequestsFile, 'utf8'));
+    store.requests.push({
+      requestId: 'cccccccccccccccc', sessionId: 'spark_restart_anchor', messageId: null,
+      mode: null, modeSessionId: null, prompt: 'ask again', promptPreview: 'ask again',
+      anchorEntryId: stale.id, userEntryId: null, status: 'processing', response: null,
+      error: null, delivered: false, startTime, updatedAt: startTime
+    });
+    writeFileSync(harness.pendingRequestsFile, JSON.stringify(store));
+  });
+
+  let request;
+  for (let i = 0; i < 50 && request?.status !== 'complete'; i++) {
+    await sleep(100);
+    request = await (await harness.fetch('/api/requests/cccccccccccccccc')).json();
+  }
+  assert.equal(request.response, 'Echo: ask again');
+  assert.ok(harness.cliCalls().some(c => c.message.includes('ask again')));
+
+  // Writes are batched; once flushed, the finished record has no full prompt
+  await sleep(500);
+  const stored = JSON.parse(readFileSync(harness.pendingRequestsFile, 'utf8'))
+    .requests.find(r => r.requestId === 'cccccccccccccccc');
+  assert.equal(stored.status, 'complete');
+  assert.equal(stored.promptPreview, 'ask again');
+  assert.equal(stored.prompt, undefined);
+});
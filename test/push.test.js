@@ -0,0 +1,204 @@
+/**
+ * Web Push: subscription API, per-mode scopes and encrypted delivery
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { createECDH, createDecipheriv, createPublicKey, hkdfSync, randomBytes, verify } from 'crypto';
+import { startHarness } from './helpers/harness.js';
+import { sleep } from './helpers/ws-client.js';
+
+let harness;
+let pushService;
+const received = [];       // { path, headers, body }
+const statusFor = {};      // path → status the fake push service answers with
+
+before(async () => {
+  pushService = createServer((req, res) => {
+    const chunks = [];
+    req.on('data', c => chunks.push(c));
+    req.on('end', () => {
+      received.push({ path: req.url, headers: req.headers, body: Buffer.concat(chunks) });
+      res.writeHead(statusFor[req.url] || 201);
+      res.end();
+    });
+  });
+  await new Promise(resolve => pushService.listen(0, '127.0.0.1', resolve));
+  harness = await startHarness();
+});
+
+after(async () => {
+  await harness?.stop();
+  await new Promise(resolve => pushService?.close(resolve));
+});
+
+/** A browser-side subscription: endpoint on the fake push service plus its keys */
+function makeDevice(name) {
+  const ecdh = createECDH('prime256v1');
+  const publicKey = ecdh.generateKeys();
+  const auth = randomBytes(16);
+  const path = `/push/${name}`;
+  return {
+    path,
+    ecdh,
+    auth,
+    subscription: {
+      endpoint: `http://127.0.0.1:${pushService.address().port}${path}`,
+      keys: { p256dh: publicKey.toString('base64url'), auth: auth.toString('base64url') }
+    }
+  };
+}
+
+/** Undo RFC 8291 aes128gcm encryption with the device's private key */
+function decrypt(device, body) {
+  const salt = body.subarray(0, 16);
+  const idLength = body.readUInt8(20);
+  const serverPublic = body.subarray(21, 21 + idLength);
+  const ciphertext = body.subarray(21 + idLength);
+
+  const clientPublic = device.ecdh.getPublicKey();
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), clientPublic, serverPublic]);
+  const ikm = Buffer.from(hkdfSync('sha256', device.ecdh.computeSecret(serverPublic), device.auth, keyInfo, 32));
+  const cek = Buffer.from(hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+  const nonce = Buffer.from(hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+  const decipher = createDecipheriv('aes-128-gcm', cek, nonce);
+  decipher.setAuthTag(ciphertext.subarray(-16));
+  const plain = Buffer.concat([decipher.update(ciphertext.subarray(0, -16)), decipher.final()]);
+  assert.equal(plain.at(-1), 2, 'last record delimiter');
+  return JSON.parse(plain.subarray(0, -1).toString());
+}
+
+async function subscribe(device, scopes) {
+  return harness.fetch('/api/push/subscriptions', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ subscription: device.subscription, scopes })
+  });
+}
+
+async function waitForPush(path) {
+  for (let i = 0; i < 50; i++) {
+    const push = received.find(r => r.path === path);
+    if (push) return push;
+    await sleep(100);
+  }
+  throw new Error(`No push delivered to ${path}:\n${harness.output()}`);
+}
+
+async function runModeMessage(sparkMode, text) {
+  const client = await harness.connect();
+  await client.waitFor('ready');
+  client.send({ type: 'mode_message', sparkMode, text });
+  await client.waitFor('done');
+  client.close();
+}
+
+test('a finished mode request notifies devices opted into that mode', async () => {
+  const { publicKey } = await (await harness.fetch('/api/push/key')).json();
+  assert.equal(Buffer.from(publicKey, 'base64url').length, 65);
+
+  const dev = makeDevice('dev');
+  const research = makeDevice('research');
+  const res = await subscribe(dev, ['dev']);
+  assert.equal(res.status, 201);
+  assert.deepEqual((await res.json()).scopes, ['dev']);
+  assert.equal((await subscribe(research, ['research'])).status, 201);
+
+  await runModeMessage('dev', 'ship it');
+  const push = await waitForPush(dev.path);
+
+  assert.equal(push.headers['content-encoding'], 'aes128gcm');
+  assert.equal(push.headers.ttl, '86400');
+  const payload = decrypt(dev, push.body);
+  assert.equal(payload.title, '👨‍💻 Dev Mode finished');
+  assert.equal(payload.body, 'Echo: ship it');
+  assert.match(payload.url, /^\/\?mode=dev&session=spark-dev-[0-9a-f]{8}-/);
+  assert.equal(payload.url.split('session=')[1], harness.cliCalls().at(-1).sessionId);
+
+  // VAPID: ES256 JWT for the push service origin, signed by the advertised key
+  const [, jwt, k] = push.headers.authorization.match(/^vapid t=([^,]+), k=(.+)$/);
+  assert.equal(k, publicKey);
+  const [header, claims, signature] = jwt.split('.');
+  assert.equal(JSON.parse(Buffer.from(claims, 'base64url')).aud, `http://127.0.0.1:${pushService.address().port}`);
+  const point = Buffer.from(publicKey, 'base64url');
+  const key = createPublicKey({
+    key: { kty: 'EC', crv: 'P-256', x: point.subarray(1, 33).toString('base64url'), y: point.subarray(33).toString('base64url') },
+    format: 'jwk'
+  });
+  assert.ok(verify('sha256', Buffer.from(`${header}.${claims}`), { key, dsaEncoding: 'ieee-p1363' }, Buffer.from(signature, 'base64url')));
+
+  // The research-only device wasn't told about a dev reply
+  await sleep(200);
+  assert.ok(!received.some(r => r.path === research.path));
+});
+
+test('a queued message notifies main-session devices with its reply', async () => {
+  const device = makeDevice('main');
+  assert.equal((await subscribe(device, ['main'])).status, 201);
+
+  harness.gateway.mode = 'unavailable';
+  const client = await harness.connect();
+  await client.waitFor('ready');
+  client.send({ type: 'transcript', text: '[connecting] while offline', messageId: 'queued-push' });
+  await client.waitFor(f => f.type === 'done' && f.messageId === 'queued-push', { timeout: 10000 });
+  client.close();
+  harness.gateway.mode = 'stream';
+
+  const payload = decrypt(device, (await waitForPush(device.path)).body);
+  assert.equal(payload.title, '💬 Spark replied to your queued message');
+  assert.equal(payload.body, 'Echo: while offline');
+});
+
+test('scopes can be changed and subscriptions removed', async () => {
+  const device = makeDevice('scopes');
+  const { id, scopes } = await (await subscribe(device)).json();
+  // Default: the main session plus modes that notify on completion
+  assert.ok(scopes.includes('main') && scopes.includes('dev'));
+  assert.ok(!scopes.includes('articulate'));
+
+  const patch = await harness.fetch(`/api/push/subscriptions/${id}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ scopes: ['plan'] })
+  });
+  assert.deepEqual((await patch.json()).scopes, ['plan']);
+  assert.deepEqual((await (await harness.fetch(`/api/push/subscriptions/${id}`)).json()).scopes, ['plan']);
+
+  const bad = await harness.fetch(`/api/push/subscriptions/${id}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ scopes: ['nope'] })
+  });
+  assert.equal(bad.status, 400);
+
+  assert.equal((await harness.fetch(`/api/push/subscriptions/${id}`, { method: 'DELETE' })).status, 200);
+  assert.equal((await harness.fetch(`/api/push/subscriptions/${id}`)).status, 404);
+});
+
+test('invalid subscriptions are rejected', async () => {
+  const device = makeDevice('invalid');
+  const res = await harness.fetch('/api/push/subscriptions', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ subscription: { ...device.subscription, keys: { p256dh: 'abc', auth: device.subscription.keys.auth } } })
+  });
+  assert.equal(res.status, 400);
+  assert.match((await res.json()).error, /p256dh/);
+});
+
+test('subscriptions the push service reports gone are dropped', async () => {
+  const device = makeDevice('gone');
+  statusFor[device.path] = 410;
+  const { id } = await (await subscribe(device, ['plan'])).json();
+
+  await runModeMessage('plan', 'make a plan');
+  await waitForPush(device.path);
+
+  for (let i = 0; i < 50; i++) {
+    if ((await harness.fetch(`/api/push/subscriptions/${id}`)).status === 404) return;
+    await sleep(100);
+  }
+  assert.fail(`Expired subscription was kept:\n${harness.output()}`);
+});
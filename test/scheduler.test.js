@@ -0,0 +1,89 @@
+/**
+ * Scheduler: cron parsing, job runs and the reports API
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHarness } from './helpers/harness.js';
+import { sleep } from './helpers/ws-client.js';
+
+let harness;
+
+before(async () => {
+  harness = await startHarness({
+    env: { TIMEZONE: 'Asia/Singapore' },
+    jobs: [
+      { id: 'recap', schedule: '0 6 1 1 *', mode: 'dailyreports', type: 'recap', title: 'Market Recap', prompt: 'market recap' },
+      { id: 'main-brief', schedule: '*/30 9-17 * * 1-5', mode: null, prompt: 'brief me' },
+      { id: 'broken', schedule: '61 * * * *', prompt: 'never' }
+    ]
+  });
+});
+
+after(async () => {
+  await harness?.stop();
+});
+
+async function waitForReports(query, count) {
+  for (let i = 0; i < 50; i++) {
+    const { reports } = await (await harness.fetch(`/api/reports?${query}`)).json();
+    if (reports.length >= count) return reports;
+    await sleep(100);
+  }
+  throw new Error(`No reports for ${query}:\n${harness.output()}`);
+}
+
+test('cron expressions resolve to the next local run', async () => {
+  // Imported here, so this process's config needs the instance timezone too
+  process.env.TIMEZONE = 'Asia/Singapore';
+  const { parseCron, nextCronRun } = await import('../src/services/scheduler.js');
+  // Saturday 2026-10-17 12:00 SGT -> weekday 07:30 is Monday
+  const next = nextCronRun(parseCron('30 7 * * 1-5'), new Date('2026-10-17T04:00:00Z'));
+  assert.equal(next.toISOString(), '2026-10-18T23:30:00.000Z');
+  // Day-of-month and day-of-week together match either
+  const either = nextCronRun(parseCron('0 0 1 * 0'), new Date('2026-10-17T04:00:00Z'));
+  assert.equal(either.toISOString(), '2026-10-17T16:00:00.000Z');
+  assert.throws(() => parseCron('* * *'), /5 fields/);
+  assert.throws(() => parseCron('0 24 * * *'), /hour "24" out of range/);
+});
+
+test('invalid jobs are skipped and the rest are listed with their next run', async () => {
+  const { jobs } = await (await harness.fetch('/api/jobs')).json();
+  assert.deepEqual(jobs.map(j => j.id), ['recap', 'main-brief']);
+  const recap = jobs[0];
+  assert.equal(new Date(recap.nextRun).toISOString().slice(5, 16), '12-31T22:00');
+  assert.match(harness.output(), /Skipping job broken: minute "61" out of range/);
+});
+
+test('running a mode job stores its reply as a typed report', async () => {
+  const res = await harness.fetch('/api/jobs/recap/run', { method: 'POST' });
+  assert.equal(res.status, 202);
+
+  const [report] = await waitForReports('type=recap', 1);
+  assert.equal(report.status, 'complete');
+  assert.equal(report.title, 'Market Recap');
+  assert.equal(report.mode, 'dailyreports');
+  assert.equal(report.content, 'Echo: market recap');
+  assert.match(harness.cliCalls().at(-1).sessionId, /^spark-dailyreports-/);
+
+  const { dates } = await (await harness.fetch('/api/reports/dates')).json();
+  assert.deepEqual(dates, [report.date]);
+  const other = await (await harness.fetch('/api/reports?date=2020-01-01')).json();
+  assert.deepEqual(other.reports, []);
+});
+
+test('main session jobs go through --to and default their type to the id', async () => {
+  await harness.fetch('/api/jobs/main-brief/run', { method: 'POST' });
+  const [report] = await waitForReports('type=main-brief', 1);
+  assert.equal(report.content, 'Echo: brief me');
+  assert.equal(report.mode, null);
+  assert.ok(harness.cliCalls().at(-1).argv.includes('--to'));
+
+  const all = await waitForReports('', 2);
+  assert.deepEqual(all.map(r => r.type), ['recap', 'main-brief']);
+});
+
+test('bad dates and unknown jobs are rejected', async () => {
+  assert.equal((await harness.fetch('/api/reports?date=2026-02-30')).status, 400);
+  assert.equal((await harness.fetch('/api/jobs/nope/run', { method: 'POST' })).status, 404);
+});
@@ -0,0 +1,54 @@
+/**
+ * Search index: appended lines are indexed incrementally, rewritten files are
+ * indexed again from the start
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { appendFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { startHarness, transcriptEntry } from './helpers/harness.js';
+
+let harness;
+
+before(async () => {
+  harness = await startHarness();
+});
+
+after(async () => {
+  await harness?.stop();
+});
+
+async function search(q) {
+  const { results } = await (await harness.fetch(`/api/search?q=${encodeURIComponent(q)}`)).json();
+  return results.map(r => r.snippet);
+}
+
+const lines = (...entries) => entries.map(e => JSON.stringify(e) + '\n').join('');
+
+test('appended messages are indexed, a half-written line only once complete', async () => {
+  const path = join(harness.sessionsDir, 'search-append.jsonl');
+  writeFileSync(path, lines(transcriptEntry('user', 'ünïcödé walrus question')));
+  assert.deepEqual(await search('walrus'), ['ünïcödé walrus question']);
+
+  const line = lines(transcriptEntry('assistant', 'walrus answer'));
+  appendFileSync(path, line.slice(0, 30));
+  assert.deepEqual(await search('walrus'), ['ünïcödé walrus question']);
+
+  appendFileSync(path, line.slice(30));
+  assert.deepEqual((await search('walrus')).sort(), ['walrus answer', 'ünïcödé walrus question']);
+});
+
+test('a rewritten transcript is indexed again, even if it grew', async () => {
+  const path = join(harness.sessionsDir, 'search-rewrite.jsonl');
+  writeFileSync(path, lines(transcriptEntry('user', 'compacted pelican talk')));
+  assert.deepEqual(await search('pelican'), ['compacted pelican talk']);
+
+  // Longer than before, so only its changed start tells it from an append
+  writeFileSync(path, lines(
+    transcriptEntry('assistant', 'summary of the heron talk'),
+    transcriptEntry('user', 'and another heron question')
+  ));
+  assert.deepEqual(await search('pelican'), []);
+  assert.deepEqual((await search('heron')).sort(), ['and another heron question', 'summary of the heron talk']);
+});
@@ -0,0 +1,92 @@
+/**
+ * Speech-to-text: provider chain, fallback, segments and the local whisper backend
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync } from 'fs';
+import { join } from 'path';
+import { STTProvider, parseLocalOutput, formatTranscript } from '../src/providers/stt.js';
+import { startHarness } from './helpers/harness.js';
+
+// whisper.cpp-style output; fails unless it was handed a non-empty audio file
+const FAKE_WHISPER = "test -s {input} && printf '[00:00:00.000 --> 00:00:01.500]  Buy milk\\n[00:00:01.500 --> 00:00:03.000]  and call Sam.\\n'";
+
+const AUDIO = Buffer.from('not really webm audio');
+
+let harness;
+
+after(async () => {
+  await harness?.stop();
+});
+
+test('chain starts with the provider and skips unconfigured fallbacks', () => {
+  const stt = new STTProvider({ provider: 'local', fallback: ['openai', 'deepgram', 'local'], localCommand: 'true', apiKey: 'dg' });
+  assert.deepEqual(stt.chain(), ['local', 'deepgram']);
+});
+
+test('falls back to the next provider when one fails', async () => {
+  const stt = new STTProvider({ provider: 'openai', fallback: ['local'], openaiApiKey: 'sk-test', localCommand: FAKE_WHISPER });
+  stt.openAITranscribe = async () => { throw new Error('Whisper error 503'); };
+
+  const result = await stt.transcribe(AUDIO);
+  assert.equal(result.text, 'Buy milk and call Sam.');
+  assert.equal(result.provider, 'local');
+  assert.deepEqual(result.segments, [
+    { start: 0, end: 1.5, speaker: null, text: 'Buy milk' },
+    { start: 1.5, end: 3, speaker: null, text: 'and call Sam.' }
+  ]);
+});
+
+test('local output without timestamps is one untimed segment per line', () => {
+  assert.deepEqual(parseLocalOutput(' Hello there. [SPEAKER_TURN]\n\n General Kenobi.\n'), [
+    { start: null, end: null, speaker: null, text: 'Hello there.' },
+    { start: null, end: null, speaker: null, text: 'General Kenobi.' }
+  ]);
+  assert.equal(parseLocalOutput('[01:02:03.250 --> 01:02:04.000] Late')[0].start, 3723.25);
+});
+
+test('transcripts render with clock times and speakers', () => {
+  const segments = [
+    { start: 0, end: 4, speaker: 'Speaker 1', text: 'Shall we start?' },
+    { start: 75.4, end: 80, speaker: 'Speaker 2', text: 'Yes.' }
+  ];
+  assert.equal(formatTranscript(segments), '[0:00] Speaker 1: Shall we start?\n[1:15] Speaker 2: Yes.');
+  assert.equal(formatTranscript([{ start: null, end: null, speaker: null, text: 'Plain' }]), 'Plain');
+});
+
+test('reports every failure when the whole chain fails', async () => {
+  const stt = new STTProvider({ provider: 'local', fallback: [], localCommand: 'echo model missing >&2; exit 3' });
+  await assert.rejects(stt.transcribe(AUDIO), /All STT providers failed - local: model missing/);
+});
+
+test('voice notes are transcribed by the local backend and summarized', async () => {
+  harness = await startHarness({ env: { STT_PROVIDER: 'local', STT_LOCAL_COMMAND: FAKE_WHISPER } });
+  const client = await harness.connect();
+  await client.waitFor('ready');
+
+  client.send({ type: 'voice_note', audio: AUDIO.toString('base64'), duration: 3 });
+
+  const transcription = await client.waitFor('transcription');
+  assert.equal(transcription.text, 'Buy milk and call Sam.');
+  assert.equal(transcription.provider, 'local');
+  assert.equal(transcription.segments.length, 2);
+  assert.match(transcription.audioUrl, /^\/api\/notes\/audio\/note_\d+\.webm$/);
+  await client.waitFor('text');
+  await client.waitFor('done');
+
+  // Audio lands in VOICE_NOTES_DIR, not the repo
+  const notesDir = join(harness.sessionsDir, '..', 'notes');
+  assert.equal(readdirSync(notesDir).filter(f => f.endsWith('.webm')).length, 1);
+
+  // The recording is served with Range support so the transcript can seek it
+  const ranged = await harness.fetch(transcription.audioUrl, { headers: { Range: 'bytes=4-9' } });
+  assert.equal(ranged.status, 206);
+  assert.equal(await ranged.text(), AUDIO.subarray(4, 10).toString());
+
+  const sidecar = await (await harness.fetch(`/api/notes/${transcription.noteId}/transcript`)).json();
+  assert.deepEqual(sidecar.segments, transcription.segments);
+
+  const traversal = await harness.fetch('/api/notes/audio/..%2Fsessions.json');
+  assert.equal(traversal.status, 400);
+});
@@ -0,0 +1,79 @@
+/**
+ * Mode session titles and rolling summaries generated through the gateway
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHarness } from './helpers/harness.js';
+import { sleep } from './helpers/ws-client.js';
+
+let harness;
+let summaryRequests = 0;
+
+before(async () => {
+  harness = await startHarness({ env: { SESSION_SUMMARIES: 'true' } });
+  harness.gateway.completion = () => {
+    summaryRequests++;
+    return '```json\n' + JSON.stringify({
+      title: `"Garden plan ${summaryRequests}."`,
+      summary: `Summary number ${summaryRequests}.`
+    }) + '\n```';
+  };
+});
+
+after(async () => {
+  await harness?.stop();
+});
+
+async function sessionEntry(sessionId) {
+  const { sessions } = await (await harness.fetch('/api/modes/plan/sessions')).json();
+  return sessions.find(s => s.id === sessionId);
+}
+
+async function waitForSummary(sessionId, summary) {
+  for (let i = 0; i < 50; i++) {
+    const session = await sessionEntry(sessionId);
+    if (session?.summary === summary) return session;
+    await sleep(100);
+  }
+  throw new Error(`No "${summary}" for ${sessionId}:\n${harness.output()}`);
+}
+
+test('the first exchange titles and summarizes the session, later ones refresh it', async () => {
+  const client = await harness.connect();
+  await client.waitFor('ready');
+  const ask = async (text) => {
+    const since = client.mark();
+    client.send({ type: 'mode_message', sparkMode: 'plan', text });
+    await client.waitFor('done', { since });
+  };
+
+  await ask('help me plan a vegetable garden for the spring with raised beds');
+  const sessionId = harness.cliCalls().at(-1).sessionId;
+  const first = await waitForSummary(sessionId, 'Summary number 1.');
+  assert.equal(first.title, 'Garden plan 1');
+
+  const request = harness.gateway.requests.at(-1).body;
+  assert.equal(request.stream, undefined);
+  const prompt = request.messages.at(-1).content;
+  assert.match(prompt, /Mode: Plan Mode/);
+  assert.match(prompt, /Alex: help me plan a vegetable garden/);
+  assert.match(prompt, /Spark: Echo: help me plan/);
+  assert.ok(!prompt.includes('[System Context:'));
+
+  // A title the user picked is kept; the summary still rolls forward
+  await harness.fetch(`/api/modes/plan/sessions/${sessionId}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ title: 'My garden' })
+  });
+  for (let i = 0; i < 4; i++) await ask(`follow-up ${i}`);
+  await sleep(300);
+  assert.equal(summaryRequests, 1, 'not due before the interval');
+
+  await ask('follow-up 4');
+  const refreshed = await waitForSummary(sessionId, 'Summary number 2.');
+  assert.equal(refreshed.title, 'My garden');
+  assert.match(harness.gateway.requests.at(-1).body.messages.at(-1).content, /Previous summary: Summary number 1\./);
+  client.close();
+});
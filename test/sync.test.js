@@ -0,0 +1,111 @@
+/**
+ * Real-time transcript sync: WhatsApp messages are broadcast,
+ * portal traffic is not echoed back (recentlySentHashes / [ClawChat Web] tag),
+ * and sync follows the main session when sessions.json rotates it
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFileSync, appendFileSync, renameSync } from 'fs';
+import { join } from 'path';
+import { startHarness, transcriptEntry } from './helpers/harness.js';
+import { sleep } from './helpers/ws-client.js';
+
+let harness;
+let observer;
+
+before(async () => {
+  harness = await startHarness();
+  observer = await harness.connect();
+  await observer.waitFor('ready');
+  // First poll only initializes the sync cursor
+  await sleep(1500);
+});
+
+after(async () => {
+  await harness?.stop();
+});
+
+const whatsapp = (text) => transcriptEntry('user', `[WhatsApp +6500000000 2026-01-01 10:00] ${text}\n[message_id: ${Math.random()}]`);
+
+test('WhatsApp messages are synced to portal clients with tags stripped', async () => {
+  harness.appendTranscript(whatsapp('hi from the phone'));
+
+  const sync = await observer.waitFor(f => f.type === 'sync' && f.message.text === 'hi from the phone', { timeout: 4000 });
+  assert.equal(sync.message.role, 'user');
+  assert.equal(sync.message.source, 'whatsapp');
+});
+
+test('replies to portal messages are not re-broadcast by sync', async () => {
+  harness.gateway.mode = 'stream';
+  const sender = await harness.connect();
+  await sender.waitFor('ready');
+
+  sender.send({ type: 'transcript', text: 'portal question' });
+  await sender.waitFor('done');
+
+  // A later WhatsApp message proves the sync loop has passed the portal turn
+  harness.appendTranscript(whatsapp('after the portal turn'));
+  await observer.waitFor(f => f.type === 'sync' && f.message.text === 'after the portal turn', { timeout: 4000 });
+
+  const echoed = [...observer.ofType('sync'), ...sender.ofType('sync')]
+    .filter(f => f.message.text.includes('portal question'));
+  assert.deepEqual(echoed, []);
+  sender.close();
+});
+
+test('identical messages are only synced once', async () => {
+  const since = observer.mark();
+  // Distinct timestamps, so only the content hash can catch the duplicate
+  harness.appendTranscript(whatsapp('same words twice'));
+  await sleep(5);
+  harness.appendTranscript(whatsapp('same words twice'));
+  await sleep(5);
+  harness.appendTranscript(whatsapp('end marker'));
+
+  await observer.waitFor(f => f.type === 'sync' && f.message.text === 'end marker', { timeout: 4000, since });
+  const copies = observer.frames.slice(since).filter(f => f.type === 'sync' && f.message.text === 'same words twice');
+  assert.equal(copies.length, 1);
+});
+
+// sessions.json is replaced, not edited in place, like OpenClaw does
+function pointMainSessionAt(sessionId) {
+  const path = join(harness.sessionsDir, 'sessions.json');
+  writeFileSync(`${path}.tmp`, JSON.stringify({ 'agent:main:main': { sessionId, updatedAt: Date.now() } }));
+  renameSync(`${path}.tmp`, path);
+}
+
+test('a mode run overwriting sessions.json is not taken for a rotation', async () => {
+  const since = observer.mark();
+  pointMainSessionAt('spark-research-0b7e5c1e-0000-4000-8000-000000000000');
+  harness.appendTranscript(whatsapp('still the main session'));
+
+  await observer.waitFor(f => f.type === 'sync' && f.message.text === 'still the main session', { timeout: 4000, since });
+  assert.equal(observer.frames.slice(since).filter(f => f.type === 'session_rotated').length, 0);
+});
+
+test('a rotated main session moves the watcher and backfills the new transcript', async () => {
+  const since = observer.mark();
+  const rotatedId = 'c0ffee00-0000-4000-8000-000000000001';
+  const rotatedPath = join(harness.sessionsDir, `${rotatedId}.jsonl`);
+  // More than a regular poll looks back, written before the rotation is noticed
+  const start = Date.now();
+  for (let i = 1; i <= 12; i++) {
+    const entry = whatsapp(`backfill ${i}`);
+    entry.message.timestamp = start + i;
+    appendFileSync(rotatedPath, JSON.stringify(entry) + '\n');
+  }
+  pointMainSessionAt(rotatedId);
+
+  const rotated = await observer.waitFor('session_rotated', { timeout: 4000, since });
+  assert.equal(rotated.sessionId, rotatedId);
+  assert.notEqual(rotated.previousSessionId, rotatedId);
+  await observer.waitFor(f => f.type === 'sync' && f.message.text === 'backfill 12', { timeout: 4000, since });
+  const backfilled = observer.frames.slice(since).filter(f => f.type === 'sync').map(f => f.message.text);
+  assert.deepEqual(backfilled, Array.from({ length: 12 }, (_, i) => `backfill ${i + 1}`));
+  assert.ok(observer.frames.indexOf(rotated) < observer.frames.findIndex(f => f.type === 'sync' && f.message.text === 'backfill 1'));
+
+  // New messages in the new transcript keep coming
+  appendFileSync(rotatedPath, JSON.stringify(whatsapp('after the rotation')) + '\n');
+  await observer.waitFor(f => f.type === 'sync' && f.message.text === 'after the rotation', { timeout: 4000, since });
+});
@@ -0,0 +1,89 @@
+/**
+ * Transcript reader: appended lines are picked up incrementally, half-written
+ * lines wait, rewritten files are read again, listings reuse per-file summaries
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { appendFileSync, writeFileSync, utimesSync } from 'fs';
+import { join } from 'path';
+import { startHarness, transcriptEntry, MAIN_SESSION_ID } from './helpers/harness.js';
+
+let harness;
+
+before(async () => {
+  harness = await startHarness();
+});
+
+after(async () => {
+  await harness?.stop();
+});
+
+async function recentTexts() {
+  const { messages } = await (await harness.fetch('/api/messages/recent?since=0')).json();
+  return messages.map(m => m.text);
+}
+
+test('appended messages are served, a half-written line only once complete', async () => {
+  assert.deepEqual(await recentTexts(), ['Earlier conversation']);
+
+  harness.appendTranscript(transcriptEntry('user', 'ünïcödé question 🦀'));
+  const line = JSON.stringify(transcriptEntry('assistant', 'the answer')) + '\n';
+  appendFileSync(harness.mainTranscriptPath, line.slice(0, 20));
+  assert.deepEqual(await recentTexts(), ['Earlier conversation', 'ünïcödé question 🦀']);
+
+  appendFileSync(harness.mainTranscriptPath, line.slice(20));
+  assert.deepEqual(await recentTexts(), ['Earlier conversation', 'ünïcödé question 🦀', 'the answer']);
+});
+
+test('a rewritten transcript is read again from the start', async () => {
+  // Longer than before, so only its changed start tells it from an append
+  const long = 'long reply '.repeat(100).trim();
+  writeFileSync(harness.mainTranscriptPath, [
+    JSON.stringify(transcriptEntry('user', 'fresh start')),
+    'not json',
+    JSON.stringify({ type: 'message', message: { role: 'toolResult', content: 'ignored' } }),
+    JSON.stringify(transcriptEntry('assistant', long)),
+    ''
+  ].join('\n'));
+  assert.deepEqual(await recentTexts(), ['fresh start', long]);
+
+  const { sessions } = await (await harness.fetch('/api/sessions')).json();
+  assert.equal(sessions.find(s => s.key === MAIN_SESSION_ID).preview, 'fresh start');
+});
+
+test('session transcripts are served by id, and only valid ids', async () => {
+  const { messages } = await (await harness.fetch(`/api/sessions/${MAIN_SESSION_ID}`)).json();
+  assert.deepEqual(messages.map(m => m.role), ['user', 'assistant']);
+  assert.equal(messages[0].content[0].text, 'fresh start');
+  assert.equal((await harness.fetch('/api/sessions/..%2Fsessions')).status, 404);
+});
+
+test('listing many transcripts reads each one once, then only on change', async () => {
+  // More transcripts than a per-file LRU of 64 could hold across a listing
+  const mtime = Math.floor(Date.now() / 1000) + 3600;
+  const pathOf = (i) => join(harness.sessionsDir, `bulk-${String(i).padStart(2, '0')}.jsonl`);
+  const write = (i, text, seconds) => {
+    writeFileSync(pathOf(i), [
+      JSON.stringify(transcriptEntry('user', `[ClawChat Web] ${text}`)),
+      JSON.stringify(transcriptEntry('assistant', 'ok')),
+      ''
+    ].join('\n'));
+    utimesSync(pathOf(i), seconds, seconds);
+  };
+  for (let i = 0; i < 70; i++) write(i, `question ${String(i).padStart(2, '0')}`, mtime);
+  const preview = async () => {
+    const { sessions } = await (await harness.fetch('/api/sessions')).json();
+    return sessions.find(s => s.key === 'bulk-00')?.preview;
+  };
+  write(0, 'question 00', mtime + 100);
+  assert.equal(await preview(), 'question 00');
+
+  // Same size and mtime: only a re-read from disk could see the new text
+  write(0, 'question 99', mtime + 100);
+  assert.equal(await preview(), 'question 00');
+
+  // A real change (new mtime) is picked up
+  utimesSync(pathOf(0), mtime + 200, mtime + 200);
+  assert.equal(await preview(), 'question 99');
+});
@@ -0,0 +1,69 @@
+/**
+ * Voice tool: ask_clawdbot
+ * 
+ * Escalates complex questions to Claude via the Clawdbot gateway.
+ */
+
+import { getGatewayToken } from '../src/services/shared.js';
+import { getConfig } from '../src/config.js';
+
+const { llm, identity } = getConfig();
+
+// Gateway for Claude queries
+const GATEWAY_URL = llm.gatewayUrl;
+
+export default {
+  name: 'ask_clawdbot',
+  description: 'Ask Clawdbot (Claude) for complex questions that need deep knowledge, analysis, or information you don\'t have. Use sparingly - only for things you genuinely can\'t answer.',
+  parameters: {
+    type: 'object',
+    properties: {
+      question: {
+        type: 'string',
+        description: 'The question to ask Clawdbot'
+      }
+    },
+    required: ['question']
+  },
+  timeoutMs: 30000,
+
+  async handler(args = {}) {
+    const { question } = args;
+    if (!question) return 'No question provided.';
+    
+    const gatewayToken = getGatewayToken();
+    if (!gatewayToken) return 'Gateway not available.';
+    
+    try {
+      const response = await fetch(`${GATEWAY_URL}/v1/chat/completions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${gatewayToken}`,
+        },
+        body: JSON.stringify({
+          model: 'claude-sonnet-4-20250514',
+          messages: [
+            { 
+              role: 'system', 
+              content: `You are answering a voice query. Be concise (1-2 sentences). Current timezone: ${identity.timezone}.` 
+            },
+            { role: 'user', content: question }
+          ],
+          max_tokens: 200,
+        }),
+      });
+      
+      if (!response.ok) {
+        throw new Error(`Gateway error: ${response.status}`);
+      }
+      
+      const data = await response.json();
+      return data.choices?.[0]?.message?.content || 'No response from Clawdbot.';
+      
+    } catch (e) {
+      console.error('Clawdbot error:', e.message);
+      return `Sorry, I couldn't reach Clawdbot: ${e.message}`;
+    }
+  }
+};
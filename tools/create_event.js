@@ -0,0 +1,84 @@
+/**
+ * Voice tool: create_event
+ * 
+ * Books a new event on the primary Google Calendar.
+ */
+
+import { insertEvent, parseDateTime, describeEvent, TIMEZONE } from '../src/services/calendar.js';
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export default {
+  name: 'create_event',
+  description: 'Create a calendar event, e.g. "book 30 minutes with Alex tomorrow morning". Resolve relative times yourself; use find_free_slot first if no exact time was given.',
+  parameters: {
+    type: 'object',
+    properties: {
+      title: {
+        type: 'string',
+        description: 'Event title'
+      },
+      start: {
+        type: 'string',
+        description: 'Start time, YYYY-MM-DDTHH:MM in local time'
+      },
+      end: {
+        type: 'string',
+        description: 'End time, YYYY-MM-DDTHH:MM. Alternative to duration_minutes.'
+      },
+      duration_minutes: {
+        type: 'number',
+        description: 'Length in minutes if end is not given. Defaults to 30.'
+      },
+      attendees: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Attendee emails (names without an email are added to the description)'
+      },
+      location: {
+        type: 'string',
+        description: 'Optional location or meeting link'
+      },
+      description: {
+        type: 'string',
+        description: 'Optional notes'
+      }
+    },
+    required: ['title', 'start']
+  },
+  timeoutMs: 15000,
+
+  async handler(args = {}) {
+    try {
+      if (!args.title) return 'A title is needed to create an event.';
+
+      const start = parseDateTime(args.start);
+      const end = args.end
+        ? parseDateTime(args.end)
+        : new Date(start.getTime() + (args.duration_minutes || 30) * 60000);
+      if (end <= start) return 'The end time has to be after the start time.';
+
+      const attendees = args.attendees || [];
+      const emails = attendees.filter(a => EMAIL.test(a));
+      const names = attendees.filter(a => !EMAIL.test(a));
+      const description = [args.description, names.length ? `With: ${names.join(', ')}` : '']
+        .filter(Boolean).join('\n');
+
+      const event = await insertEvent({
+        summary: args.title,
+        start: { dateTime: start.toISOString(), timeZone: TIMEZONE },
+        end: { dateTime: end.toISOString(), timeZone: TIMEZONE },
+        ...(args.location && { location: args.location }),
+        ...(description && { description }),
+        ...(emails.length && { attendees: emails.map(email => ({ email })) })
+      });
+
+      const minutes = Math.round((end - start) / 60000);
+      return `Created: ${describeEvent(event)} (${minutes} minutes) [id: ${event.id}]`;
+
+    } catch (e) {
+      console.error('Calendar error:', e.message);
+      return `Sorry, I couldn't create the event: ${e.message}`;
+    }
+  }
+};
@@ -0,0 +1,48 @@
+/**
+ * Voice tool: delete_event
+ * 
+ * Deletes an event. Requires a spoken confirmation: the first call returns
+ * a preview, the event is deleted on a second call with confirmed=true.
+ */
+
+import { getEvent, deleteEvent, describeEvent, checkConfirmation } from '../src/services/calendar.js';
+
+export default {
+  name: 'delete_event',
+  description: 'Delete or cancel a calendar event. Get the event_id from get_calendar. First call without confirmed, read the returned preview to the user, and only call again with confirmed=true after they say yes.',
+  parameters: {
+    type: 'object',
+    properties: {
+      event_id: {
+        type: 'string',
+        description: 'Event id from get_calendar'
+      },
+      confirmed: {
+        type: 'boolean',
+        description: 'Set to true only after the user confirmed the preview'
+      }
+    },
+    required: ['event_id']
+  },
+  timeoutMs: 15000,
+
+  async handler(args = {}) {
+    try {
+      if (!args.event_id) return 'An event_id from get_calendar is needed.';
+
+      const event = await getEvent(args.event_id);
+      const summary = describeEvent(event);
+
+      if (!checkConfirmation('delete', event.id, args.confirmed === true)) {
+        return `Needs confirmation. Ask the user: "Delete ${summary}?" If they say yes, call delete_event again with confirmed=true.`;
+      }
+
+      await deleteEvent(event.id);
+      return `Deleted: ${summary}`;
+
+    } catch (e) {
+      console.error('Calendar error:', e.message);
+      return `Sorry, I couldn't delete the event: ${e.message}`;
+    }
+  }
+};
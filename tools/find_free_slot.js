@@ -0,0 +1,97 @@
+/**
+ * Voice tool: find_free_slot
+ * 
+ * Finds open time on the primary Google Calendar within working hours.
+ */
+
+import { getBusyIntervals, resolveRange, addDays, parseDateTime, formatDateTime, formatTime } from '../src/services/calendar.js';
+
+const SLOT_STEP_MS = 15 * 60000; // Suggested start times snap to quarter hours
+const TIME_OF_DAY = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+export default {
+  name: 'find_free_slot',
+  description: 'Find free time in the calendar, e.g. "when am I free tomorrow morning for 30 minutes". Use before create_event when the user gives no exact time.',
+  parameters: {
+    type: 'object',
+    properties: {
+      duration_minutes: {
+        type: 'number',
+        description: 'Length of the slot in minutes. Defaults to 30.'
+      },
+      date: {
+        type: 'string',
+        description: '"today", "tomorrow", "week" or YYYY-MM-DD. Defaults to the next 7 days.'
+      },
+      start_date: {
+        type: 'string',
+        description: 'Start of a date range (YYYY-MM-DD, inclusive)'
+      },
+      end_date: {
+        type: 'string',
+        description: 'End of a date range (YYYY-MM-DD, inclusive)'
+      },
+      day_start: {
+        type: 'string',
+        description: 'Earliest time of day, HH:MM. Defaults to 09:00 (use 09:00-12:00 for "morning").'
+      },
+      day_end: {
+        type: 'string',
+        description: 'Latest end time of day, HH:MM. Defaults to 18:00.'
+      },
+      max_results: {
+        type: 'number',
+        description: 'How many options to return. Defaults to 3.'
+      }
+    },
+    required: []
+  },
+  timeoutMs: 15000,
+
+  async handler(args = {}) {
+    try {
+      const durationMs = (args.duration_minutes || 30) * 60000;
+      const dayStart = args.day_start || '09:00';
+      const dayEnd = args.day_end || '18:00';
+      if (!TIME_OF_DAY.test(dayStart) || !TIME_OF_DAY.test(dayEnd)) {
+        return 'day_start and day_end must be HH:MM.';
+      }
+      const maxResults = Math.min(Math.max(args.max_results || 3, 1), 10);
+
+      const hasDate = args.date || args.start_date || args.end_date;
+      const { first, last, timeMin, timeMax, label } = resolveRange(hasDate ? args : { date: 'week' });
+      const busy = (await getBusyIntervals(timeMin, timeMax)).sort((a, b) => a.start - b.start);
+
+      const now = Date.now();
+      const slots = [];
+      for (let day = first; day <= last && slots.length < maxResults; day = addDays(day, 1)) {
+        const windowEnd = parseDateTime(`${day}T${dayEnd}`).getTime();
+        let cursor = Math.max(parseDateTime(`${day}T${dayStart}`).getTime(), now);
+        cursor = Math.ceil(cursor / SLOT_STEP_MS) * SLOT_STEP_MS;
+
+        // Walk the busy intervals, taking the first fit in each gap
+        for (const interval of [...busy, { start: new Date(windowEnd), end: new Date(windowEnd) }]) {
+          if (slots.length >= maxResults || cursor + durationMs > windowEnd) break;
+          const busyStart = interval.start.getTime();
+          const busyEnd = interval.end.getTime();
+          if (busyEnd <= cursor) continue;
+          if (busyStart - cursor >= durationMs) {
+            slots.push(new Date(cursor));
+          }
+          cursor = Math.max(cursor, Math.ceil(busyEnd / SLOT_STEP_MS) * SLOT_STEP_MS);
+        }
+      }
+
+      const minutes = Math.round(durationMs / 60000);
+      if (slots.length === 0) {
+        return `No free ${minutes}-minute slot between ${dayStart} and ${dayEnd} for ${label}.`;
+      }
+      const formatted = slots.map(start => `${formatDateTime(start)} to ${formatTime(new Date(start.getTime() + durationMs))}`);
+      return `Free ${minutes}-minute slots:\n${formatted.join('\n')}`;
+
+    } catch (e) {
+      console.error('Calendar error:', e.message);
+      return `Sorry, I couldn't check free time: ${e.message}`;
+    }
+  }
+};
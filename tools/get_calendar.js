@@ -0,0 +1,50 @@
+/**
+ * Voice tool: get_calendar
+ * 
+ * Reads events from the primary Google Calendar for a day or date range.
+ */
+
+import { listEvents, resolveRange, describeEvent } from '../src/services/calendar.js';
+
+export default {
+  name: 'get_calendar',
+  description: 'Get calendar events. Use for questions about schedule, meetings, appointments, or "what\'s on my calendar". Results include event ids for update_event/delete_event - never read ids aloud.',
+  parameters: {
+    type: 'object',
+    properties: {
+      date: {
+        type: 'string',
+        description: 'Single day to check: "today", "tomorrow", "week" (next 7 days) or YYYY-MM-DD. Defaults to today.'
+      },
+      start_date: {
+        type: 'string',
+        description: 'Start of a date range (YYYY-MM-DD, inclusive). Use with end_date instead of date.'
+      },
+      end_date: {
+        type: 'string',
+        description: 'End of a date range (YYYY-MM-DD, inclusive).'
+      }
+    },
+    required: []
+  },
+  timeoutMs: 15000,
+
+  async handler(args = {}) {
+    try {
+      const { timeMin, timeMax, label, multiDay } = resolveRange(args);
+      const events = await listEvents(timeMin, timeMax);
+      
+      if (events.length === 0) {
+        return `No events scheduled for ${label}.`;
+      }
+      
+      // Format events for voice
+      const formatted = events.map(event => describeEvent(event, { withDay: multiDay, withId: true }));
+      return `Events for ${label}:\n${formatted.join('\n')}`;
+      
+    } catch (e) {
+      console.error('Calendar error:', e.message);
+      return `Sorry, I couldn't access the calendar: ${e.message}`;
+    }
+  }
+};
@@ -0,0 +1,31 @@
+/**
+ * Voice tool: get_time
+ * 
+ * Current date and time in the configured timezone.
+ */
+
+import { formatLocalTime, getTimezoneLabel } from '../src/services/shared.js';
+
+export default {
+  name: 'get_time',
+  description: `Get the current time in ${getTimezoneLabel()}. Use for questions about what time it is.`,
+  parameters: {
+    type: 'object',
+    properties: {},
+    required: []
+  },
+  timeoutMs: 1000,
+
+  handler() {
+    const localTime = formatLocalTime(new Date(), {
+      weekday: 'long',
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit',
+      hour12: true
+    });
+    return `It's ${localTime} in ${getTimezoneLabel()}.`;
+  }
+};
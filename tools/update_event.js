@@ -0,0 +1,97 @@
+/**
+ * Voice tool: update_event
+ * 
+ * Moves or edits an existing event. Requires a spoken confirmation:
+ * the first call returns a preview, the change is applied on a second
+ * call with confirmed=true after the user agrees.
+ */
+
+import { getEvent, patchEvent, parseDateTime, describeEvent, formatDateTime, checkConfirmation, TIMEZONE } from '../src/services/calendar.js';
+
+export default {
+  name: 'update_event',
+  description: 'Change an existing calendar event (move it, rename it, change length or location), e.g. "move my 3pm to Thursday". Get the event_id from get_calendar. First call without confirmed, read the returned preview to the user, and only call again with confirmed=true after they say yes.',
+  parameters: {
+    type: 'object',
+    properties: {
+      event_id: {
+        type: 'string',
+        description: 'Event id from get_calendar'
+      },
+      start: {
+        type: 'string',
+        description: 'New start time, YYYY-MM-DDTHH:MM in local time. The event keeps its length unless end or duration_minutes is given.'
+      },
+      end: {
+        type: 'string',
+        description: 'New end time, YYYY-MM-DDTHH:MM'
+      },
+      duration_minutes: {
+        type: 'number',
+        description: 'New length in minutes'
+      },
+      title: {
+        type: 'string',
+        description: 'New title'
+      },
+      location: {
+        type: 'string',
+        description: 'New location'
+      },
+      confirmed: {
+        type: 'boolean',
+        description: 'Set to true only after the user confirmed the preview'
+      }
+    },
+    required: ['event_id']
+  },
+  timeoutMs: 15000,
+
+  async handler(args = {}) {
+    try {
+      if (!args.event_id) return 'An event_id from get_calendar is needed.';
+
+      const event = await getEvent(args.event_id);
+      const changes = {};
+      const spoken = [];
+
+      if (args.title && args.title !== event.summary) {
+        changes.summary = args.title;
+        spoken.push(`rename it to "${args.title}"`);
+      }
+      if (args.location !== undefined && args.location !== event.location) {
+        changes.location = args.location;
+        spoken.push(args.location ? `set the location to ${args.location}` : 'clear the location');
+      }
+
+      if (args.start || args.end || args.duration_minutes) {
+        if (!event.start?.dateTime) return 'All-day events can\'t be rescheduled by voice yet.';
+        const oldStart = new Date(event.start.dateTime);
+        const oldEnd = new Date(event.end.dateTime);
+        const start = args.start ? parseDateTime(args.start) : oldStart;
+        const end = args.end
+          ? parseDateTime(args.end)
+          : new Date(start.getTime() + (args.duration_minutes ? args.duration_minutes * 60000 : oldEnd - oldStart));
+        if (end <= start) return 'The end time has to be after the start time.';
+
+        changes.start = { dateTime: start.toISOString(), timeZone: TIMEZONE };
+        changes.end = { dateTime: end.toISOString(), timeZone: TIMEZONE };
+        spoken.push(`move it to ${formatDateTime(start)} for ${Math.round((end - start) / 60000)} minutes`);
+      }
+
+      if (spoken.length === 0) return 'Nothing to change - tell me the new time, title or location.';
+
+      const summary = `${describeEvent(event)}: ${spoken.join(', ')}`;
+      if (!checkConfirmation('update', event.id, args.confirmed === true, JSON.stringify(changes))) {
+        return `Needs confirmation. Ask the user: "${summary}?" If they say yes, call update_event again with the same arguments and confirmed=true.`;
+      }
+
+      const updated = await patchEvent(event.id, changes);
+      return `Updated: ${describeEvent(updated)}`;
+
+    } catch (e) {
+      console.error('Calendar error:', e.message);
+      return `Sorry, I couldn't update the event: ${e.message}`;
+    }
+  }
+};